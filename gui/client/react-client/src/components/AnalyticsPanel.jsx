@@ -1,4 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
+import QueueJobReport from './QueueJobReport';
 
 function formatUpdateTime(value) {
   if (!value) return 'Awaiting first update';
@@ -178,7 +179,13 @@ function AnalyticsPanel({ metrics, queue, metricsState, queueState, operationalA
                  tabIndex={-1}
                >
                  <div className="queue-filename">{q.path ? q.path.split(/[\\/]/).pop() : 'Unknown job'}</div>
-                 <small className="queue-status-text">{q.status}</small>
+                 <small className="queue-status-text">
+                   {q.status}
+                   {q.status === 'processing' && q.workerId ? ` · ${q.workerId}` : ''}
+                 </small>
+                 {q.id && (q.status === 'completed' || q.status === 'failed') && (
+                   <QueueJobReport jobId={q.id} totals={q.report} />
+                 )}
                </div>
             ))
           )}
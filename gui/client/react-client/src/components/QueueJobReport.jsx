@@ -0,0 +1,152 @@
+import React, { useId, useState } from 'react';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
+
+const OUTCOME_LABELS = {
+  added: 'Added',
+  updated: 'Updated',
+  renamed: 'Renamed',
+  unchanged: 'Unchanged',
+  skipped: 'Skipped',
+  failed: 'Failed',
+};
+
+function buildTotalsSummary(totals) {
+  if (!totals) return 'Ingestion report';
+
+  const parts = [
+    `${totals.added || 0} added`,
+    `${totals.updated || 0} updated`,
+    `${totals.unchanged || 0} unchanged`,
+  ];
+  if (totals.renamed) parts.push(`${totals.renamed} renamed`);
+  if (totals.skipped) parts.push(`${totals.skipped} skipped`);
+  if (totals.failed) parts.push(`${totals.failed} failed`);
+  if (totals.excluded) parts.push(`${totals.excluded} excluded`);
+  return parts.join(', ');
+}
+
+function describeExclusion(entry) {
+  if (entry.reason === 'not_included') return 'not matched by include';
+  if (entry.reason === 'ragignore') {
+    return `${entry.pattern} in ${entry.ignoreFile}`;
+  }
+  return `exclude ${entry.pattern}`;
+}
+
+function describeFileDetail(file) {
+  if (file.reason && file.error) return `${file.reason}: ${file.error}`;
+  if (file.reason) return file.reason;
+  if (file.outcome === 'renamed' && file.previousPath) {
+    return `from ${file.previousPath.split(/[\\/]/).pop()}`;
+  }
+  if (file.encoding) return `read as ${file.encoding.toUpperCase()}`;
+  return file.resumed ? 'before restart' : '';
+}
+
+function QueueJobReport({ jobId, totals }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [state, setState] = useState({ status: 'idle', report: null, error: '' });
+  const regionId = useId();
+
+  const loadReport = async () => {
+    setState({ status: 'loading', report: null, error: '' });
+    try {
+      const res = await fetch(`${API_BASE}/api/queue/${encodeURIComponent(jobId)}/report`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load report');
+      }
+      setState({ status: 'ready', report: data, error: '' });
+    } catch (err) {
+      setState({ status: 'error', report: null, error: err.message });
+    }
+  };
+
+  const toggle = () => {
+    const nextOpen = !isOpen;
+    setIsOpen(nextOpen);
+    if (nextOpen && state.status !== 'ready' && state.status !== 'loading') {
+      loadReport();
+    }
+  };
+
+  const report = state.report;
+  const chunkTotals = report?.totals || totals;
+
+  return (
+    <div className="queue-report">
+      <button
+        type="button"
+        className="queue-report-toggle"
+        aria-expanded={isOpen}
+        aria-controls={regionId}
+        onClick={toggle}
+      >
+        {isOpen ? 'Hide report' : 'Show report'}
+        <span className="queue-report-summary">{buildTotalsSummary(totals)}</span>
+      </button>
+
+      {isOpen && (
+        <div id={regionId} className="queue-report-body">
+          {state.status === 'loading' && <div className="queue-state queue-loading">Loading report...</div>}
+          {state.status === 'error' && (
+            <div className="queue-state queue-error">Unable to load report. {state.error}</div>
+          )}
+          {report && (
+            <>
+              <p className="queue-report-totals">
+                {chunkTotals?.chunksWritten || 0} chunks written, {chunkTotals?.chunksFailed || 0} failed,{' '}
+                {chunkTotals?.orphansRemoved || 0} orphans removed.
+              </p>
+              <table className="queue-report-table" aria-label="Per-file ingestion results">
+                <thead>
+                  <tr>
+                    <th scope="col">File</th>
+                    <th scope="col">Result</th>
+                    <th scope="col">Chunks</th>
+                    <th scope="col">Detail</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {/* A resumed job can list a path twice, so rows are keyed by position too. */}
+                  {report.files.map((file, index) => (
+                    <tr key={`${index}:${file.path}`} className={`queue-report-row ${file.outcome}`}>
+                      <td title={file.path}>{file.fileName}</td>
+                      <td>{OUTCOME_LABELS[file.outcome] || file.outcome}</td>
+                      <td>{Number.isInteger(file.chunks) ? file.chunks : ''}</td>
+                      <td>{describeFileDetail(file)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {report.excluded?.length > 0 && (
+                <table className="queue-report-table" aria-label="Excluded paths">
+                  <thead>
+                    <tr>
+                      <th scope="col">Excluded path</th>
+                      <th scope="col">Rule</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.excluded.map((entry, index) => (
+                      <tr key={`${index}:${entry.path}`} className="queue-report-row excluded">
+                        <td title={entry.path}>
+                          {entry.path.split(/[\\/]/).pop()}
+                          {entry.directory ? '/' : ''}
+                        </td>
+                        <td>{describeExclusion(entry)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QueueJobReport;
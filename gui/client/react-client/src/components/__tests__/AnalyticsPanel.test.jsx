@@ -47,6 +47,25 @@ describe("AnalyticsPanel", () => {
     expect(screen.getByText("file.txt")).toBeInTheDocument();
   });
 
+  it("shows which worker is running each processing job", () => {
+    render(
+      <AnalyticsPanel
+        metrics={[]}
+        queue={[
+          { id: "1", path: "C:/Docs/a.pdf", status: "processing", workerId: "worker-2" },
+          { id: "2", path: "C:/Docs/b.md", status: "pending" },
+        ]}
+        metricsState={{ status: "ready", error: "" }}
+        queueState={{ status: "ready", error: "" }}
+      />,
+    );
+
+    const running = screen.getByText("a.pdf").closest(".queue-item");
+    const pending = screen.getByText("b.md").closest(".queue-item");
+    expect(running).toHaveTextContent("processing · worker-2");
+    expect(pending).not.toHaveTextContent("worker");
+  });
+
   it("renders action-linked operational confirmations", () => {
     render(
       <AnalyticsPanel
@@ -0,0 +1,117 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import QueueJobReport from "../QueueJobReport";
+
+function mockReportResponse(body, ok = true) {
+  return { ok, json: async () => body };
+}
+
+describe("QueueJobReport", () => {
+  const totals = { added: 1, updated: 0, unchanged: 2, skipped: 1, failed: 0 };
+
+  beforeEach(() => {
+    global.fetch = vi.fn().mockResolvedValue(
+      mockReportResponse({
+        jobId: "42",
+        status: "completed",
+        totals: { ...totals, chunksWritten: 7, chunksFailed: 0, orphansRemoved: 1 },
+        files: [
+          { path: "C:/Docs/new.md", fileName: "new.md", outcome: "added", chunks: 7 },
+          { path: "C:/Docs/huge.pdf", fileName: "huge.pdf", outcome: "skipped", reason: "too_large" },
+          { path: "C:/Docs/Deploy.ps1", fileName: "Deploy.ps1", outcome: "updated", chunks: 2, encoding: "utf-16le" },
+        ],
+        orphans: ["src_gone"],
+      }),
+    );
+  });
+
+  it("stays collapsed and does not fetch until opened", () => {
+    render(<QueueJobReport jobId="42" totals={totals} />);
+
+    const toggle = screen.getByRole("button", { name: /show report/i });
+    expect(toggle).toHaveAttribute("aria-expanded", "false");
+    expect(toggle).toHaveTextContent("1 added, 0 updated, 2 unchanged, 1 skipped");
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(screen.queryByRole("table")).not.toBeInTheDocument();
+  });
+
+  it("loads the report on first open and renders a row per file", async () => {
+    render(<QueueJobReport jobId="42" totals={totals} />);
+
+    fireEvent.click(screen.getByRole("button", { name: /show report/i }));
+
+    const table = await screen.findByRole("table", { name: /per-file ingestion results/i });
+    expect(global.fetch).toHaveBeenCalledWith("http://localhost:3001/api/queue/42/report");
+    expect(screen.getByRole("button", { name: /hide report/i })).toHaveAttribute("aria-expanded", "true");
+    expect(table).toHaveTextContent("new.md");
+    expect(table).toHaveTextContent("Skipped");
+    expect(table).toHaveTextContent("too_large");
+    expect(table).toHaveTextContent("read as UTF-16LE");
+    expect(screen.getByText(/7 chunks written, 0 failed, 1 orphans removed/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /hide report/i }));
+    fireEvent.click(screen.getByRole("button", { name: /show report/i }));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("lists excluded paths with the rule that matched", async () => {
+    global.fetch.mockResolvedValueOnce(
+      mockReportResponse({
+        jobId: "43",
+        status: "completed",
+        totals: { ...totals, excluded: 2 },
+        files: [],
+        orphans: [],
+        excluded: [
+          { path: "C:/Docs/bin", directory: true, reason: "ragignore", pattern: "bin/", ignoreFile: "C:/Docs/.ragignore" },
+          { path: "C:/Docs/notes.txt", directory: false, reason: "not_included", pattern: null },
+        ],
+      }),
+    );
+    render(<QueueJobReport jobId="43" totals={{ ...totals, excluded: 2 }} />);
+
+    expect(screen.getByRole("button", { name: /show report/i })).toHaveTextContent("2 excluded");
+    fireEvent.click(screen.getByRole("button", { name: /show report/i }));
+
+    const table = await screen.findByRole("table", { name: /excluded paths/i });
+    expect(table).toHaveTextContent("bin/");
+    expect(table).toHaveTextContent("bin/ in C:/Docs/.ragignore");
+    expect(table).toHaveTextContent("not matched by include");
+  });
+
+  it("renders every row when a resumed job lists a path twice", async () => {
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+    global.fetch.mockResolvedValueOnce(
+      mockReportResponse({
+        jobId: "44",
+        status: "completed",
+        totals: { ...totals, chunksWritten: 3, chunksFailed: 4, orphansRemoved: 0 },
+        files: [
+          { path: "C:/Docs/big.md", fileName: "big.md", outcome: "failed", reason: "write_error" },
+          { path: "C:/Docs/big.md", fileName: "big.md", outcome: "failed", reason: "write_error" },
+          { path: "C:/Docs/small.md", fileName: "small.md", outcome: "added", chunks: 3 },
+        ],
+        orphans: [],
+      }),
+    );
+    render(<QueueJobReport jobId="44" totals={totals} />);
+
+    fireEvent.click(screen.getByRole("button", { name: /show report/i }));
+
+    const table = await screen.findByRole("table", { name: /per-file ingestion results/i });
+    expect(table.querySelectorAll("tbody tr")).toHaveLength(3);
+    expect(screen.getByText(/3 chunks written, 4 failed, 0 orphans removed/i)).toBeInTheDocument();
+    expect(consoleError.mock.calls.flat().join(" ")).not.toMatch(/same key/);
+    consoleError.mockRestore();
+  });
+
+  it("shows the server error when the report cannot be loaded", async () => {
+    global.fetch.mockResolvedValueOnce(mockReportResponse({ error: "Job not found" }, false));
+    render(<QueueJobReport jobId="gone" totals={null} />);
+
+    fireEvent.click(screen.getByRole("button", { name: /show report/i }));
+
+    await waitFor(() =>
+      expect(screen.getByText(/unable to load report/i)).toHaveTextContent("Job not found"),
+    );
+  });
+});
@@ -6,11 +6,37 @@ import * as lancedb from "@lancedb/lancedb";
 import * as ollamaClient from "./lib/ollamaClient.js";
 
 import { SmartTextChunker } from "./lib/smartChunker.js";
+import { getTokenCounter } from "./lib/tokenizer.js";
 import { DocumentParser } from "./lib/documentParser.js";
+import { LexicalIndex } from "./lib/lexicalIndex.js";
+import { chunkTableSchema, ensureChunkColumns } from "./lib/chunkTable.js";
+import { PathFilter } from "./lib/ignoreRules.js";
+import {
+  ArchiveReader,
+  archiveContainerPath,
+  isArchivePath,
+  splitArchiveMemberPath,
+} from "./lib/archiveSource.js";
+import {
+  GitBlobReader,
+  diffGitCommits,
+  hasGitCommit,
+  listGitFiles,
+  resolveGitCommit,
+} from "./lib/gitSource.js";
+import {
+  IngestionReport,
+  FAILURE_REASONS,
+  FILE_OUTCOMES,
+  SKIP_REASONS,
+} from "./lib/ingestionReport.js";
 import {
   mintSourceId,
   computeChunkHash,
+  computeParentHash,
 } from "./lib/sourceIdentity.js";
+import { extractOfficeDocument, isOfficeDocument } from "./lib/officeDocument.js";
+import { TextDecodeError, decodeText } from "./lib/textEncoding.js";
 import { createRequire } from "module";
 const require = createRequire(import.meta.url);
 import PDFParser from "pdf2json";
@@ -33,17 +59,52 @@ const QUEUE_MIGRATIONS = {
   // 2: (state) => ({ ...state, schemaVersion: 2, newField: "default" }),
 };
 
+// Folder jobs read files from disk and archive members through an
+// ArchiveReader; git jobs swap in a GitBlobReader.
+const FILE_SYSTEM_READER = {
+  hash: (filePath) => DocumentParser.getFileHash(filePath),
+  stat: (filePath) => fs.promises.stat(filePath),
+  read: (filePath) => fs.promises.readFile(filePath),
+};
+
+function createFolderReader() {
+  const archives = new ArchiveReader();
+  const pick = (filePath) => (splitArchiveMemberPath(filePath) ? archives : FILE_SYSTEM_READER);
+  return {
+    hash: (filePath) => pick(filePath).hash(filePath),
+    stat: (filePath) => pick(filePath).stat(filePath),
+    read: (filePath) => pick(filePath).read(filePath),
+  };
+}
+
 const DEFAULT_MAX_TERMINAL_JOBS = 200;
 const DEFAULT_PERSIST_DEBOUNCE_MS = 200;
 const DEFAULT_UPDATE_EMIT_DEBOUNCE_MS = 120;
+const DEFAULT_MAX_WORKERS = 2;
+const MAX_WORKERS_LIMIT = 8;
+
+function normalizeWorkerCount(value) {
+  const count = Math.floor(Number(value));
+  if (!Number.isFinite(count) || count < 1) return null;
+  return Math.min(MAX_WORKERS_LIMIT, count);
+}
 
 class IngestionQueue extends EventEmitter {
   constructor() {
     super();
     this.jobs = [];
-    this.isWorking = false;
     this._lastSave = 0;
-    this.currentJob = null;
+    // Worker pool: workerId -> job it is running. Jobs for different
+    // collections run in parallel; a collection lock keeps each collection's
+    // manifest and LanceDB writes serialized.
+    this.workers = new Map();
+    this.collectionLocks = new Map(); // collection -> workerId
+    // Reports of running jobs (and finished ones until written to disk).
+    this.reports = new Map(); // jobId -> IngestionReport
+    this._workerCountFromEnv = normalizeWorkerCount(process.env.QUEUE_MAX_WORKERS);
+    this.maxWorkers = this._workerCountFromEnv || DEFAULT_MAX_WORKERS;
+    // Collections held by a CollectionManager operation; their pending jobs wait.
+    this.heldCollections = new Set();
     this.config = null;
     this.dataDir = null;
     this.persistencePath = null;
@@ -74,6 +135,10 @@ class IngestionQueue extends EventEmitter {
   // Allow server.js to pass down the config cleanly
   setConfig(config) {
     this.config = config;
+    if (!this._workerCountFromEnv) {
+      this.maxWorkers =
+        normalizeWorkerCount(config?.RAG?.IngestWorkers) || DEFAULT_MAX_WORKERS;
+    }
     const defaultDataDir = path.join(
       __dirname,
       "..",
@@ -94,11 +159,18 @@ class IngestionQueue extends EventEmitter {
     this.loadState();
   }
 
-  enqueue(path, collection) {
+  /**
+   * @param {string} path - folder to ingest
+   * @param {string} collection
+   * @param {{ changedPaths?: string[], trigger?: string, watchId?: string }} [details]
+   *   changedPaths makes the job incremental: only those paths are synced.
+   */
+  enqueue(path, collection, details = {}) {
     const job = {
-      id: Date.now().toString(),
+      id: this._nextJobId(),
       path,
       collection,
+      ...details,
       status: "pending",
       progress: "In Queue",
       addedAt: new Date().toISOString(),
@@ -112,45 +184,149 @@ class IngestionQueue extends EventEmitter {
     return job;
   }
 
-  async processNext() {
-    if (this.isWorking || this.jobs.length === 0) return;
+  /**
+   * Queues an incremental sync of `changedPaths` under a folder. Changes for
+   * a folder whose job has not started yet are merged into that job, and a
+   * pending full scan of the folder already covers them.
+   * @param {string[]|null} changedPaths - null asks for a full rescan
+   * @returns {object} the new or merged job
+   */
+  enqueueChanges(folderPath, collection, changedPaths, details = {}) {
+    const pending = this.jobs.find(
+      (j) => j.status === "pending" && j.path === folderPath && j.collection === collection,
+    );
+    if (pending) {
+      if (Array.isArray(pending.changedPaths)) {
+        if (changedPaths) {
+          pending.changedPaths = [...new Set([...pending.changedPaths, ...changedPaths])];
+        } else {
+          delete pending.changedPaths;
+        }
+        this.saveState();
+      }
+      return pending;
+    }
 
-    const job = this.jobs.find((j) => j.status === "pending");
-    if (!job) return;
+    return this.enqueue(folderPath, collection, {
+      ...(changedPaths ? { changedPaths } : {}),
+      ...details,
+    });
+  }
 
-    this.isWorking = true;
-    this.currentJob = job;
-    job.status = "processing";
-    job.startedAt = new Date().toISOString();
-    this.saveState();
+  // Millisecond timestamps, bumped when several jobs are queued at once.
+  _nextJobId() {
+    let id = Date.now();
+    while (this.jobs.some((j) => j.id === String(id))) id++;
+    return String(id);
+  }
 
-    console.log(`[Queue] Starting Job ${job.id}: ${job.path}`);
+  /**
+   * Starts pending jobs on free workers, oldest first. A job is skipped while
+   * its collection is locked by another worker or held by CollectionManager,
+   * so a later job for a different collection can overtake it.
+   * Resolves once every job started by this call has finished.
+   */
+  async processNext() {
+    const started = [];
+
+    while (this.workers.size < this.maxWorkers) {
+      const job = this.jobs.find(
+        (j) =>
+          j.status === "pending" &&
+          !this.collectionLocks.has(j.collection) &&
+          !this.heldCollections.has(j.collection),
+      );
+      if (!job) break;
+
+      const workerId = this._freeWorkerId();
+      this.workers.set(workerId, job);
+      this.collectionLocks.set(job.collection, workerId);
+      job.status = "processing";
+      job.workerId = workerId;
+      job.startedAt = new Date().toISOString();
+      started.push(this._runJob(job, workerId));
+    }
+
+    if (started.length > 0) {
+      this.saveState();
+      await Promise.all(started);
+    }
+  }
+
+  async _runJob(job, workerId) {
+    console.log(`[Queue] ${workerId} starting Job ${job.id}: ${job.path}`);
 
     try {
       await this.executeNodeIngest(job);
       job.status = "completed";
-      job.progress = "Complete";
+      // Files that failed to embed or write do not fail the job, but say so.
+      const failedFiles = job.report?.failed || 0;
+      job.progress = failedFiles > 0 ? `Complete, ${failedFiles} file(s) failed` : "Complete";
+      if (failedFiles > 0) {
+        console.warn(`[Queue] Job ${job.id} completed with ${failedFiles} failed file(s).`);
+      }
     } catch (err) {
       job.status = "failed";
       job.progress = `Error: ${err.message}`;
       console.error(`[Queue] Job ${job.id} failed:`, err.message);
     } finally {
       job.completedAt = new Date().toISOString();
-      this.isWorking = false;
-      this.currentJob = null;
+      this._finishReport(job);
+      this._clearCheckpoint(job);
+      this.workers.delete(workerId);
+      this.collectionLocks.delete(job.collection);
       this.saveState();
       this.processNext();
     }
   }
 
+  _freeWorkerId() {
+    for (let slot = 1; ; slot++) {
+      const workerId = `worker-${slot}`;
+      if (!this.workers.has(workerId)) return workerId;
+    }
+  }
+
+  /**
+   * Snapshot of the worker pool, one entry per slot.
+   * @returns {{ id: string, jobId: string|null, collection: string|null }[]}
+   */
+  getWorkers() {
+    const slots = [];
+    for (let slot = 1; slot <= Math.max(this.maxWorkers, this.workers.size); slot++) {
+      const id = `worker-${slot}`;
+      const job = this.workers.get(id);
+      slots.push({ id, jobId: job?.id ?? null, collection: job?.collection ?? null });
+    }
+    return slots;
+  }
+
   async executeNodeIngest(job) {
     const model = this.config?.RAG?.EmbeddingModel || "nomic-embed-text";
     const baseUrl = this.config?.RAG?.OllamaUrl || "http://localhost:11434";
     const chunkSize = this.config?.RAG?.ChunkSize || 1000;
     const chunkOverlap = this.config?.RAG?.ChunkOverlap || 200;
+    // ChunkTokens sizes chunks in embedding-model tokens: each document's
+    // character budget comes from its own density; overlap keeps its share.
+    const chunkTokens = Math.max(0, Math.floor(this.config?.RAG?.ChunkTokens || 0));
+    const embeddingCounter =
+      chunkTokens > 0
+        ? getTokenCounter(model, {
+            tokenizerDir:
+              this.config?.RAG?.TokenizerDir || path.join(this.dataDir, "tokenizers"),
+          })
+        : null;
+    const embedOptions = {
+      batchSize: this.config?.RAG?.EmbedBatchSize || 32,
+      concurrency: this.config?.RAG?.EmbedConcurrency || 4,
+    };
 
     const dbDir = path.join(this.dataDir, "vector_store.lance");
 
+    const report = new IngestionReport(job);
+    this.reports.set(job.id, report);
+    job.report = report.totals; // live totals travel with the job
+
     // 1. Initialize DB and Table configuration
     const db = await lancedb.connect(dbDir);
     const tables = await db.tableNames();
@@ -160,11 +336,14 @@ class IngestionQueue extends EventEmitter {
     const parser = new DocumentParser(this.dataDir, job.collection);
     await parser.load();
     const chunker = new SmartTextChunker(chunkSize, chunkOverlap);
+    const lexicalIndex = new LexicalIndex(this.dataDir, job.collection);
+    await lexicalIndex.load();
 
     // 2a. Schema migration guard: if the collection's LanceDB table predates the
     //     SourceId column, drop it so this run re-creates it with the current schema.
     //     We also clear the in-memory manifest entries to prevent hash-match skips
     //     against a now-empty table (all files will be fully re-embedded).
+    //     A table that only lacks newer optional columns gets them added as null.
     if (tables.includes(job.collection)) {
       const probeTable = await db.openTable(job.collection);
       const schema = await probeTable.schema();
@@ -178,19 +357,74 @@ class IngestionQueue extends EventEmitter {
         tables.splice(tables.indexOf(job.collection), 1);
         // Wipe in-memory manifest so no stale hash matches skip re-embedding.
         parser.entries.clear();
+        parser.gitSync = {};
+        lexicalIndex.clear();
+      } else {
+        const addedColumns = await ensureChunkColumns(probeTable);
+        if (addedColumns.length > 0) {
+          console.log(
+            `[Ingest] Added column(s) ${addedColumns.join(", ")} to collection "${job.collection}".`,
+          );
+        }
       }
     }
 
+    // 2b. Resume: files finished before an interruption are skipped below. A
+    //     file that was mid-write is rolled back so it is re-embedded cleanly.
+    const checkpoint = await this._readCheckpoint(job);
+    if (checkpoint.interrupted) {
+      const { path: interruptedPath, sourceId } = checkpoint.interrupted;
+      console.log(
+        `[Ingest] Rolling back partially ingested ${path.basename(interruptedPath)} (${sourceId}) before resuming.`,
+      );
+      if (tables.includes(job.collection)) {
+        if (!table) table = await db.openTable(job.collection);
+        await table.delete(`SourceId = '${sourceId}'`);
+      }
+      lexicalIndex.removeSource(sourceId);
+    }
+
     job.progress = "Scanning directory...";
     this._throttledSave();
 
-    // 3. Scan Files
-    const files = await DocumentParser.scanDirectory(job.path);
-    if (!files || files.length === 0) {
+    // 3. Scan Files. An incremental job (queued by a folder watch) only visits
+    //    the paths that changed; paths that no longer exist are removed below.
+    //    A git job reads the files tracked at a commit instead of the folder.
+    //    .ragignore files and the job's include/exclude globs apply to all.
+    const scanOptions = {
+      filter: new PathFilter(job.path, { include: job.include, exclude: job.exclude }),
+      onExcluded: (entry) => report.recordExcluded(entry),
+      onArchiveError: ({ path: archivePath, error }) =>
+        report.recordFile(archivePath, FILE_OUTCOMES.SKIPPED, {
+          reason: SKIP_REASONS.UNREADABLE_ARCHIVE,
+          error,
+        }),
+    };
+    const git = job.mode === "git" ? await this._scanGitRepository(job, parser, scanOptions) : null;
+    const incremental = git ? git.incremental : Array.isArray(job.changedPaths);
+    let files;
+    let removedPaths = [];
+    if (git) {
+      ({ files, removedPaths } = git);
+    } else if (incremental) {
+      ({ files, removedPaths } = await this._resolveChangedPaths(job.changedPaths, scanOptions));
+    } else {
+      files = await DocumentParser.scanDirectory(job.path, undefined, scanOptions);
+    }
+    if (!incremental && (!files || files.length === 0)) {
       throw new Error(`Source path contains no eligible files: ${job.path}`);
     }
+    // A full scan already knows every file on disk; an incremental one has to
+    // ask (for an archive member, whether its archive is still there). For
+    // git, "on disk" means tracked at the commit being indexed.
+    const scannedPaths = git ? git.trackedPaths : new Set(files);
+    const isOnDisk = incremental && !git
+      ? (filePath) => scannedPaths.has(filePath) || fs.existsSync(archiveContainerPath(filePath))
+      : (filePath) => scannedPaths.has(filePath);
+    const reader = git ? git.reader : createFolderReader();
 
     job.progress = `Processing 0 / ${files.length} files`;
+    report.setFilesScanned(files.length);
     this._throttledSave();
 
     // 4. Processing Loop
@@ -201,10 +435,66 @@ class IngestionQueue extends EventEmitter {
 
     for (const filePath of files) {
       const fileName = path.basename(filePath);
+
+      if (checkpoint.completed.has(filePath)) {
+        const done = checkpoint.completed.get(filePath);
+        activeSourceIds.add(done.sourceId);
+        if (done.outcome) {
+          report.recordFile(filePath, done.outcome, {
+            sourceId: done.sourceId,
+            ...(Number.isInteger(done.chunks) ? { chunks: done.chunks } : {}),
+            resumed: true,
+          });
+        }
+        processedCount++;
+        continue;
+      }
+
       job.progress = `Processing ${fileName} (${processedCount + 1}/${files.length})`;
       this._throttledSave();
 
-      const fileHash = await DocumentParser.getFileHash(filePath);
+      // Enforce file size limits to prevent Memory Exhaustion / DoS. Archive
+      // members are held to the same limit by their expanded size. The check
+      // runs before hashing, so an oversized file is never read.
+      const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+      let fileStats = null;
+      try {
+        fileStats = await reader.stat(filePath);
+      } catch (statErr) {
+        console.warn(
+          `[Ingest Warn] Could not stat ${fileName}: ${statErr.message}`,
+        );
+        report.recordFile(filePath, FILE_OUTCOMES.SKIPPED, {
+          reason: SKIP_REASONS.STAT_ERROR,
+          error: statErr.message,
+        });
+        processedCount++;
+        continue;
+      }
+      if (fileStats.size > MAX_FILE_SIZE) {
+        console.warn(`[Ingest Warn] Skipping ${fileName}: Exceeds 50MB limit.`);
+        job.progress = `Skipped ${fileName} (too large)`;
+        report.recordFile(filePath, FILE_OUTCOMES.SKIPPED, {
+          reason: SKIP_REASONS.TOO_LARGE,
+          bytes: fileStats.size,
+        });
+        this._throttledSave();
+        processedCount++;
+        continue;
+      }
+
+      let fileHash;
+      try {
+        fileHash = await reader.hash(filePath);
+      } catch (readErr) {
+        console.warn(`[Ingest Warn] Failed to read ${fileName}: ${readErr.message}`);
+        report.recordFile(filePath, FILE_OUTCOMES.SKIPPED, {
+          reason: SKIP_REASONS.READ_ERROR,
+          error: readErr.message,
+        });
+        processedCount++;
+        continue;
+      }
 
       // Single hash lookup handles both "unchanged" and "rename" checks.
       const hashMatch = parser.findByHash(fileHash);
@@ -224,12 +514,15 @@ class IngestionQueue extends EventEmitter {
         const sameSource =
           originalPath === filePath ||
           !originalPath ||
-          !files.includes(originalPath);
+          !isOnDisk(originalPath);
 
         if (sameSource) {
           if (hashMatch.FileName === fileName && (!originalPath || originalPath === filePath)) {
             // Unchanged: same path, same basename, same content — skip re-embedding.
             activeSourceIds.add(hashMatch.SourceId);
+            report.recordFile(filePath, FILE_OUTCOMES.UNCHANGED, {
+              sourceId: hashMatch.SourceId,
+            });
             processedCount++;
             continue;
           } else {
@@ -247,6 +540,14 @@ class IngestionQueue extends EventEmitter {
               FileName: fileName,
               SourcePath: filePath,
             });
+            await parser.save();
+            await this._appendCheckpoint(job, "done", filePath, sourceId, {
+              outcome: FILE_OUTCOMES.RENAMED,
+            });
+            report.recordFile(filePath, FILE_OUTCOMES.RENAMED, {
+              sourceId,
+              previousPath: originalPath || null,
+            });
             activeSourceIds.add(sourceId);
             processedCount++;
             continue;
@@ -258,32 +559,12 @@ class IngestionQueue extends EventEmitter {
 
       // New content: either a genuinely new source or an edited existing file.
 
-      // Enforce file size limits to prevent Memory Exhaustion / DoS
-      const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-      let fileStats = null;
-      try {
-        fileStats = await fs.promises.stat(filePath);
-      } catch (statErr) {
-        console.warn(
-          `[Ingest Warn] Could not stat ${fileName}: ${statErr.message}`,
-        );
-        processedCount++;
-        continue;
-      }
-      if (fileStats.size > MAX_FILE_SIZE) {
-        console.warn(`[Ingest Warn] Skipping ${fileName}: Exceeds 50MB limit.`);
-        job.progress = `Skipped ${fileName} (too large)`;
-        this._throttledSave();
-        processedCount++;
-        continue;
-      }
-
       // Read Content
       let content = "";
+      let encoding = null;
       try {
+        const buffer = await reader.read(filePath);
         if (filePath.toLowerCase().endsWith(".pdf")) {
-          const buffer = await fs.promises.readFile(filePath);
-
           content = await new Promise((resolve, reject) => {
             const pdfParser = new PDFParser(this, 1);
 
@@ -296,54 +577,102 @@ class IngestionQueue extends EventEmitter {
 
             pdfParser.parseBuffer(buffer);
           });
+        } else if (isOfficeDocument(filePath)) {
+          content = extractOfficeDocument(buffer, path.extname(filePath));
         } else {
-          content = await fs.promises.readFile(filePath, "utf8");
+          ({ text: content, encoding } = decodeText(buffer));
         }
       } catch (readErr) {
+        // Text that cannot be decoded is flagged rather than embedded as mojibake.
+        const undecodable = readErr instanceof TextDecodeError;
         console.warn(
-          `[Ingest Warn] Failed to read ${fileName}: ${readErr.message}`,
+          `[Ingest Warn] Failed to ${undecodable ? "decode" : "read"} ${fileName}: ${readErr.message}`,
         );
+        report.recordFile(filePath, FILE_OUTCOMES.SKIPPED, {
+          reason: undecodable ? SKIP_REASONS.UNDECODABLE : SKIP_REASONS.READ_ERROR,
+          error: readErr?.message || String(readErr),
+        });
         processedCount++;
         continue;
       }
 
-      if (!content || (typeof content === "string" && !content.trim())) {
+      if (
+        !content ||
+        (typeof content === "string" && !content.trim()) ||
+        (Array.isArray(content.blocks) && content.blocks.length === 0)
+      ) {
+        report.recordFile(filePath, FILE_OUTCOMES.SKIPPED, {
+          reason: SKIP_REASONS.EMPTY,
+        });
         processedCount++;
         continue;
       }
 
       // Resolve sourceId: preserve lineage if an entry exists for this filename
-      // (content-changed edit-in-place); otherwise mint a new stable identity.
-      const existingEntry = parser.getEntryByFileName(fileName);
+      // (content-changed edit-in-place) or for the path git says it was renamed
+      // from; otherwise mint a new stable identity.
+      const renamedFrom = git?.renamedFrom.get(filePath);
+      const renamedEntry = renamedFrom ? parser.getEntryBySourcePath(renamedFrom) : null;
+      const existingEntry = renamedEntry || parser.getEntryByFileName(fileName);
       const sourceId = existingEntry
         ? existingEntry.SourceId
         : mintSourceId(job.collection, filePath);
 
       activeSourceIds.add(sourceId);
 
-      // Remove existing chunks for this sourceId before re-embedding
-      if (tables.includes(job.collection)) {
-        if (!table) table = await db.openTable(job.collection);
-        await table.delete(`SourceId = '${sourceId}'`);
-      }
+      // Recorded before any row is touched so a crash from here until "done"
+      // is rolled back on resume.
+      await this._appendCheckpoint(job, "start", filePath, sourceId);
 
-      // Chunk and Embed
+      // Chunk, embed the whole file in batches, then replace its rows in one add.
+      if (embeddingCounter) {
+        chunker.maxChunkSize = embeddingCounter.charsFor(
+          chunkTokens,
+          typeof content === "string" ? content : "",
+        );
+        chunker.overlap = Math.floor((chunker.maxChunkSize * chunkOverlap) / chunkSize);
+      }
       const chunks = chunker.dispatchByExtension(filePath, content);
-      for (let i = 0; i < chunks.length; i++) {
-        const smartChunk = chunks[i];
+      let vectors;
+      let failure = null;
+      try {
+        vectors = await ollamaClient.embedBatch(
+          chunks.map((smartChunk) => smartChunk.text),
+          model,
+          baseUrl,
+          embedOptions,
+        );
+      } catch (embedError) {
+        console.error(
+          `[Ingest Error] Failed to embed ${chunks.length} chunk(s) of ${fileName}:`,
+          embedError.message,
+        );
+        failure = { reason: FAILURE_REASONS.EMBED_ERROR, error: embedError.message };
+      }
+
+      if (!failure) {
         try {
-          // Native Fetch to Ollama
-          const vector = await ollamaClient.embed(
-            smartChunk.text,
-            model,
-            baseUrl,
+          const chunkHashes = chunks.map((smartChunk, i) =>
+            computeChunkHash(sourceId, i, smartChunk.text),
           );
+          // Children of a split section share the section's hash and ordinal
+          // range, so retrieval can send the whole section.
+          const parentHashes = new Map();
+          const parentHashOf = ({ parentStart, parentEnd }) => {
+            if (!parentHashes.has(parentStart)) {
+              parentHashes.set(
+                parentStart,
+                computeParentHash(sourceId, chunkHashes.slice(parentStart, parentEnd + 1)),
+              );
+            }
+            return parentHashes.get(parentStart);
+          };
 
-          const record = {
-            vector: Array.from(vector), // Convert Float32Array to standard array for LanceDB
+          const records = chunks.map((smartChunk, i) => ({
+            vector: Array.from(vectors[i]), // Convert Float32Array to standard array for LanceDB
             FileName: fileName,
             SourceId: sourceId,
-            ChunkHash: computeChunkHash(sourceId, i, smartChunk.text),
+            ChunkHash: chunkHashes[i],
             ChunkIndex: i,    // kept for migration compatibility
             chunkOrdinal: i,  // authoritative sequencing field (Decision Record §3)
             Text: smartChunk.text,
@@ -356,39 +685,88 @@ class IngestionQueue extends EventEmitter {
             LocatorType: smartChunk.locatorType || "none",
             StructuralPath:
               smartChunk.structuralPath || smartChunk.headerContext || "None",
-            ...(typeof smartChunk.sectionPath === "string" && smartChunk.sectionPath
-              ? { SectionPath: smartChunk.sectionPath }
-              : {}),
-            ...(typeof smartChunk.symbolName === "string" && smartChunk.symbolName
-              ? { SymbolName: smartChunk.symbolName }
-              : {}),
+            // Optional columns are on every row, null when absent (lib/chunkTable.js).
+            SectionPath:
+              typeof smartChunk.sectionPath === "string" && smartChunk.sectionPath
+                ? smartChunk.sectionPath
+                : null,
+            SymbolName:
+              typeof smartChunk.symbolName === "string" && smartChunk.symbolName
+                ? smartChunk.symbolName
+                : null,
             EmbeddingModel: model,
-            ...(Number.isInteger(smartChunk.pageStart)
-              ? { PageStart: smartChunk.pageStart }
-              : {}),
-            ...(Number.isInteger(smartChunk.pageEnd)
-              ? { PageEnd: smartChunk.pageEnd }
-              : {}),
-          };
-
-          // Upsert into LanceDB immediately natively
-          if (!tables.includes(job.collection) && !table) {
-            table = await db.createTable(job.collection, [record]);
-            tables.push(job.collection);
-          } else {
+            PageStart: Number.isInteger(smartChunk.pageStart) ? smartChunk.pageStart : null,
+            PageEnd: Number.isInteger(smartChunk.pageEnd) ? smartChunk.pageEnd : null,
+            RowStart: Number.isInteger(smartChunk.rowStart) ? smartChunk.rowStart : null,
+            RowEnd: Number.isInteger(smartChunk.rowEnd) ? smartChunk.rowEnd : null,
+            LineStart: Number.isInteger(smartChunk.lineStart) ? smartChunk.lineStart : null,
+            LineEnd: Number.isInteger(smartChunk.lineEnd) ? smartChunk.lineEnd : null,
+            ...(Number.isInteger(smartChunk.parentStart) && Number.isInteger(smartChunk.parentEnd)
+              ? {
+                  ParentHash: parentHashOf(smartChunk),
+                  ParentOrdinalStart: smartChunk.parentStart,
+                  ParentOrdinalEnd: smartChunk.parentEnd,
+                }
+              : { ParentHash: null, ParentOrdinalStart: null, ParentOrdinalEnd: null }),
+            CommitSha: git ? git.repo.commit : null,
+            CommitAuthor: git ? git.repo.author : null,
+            CommitDate: git ? git.repo.date : null,
+          }));
+
+          // The file's old chunks go only once the new ones are ready, so a
+          // failed embed leaves the indexed version searchable.
+          if (tables.includes(job.collection)) {
             if (!table) table = await db.openTable(job.collection);
-            await table.add([record]);
+            await table.delete(`SourceId = '${sourceId}'`);
+          }
+          lexicalIndex.removeSource(sourceId);
+
+          if (records.length > 0) {
+            if (!tables.includes(job.collection) && !table) {
+              table = await db.createTable(job.collection, records, {
+                schema: chunkTableSchema(records[0]),
+              });
+              tables.push(job.collection);
+            } else {
+              if (!table) table = await db.openTable(job.collection);
+              await table.add(records);
+            }
+          }
+          for (const record of records) {
+            lexicalIndex.addChunk(
+              record.ChunkHash,
+              sourceId,
+              LexicalIndex.indexableText(record),
+            );
           }
-        } catch (embedError) {
+        } catch (writeError) {
+          // A schema mismatch or storage error. No new chunk of the file was
+          // added, but its old chunks may already be gone.
           console.error(
-            `[Ingest Error] Failed to embed chunk ${i} of ${fileName}:`,
-            embedError.message,
+            `[Ingest Error] Failed to write ${chunks.length} chunk(s) of ${fileName} to "${job.collection}":`,
+            writeError.message,
           );
+          failure = { reason: FAILURE_REASONS.WRITE_ERROR, error: writeError.message };
         }
       }
 
+      if (failure) {
+        // The manifest is left as it was, so the next run retries this file.
+        await this._appendCheckpoint(job, "done", filePath, sourceId, {
+          outcome: FILE_OUTCOMES.FAILED,
+          chunks: chunks.length,
+        });
+        report.recordFile(filePath, FILE_OUTCOMES.FAILED, {
+          sourceId,
+          ...failure,
+          chunks: chunks.length,
+        });
+        processedCount++;
+        continue;
+      }
+
       // Update Manifest (keyed by sourceId)
-      const stats = await fs.promises.stat(filePath);
+      const stats = await reader.stat(filePath);
       parser.addOrUpdate(
         sourceId,
         fileName,
@@ -398,29 +776,299 @@ class IngestionQueue extends EventEmitter {
         stats.size,
         model,
       );
+      // Flushed per file so a restart never sees rows without a manifest entry.
+      await parser.save();
+      const outcome = existingEntry ? FILE_OUTCOMES.UPDATED : FILE_OUTCOMES.ADDED;
+      await this._appendCheckpoint(job, "done", filePath, sourceId, {
+        outcome,
+        chunks: chunks.length,
+      });
+      report.recordFile(filePath, outcome, {
+        sourceId,
+        chunks: chunks.length,
+        ...(renamedEntry ? { previousPath: renamedFrom } : {}),
+        ...(encoding && encoding !== "utf-8" ? { encoding } : {}),
+      });
 
       processedCount++;
     }
 
+    // 4a. Lexical backfill — unchanged and renamed sources are not re-chunked,
+    //     so any that the lexical index has never seen (e.g. collections ingested
+    //     before BM25 support) are indexed from their stored LanceDB rows.
+    const unindexedSourceIds = [...activeSourceIds].filter(
+      (sourceId) => !lexicalIndex.hasSource(sourceId),
+    );
+    if (unindexedSourceIds.length > 0 && tables.includes(job.collection)) {
+      if (!table) table = await db.openTable(job.collection);
+      for (const sourceId of unindexedSourceIds) {
+        const rows = await table
+          .query()
+          .where(`SourceId = '${sourceId}'`)
+          .toArray();
+        for (const row of rows) {
+          lexicalIndex.addChunk(
+            row.ChunkHash,
+            sourceId,
+            LexicalIndex.indexableText(row),
+          );
+        }
+      }
+    }
+
     // 5. Orphan Cleanup — compare by sourceId, delete by sourceId
     job.progress = "Cleaning up orphans...";
     this._throttledSave();
 
-    const orphanSourceIds = parser.getOrphans(activeSourceIds);
+    const orphanSourceIds = incremental
+      ? parser.getOrphansUnder(removedPaths, activeSourceIds)
+      : parser.getOrphans(activeSourceIds);
     for (const orphanSourceId of orphanSourceIds) {
       if (tables.includes(job.collection)) {
         if (!table) table = await db.openTable(job.collection);
         await table.delete(`SourceId = '${orphanSourceId}'`);
       }
+      lexicalIndex.removeSource(orphanSourceId);
       parser.remove(orphanSourceId);
+      report.recordOrphan(orphanSourceId);
     }
 
-    // 6. Save State
+    // 6. Save State. A git job records the commit it indexed so the next run
+    //    only diffs from there; after embed failures it keeps the old commit
+    //    so those files are retried.
+    if (git) {
+      if (report.totals.failed === 0) {
+        parser.setGitSync(job.path, {
+          ref: job.ref || "HEAD",
+          commit: git.repo.commit,
+          indexedAt: new Date().toISOString(),
+        });
+      } else {
+        console.warn(
+          `[Ingest Warn] ${report.totals.failed} file(s) failed; ${job.path} stays synced at its previous commit.`,
+        );
+      }
+    }
     await parser.save();
+    await lexicalIndex.save();
     job.progress = "Complete";
     this.saveState();
   }
 
+  /**
+   * Lists what a git job has to index. The first run (or one whose last
+   * commit no longer exists) takes every tracked file at the commit; later
+   * runs take only the files changed since the last indexed commit.
+   * @returns {Promise<{ repo: object, files: string[], removedPaths: string[], renamedFrom: Map<string, string>, trackedPaths: Set<string>, incremental: boolean, reader: GitBlobReader }>}
+   */
+  async _scanGitRepository(job, parser, scanOptions) {
+    // A resumed job stays on the commit it started with.
+    const repo = await resolveGitCommit(job.path, job.commit || job.ref || "HEAD");
+    job.commit = repo.commit;
+
+    const trackedPaths = new Set(await listGitFiles(repo));
+    const lastSync = parser.getGitSync(job.path);
+    const incremental = Boolean(lastSync) && (await hasGitCommit(repo, lastSync.commit));
+
+    const candidates = [];
+    const removedPaths = [];
+    const renamedFrom = new Map();
+    if (incremental) {
+      for (const change of await diffGitCommits(repo, lastSync.commit)) {
+        if (change.status === "renamed") {
+          removedPaths.push(change.previousPath);
+          renamedFrom.set(change.path, change.previousPath);
+        }
+        if (change.regularFile) {
+          candidates.push(change.path);
+        } else {
+          // Deleted, or replaced by a symlink or submodule.
+          removedPaths.push(change.path);
+        }
+      }
+    } else {
+      candidates.push(...trackedPaths);
+    }
+
+    const files = [];
+    for (const filePath of candidates) {
+      if (!DocumentParser.isEligibleFile(filePath)) continue;
+      const excluded = await scanOptions.filter.checkTree(filePath, false);
+      if (excluded) {
+        scanOptions.onExcluded({ path: filePath, directory: false, ...excluded });
+        removedPaths.push(filePath);
+        continue;
+      }
+      files.push(filePath);
+    }
+
+    console.log(
+      `[Ingest] ${job.path} at ${repo.commit.slice(0, 12)}: ` +
+        (incremental
+          ? `${files.length} changed file(s) since ${lastSync.commit.slice(0, 12)}.`
+          : `${files.length} tracked file(s).`),
+    );
+    return {
+      repo,
+      files,
+      removedPaths,
+      renamedFrom,
+      trackedPaths,
+      incremental,
+      reader: new GitBlobReader(repo),
+    };
+  }
+
+  /**
+   * Expands the paths reported by a folder watch: eligible files are synced,
+   * directories and archives are scanned, and paths that are gone are
+   * returned as removed. A changed archive is also returned as removed, so
+   * members it no longer holds are dropped. Excluded paths count as removed
+   * too, so content indexed before a .ragignore change is dropped just as a
+   * full scan would.
+   * @param {string[]} changedPaths
+   * @param {{ filter: PathFilter, onExcluded: Function }} scanOptions
+   * @returns {Promise<{ files: string[], removedPaths: string[] }>}
+   */
+  async _resolveChangedPaths(changedPaths, scanOptions) {
+    const { filter, onExcluded } = scanOptions;
+    const files = new Set();
+    const removedPaths = [];
+
+    for (const changedPath of changedPaths) {
+      let stats;
+      try {
+        stats = await fs.promises.stat(changedPath);
+      } catch (err) {
+        if (err.code === "ENOENT") removedPaths.push(changedPath);
+        else console.warn(`[Ingest Warn] Could not stat ${changedPath}: ${err.message}`);
+        continue;
+      }
+
+      const isDirectory = stats.isDirectory();
+      const isArchive = !isDirectory && isArchivePath(changedPath);
+      if (!isDirectory && !isArchive && !DocumentParser.isEligibleFile(changedPath)) continue;
+
+      const excluded = await filter.checkTree(changedPath, isDirectory);
+      if (excluded) {
+        onExcluded({ path: changedPath, directory: isDirectory, ...excluded });
+        removedPaths.push(changedPath);
+        continue;
+      }
+
+      if (isDirectory) {
+        for (const filePath of await DocumentParser.scanDirectory(changedPath, undefined, scanOptions)) {
+          files.add(filePath);
+        }
+      } else if (isArchive) {
+        for (const memberPath of await DocumentParser.listArchiveFiles(changedPath, undefined, scanOptions)) {
+          files.add(memberPath);
+        }
+        removedPaths.push(changedPath);
+      } else {
+        files.add(changedPath);
+      }
+    }
+
+    return { files: [...files], removedPaths };
+  }
+
+  // --- Reports ---
+
+  _finishReport(job) {
+    const report = this.reports.get(job.id);
+    if (!report) return;
+
+    report.finish(job.status, job.status === "failed" ? job.progress : null);
+    job.report = { ...report.totals };
+    // Kept in memory until written so the report endpoint never misses it.
+    report
+      .save(this.dataDir)
+      .catch((err) =>
+        console.warn(`[Queue Report Warn] Failed to save report for job ${job.id}: ${err.message}`),
+      )
+      .finally(() => this.reports.delete(job.id));
+  }
+
+  /**
+   * Full per-file report for a job: live while it runs, from disk afterwards.
+   * @returns {Promise<object|null>}
+   */
+  async getReport(id) {
+    const active = this.reports.get(id);
+    if (active) return active.toJSON();
+    if (!this.dataDir) return null;
+    return IngestionReport.load(this.dataDir, id);
+  }
+
+  // --- Checkpoints ---
+  // One append-only JSONL log per job under <dataDir>/checkpoints. Each file
+  // written by the job gets a "start" line before its rows are touched and a
+  // "done" line once its manifest entry is saved.
+
+  _checkpointPath(job) {
+    return path.join(this.dataDir, "checkpoints", `${job.id}.jsonl`);
+  }
+
+  async _appendCheckpoint(job, event, filePath, sourceId, details = {}) {
+    const checkpointPath = this._checkpointPath(job);
+    await fs.promises.mkdir(path.dirname(checkpointPath), { recursive: true });
+    await fs.promises.appendFile(
+      checkpointPath,
+      JSON.stringify({ event, path: filePath, sourceId, ...details }) + "\n",
+      "utf8",
+    );
+  }
+
+  /**
+   * @returns {Promise<{ completed: Map<string, object>, interrupted: { path: string, sourceId: string } | null }>}
+   *   completed maps file path -> its "done" entry (sourceId, outcome, chunks);
+   *   interrupted is the file that was started but never finished.
+   */
+  async _readCheckpoint(job) {
+    const completed = new Map();
+    let interrupted = null;
+
+    let data = "";
+    try {
+      data = await fs.promises.readFile(this._checkpointPath(job), "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`[Queue Checkpoint Warn] Failed to read checkpoint for job ${job.id}: ${err.message}`);
+      }
+      return { completed, interrupted };
+    }
+
+    for (const line of data.split("\n")) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // torn final line from a crash mid-append
+      }
+      if (entry.event === "start") {
+        interrupted = { path: entry.path, sourceId: entry.sourceId };
+      } else if (entry.event === "done") {
+        completed.set(entry.path, entry);
+        if (interrupted?.path === entry.path) interrupted = null;
+      }
+    }
+
+    if (completed.size > 0) {
+      console.log(`[Queue] Resuming job ${job.id}: ${completed.size} file(s) already done.`);
+    }
+    return { completed, interrupted };
+  }
+
+  _clearCheckpoint(job) {
+    try {
+      fs.rmSync(this._checkpointPath(job), { force: true });
+    } catch (err) {
+      console.warn(`[Queue Checkpoint Warn] Failed to remove checkpoint for job ${job.id}: ${err.message}`);
+    }
+  }
+
   cancelJob(id) {
     const job = this.jobs.find((j) => j.id === id);
     if (!job) return false;
@@ -438,6 +1086,49 @@ class IngestionQueue extends EventEmitter {
     return this.jobs;
   }
 
+  // --- Collection coordination (used by CollectionManager) ---
+
+  isCollectionBusy(collection) {
+    if (this.collectionLocks.has(collection)) return true;
+    return this.jobs.some(
+      (j) => j.collection === collection && j.status === "processing",
+    );
+  }
+
+  holdCollection(collection) {
+    this.heldCollections.add(collection);
+  }
+
+  releaseCollection(collection) {
+    this.heldCollections.delete(collection);
+    this.processNext();
+  }
+
+  retargetPendingJobs(fromCollection, toCollection) {
+    let moved = 0;
+    for (const job of this.jobs) {
+      if (job.collection === fromCollection && job.status === "pending") {
+        job.collection = toCollection;
+        moved++;
+      }
+    }
+    if (moved > 0) this.saveState();
+    return moved;
+  }
+
+  cancelPendingJobs(collection) {
+    let cancelled = 0;
+    for (const job of this.jobs) {
+      if (job.collection === collection && job.status === "pending") {
+        job.status = "cancelled";
+        job.progress = "Collection deleted";
+        cancelled++;
+      }
+    }
+    if (cancelled > 0) this.saveState();
+    return cancelled;
+  }
+
   _throttledSave() {
     const now = Date.now();
     if (now - this._lastSave < 2000) return;
@@ -468,6 +1159,14 @@ class IngestionQueue extends EventEmitter {
       0,
       Math.max(0, this.maxTerminalJobs),
     );
+    if (this.dataDir) {
+      for (const dropped of sortedTerminal.slice(retainedTerminal.length)) {
+        if (!dropped.id) continue;
+        fs.rmSync(IngestionReport.getReportPath(this.dataDir, dropped.id), {
+          force: true,
+        });
+      }
+    }
     this.jobs = [...activeJobs, ...retainedTerminal];
   }
 
@@ -475,6 +1174,8 @@ class IngestionQueue extends EventEmitter {
     return {
       schemaVersion: QUEUE_STATE_VERSION,
       updatedAt: new Date().toISOString(),
+      maxWorkers: this.maxWorkers,
+      workers: this.getWorkers(),
       jobs: this.jobs,
     };
   }
@@ -714,11 +1415,14 @@ class IngestionQueue extends EventEmitter {
         this.jobs = this._hydrateJobs(migrated);
 
         this._pruneJobs();
-        // Reset any "processing" jobs to "failed" on startup (interrupted)
+        // Requeue jobs that were processing when the server stopped. Their
+        // checkpoint log lets executeNodeIngest resume at the next file.
         this.jobs.forEach((j) => {
           if (j.status === "processing") {
-            j.status = "failed";
-            j.progress = "Interrupted by server restart";
+            j.status = "pending";
+            j.progress = "Interrupted by server restart; resuming";
+            j.resumed = true;
+            delete j.workerId;
           }
         });
         console.log(`[Queue] Loaded ${this.jobs.length} jobs from disk.`);
@@ -0,0 +1,286 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { extractZipEntry, readZipEntries } from "./zipArchive.js";
+
+/**
+ * Read-only access to the members of .zip and .tar.gz archives.
+ *
+ * Archives are ingested in place: each member is a source of its own, named
+ * by a virtual path made of the archive's path and the member's name inside
+ * it (`C:\Bundles\bundle.zip!/logs/run.xml`). The virtual path is what the
+ * manifest stores as SourcePath and what source ids are minted from.
+ *
+ * Archives nested inside archives are not opened.
+ *
+ * Usage:
+ *   const archive = await openArchive("/drop/bundle.tar.gz");
+ *   const names = [...archive.members.keys()];
+ *   const reader = new ArchiveReader();
+ *   const buffer = await reader.read(toArchiveMemberPath(archive.archivePath, names[0]));
+ */
+
+export const ARCHIVE_EXTENSIONS = [".zip", ".tar.gz", ".tgz"];
+export const ARCHIVE_SEPARATOR = "!/";
+
+// Decompression-bomb guards. A single member is also capped by the ZIP
+// reader's MAX_ENTRY_SIZE, and the queue's per-file size limit still applies.
+export const MAX_ARCHIVE_BYTES = 512 * 1024 * 1024;
+export const MAX_ARCHIVE_MEMBERS = 10000;
+
+const TAR_BLOCK = 512;
+
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ArchiveError";
+  }
+}
+
+export function isArchivePath(filePath) {
+  const lower = String(filePath).toLowerCase();
+  return ARCHIVE_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+/** Virtual path of `memberName` (forward slashes) inside `archivePath`. */
+export function toArchiveMemberPath(archivePath, memberName) {
+  return `${archivePath}${ARCHIVE_SEPARATOR}${memberName}`;
+}
+
+/**
+ * Splits a virtual member path. Only a separator that follows an archive
+ * name counts, so folders whose names end in "!" are left alone.
+ * @returns {{ archivePath: string, memberName: string }|null} null for ordinary paths
+ */
+export function splitArchiveMemberPath(filePath) {
+  const value = String(filePath);
+  let index = value.indexOf(ARCHIVE_SEPARATOR);
+  while (index !== -1) {
+    const archivePath = value.slice(0, index);
+    if (isArchivePath(archivePath)) {
+      return { archivePath, memberName: value.slice(index + ARCHIVE_SEPARATOR.length) };
+    }
+    index = value.indexOf(ARCHIVE_SEPARATOR, index + 1);
+  }
+  return null;
+}
+
+/** The file on disk that holds `filePath`: its archive for a member, else itself. */
+export function archiveContainerPath(filePath) {
+  return splitArchiveMemberPath(filePath)?.archivePath ?? filePath;
+}
+
+// Member names become part of a path, so absolute names and ".." segments
+// are dropped along with directory entries.
+function normalizeMemberName(name) {
+  const normalized = name.replace(/\\/g, "/").replace(/^(\.\/)+/, "");
+  if (!normalized || normalized.endsWith("/")) return null;
+  if (normalized.startsWith("/") || /^[A-Za-z]:/.test(normalized)) return null;
+  if (normalized.split("/").some((segment) => segment === ".." || segment === "")) return null;
+  return normalized;
+}
+
+class MemberList {
+  constructor(archiveName) {
+    this.archiveName = archiveName;
+    this.members = new Map();
+    this.expandedBytes = 0;
+  }
+
+  add(rawName, member) {
+    const name = normalizeMemberName(rawName);
+    if (!name) return;
+    if (this.members.size >= MAX_ARCHIVE_MEMBERS) {
+      throw new ArchiveError(`${this.archiveName} has more than ${MAX_ARCHIVE_MEMBERS} members`);
+    }
+    this.expandedBytes += member.size;
+    if (this.expandedBytes > MAX_ARCHIVE_BYTES) {
+      throw new ArchiveError(`${this.archiveName} expands past ${MAX_ARCHIVE_BYTES} bytes`);
+    }
+    this.members.set(name, { name, ...member });
+  }
+}
+
+function openZip(buffer, archiveName) {
+  let entries;
+  try {
+    entries = readZipEntries(buffer);
+  } catch (err) {
+    throw new ArchiveError(`${archiveName}: ${err.message}`);
+  }
+
+  const list = new MemberList(archiveName);
+  for (const entry of entries.values()) {
+    list.add(entry.name, { size: entry.size, entry });
+  }
+
+  return {
+    members: list.members,
+    extract(member) {
+      try {
+        return extractZipEntry(buffer, member.entry);
+      } catch (err) {
+        throw new ArchiveError(`${archiveName}!/${member.name}: ${err.message}`);
+      }
+    },
+  };
+}
+
+function readTarString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString("utf8", start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readTarNumber(block, start, length, archiveName) {
+  if (block[start] & 0x80) {
+    // Base-256 sizes only appear for members far beyond any limit here.
+    throw new ArchiveError(`${archiveName} has a member larger than ${MAX_ARCHIVE_BYTES} bytes`);
+  }
+  const text = readTarString(block, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function hasValidTarChecksum(block, archiveName) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === readTarNumber(block, 148, 8, archiveName);
+}
+
+// "<length> <key>=<value>\n" records; only the member path matters here.
+function readPaxPath(data) {
+  const text = data.toString("utf8");
+  let cursor = 0;
+  while (cursor < text.length) {
+    const space = text.indexOf(" ", cursor);
+    const length = parseInt(text.slice(cursor, space), 10);
+    if (space === -1 || !Number.isFinite(length) || length <= 0) break;
+    const record = text.slice(space + 1, cursor + length - 1);
+    if (record.startsWith("path=")) return record.slice(5);
+    cursor += length;
+  }
+  return null;
+}
+
+function openTarGz(buffer, archiveName) {
+  let tar;
+  try {
+    tar = zlib.gunzipSync(buffer, { maxOutputLength: MAX_ARCHIVE_BYTES });
+  } catch (err) {
+    throw new ArchiveError(
+      err.code === "ERR_BUFFER_TOO_LARGE"
+        ? `${archiveName} expands past ${MAX_ARCHIVE_BYTES} bytes`
+        : `${archiveName} is not a gzip archive (${err.message})`,
+    );
+  }
+
+  const list = new MemberList(archiveName);
+  let cursor = 0;
+  let longName = null;
+  while (cursor + TAR_BLOCK <= tar.length) {
+    const header = tar.subarray(cursor, cursor + TAR_BLOCK);
+    if (header.every((byte) => byte === 0)) break;
+    if (!hasValidTarChecksum(header, archiveName)) {
+      throw new ArchiveError(`${archiveName} is not a tar archive (bad header checksum)`);
+    }
+
+    const size = readTarNumber(header, 124, 12, archiveName);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = cursor + TAR_BLOCK;
+    if (dataStart + size > tar.length) {
+      throw new ArchiveError(`${archiveName} is truncated`);
+    }
+    const data = tar.subarray(dataStart, dataStart + size);
+
+    if (type === "L") {
+      longName = readTarString(data, 0, data.length);
+    } else if (type === "x") {
+      longName = readPaxPath(data) ?? longName;
+    } else {
+      if (type === "0" || type === "7") {
+        // Only POSIX ustar headers have a name prefix; GNU reuses those bytes.
+        const prefix = header.toString("latin1", 257, 263) === "ustar\0" ? readTarString(header, 345, 155) : "";
+        const name = readTarString(header, 0, 100);
+        list.add(longName ?? (prefix ? `${prefix}/${name}` : name), { size, offset: dataStart });
+      }
+      // Directories, links and devices are not sources.
+      longName = null;
+    }
+
+    cursor = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+  }
+
+  return {
+    members: list.members,
+    extract: (member) => Buffer.from(tar.subarray(member.offset, member.offset + member.size)),
+  };
+}
+
+/**
+ * Opens an archive and lists its regular-file members.
+ * @param {string} archivePath
+ * @returns {Promise<{ archivePath: string, members: Map<string, { name: string, size: number }>, extract: (member: object) => Buffer }>}
+ * @throws {ArchiveError} when the archive is unreadable or breaks a size or member limit
+ */
+export async function openArchive(archivePath) {
+  const archiveName = path.basename(archivePath);
+  let buffer;
+  try {
+    const stats = await fs.stat(archivePath);
+    if (stats.size > MAX_ARCHIVE_BYTES) {
+      throw new ArchiveError(`${archiveName} is larger than ${MAX_ARCHIVE_BYTES} bytes`);
+    }
+    buffer = await fs.readFile(archivePath);
+  } catch (err) {
+    if (err instanceof ArchiveError) throw err;
+    throw new ArchiveError(`Could not read ${archiveName}: ${err.message}`);
+  }
+
+  const archive = archivePath.toLowerCase().endsWith(".zip")
+    ? openZip(buffer, archiveName)
+    : openTarGz(buffer, archiveName);
+  return { archivePath, ...archive };
+}
+
+/**
+ * Reads members by virtual path. The last archive stays open, since scans
+ * list an archive's members together.
+ */
+export class ArchiveReader {
+  constructor() {
+    this.archive = null;
+  }
+
+  async _member(filePath) {
+    const parts = splitArchiveMemberPath(filePath);
+    if (!parts) {
+      throw new ArchiveError(`Not an archive member path: ${filePath}`);
+    }
+    if (this.archive?.archivePath !== parts.archivePath) {
+      this.archive = null;
+      this.archive = await openArchive(parts.archivePath);
+    }
+    const member = this.archive.members.get(parts.memberName);
+    if (!member) {
+      throw new ArchiveError(`${path.basename(parts.archivePath)} has no member ${parts.memberName}`);
+    }
+    return member;
+  }
+
+  async read(filePath) {
+    const member = await this._member(filePath);
+    return this.archive.extract(member);
+  }
+
+  /** Same digest as DocumentParser.getFileHash, so manifests stay comparable. */
+  async hash(filePath) {
+    const buffer = await this.read(filePath);
+    return crypto.createHash("sha256").update(buffer).digest("hex").toUpperCase();
+  }
+
+  async stat(filePath) {
+    return { size: (await this._member(filePath)).size };
+  }
+}
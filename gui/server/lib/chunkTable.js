@@ -0,0 +1,85 @@
+import { Bool, Field, FixedSizeList, Float32, Float64, Schema, Utf8 } from "apache-arrow";
+
+/**
+ * Chunk table layout
+ *
+ * LanceDB fixes a table's schema from the batch that creates it and rejects
+ * any later row with a field that schema lacks. Columns that only some chunks
+ * have a value for (locators, provenance) are therefore written on every row,
+ * null when absent. A table is created with an explicit nullable schema, since
+ * a first batch where such a column is all null gives LanceDB nothing to infer
+ * its type from. Tables created before a column existed get it added, null
+ * for the rows they already hold, before new rows are written.
+ */
+
+// Columns not every chunk has a value for, with the kind of value they hold.
+export const OPTIONAL_CHUNK_COLUMNS = {
+  SectionPath: "string",
+  SymbolName: "string",
+  PageStart: "number",
+  PageEnd: "number",
+  RowStart: "number",
+  RowEnd: "number",
+  LineStart: "number",
+  LineEnd: "number",
+  CommitSha: "string",
+  CommitAuthor: "string",
+  CommitDate: "string",
+  ParentHash: "string",
+  ParentOrdinalStart: "number",
+  ParentOrdinalEnd: "number",
+};
+
+const ARROW_TYPES = {
+  string: () => new Utf8(),
+  number: () => new Float64(),
+};
+
+const SQL_TYPES = {
+  string: "STRING",
+  number: "DOUBLE",
+};
+
+/**
+ * Schema for a chunk table, in the column order of `record`. Optional columns
+ * take their declared type; the others are typed from the record's values the
+ * way LanceDB infers them (numbers as Float64, the vector as a fixed-size list
+ * of Float32).
+ * @param {object} record - a chunk row carrying every column
+ * @returns {Schema}
+ */
+export function chunkTableSchema(record) {
+  return new Schema(
+    Object.entries(record).map(([name, value]) => {
+      if (name in OPTIONAL_CHUNK_COLUMNS) {
+        return new Field(name, ARROW_TYPES[OPTIONAL_CHUNK_COLUMNS[name]](), true);
+      }
+      if (Array.isArray(value)) {
+        return new Field(
+          name,
+          new FixedSizeList(value.length, new Field("item", new Float32(), true)),
+          true,
+        );
+      }
+      if (typeof value === "boolean") return new Field(name, new Bool(), true);
+      return new Field(name, typeof value === "number" ? new Float64() : new Utf8(), true);
+    }),
+  );
+}
+
+/**
+ * Adds the optional columns an existing chunk table lacks, null on every row.
+ * @param {object} table - an open LanceDB table
+ * @returns {Promise<string[]>} names of the columns added
+ */
+export async function ensureChunkColumns(table) {
+  const schema = await table.schema();
+  const present = new Set(schema.fields.map((field) => field.name));
+  const missing = Object.entries(OPTIONAL_CHUNK_COLUMNS).filter(([name]) => !present.has(name));
+  if (missing.length > 0) {
+    await table.addColumns(
+      missing.map(([name, kind]) => ({ name, valueSql: `CAST(NULL AS ${SQL_TYPES[kind]})` })),
+    );
+  }
+  return missing.map(([name]) => name);
+}
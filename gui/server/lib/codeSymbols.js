@@ -0,0 +1,222 @@
+import path from "path";
+import { parse } from "@babel/parser";
+
+/**
+ * AST-based symbol extraction for JavaScript and TypeScript sources.
+ *
+ * Parses with @babel/parser and returns the spans SmartTextChunker turns into
+ * chunks: top-level functions, classes (and each of their methods), exports,
+ * and TypeScript interfaces, type aliases, enums and namespaces. Top-level code
+ * that is not a symbol (imports, constants, side effects) is returned as
+ * "top-level" spans so nothing in the file is dropped.
+ *
+ * Spans carry character offsets into the original source (leading JSDoc and
+ * line comments included) and 1-based line numbers.
+ */
+
+export const CODE_EXTENSIONS = [".js", ".mjs", ".cjs", ".jsx", ".ts", ".mts", ".cts", ".tsx"];
+
+const TYPESCRIPT_EXTENSIONS = new Set([".ts", ".mts", ".cts", ".tsx"]);
+
+export function codeLanguageForExtension(ext) {
+  return TYPESCRIPT_EXTENSIONS.has(ext) ? "typescript" : "javascript";
+}
+
+function parserPlugins(ext) {
+  if (ext === ".tsx") return ["typescript", "jsx", "decorators-legacy"];
+  if (TYPESCRIPT_EXTENSIONS.has(ext)) return ["typescript", "decorators-legacy"];
+  return ["jsx", "decorators-legacy"];
+}
+
+/**
+ * Parses a source file.
+ * @returns {object} Babel File node
+ * @throws {SyntaxError} when the source cannot be parsed even with error recovery
+ */
+export function parseCode(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return parse(content, {
+    sourceType: ext === ".cjs" || ext === ".cts" ? "script" : "unambiguous",
+    plugins: parserPlugins(ext),
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+  });
+}
+
+function keyName(node, content) {
+  const key = node.key;
+  if (!key) return "anonymous";
+  if (node.computed) return `[${content.slice(key.start, key.end)}]`;
+  if (key.type === "PrivateName") return `#${key.id.name}`;
+  return key.name ?? String(key.value);
+}
+
+function isFunctionValue(node) {
+  return (
+    node?.type === "ArrowFunctionExpression" ||
+    node?.type === "FunctionExpression"
+  );
+}
+
+// Start offset/line including directly attached leading comments.
+function spanStart(node) {
+  const first = node.leadingComments?.[0];
+  return first && first.start < node.start
+    ? { start: first.start, line: first.loc.start.line }
+    : { start: node.start, line: node.loc.start.line };
+}
+
+function makeSpan(outer, kind, pathNames, exported = false) {
+  const from = spanStart(outer);
+  return {
+    kind,
+    name: pathNames.join("."),
+    path: pathNames,
+    exported,
+    start: from.start,
+    end: outer.end,
+    lineStart: from.line,
+    lineEnd: outer.loc.end.line,
+  };
+}
+
+// Classifies a declaration node as a symbol, or null when it is plain code.
+function describeDeclaration(node) {
+  switch (node?.type) {
+    case "FunctionDeclaration":
+    case "TSDeclareFunction":
+      return { kind: "function", name: node.id?.name || "default" };
+    case "ClassDeclaration":
+    case "ClassExpression":
+      return { kind: "class", name: node.id?.name || "default" };
+    case "TSInterfaceDeclaration":
+      return { kind: "interface", name: node.id.name };
+    case "TSTypeAliasDeclaration":
+      return { kind: "type", name: node.id.name };
+    case "TSEnumDeclaration":
+      return { kind: "enum", name: node.id.name };
+    case "TSModuleDeclaration":
+      return { kind: "namespace", name: node.id.name ?? node.id.value };
+    case "VariableDeclaration": {
+      // `const handler = () => {}` and `const Widget = class {}` are symbols;
+      // other variable declarations are ordinary top-level code.
+      if (node.declarations.length !== 1) return null;
+      const [declarator] = node.declarations;
+      if (declarator.id.type !== "Identifier") return null;
+      if (isFunctionValue(declarator.init)) {
+        return { kind: "function", name: declarator.id.name };
+      }
+      if (declarator.init?.type === "ClassExpression") {
+        return { kind: "class", name: declarator.id.name, classNode: declarator.init };
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+function classMemberSpans(classNode, className, content) {
+  const spans = [];
+  for (const member of classNode.body.body) {
+    const isMethod =
+      member.type === "ClassMethod" ||
+      member.type === "ClassPrivateMethod" ||
+      member.type === "TSDeclareMethod" ||
+      ((member.type === "ClassProperty" || member.type === "ClassPrivateProperty") &&
+        isFunctionValue(member.value));
+    if (!isMethod) continue;
+
+    const name = member.kind === "constructor" ? "constructor" : keyName(member, content);
+    spans.push(makeSpan(member, "method", [className, name]));
+  }
+  return spans;
+}
+
+function exportSpecifierNames(node) {
+  if (node.type === "ExportAllDeclaration") {
+    return node.exported ? [node.exported.name] : ["*"];
+  }
+  if (node.declaration?.type === "VariableDeclaration") {
+    return node.declaration.declarations.map((declarator) => declarator.id.name || "{…}");
+  }
+  return (node.specifiers || []).map(
+    (specifier) => specifier.exported?.name ?? specifier.exported?.value ?? "default",
+  );
+}
+
+/**
+ * Extracts symbol spans in source order.
+ * @param {string} content
+ * @param {string} filePath - used to pick JavaScript vs TypeScript parsing
+ * @returns {Array<{ kind: string, name: string, path: string[], exported: boolean, start: number, end: number, lineStart: number, lineEnd: number, members?: object[] }>}
+ */
+export function extractCodeSymbols(content, filePath) {
+  const ast = parseCode(content, filePath);
+  const symbols = [];
+  let pending = null;
+
+  const flushPending = () => {
+    if (pending) symbols.push(pending);
+    pending = null;
+  };
+
+  for (const statement of ast.program.body) {
+    let declaration = statement;
+    let exported = false;
+
+    if (statement.type === "ExportNamedDeclaration" || statement.type === "ExportDefaultDeclaration") {
+      exported = true;
+      declaration = statement.declaration;
+    }
+
+    const described = describeDeclaration(declaration);
+
+    if (described) {
+      flushPending();
+      const name =
+        statement.type === "ExportDefaultDeclaration" && described.name === "default"
+          ? "default"
+          : described.name;
+      const span = makeSpan(statement, described.kind, [name], exported);
+      const classNode = described.classNode || (described.kind === "class" ? declaration : null);
+      if (classNode) {
+        span.members = classMemberSpans(classNode, name, content);
+      }
+      symbols.push(span);
+      continue;
+    }
+
+    if (exported || statement.type === "ExportAllDeclaration") {
+      // Default-exported expressions and `export { a, b }` lists.
+      flushPending();
+      const names =
+        statement.type === "ExportDefaultDeclaration" ? ["default"] : exportSpecifierNames(statement);
+      symbols.push(makeSpan(statement, "export", [names.join(", ") || "export"], true));
+      continue;
+    }
+
+    // Consecutive plain statements are merged into one top-level span.
+    const from = spanStart(statement);
+    if (pending) {
+      pending.end = statement.end;
+      pending.lineEnd = statement.loc.end.line;
+    } else {
+      pending = {
+        kind: "top-level",
+        name: "",
+        path: [],
+        exported: false,
+        start: from.start,
+        end: statement.end,
+        lineStart: from.line,
+        lineEnd: statement.loc.end.line,
+      };
+    }
+  }
+  flushPending();
+
+  return symbols;
+}
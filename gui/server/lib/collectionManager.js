@@ -0,0 +1,553 @@
+/**
+ * collectionManager.js
+ *
+ * Lifecycle operations for a collection as a whole. A collection is spread
+ * over three stores that must stay in step:
+ *   - the LanceDB table `<name>` in `vector_store.lance`
+ *   - the DocumentParser manifest `<name>.manifest.json`
+ *   - the BM25 lexical index `<name>.lexical.json`
+ * plus any ingestion jobs queued against it.
+ *
+ * Every mutating operation refuses to run while an ingestion job for the
+ * collection is processing, and holds the collection in the queue for its
+ * duration so no pending job can start underneath it. Copies are written
+ * first and the source removed last, so a failure part-way through leaves
+ * the original collection intact and the partial copy is rolled back.
+ *
+ * Individual sources (one manifest entry plus its chunk rows) can be listed,
+ * inspected and deleted without touching the rest of the collection.
+ *
+ * Usage:
+ *   const manager = new CollectionManager(dataDir, ingestQueue);
+ *   const collections = await manager.list();
+ *   await manager.rename("Docs", "Handbook");
+ *   await manager.deleteSource("Handbook", "src_0123456789abcdef");
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import * as lancedb from "@lancedb/lancedb";
+import { DocumentParser } from "./documentParser.js";
+import { LexicalIndex } from "./lexicalIndex.js";
+
+const MANIFEST_SUFFIX = ".manifest.json";
+const DEFAULT_SOURCE_PAGE_SIZE = 50;
+const MAX_SOURCE_PAGE_SIZE = 200;
+
+export class CollectionError extends Error {
+  /**
+   * @param {string} message
+   * @param {"NOT_FOUND"|"COLLECTION_BUSY"|"COLLECTION_EXISTS"} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "CollectionError";
+    this.code = code;
+  }
+}
+
+export class CollectionManager {
+  /**
+   * @param {string} dataDir  Directory holding `vector_store.lance` and the manifests
+   * @param {import('../IngestionQueue.js').default} queue  IngestionQueue instance
+   * @param {import('./folderWatcher.js').FolderWatcher} [watcher]  folder watches follow renames and deletes
+   */
+  constructor(dataDir, queue, watcher = null) {
+    this.dataDir = dataDir;
+    this.dbDir = path.join(dataDir, "vector_store.lance");
+    this.queue = queue;
+    this.watcher = watcher;
+  }
+
+  // --- Read ---
+
+  /**
+   * Lists every collection that has a LanceDB table, a manifest, or both.
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const tableNames = await this._tableNames();
+    const manifestNames = await this._manifestNames();
+    const names = [...new Set([...tableNames, ...manifestNames])].sort();
+
+    const collections = [];
+    for (const name of names) {
+      collections.push(await this._summarize(name, tableNames.includes(name)));
+    }
+    return collections;
+  }
+
+  /**
+   * Describes one collection in more detail than `list()`.
+   * @param {string} name
+   * @returns {Promise<object>}
+   */
+  async describe(name) {
+    const hasTable = await this._assertExists(name);
+    const summary = await this._summarize(name, hasTable);
+    const parser = new DocumentParser(this.dataDir, name);
+    await parser.load();
+
+    const fileTypes = {};
+    let totalBytes = 0;
+    for (const entry of parser.entries.values()) {
+      const ext = path.extname(entry.FileName || "").toLowerCase() || "(none)";
+      fileTypes[ext] = (fileTypes[ext] || 0) + 1;
+      totalBytes += Number(entry.FileSize) || 0;
+    }
+
+    return {
+      ...summary,
+      manifestChunkCount: [...parser.entries.values()].reduce(
+        (sum, entry) => sum + (Number(entry.ChunkCount) || 0),
+        0,
+      ),
+      totalBytes,
+      fileTypes,
+      lexicalIndex: await this._exists(LexicalIndex.getIndexPath(this.dataDir, name)),
+      jobs: this.queue
+        .getJobs()
+        .filter((job) => job.collection === name)
+        .map(({ id, status, progress, path: jobPath }) => ({
+          id,
+          status,
+          progress,
+          path: jobPath,
+        })),
+    };
+  }
+
+  /**
+   * Pages through the sources recorded in a collection's manifest, sorted by
+   * file name. `search` is a case-insensitive substring match on the file
+   * name and source path.
+   * @param {string} name
+   * @param {{ offset?: number, limit?: number, search?: string }} [options]
+   * @returns {Promise<{ collection: string, total: number, offset: number, limit: number, sources: object[] }>}
+   */
+  async listSources(name, { offset = 0, limit = DEFAULT_SOURCE_PAGE_SIZE, search = "" } = {}) {
+    await this._assertExists(name);
+    const parser = new DocumentParser(this.dataDir, name);
+    await parser.load();
+
+    const needle = typeof search === "string" ? search.trim().toLowerCase() : "";
+    const matches = [...parser.entries.values()]
+      .filter(
+        (entry) =>
+          !needle ||
+          (entry.FileName || "").toLowerCase().includes(needle) ||
+          (entry.SourcePath || "").toLowerCase().includes(needle),
+      )
+      .sort(
+        (left, right) =>
+          (left.FileName || "").localeCompare(right.FileName || "") ||
+          (left.SourcePath || "").localeCompare(right.SourcePath || ""),
+      );
+
+    const start = Math.max(0, Math.floor(Number(offset) || 0));
+    const pageSize = Math.min(
+      MAX_SOURCE_PAGE_SIZE,
+      Math.max(1, Math.floor(Number(limit) || DEFAULT_SOURCE_PAGE_SIZE)),
+    );
+
+    return {
+      collection: name,
+      total: matches.length,
+      offset: start,
+      limit: pageSize,
+      sources: matches.slice(start, start + pageSize).map(toSourceSummary),
+    };
+  }
+
+  /**
+   * Returns one source with its stored chunks in `chunkOrdinal` order.
+   * @param {string} name
+   * @param {string} sourceId
+   * @returns {Promise<object>}
+   */
+  async getSource(name, sourceId) {
+    const hasTable = await this._assertExists(name);
+    const parser = new DocumentParser(this.dataDir, name);
+    await parser.load();
+    const entry = parser.entries.get(sourceId);
+
+    let rows = [];
+    if (hasTable) {
+      const db = await lancedb.connect(this.dbDir);
+      const table = await db.openTable(name);
+      rows = await table.query().where(`SourceId = '${sourceId}'`).toArray();
+    }
+    if (!entry && rows.length === 0) {
+      throw new CollectionError(
+        `Source "${sourceId}" not found in collection "${name}"`,
+        "NOT_FOUND",
+      );
+    }
+
+    const chunks = rows
+      .map(toChunkView)
+      .sort((left, right) => left.chunkOrdinal - right.chunkOrdinal);
+
+    return {
+      collection: name,
+      ...(entry
+        ? toSourceSummary(entry)
+        : { sourceId, fileName: rows[0].FileName || null }),
+      storedChunkCount: chunks.length,
+      chunks,
+    };
+  }
+
+  // --- Mutation ---
+
+  /**
+   * Renames a collection: copies it to `newName`, removes the original and
+   * re-points pending jobs at the new name.
+   * @returns {Promise<{ from: string, to: string, rowCount: number, retargetedJobs: number }>}
+   */
+  async rename(name, newName) {
+    return this._withHold([name, newName], async () => {
+      const hasTable = await this._assertExists(name);
+      await this._assertAbsent(newName);
+
+      const rowCount = await this._copy(name, newName, hasTable);
+      try {
+        if (hasTable) {
+          const db = await lancedb.connect(this.dbDir);
+          await db.dropTable(name);
+        }
+      } catch (err) {
+        await this._removeCollection(newName, hasTable);
+        throw err;
+      }
+      await this._removeFiles(name);
+
+      const retargetedJobs = this.queue.retargetPendingJobs(name, newName);
+      const retargetedWatches = this.watcher?.retargetCollection(name, newName) ?? 0;
+      console.log(
+        `[CollectionManager] Renamed "${name}" -> "${newName}" (${rowCount} rows, ${retargetedJobs} pending job(s) and ${retargetedWatches} folder watch(es) moved).`,
+      );
+      return { from: name, to: newName, rowCount, retargetedJobs };
+    });
+  }
+
+  /**
+   * Copies a collection to `newName`. Queued jobs stay with the original.
+   * @returns {Promise<{ from: string, to: string, rowCount: number }>}
+   */
+  async clone(name, newName) {
+    return this._withHold([name, newName], async () => {
+      const hasTable = await this._assertExists(name);
+      await this._assertAbsent(newName);
+
+      const rowCount = await this._copy(name, newName, hasTable);
+      console.log(
+        `[CollectionManager] Cloned "${name}" -> "${newName}" (${rowCount} rows).`,
+      );
+      return { from: name, to: newName, rowCount };
+    });
+  }
+
+  /**
+   * Deletes a collection and cancels its pending jobs.
+   * @returns {Promise<{ name: string, droppedTable: boolean, cancelledJobs: number }>}
+   */
+  async delete(name) {
+    return this._withHold([name], async () => {
+      const hasTable = await this._assertExists(name);
+      await this._removeCollection(name, hasTable);
+
+      const cancelledJobs = this.queue.cancelPendingJobs(name);
+      const removedWatches = this.watcher?.removeCollection(name) ?? 0;
+      console.log(
+        `[CollectionManager] Deleted "${name}" (${cancelledJobs} pending job(s) cancelled, ${removedWatches} folder watch(es) removed).`,
+      );
+      return { name, droppedTable: hasTable, cancelledJobs };
+    });
+  }
+
+  /**
+   * Deletes one source: its LanceDB rows, lexical index postings and manifest
+   * entry. Rows go first so a failure never leaves chunks without a manifest
+   * entry that would let the next ingest clean them up.
+   * @returns {Promise<{ collection: string, sourceId: string, fileName: string|null, deletedChunks: number }>}
+   */
+  async deleteSource(name, sourceId) {
+    return this._withHold([name], async () => {
+      const hasTable = await this._assertExists(name);
+      const parser = new DocumentParser(this.dataDir, name);
+      await parser.load();
+      const entry = parser.entries.get(sourceId);
+      const filter = `SourceId = '${sourceId}'`;
+
+      let deletedChunks = 0;
+      let table = null;
+      if (hasTable) {
+        const db = await lancedb.connect(this.dbDir);
+        table = await db.openTable(name);
+        deletedChunks = await table.countRows(filter);
+      }
+      if (!entry && deletedChunks === 0) {
+        throw new CollectionError(
+          `Source "${sourceId}" not found in collection "${name}"`,
+          "NOT_FOUND",
+        );
+      }
+
+      if (table && deletedChunks > 0) {
+        await table.delete(filter);
+      }
+
+      const lexicalIndex = new LexicalIndex(this.dataDir, name);
+      await lexicalIndex.load();
+      if (lexicalIndex.hasSource(sourceId)) {
+        lexicalIndex.removeSource(sourceId);
+        await lexicalIndex.save();
+      }
+
+      if (entry) {
+        parser.remove(sourceId);
+        await parser.save();
+      }
+
+      const fileName = entry?.FileName || null;
+      console.log(
+        `[CollectionManager] Deleted source ${sourceId} (${fileName || "no manifest entry"}) from "${name}" (${deletedChunks} chunk(s)).`,
+      );
+      return { collection: name, sourceId, fileName, deletedChunks };
+    });
+  }
+
+  // --- Internals ---
+
+  async _withHold(names, operation) {
+    for (const name of names) {
+      if (this.queue.isCollectionBusy(name)) {
+        throw new CollectionError(
+          `Collection "${name}" has an ingestion job in progress. Try again when it finishes.`,
+          "COLLECTION_BUSY",
+        );
+      }
+    }
+
+    names.forEach((name) => this.queue.holdCollection(name));
+    try {
+      return await operation();
+    } finally {
+      names.forEach((name) => this.queue.releaseCollection(name));
+    }
+  }
+
+  async _copy(name, newName, hasTable) {
+    let rowCount = 0;
+    try {
+      if (hasTable) {
+        const db = await lancedb.connect(this.dbDir);
+        const source = await db.openTable(name);
+        rowCount = await source.countRows();
+        // Arrow keeps the source schema, so empty tables copy too.
+        const data = await source.query().toArrow();
+        await db.createTable(newName, data);
+      }
+
+      await this._copyManifest(name, newName);
+      const lexicalPath = LexicalIndex.getIndexPath(this.dataDir, name);
+      if (await this._exists(lexicalPath)) {
+        await fs.copyFile(lexicalPath, LexicalIndex.getIndexPath(this.dataDir, newName));
+      }
+    } catch (err) {
+      console.warn(
+        `[CollectionManager Warn] Copy "${name}" -> "${newName}" failed, rolling back: ${err.message}`,
+      );
+      await this._removeCollection(newName, hasTable).catch(() => {});
+      throw err;
+    }
+    return rowCount;
+  }
+
+  async _copyManifest(name, newName) {
+    const sourcePath = this._manifestPath(name);
+    let json;
+    try {
+      json = JSON.parse(await fs.readFile(sourcePath, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    const targetPath = this._manifestPath(newName);
+    const tempPath = `${targetPath}.tmp`;
+    await fs.writeFile(
+      tempPath,
+      JSON.stringify({ ...json, Collection: newName }, null, 2),
+      "utf8",
+    );
+    await fs.rename(tempPath, targetPath);
+  }
+
+  async _removeCollection(name, hasTable) {
+    if (hasTable) {
+      const db = await lancedb.connect(this.dbDir);
+      if ((await db.tableNames()).includes(name)) {
+        await db.dropTable(name);
+      }
+    }
+    await this._removeFiles(name);
+  }
+
+  async _removeFiles(name) {
+    for (const filePath of [
+      this._manifestPath(name),
+      LexicalIndex.getIndexPath(this.dataDir, name),
+    ]) {
+      try {
+        await fs.unlink(filePath);
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.warn(
+            `[CollectionManager Warn] Failed to remove ${path.basename(filePath)}: ${err.message}`,
+          );
+        }
+      }
+    }
+  }
+
+  async _summarize(name, hasTable) {
+    let rowCount = 0;
+    if (hasTable) {
+      try {
+        const db = await lancedb.connect(this.dbDir);
+        rowCount = await (await db.openTable(name)).countRows();
+      } catch (err) {
+        console.warn(`[CollectionManager Warn] Failed to count rows for "${name}": ${err.message}`);
+      }
+    }
+
+    const parser = new DocumentParser(this.dataDir, name);
+    await parser.load();
+    const entries = [...parser.entries.values()];
+    const lastIngested = entries
+      .map((entry) => entry.LastIngested)
+      .filter(Boolean)
+      .sort()
+      .at(-1);
+    const jobs = this.queue.getJobs().filter((job) => job.collection === name);
+
+    return {
+      name,
+      hasTable,
+      hasManifest: await this._exists(this._manifestPath(name)),
+      rowCount,
+      sourceCount: entries.length,
+      embeddingModel: entries[0]?.EmbeddingModel || null,
+      lastIngested: lastIngested || null,
+      busy: this.queue.isCollectionBusy(name),
+      pendingJobs: jobs.filter((job) => job.status === "pending").length,
+    };
+  }
+
+  async _assertExists(name) {
+    const hasTable = (await this._tableNames()).includes(name);
+    if (!hasTable && !(await this._exists(this._manifestPath(name)))) {
+      throw new CollectionError(`Collection "${name}" not found`, "NOT_FOUND");
+    }
+    return hasTable;
+  }
+
+  async _assertAbsent(name) {
+    if (
+      (await this._tableNames()).includes(name) ||
+      (await this._exists(this._manifestPath(name)))
+    ) {
+      throw new CollectionError(`Collection "${name}" already exists`, "COLLECTION_EXISTS");
+    }
+  }
+
+  async _tableNames() {
+    if (!(await this._exists(this.dbDir))) {
+      return [];
+    }
+    const db = await lancedb.connect(this.dbDir);
+    return db.tableNames();
+  }
+
+  async _manifestNames() {
+    try {
+      const files = await fs.readdir(this.dataDir);
+      return files
+        .filter((file) => file.endsWith(MANIFEST_SUFFIX))
+        .map((file) => file.slice(0, -MANIFEST_SUFFIX.length));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`[CollectionManager Warn] Failed to read data directory: ${err.message}`);
+      }
+      return [];
+    }
+  }
+
+  _manifestPath(name) {
+    return new DocumentParser(this.dataDir, name).getManifestPath();
+  }
+
+  async _exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+function toSourceSummary(entry) {
+  return {
+    sourceId: entry.SourceId,
+    fileName: entry.FileName || null,
+    sourcePath: entry.SourcePath || null,
+    chunkCount: Number(entry.ChunkCount) || 0,
+    fileSize: Number(entry.FileSize) || 0,
+    embeddingModel: entry.EmbeddingModel || null,
+    lastIngested: entry.LastIngested || null,
+  };
+}
+
+// Only locator fields that the chunker actually set are included.
+function toChunkView(row) {
+  const locator = { type: row.LocatorType || "none" };
+  for (const [field, key] of [
+    ["StructuralPath", "structuralPath"],
+    ["SectionPath", "sectionPath"],
+    ["SymbolName", "symbolName"],
+    ["PageStart", "pageStart"],
+    ["PageEnd", "pageEnd"],
+    ["RowStart", "rowStart"],
+    ["RowEnd", "rowEnd"],
+    ["LineStart", "lineStart"],
+    ["LineEnd", "lineEnd"],
+  ]) {
+    if (row[field] !== undefined && row[field] !== null && row[field] !== "None") {
+      locator[key] = row[field];
+    }
+  }
+
+  return {
+    chunkId: row.ChunkHash ? `chk_${row.ChunkHash}` : null,
+    chunkOrdinal: Number(row.chunkOrdinal ?? row.ChunkIndex ?? 0),
+    headerContext: row.HeaderContext && row.HeaderContext !== "None" ? row.HeaderContext : null,
+    chunkType: row.ChunkType || null,
+    locator,
+    ...(row.CommitSha
+      ? { commit: { sha: row.CommitSha, author: row.CommitAuthor || null, date: row.CommitDate || null } }
+      : {}),
+    ...(row.ParentHash
+      ? {
+          parent: {
+            id: `sec_${row.ParentHash}`,
+            ordinalStart: Number(row.ParentOrdinalStart),
+            ordinalEnd: Number(row.ParentOrdinalEnd),
+          },
+        }
+      : {}),
+    text: row.Text ?? row.ChunkText ?? "",
+  };
+}
@@ -82,13 +82,43 @@ const DEFAULTS = {
     ChatModel: "llama3.1:8b",
     ChunkSize: 1000,
     ChunkOverlap: 200,
+    ChunkTokens: 0,
+    IngestWorkers: 2,
+    EmbedBatchSize: 32,
+    EmbedConcurrency: 4,
+    WatchDebounceMs: 2000,
     TopK: 5,
     MinScore: 0.003,
     MaxContextTokens: 2048,
+    NumCtx: 4096,
+    ResponseReserveTokens: 512,
+    TokenizerDir: "",
+    ParentExpansion: true,
+    NeighborWindow: 0,
     RetrievalMode: "vector",
     FilteredVectorOverfetch: 4,
     HybridOverfetch: 6,
     HybridLexicalWeight: 0.35,
+    HybridFusion: "linear",
+    Rerank: {
+      Enabled: false,
+      Strategy: "heuristic",
+      TopN: 10,
+      Weight: 0.7,
+      Model: "",
+    },
+    Condense: {
+      Enabled: false,
+      Strategy: "ollama",
+      Model: "",
+      MaxTurns: 6,
+    },
+    QueryExpansion: {
+      Enabled: false,
+      Strategy: "multi-query",
+      Variants: 3,
+      Model: "",
+    },
     CollectionName: "TestIngestNodeFinal",
   },
   Metadata: {
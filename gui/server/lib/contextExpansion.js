@@ -0,0 +1,269 @@
+/**
+ * Context expansion
+ *
+ * Widens retrieval hits into larger passages between ranking and context
+ * packing. SmartTextChunker.processSection splits long sections into
+ * overlapping children, and each child is embedded and matched on its own:
+ * small chunks match precisely, but the model answers better from the whole
+ * section. expandToParent swaps a matched child for its section ("small to
+ * big"), rebuilt from the sibling rows with the repeated overlap trimmed.
+ *
+ * The neighbor window (RAG.NeighborWindow) widens approved hits further, to
+ * the N chunks before and after them by chunkOrdinal. Hits of one source whose
+ * windows overlap or touch become a single contiguous passage.
+ *
+ * Expansion never changes ranking or scores; server.js decides whether the
+ * wider text fits the context budget.
+ */
+
+// Shorter suffix/prefix matches are too likely to be coincidence.
+export const MIN_OVERLAP_CHARS = 16;
+// Sections split into more chunks than this are left as single chunks; they
+// would not fit a context budget anyway.
+export const MAX_PARENT_CHUNKS = 16;
+export const MAX_NEIGHBOR_WINDOW = 5;
+
+// Locator spans that widen from the first chunk's start to the last one's end.
+const SPAN_FIELDS = [
+  ["LineStart", "LineEnd"],
+  ["PageStart", "PageEnd"],
+  ["RowStart", "RowEnd"],
+];
+
+/**
+ * Length of the longest suffix of `left` that is also a prefix of `right`,
+ * or 0 when they share less than MIN_OVERLAP_CHARS.
+ */
+export function overlapLength(left, right) {
+  if (right.length < MIN_OVERLAP_CHARS) return 0;
+
+  const probe = right.slice(0, MIN_OVERLAP_CHARS);
+  // The earliest match is the longest overlap.
+  let index = left.indexOf(probe, Math.max(0, left.length - right.length));
+  while (index !== -1) {
+    if (right.startsWith(left.slice(index))) return left.length - index;
+    index = left.indexOf(probe, index + 1);
+  }
+  return 0;
+}
+
+/**
+ * Joins consecutive chunk texts into one passage. Text a chunk repeats from
+ * the end of the one before it (processSection's overlap) is kept once;
+ * chunks that share nothing are joined as paragraphs.
+ * @param {string[]} texts - chunk texts in ordinal order
+ * @returns {string}
+ */
+export function mergeChunkTexts(texts) {
+  let merged = "";
+  for (const text of texts) {
+    if (!text) continue;
+    if (!merged) {
+      merged = text;
+      continue;
+    }
+    const overlap = overlapLength(merged, text);
+    merged += overlap > 0 ? text.slice(overlap) : `\n\n${text}`;
+  }
+  return merged;
+}
+
+// Text and locator span of consecutive rows read as one passage.
+function mergeRows(rows) {
+  const text = mergeChunkTexts(rows.map((row) => row.ChunkText || ""));
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const merged = {
+    ChunkText: text,
+    TextPreview: text.length > 150 ? `${text.substring(0, 150)}...` : text,
+  };
+  for (const [startField, endField] of SPAN_FIELDS) {
+    if (Number.isInteger(first[startField]) && Number.isInteger(last[endField])) {
+      merged[startField] = first[startField];
+      merged[endField] = last[endField];
+    }
+  }
+  return merged;
+}
+
+async function fetchRows(store, sourceId, start, end, fileName) {
+  try {
+    return await store.fetchChunkRange(sourceId, start, end);
+  } catch (err) {
+    console.warn(`[Context Warn] Could not load chunks of ${fileName}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * The ordinal range of the section a result was split from.
+ * @returns {{ start: number, end: number }|null} null for unsplit chunks and
+ *   for sections longer than MAX_PARENT_CHUNKS
+ */
+export function readParentSpan(result) {
+  const start = result?.ParentOrdinalStart;
+  const end = result?.ParentOrdinalEnd;
+  if (
+    typeof result?.ParentHash !== "string" ||
+    !result.ParentHash ||
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    end <= start ||
+    end - start + 1 > MAX_PARENT_CHUNKS
+  ) {
+    return null;
+  }
+  return { start, end };
+}
+
+/**
+ * Rebuilds the section a matched child belongs to.
+ *
+ * The expanded result keeps the child's identity fields and score, takes the
+ * section's text and locator span, and gains
+ * `parentExpansion: { ordinalStart, ordinalEnd, matchedChunkIds }`.
+ *
+ * @param {object} result - search result for the matched child
+ * @param {{ fetchChunkRange?: Function }} store - VectorStore of the result's collection
+ * @returns {Promise<object|null>} null when the child has no section or the
+ *   stored rows no longer form it (the source was re-ingested meanwhile)
+ */
+export async function expandToParent(result, store) {
+  const span = readParentSpan(result);
+  if (!span || typeof store?.fetchChunkRange !== "function") return null;
+
+  const rows = await fetchRows(store, result.SourceId, span.start, span.end, result.FileName);
+  const complete =
+    Array.isArray(rows) &&
+    rows.length === span.end - span.start + 1 &&
+    rows.every((row) => row.ParentHash === result.ParentHash);
+  if (!complete) return null;
+
+  return {
+    ...result,
+    ...mergeRows(rows),
+    parentExpansion: {
+      ordinalStart: span.start,
+      ordinalEnd: span.end,
+      matchedChunkIds: [`chk_${result.ChunkHash}`],
+    },
+  };
+}
+
+/**
+ * Returns true when a per-request `neighborWindow` is acceptable: omitted, or
+ * an integer from 0 to MAX_NEIGHBOR_WINDOW.
+ */
+export function isValidNeighborWindow(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (Number.isInteger(value) && value >= 0 && value <= MAX_NEIGHBOR_WINDOW)
+  );
+}
+
+/**
+ * Chunks to add on each side of a hit: the request's value when given,
+ * otherwise RAG.NeighborWindow clamped to 0..MAX_NEIGHBOR_WINDOW.
+ */
+export function resolveNeighborWindow(configured, requested) {
+  if (Number.isInteger(requested)) return requested;
+  return Number.isFinite(configured)
+    ? Math.min(MAX_NEIGHBOR_WINDOW, Math.max(0, Math.floor(configured)))
+    : 0;
+}
+
+/**
+ * The chunkOrdinal range a result covers: its section once expanded,
+ * otherwise its own ordinal.
+ * @returns {{ start: number, end: number }|null}
+ */
+export function readOrdinalSpan(result) {
+  if (result?.parentExpansion) {
+    return { start: result.parentExpansion.ordinalStart, end: result.parentExpansion.ordinalEnd };
+  }
+  return Number.isInteger(result?.chunkOrdinal)
+    ? { start: result.chunkOrdinal, end: result.chunkOrdinal }
+    : null;
+}
+
+/**
+ * Plans neighbor-window passages. Each result's span is widened by `window`
+ * chunks on both sides, and the widened spans of one source that overlap or
+ * touch are merged into a run.
+ * @param {object[]} results - approved results, best first
+ * @param {number} window
+ * @returns {{ start: number, end: number, members: number[] }[]} runs ordered
+ *   by their best member; `members` are indexes into `results`, ascending
+ */
+export function planNeighborRuns(results, window) {
+  const bySource = new Map();
+  results.forEach((result, index) => {
+    const span = readOrdinalSpan(result);
+    if (!span || !result.SourceId) return;
+    const key = `${result.Collection}|${result.SourceId}`;
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push({
+      index,
+      start: Math.max(0, span.start - window),
+      end: span.end + window,
+    });
+  });
+
+  const runs = [];
+  for (const spans of bySource.values()) {
+    spans.sort((left, right) => left.start - right.start);
+    let run = null;
+    for (const span of spans) {
+      if (run && span.start <= run.end + 1) {
+        run.end = Math.max(run.end, span.end);
+        run.members.push(span.index);
+      } else {
+        run = { start: span.start, end: span.end, members: [span.index] };
+        runs.push(run);
+      }
+    }
+  }
+
+  for (const run of runs) run.members.sort((left, right) => left - right);
+  return runs.sort((left, right) => left.members[0] - right.members[0]);
+}
+
+/**
+ * Builds the passage for one neighbor run. It keeps the identity and score
+ * of its best member and gains
+ * `passage: { ordinalStart, ordinalEnd, matchedChunkIds }`, where the span is
+ * what the source actually has (windows are cut off at its first and last chunk).
+ *
+ * @param {{ start: number, end: number }} run
+ * @param {object[]} members - the run's results, best first
+ * @param {{ fetchChunkRange?: Function }} store - VectorStore of the members' collection
+ * @returns {Promise<object|null>} null when the rows no longer hold the members
+ */
+export async function expandToNeighbors(run, members, store) {
+  if (members.length === 0 || typeof store?.fetchChunkRange !== "function") return null;
+
+  const [best] = members;
+  const rows = await fetchRows(store, best.SourceId, run.start, run.end, best.FileName);
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+
+  const ordinalStart = rows[0].chunkOrdinal;
+  const ordinalEnd = rows[rows.length - 1].chunkOrdinal;
+  const hashes = new Set(rows.map((row) => row.ChunkHash));
+  const complete =
+    rows.every((row, i) => row.chunkOrdinal === ordinalStart + i) &&
+    members.every((member) => hashes.has(member.ChunkHash));
+  if (!complete) return null;
+
+  return {
+    ...best,
+    ...mergeRows(rows),
+    passage: {
+      ordinalStart,
+      ordinalEnd,
+      matchedChunkIds: members.flatMap(
+        (member) => member.parentExpansion?.matchedChunkIds ?? [`chk_${member.ChunkHash}`],
+      ),
+    },
+  };
+}
@@ -2,6 +2,8 @@ import fs from "fs/promises";
 import crypto from "crypto";
 import path from "path";
 import { mintSourceId } from "./sourceIdentity.js";
+import { PathFilter } from "./ignoreRules.js";
+import { ARCHIVE_SEPARATOR, isArchivePath, openArchive, toArchiveMemberPath } from "./archiveSource.js";
 
 /**
  * Ordered list of all known manifest versions, oldest first.
@@ -62,6 +64,8 @@ class DocumentParser {
     this.collectionName = collectionName;
     // Keys are sourceIds (primary identity per the decision record)
     this.entries = new Map();
+    // Last commit indexed by git jobs, keyed by the job's folder path
+    this.gitSync = {};
   }
 
   // --- Persistence ---
@@ -84,6 +88,7 @@ class DocumentParser {
         LastUpdated: new Date().toISOString(),
         EntryCount: entryList.length,
         Entries: entryList,
+        ...(Object.keys(this.gitSync).length > 0 ? { GitSync: this.gitSync } : {}),
       },
       null,
       2,
@@ -149,6 +154,10 @@ class DocumentParser {
         // Key by sourceId (primary identity)
         this.entries.set(entry.SourceId, entry);
       }
+      this.gitSync =
+        workingJson.GitSync && typeof workingJson.GitSync === "object"
+          ? { ...workingJson.GitSync }
+          : {};
     } catch (err) {
       if (err.code !== "ENOENT") {
         console.warn(`[Manifest Warn] Failed to load manifest: ${err.message}`);
@@ -158,6 +167,7 @@ class DocumentParser {
 
   async clear() {
     this.entries.clear();
+    this.gitSync = {};
     const manifestPath = this.getManifestPath();
     try {
       await fs.unlink(manifestPath);
@@ -197,6 +207,18 @@ class DocumentParser {
     return null;
   }
 
+  /**
+   * Auxiliary lookup by the full source path.
+   * @param {string} sourcePath
+   * @returns {ManifestEntry|null}
+   */
+  getEntryBySourcePath(sourcePath) {
+    for (const entry of this.entries.values()) {
+      if (entry.SourcePath === sourcePath) return entry;
+    }
+    return null;
+  }
+
   /**
    * Create or replace a manifest entry. Key is sourceId.
    * @param {string} sourceId
@@ -283,6 +305,43 @@ class DocumentParser {
     return orphans;
   }
 
+  /**
+   * Orphans for an incremental sync: entries whose SourcePath is one of
+   * `removedPaths` (or sits under a removed directory or inside a removed
+   * archive) and that were not claimed by a rename this run.
+   * @param {string[]} removedPaths - absolute paths that no longer exist
+   * @param {Set<string>} activeSourceIds
+   * @returns {string[]} orphan sourceIds
+   */
+  getOrphansUnder(removedPaths, activeSourceIds) {
+    const orphans = [];
+    for (const entry of this.entries.values()) {
+      if (!entry.SourcePath || activeSourceIds.has(entry.SourceId)) continue;
+      const removed = removedPaths.some(
+        (removedPath) =>
+          entry.SourcePath === removedPath ||
+          entry.SourcePath.startsWith(removedPath + path.sep) ||
+          entry.SourcePath.startsWith(removedPath + ARCHIVE_SEPARATOR),
+      );
+      if (removed) orphans.push(entry.SourceId);
+    }
+    return orphans;
+  }
+
+  // --- Git Sync State ---
+
+  /**
+   * The commit a git job last indexed for `folderPath`.
+   * @returns {{ ref: string, commit: string, indexedAt: string }|null}
+   */
+  getGitSync(folderPath) {
+    return this.gitSync[folderPath] ?? null;
+  }
+
+  setGitSync(folderPath, state) {
+    this.gitSync[folderPath] = state;
+  }
+
   // --- Utilities ---
 
   /**
@@ -304,6 +363,35 @@ class DocumentParser {
 
   // --- File Traversal & Hashing ---
 
+  static SKIPPED_DIRECTORIES = ["node_modules", ".git"];
+
+  static DEFAULT_EXTENSIONS = [
+    ".md", ".txt", ".ps1", ".xml", ".pdf",
+    ".docx", ".odt",
+    ".html", ".htm",
+    ".csv", ".tsv", ".json", ".jsonl", ".ndjson",
+    ".js", ".mjs", ".cjs", ".ts", ".tsx",
+  ];
+
+  /** True when any directory in `filePath` is one scans skip. */
+  static isSkippedPath(filePath) {
+    return path
+      .normalize(filePath)
+      .split(path.sep)
+      .some((segment) => DocumentParser.SKIPPED_DIRECTORIES.includes(segment));
+  }
+
+  /**
+   * True when a scan would pick up `filePath`: a supported extension and no
+   * skipped directory anywhere in the path.
+   * @param {string} filePath
+   * @param {string[]} [allowedExtensions]
+   */
+  static isEligibleFile(filePath, allowedExtensions = DocumentParser.DEFAULT_EXTENSIONS) {
+    if (DocumentParser.isSkippedPath(filePath)) return false;
+    return allowedExtensions.includes(path.extname(filePath).toLowerCase());
+  }
+
   static async getFileHash(filePath) {
     const fileBuffer = await fs.readFile(filePath);
     const hashSum = crypto.createHash("sha256");
@@ -311,9 +399,50 @@ class DocumentParser {
     return hashSum.digest("hex").toUpperCase();
   }
 
+  /**
+   * Lists the members of a .zip or .tar.gz archive that a scan would pick
+   * up, as virtual paths (`bundle.zip!/logs/run.xml`).
+   * @param {string} archivePath
+   * @param {string[]} [allowedExtensions]
+   * @param {{ onArchiveError?: (entry: { path: string, error: string }) => void }} [options]
+   *   onArchiveError is called, and no members are listed, when the archive
+   *   cannot be opened or breaks a size limit.
+   * @returns {Promise<string[]>}
+   */
+  static async listArchiveFiles(
+    archivePath,
+    allowedExtensions = DocumentParser.DEFAULT_EXTENSIONS,
+    { onArchiveError = null } = {},
+  ) {
+    let archive;
+    try {
+      archive = await openArchive(archivePath);
+    } catch (err) {
+      console.warn(`[Ingest Warn] Skipping archive ${archivePath}: ${err.message}`);
+      onArchiveError?.({ path: archivePath, error: err.message });
+      return [];
+    }
+    return [...archive.members.keys()]
+      .map((name) => toArchiveMemberPath(archivePath, name))
+      .filter((memberPath) => DocumentParser.isEligibleFile(memberPath, allowedExtensions));
+  }
+
+  /**
+   * Lists the files under `dirPath` with an allowed extension, plus the
+   * eligible members of any archive found (see listArchiveFiles).
+   * `.ragignore` files are honored; pass a PathFilter to add a job's
+   * include/exclude globs or to filter relative to a different root. Globs
+   * apply to an archive as a whole, not to its members.
+   * @param {string} dirPath
+   * @param {string[]} [allowedExtensions]
+   * @param {{ filter?: PathFilter, onExcluded?: (entry: { path: string, directory: boolean, reason: string, pattern: string|null, ignoreFile?: string }) => void, onArchiveError?: (entry: { path: string, error: string }) => void }} [options]
+   *   onExcluded is called once per excluded file or folder; excluded folders are not walked.
+   * @returns {Promise<string[]>}
+   */
   static async scanDirectory(
     dirPath,
-    allowedExtensions = [".md", ".txt", ".ps1", ".xml", ".pdf"],
+    allowedExtensions = DocumentParser.DEFAULT_EXTENSIONS,
+    { filter = new PathFilter(dirPath), onExcluded = null, onArchiveError = null } = {},
   ) {
     let results = [];
 
@@ -323,10 +452,31 @@ class DocumentParser {
       for (const dirent of list) {
         const res = path.join(currentPath, dirent.name);
         if (dirent.isDirectory()) {
+          // Installed dependencies and VCS internals are never source documents.
+          if (DocumentParser.SKIPPED_DIRECTORIES.includes(dirent.name)) continue;
+          const excluded = await filter.check(res, true);
+          if (excluded) {
+            onExcluded?.({ path: res, directory: true, ...excluded });
+            continue;
+          }
           await walk(res);
+        } else if (isArchivePath(res)) {
+          const excluded = await filter.check(res, false);
+          if (excluded) {
+            onExcluded?.({ path: res, directory: false, ...excluded });
+            continue;
+          }
+          results.push(
+            ...(await DocumentParser.listArchiveFiles(res, allowedExtensions, { onArchiveError })),
+          );
         } else {
           const ext = path.extname(res).toLowerCase();
           if (allowedExtensions.includes(ext)) {
+            const excluded = await filter.check(res, false);
+            if (excluded) {
+              onExcluded?.({ path: res, directory: false, ...excluded });
+              continue;
+            }
             results.push(res);
           }
         }
@@ -0,0 +1,81 @@
+/**
+ * Federated search helpers for `/api/chat` requests that span several
+ * collections. Each collection is searched with its own VectorStore and the
+ * ranked lists are merged here.
+ */
+
+export const MAX_FEDERATED_COLLECTIONS = 8;
+
+/**
+ * Resolves the collections a chat request targets. `collections` wins over
+ * the legacy single `collection` field; duplicates are dropped.
+ * @param {{ collection?: string, collections?: string[] }} body
+ * @param {(name: string) => boolean} isValidName
+ * @returns {{ collections: string[] } | { error: string }}
+ */
+export function resolveRequestedCollections({ collection, collections }, isValidName) {
+  if (collections === undefined || collections === null) {
+    return isValidName(collection)
+      ? { collections: [collection] }
+      : { error: "Invalid collection name" };
+  }
+
+  if (!Array.isArray(collections) || collections.length === 0) {
+    return { error: "collections must be a non-empty array of collection names" };
+  }
+
+  const unique = [...new Set(collections)];
+  if (unique.length > MAX_FEDERATED_COLLECTIONS) {
+    return {
+      error: `At most ${MAX_FEDERATED_COLLECTIONS} collections can be searched at once`,
+    };
+  }
+
+  const invalid = unique.find((name) => typeof name !== "string" || !isValidName(name));
+  if (invalid !== undefined) {
+    return { error: `Invalid collection name: ${String(invalid)}` };
+  }
+
+  return { collections: unique };
+}
+
+/**
+ * Merges per-collection result lists into one ranked list and tags every row
+ * with its `Collection`.
+ *
+ * Scores are already normalized relevance in [0, 1] from the same embedding
+ * model, so they are comparable across tables. The merge is a k-way merge on
+ * each list's head score: it interleaves collections by relevance while
+ * keeping each collection's own order (which may come from hybrid fusion
+ * rather than raw score) intact.
+ *
+ * @param {{ collection: string, results: object[] }[]} perCollection
+ * @param {number} limit - Maximum rows to return
+ * @returns {object[]}
+ */
+export function mergeCollectionResults(perCollection, limit) {
+  const queues = perCollection.map(({ collection, results }) =>
+    (Array.isArray(results) ? results : []).map((row) => ({
+      ...row,
+      Collection: collection,
+    })),
+  );
+  const cursors = queues.map(() => 0);
+  const merged = [];
+
+  while (merged.length < limit) {
+    let best = -1;
+    for (let i = 0; i < queues.length; i++) {
+      const head = queues[i][cursors[i]];
+      if (!head) continue;
+      if (best === -1 || (head.score || 0) > (queues[best][cursors[best]].score || 0)) {
+        best = i;
+      }
+    }
+    if (best === -1) break;
+    merged.push(queues[best][cursors[best]]);
+    cursors[best] += 1;
+  }
+
+  return merged;
+}
@@ -0,0 +1,322 @@
+/**
+ * folderWatcher.js
+ *
+ * Lets a collection follow folders on disk. Each watch holds a recursive
+ * fs.watch on its folder and collects the paths that change; once the folder
+ * has been quiet for `debounceMs`, the batch is handed to
+ * IngestionQueue.enqueueChanges as one incremental job. That job runs the
+ * usual hash, rename and orphan logic against just those paths.
+ *
+ * Watches are persisted to `<dataDir>/watches.json`. A folder gets a full
+ * sync when it is first followed and again when the server restarts, since
+ * changes made while nothing was watching would otherwise be missed.
+ *
+ * Usage:
+ *   const watcher = new FolderWatcher(ingestQueue, { dataDir, debounceMs: 2000 });
+ *   watcher.load();
+ *   watcher.add("Docs", "/home/me/notes");
+ *   watcher.on("update", (watches) => ...);
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { DocumentParser } from "./documentParser.js";
+import { IGNORE_FILE_NAME } from "./ignoreRules.js";
+import { isArchivePath } from "./archiveSource.js";
+
+const WATCHES_FILE = "watches.json";
+const WATCHES_SCHEMA_VERSION = 1;
+const DEFAULT_DEBOUNCE_MS = 2000;
+
+export const WATCH_STATUS = {
+  WATCHING: "watching",
+  PENDING: "pending", // changes seen, waiting for the folder to go quiet
+  ERROR: "error",
+};
+
+function watchIdFor(collection, folderPath) {
+  const digest = crypto.createHash("sha256").update(`${collection}\n${folderPath}`).digest("hex");
+  return `watch_${digest.slice(0, 16)}`;
+}
+
+export class FolderWatcher extends EventEmitter {
+  /**
+   * @param {import('../IngestionQueue.js').default} queue
+   * @param {{ dataDir: string, debounceMs?: number, watchFn?: typeof fs.watch }} options
+   *   watchFn is injectable so tests can drive change events directly.
+   */
+  constructor(queue, { dataDir, debounceMs = DEFAULT_DEBOUNCE_MS, watchFn = fs.watch }) {
+    super();
+    this.queue = queue;
+    this.dataDir = dataDir;
+    this.debounceMs = Number(debounceMs) >= 0 ? Number(debounceMs) : DEFAULT_DEBOUNCE_MS;
+    this.watchFn = watchFn;
+    this.watches = new Map(); // id -> watch (persisted fields + runtime state)
+  }
+
+  get persistencePath() {
+    return path.join(this.dataDir, WATCHES_FILE);
+  }
+
+  // --- Read ---
+
+  /**
+   * Snapshot of every watch, as sent on /api/queue/stream.
+   * @returns {{ id: string, collection: string, path: string, addedAt: string, status: string, pendingChanges: number, lastChangeAt: string|null, lastSyncJobId: string|null, error: string|null }[]}
+   */
+  list() {
+    return [...this.watches.values()].map((watch) => ({
+      id: watch.id,
+      collection: watch.collection,
+      path: watch.path,
+      addedAt: watch.addedAt,
+      status: watch.status,
+      pendingChanges: watch.pending.size,
+      lastChangeAt: watch.lastChangeAt,
+      lastSyncJobId: watch.lastSyncJobId,
+      error: watch.error,
+    }));
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Restores persisted watches and queues a catch-up sync for each.
+   */
+  load() {
+    let saved = [];
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.persistencePath, "utf8"));
+      saved = Array.isArray(raw?.watches) ? raw.watches : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`[Watch Warn] Failed to load ${WATCHES_FILE}: ${err.message}`);
+      }
+      return;
+    }
+
+    for (const entry of saved) {
+      if (!entry?.collection || !entry?.path) continue;
+      this._register(entry.collection, entry.path, entry.addedAt);
+    }
+    if (this.watches.size > 0) {
+      console.log(`[Watch] Restored ${this.watches.size} folder watch(es).`);
+    }
+    this._emitUpdate();
+  }
+
+  /**
+   * Follows `folderPath` for `collection`. Following the same folder twice
+   * returns the existing watch.
+   * @returns {{ watch: object, created: boolean }}
+   */
+  add(collection, folderPath) {
+    const existing = this.watches.get(watchIdFor(collection, folderPath));
+    if (existing) {
+      return { watch: this._view(existing), created: false };
+    }
+
+    const watch = this._register(collection, folderPath, new Date().toISOString());
+    this._save();
+    this._emitUpdate();
+    console.log(`[Watch] Following ${folderPath} for "${collection}".`);
+    return { watch: this._view(watch), created: true };
+  }
+
+  /**
+   * Stops following a folder. Already-queued sync jobs still run.
+   * @returns {boolean} false when no such watch exists
+   */
+  remove(id) {
+    const watch = this.watches.get(id);
+    if (!watch) return false;
+
+    this._disarm(watch);
+    this.watches.delete(id);
+    this._save();
+    this._emitUpdate();
+    return true;
+  }
+
+  /**
+   * Moves a renamed collection's watches to its new name.
+   * @returns {number} watches moved
+   */
+  retargetCollection(fromCollection, toCollection) {
+    const moved = [...this.watches.values()].filter((w) => w.collection === fromCollection);
+    for (const watch of moved) {
+      this._disarm(watch);
+      this.watches.delete(watch.id);
+      this._register(toCollection, watch.path, watch.addedAt, { initialSync: false });
+    }
+    if (moved.length > 0) {
+      this._save();
+      this._emitUpdate();
+    }
+    return moved.length;
+  }
+
+  /**
+   * Drops every watch of a deleted collection.
+   * @returns {number} watches removed
+   */
+  removeCollection(collection) {
+    const removed = [...this.watches.values()].filter((w) => w.collection === collection);
+    for (const watch of removed) {
+      this._disarm(watch);
+      this.watches.delete(watch.id);
+    }
+    if (removed.length > 0) {
+      this._save();
+      this._emitUpdate();
+    }
+    return removed.length;
+  }
+
+  /** Closes every fs watcher and pending debounce timer. */
+  close() {
+    for (const watch of this.watches.values()) {
+      this._disarm(watch);
+    }
+  }
+
+  // --- Internals ---
+
+  _register(collection, folderPath, addedAt, { initialSync = true } = {}) {
+    const watch = {
+      id: watchIdFor(collection, folderPath),
+      collection,
+      path: folderPath,
+      addedAt: addedAt || new Date().toISOString(),
+      status: WATCH_STATUS.WATCHING,
+      pending: new Set(),
+      fullRescan: false,
+      timer: null,
+      handle: null,
+      lastChangeAt: null,
+      lastSyncJobId: null,
+      error: null,
+    };
+    this.watches.set(watch.id, watch);
+    this._arm(watch);
+
+    if (initialSync && watch.status !== WATCH_STATUS.ERROR) {
+      this._enqueue(watch, null);
+    }
+    return watch;
+  }
+
+  _arm(watch) {
+    try {
+      watch.handle = this.watchFn(watch.path, { recursive: true }, (eventType, fileName) =>
+        this._onChange(watch, fileName),
+      );
+      watch.handle.on?.("error", (err) => this._fail(watch, err));
+      // Watches never keep the process alive on their own.
+      watch.handle.unref?.();
+    } catch (err) {
+      this._fail(watch, err);
+    }
+  }
+
+  _disarm(watch) {
+    clearTimeout(watch.timer);
+    watch.timer = null;
+    try {
+      watch.handle?.close();
+    } catch {}
+    watch.handle = null;
+  }
+
+  _fail(watch, err) {
+    this._disarm(watch);
+    watch.status = WATCH_STATUS.ERROR;
+    watch.error = err.message;
+    console.warn(`[Watch Warn] Stopped watching ${watch.path}: ${err.message}`);
+    this._emitUpdate();
+  }
+
+  _onChange(watch, fileName) {
+    if (fileName && path.basename(fileName.toString()) === IGNORE_FILE_NAME) {
+      // Edited ignore rules can change which files belong anywhere below.
+      watch.fullRescan = true;
+    } else if (fileName) {
+      const changedPath = path.join(watch.path, fileName.toString());
+      if (DocumentParser.isSkippedPath(fileName.toString())) return;
+      // Extensionless paths may be directories, which the sync job expands.
+      if (
+        path.extname(changedPath) &&
+        !DocumentParser.isEligibleFile(changedPath) &&
+        !isArchivePath(changedPath)
+      ) {
+        return;
+      }
+      watch.pending.add(changedPath);
+    } else {
+      // Some platforms drop the file name; fall back to a full scan.
+      watch.fullRescan = true;
+    }
+
+    watch.lastChangeAt = new Date().toISOString();
+    clearTimeout(watch.timer);
+    watch.timer = setTimeout(() => this._flush(watch), this.debounceMs);
+    watch.timer.unref?.();
+
+    if (watch.status !== WATCH_STATUS.PENDING) {
+      watch.status = WATCH_STATUS.PENDING;
+      this._emitUpdate();
+    }
+  }
+
+  _flush(watch) {
+    watch.timer = null;
+    const changedPaths = watch.fullRescan ? null : [...watch.pending];
+    watch.pending.clear();
+    watch.fullRescan = false;
+    watch.status = WATCH_STATUS.WATCHING;
+
+    if (changedPaths && changedPaths.length === 0) {
+      this._emitUpdate();
+      return;
+    }
+    this._enqueue(watch, changedPaths);
+  }
+
+  _enqueue(watch, changedPaths) {
+    const job = this.queue.enqueueChanges(watch.path, watch.collection, changedPaths, {
+      trigger: "watch",
+      watchId: watch.id,
+    });
+    watch.lastSyncJobId = job.id;
+    this._emitUpdate();
+  }
+
+  _view(watch) {
+    return this.list().find((entry) => entry.id === watch.id);
+  }
+
+  _save() {
+    const payload = {
+      schemaVersion: WATCHES_SCHEMA_VERSION,
+      watches: [...this.watches.values()].map(({ collection, path: folderPath, addedAt }) => ({
+        collection,
+        path: folderPath,
+        addedAt,
+      })),
+    };
+    const tempPath = `${this.persistencePath}.tmp`;
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(payload, null, 2), "utf8");
+      fs.renameSync(tempPath, this.persistencePath);
+    } catch (err) {
+      console.error(`[Watch Error] Failed to save ${WATCHES_FILE}: ${err.message}`);
+    }
+  }
+
+  _emitUpdate() {
+    this.emit("update", this.list());
+  }
+}
@@ -0,0 +1,254 @@
+import { spawn } from "child_process";
+import crypto from "crypto";
+import path from "path";
+
+/**
+ * Read-only access to a local git repository for ingestion.
+ *
+ * Git jobs read tracked files as they are at a commit, never the working
+ * tree, so untracked and ignored files are left out by construction. Only
+ * regular blobs are listed: symlinks and submodules are skipped.
+ *
+ * Usage:
+ *   const repo = await resolveGitCommit("/src/project", "main");
+ *   const files = await listGitFiles(repo);
+ *   const changes = await diffGitCommits(repo, lastIndexedCommit);
+ *   const reader = new GitBlobReader(repo);
+ *   const buffer = await reader.read(files[0]);
+ */
+
+const MAX_BLOB_BYTES = 64 * 1024 * 1024;
+const REGULAR_FILE_MODES = new Set(["100644", "100755"]);
+
+export class GitError extends Error {
+  constructor(message, stderr = "") {
+    super(stderr ? `${message}: ${stderr}` : message);
+    this.name = "GitError";
+  }
+}
+
+/**
+ * Refs are passed to git as arguments, so anything that could read as an
+ * option or a revision range is rejected.
+ */
+export function isValidGitRef(ref) {
+  return (
+    typeof ref === "string" &&
+    ref.length > 0 &&
+    ref.length <= 200 &&
+    !ref.startsWith("-") &&
+    !ref.includes("..") &&
+    /^[A-Za-z0-9._\/~^@-]+$/.test(ref)
+  );
+}
+
+function runGit(cwd, args, { maxBytes = MAX_BLOB_BYTES } = {}) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn("git", ["-C", cwd, ...args], { windowsHide: true });
+    } catch (err) {
+      reject(new GitError(`Could not run git (${err.message})`));
+      return;
+    }
+
+    const stdout = [];
+    let stdoutBytes = 0;
+    let stderr = "";
+    child.stdout.on("data", (chunk) => {
+      stdoutBytes += chunk.length;
+      if (stdoutBytes > maxBytes) {
+        child.kill();
+        return;
+      }
+      stdout.push(chunk);
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on("error", (err) => {
+      reject(new GitError(`Could not run git (${err.message})`));
+    });
+    child.on("close", (code) => {
+      if (stdoutBytes > maxBytes) {
+        reject(new GitError(`git ${args[0]} output exceeds ${maxBytes} bytes`));
+      } else if (code !== 0) {
+        reject(new GitError(`git ${args[0]} failed`, stderr.trim()));
+      } else {
+        resolve(Buffer.concat(stdout));
+      }
+    });
+  });
+}
+
+function toPosix(relativePath) {
+  return relativePath.split(path.sep).join("/");
+}
+
+/**
+ * Resolves `ref` in the repository containing `folderPath`.
+ * @param {string} folderPath - the repo root or a folder inside it
+ * @param {string} [ref]
+ * @returns {Promise<{ root: string, prefix: string, ref: string, commit: string, author: string, date: string, subject: string }>}
+ *   prefix is the folder relative to the repo root ("" at the root), in git's
+ *   forward-slash form
+ * @throws {GitError} when the folder is not in a repository or the ref is unknown
+ */
+export async function resolveGitCommit(folderPath, ref = "HEAD") {
+  if (!isValidGitRef(ref)) {
+    throw new GitError(`Invalid git ref "${ref}"`);
+  }
+
+  let root;
+  try {
+    root = path.resolve((await runGit(folderPath, ["rev-parse", "--show-toplevel"])).toString().trim());
+  } catch {
+    throw new GitError(`Not a git repository: ${folderPath}`);
+  }
+
+  let commit;
+  try {
+    commit = (await runGit(root, ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`])).toString().trim();
+  } catch {
+    throw new GitError(`Unknown git ref "${ref}" in ${root}`);
+  }
+
+  const [author, date, subject] = (
+    await runGit(root, ["show", "-s", "--format=%an%x00%aI%x00%s", commit])
+  )
+    .toString()
+    .trimEnd()
+    .split("\0");
+
+  return {
+    root,
+    prefix: toPosix(path.relative(root, path.resolve(folderPath))),
+    ref,
+    commit,
+    author,
+    date,
+    subject,
+  };
+}
+
+function pathspec(repo) {
+  return repo.prefix ? ["--", repo.prefix] : [];
+}
+
+/**
+ * Lists the regular files tracked at the commit under the repo's prefix.
+ * @param {{ root: string, prefix: string, commit: string }} repo
+ * @returns {Promise<string[]>} absolute paths
+ */
+export async function listGitFiles(repo) {
+  const output = await runGit(repo.root, ["ls-tree", "-r", "-z", "--full-tree", repo.commit, ...pathspec(repo)], {
+    maxBytes: Number.MAX_SAFE_INTEGER,
+  });
+
+  const files = [];
+  for (const record of output.toString().split("\0")) {
+    if (!record) continue;
+    // "<mode> <type> <object>\t<path>"
+    const tab = record.indexOf("\t");
+    const [mode, type] = record.slice(0, tab).split(" ");
+    if (type === "blob" && REGULAR_FILE_MODES.has(mode)) {
+      files.push(path.join(repo.root, record.slice(tab + 1)));
+    }
+  }
+  return files;
+}
+
+/**
+ * Lists what changed under the repo's prefix between `fromCommit` and the
+ * repo's commit, with rename detection.
+ * @param {{ root: string, prefix: string, commit: string }} repo
+ * @param {string} fromCommit
+ * @returns {Promise<Array<{ status: "added"|"modified"|"deleted"|"renamed"|"copied", path: string, previousPath?: string, regularFile: boolean }>>}
+ *   paths are absolute; regularFile is false for symlinks and submodules
+ */
+export async function diffGitCommits(repo, fromCommit) {
+  const output = await runGit(
+    repo.root,
+    ["diff", "--raw", "-z", "-M", "--no-abbrev", fromCommit, repo.commit, ...pathspec(repo)],
+    { maxBytes: Number.MAX_SAFE_INTEGER },
+  );
+
+  const fields = output.toString().split("\0");
+  const changes = [];
+  for (let i = 0; i < fields.length; i++) {
+    const header = fields[i];
+    if (!header.startsWith(":")) continue;
+    // ":<srcMode> <dstMode> <srcSha> <dstSha> <status>[score]"
+    const [, dstMode, , , statusField] = header.slice(1).split(" ");
+    const letter = statusField[0];
+    const regularFile = REGULAR_FILE_MODES.has(dstMode);
+
+    if (letter === "R" || letter === "C") {
+      const previousPath = path.join(repo.root, fields[++i]);
+      const currentPath = path.join(repo.root, fields[++i]);
+      changes.push({
+        status: letter === "R" ? "renamed" : "copied",
+        path: currentPath,
+        previousPath,
+        regularFile,
+      });
+      continue;
+    }
+
+    const changedPath = path.join(repo.root, fields[++i]);
+    if (letter === "D") {
+      changes.push({ status: "deleted", path: changedPath, regularFile: false });
+    } else {
+      changes.push({ status: letter === "A" ? "added" : "modified", path: changedPath, regularFile });
+    }
+  }
+  return changes;
+}
+
+/** True when `commit` exists in the repository. */
+export async function hasGitCommit(repo, commit) {
+  if (!/^[a-f0-9]{40,64}$/.test(String(commit))) return false;
+  try {
+    await runGit(repo.root, ["cat-file", "-e", `${commit}^{commit}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads file contents at the repo's commit. The last blob is kept so the
+ * hash, size and content lookups for one file cost a single git call.
+ */
+export class GitBlobReader {
+  constructor(repo) {
+    this.repo = repo;
+    this.cachedPath = null;
+    this.cachedBuffer = null;
+  }
+
+  blobName(filePath) {
+    return `${this.repo.commit}:${toPosix(path.relative(this.repo.root, filePath))}`;
+  }
+
+  async read(filePath) {
+    if (this.cachedPath !== filePath) {
+      this.cachedBuffer = await runGit(this.repo.root, ["cat-file", "blob", this.blobName(filePath)]);
+      this.cachedPath = filePath;
+    }
+    return this.cachedBuffer;
+  }
+
+  /** Same digest as DocumentParser.getFileHash, so manifests stay comparable. */
+  async hash(filePath) {
+    const buffer = await this.read(filePath);
+    return crypto.createHash("sha256").update(buffer).digest("hex").toUpperCase();
+  }
+
+  /** Asks git for the blob size, so the size limit applies before any content is read. */
+  async stat(filePath) {
+    if (this.cachedPath === filePath) return { size: this.cachedBuffer.length };
+    const output = await runGit(this.repo.root, ["cat-file", "-s", this.blobName(filePath)]);
+    return { size: Number(output.toString().trim()) };
+  }
+}
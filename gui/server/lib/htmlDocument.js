@@ -0,0 +1,237 @@
+import { decodeXmlEntities } from "./officeDocument.js";
+
+/**
+ * HTML to structured text.
+ *
+ * Drops scripts, styles and page chrome (nav, aside, footer and ARIA
+ * navigation/banner/contentinfo regions), then walks the remaining markup
+ * into the same ordered heading/paragraph blocks that extractOfficeDocument
+ * produces, so SmartTextChunker can chunk both by section. Tables become one
+ * paragraph with a line per row; when the first row is a header row, each
+ * data cell is prefixed with its column name.
+ *
+ *   { format: "html", title, blocks: [{ kind: "heading", level: 2, text }, { kind: "paragraph", text }] }
+ */
+
+const STRIPPED_ELEMENTS = ["head", "script", "style", "noscript", "template", "svg", "iframe", "nav", "aside", "footer", "form"];
+const CHROME_ROLES = ["navigation", "banner", "contentinfo", "search"];
+
+const BLOCK_ELEMENTS = new Set([
+  "address", "article", "blockquote", "body", "dd", "div", "dl", "dt", "figcaption",
+  "figure", "header", "hr", "li", "main", "ol", "p", "pre", "section", "summary", "ul",
+]);
+
+const HTML_ENTITIES = {
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  bull: "•",
+  middot: "·",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  rarr: "→",
+  larr: "←",
+};
+
+export function decodeHtmlEntities(value) {
+  const named = value.replace(/&([a-z]+);/gi, (match, name) =>
+    HTML_ENTITIES[name.toLowerCase()] ?? match,
+  );
+  return decodeXmlEntities(named);
+}
+
+function stripChrome(html) {
+  let result = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, "")
+    .replace(/<![^>]*>|<\?[\s\S]*?\?>/g, "");
+
+  for (const tag of STRIPPED_ELEMENTS) {
+    result = result
+      .replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, "gi"), " ")
+      .replace(new RegExp(`<${tag}\\b[^>]*\\/>`, "gi"), " ");
+  }
+
+  const rolePattern = new RegExp(
+    `<(\\w+)\\b[^>]*\\brole=["'](?:${CHROME_ROLES.join("|")})["'][^>]*>[\\s\\S]*?<\\/\\1\\s*>`,
+    "gi",
+  );
+  return result.replace(rolePattern, " ");
+}
+
+function selectContentRoot(html) {
+  // Prefer the page's main content region when it declares one.
+  for (const tag of ["main", "article"]) {
+    const match = html.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*)<\\/${tag}\\s*>`, "i"));
+    if (match) return match[1];
+  }
+  const body = html.match(/<body\b[^>]*>([\s\S]*?)(?:<\/body\s*>|$)/i);
+  return body ? body[1] : html;
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/[ \t\r\n\f ]+/g, " ");
+}
+
+function formatTable(rows) {
+  const filled = rows.filter((row) => row.cells.some((cell) => cell));
+  if (filled.length === 0) return "";
+
+  const [first, ...rest] = filled;
+  if (first.header && rest.length > 0) {
+    return rest
+      .map((row) =>
+        row.cells
+          .map((cell, i) => (first.cells[i] && cell ? `${first.cells[i]}: ${cell}` : cell))
+          .filter(Boolean)
+          .join(" | "),
+      )
+      .join("\n");
+  }
+  return filled.map((row) => row.cells.filter(Boolean).join(" | ")).join("\n");
+}
+
+/**
+ * Extracts ordered heading/paragraph blocks from an HTML page.
+ * @param {string} html
+ * @returns {{ format: "html", title: string, blocks: Array<{ kind: "heading"|"paragraph", level?: number, text: string }> }}
+ */
+export function extractHtmlDocument(html) {
+  const source = typeof html === "string" ? html : "";
+  const titleMatch = source.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  const title = titleMatch ? collapseWhitespace(decodeHtmlEntities(titleMatch[1])).trim() : "";
+
+  const content = selectContentRoot(stripChrome(source));
+  const blocks = [];
+  const tables = [];
+  let heading = null;
+  let paragraph = "";
+  let preDepth = 0;
+
+  const flushParagraph = () => {
+    const text = paragraph
+      .split("\n")
+      .map((line) => (preDepth > 0 ? line.replace(/\s+$/, "") : line.trim()))
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+    if (text && text !== "-") blocks.push({ kind: "paragraph", text });
+    paragraph = "";
+  };
+
+  const appendText = (text) => {
+    const table = tables[tables.length - 1];
+    if (heading) {
+      heading.text += text;
+    } else if (table?.cell !== null && table?.cell !== undefined) {
+      table.cell += text;
+    } else {
+      paragraph += text;
+    }
+  };
+
+  const closeCell = (table) => {
+    if (table.cell === null) return;
+    if (!table.row) table.row = { cells: [], header: true };
+    table.row.cells.push(collapseWhitespace(table.cell).trim());
+    table.cell = null;
+  };
+
+  const closeRow = (table) => {
+    closeCell(table);
+    if (table.row) table.rows.push(table.row);
+    table.row = null;
+  };
+
+  const tokenRegex = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b[^>]*?>|([^<]+)|</g;
+  let match;
+
+  while ((match = tokenRegex.exec(content)) !== null) {
+    const [token, closing, rawTag, text] = match;
+
+    if (text !== undefined || token === "<") {
+      const decoded = decodeHtmlEntities(text ?? token);
+      appendText(preDepth > 0 ? decoded : collapseWhitespace(decoded));
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const table = tables[tables.length - 1];
+
+    if (/^h[1-6]$/.test(tag)) {
+      if (!closing) {
+        flushParagraph();
+        heading = { level: Number(tag[1]), text: "" };
+      } else if (heading) {
+        const headingText = collapseWhitespace(heading.text).trim();
+        if (headingText) blocks.push({ kind: "heading", level: heading.level, text: headingText });
+        heading = null;
+      }
+      continue;
+    }
+
+    if (tag === "table") {
+      if (!closing) {
+        flushParagraph();
+        tables.push({ rows: [], row: null, cell: null });
+      } else if (table) {
+        closeRow(table);
+        tables.pop();
+        const rendered = formatTable(table.rows);
+        if (tables.length > 0) {
+          appendText(` ${rendered.replace(/\n/g, "; ")} `);
+        } else if (rendered) {
+          blocks.push({ kind: "paragraph", text: rendered });
+        }
+      }
+      continue;
+    }
+
+    if (table) {
+      if (tag === "tr") {
+        closeRow(table);
+        if (!closing) table.row = { cells: [], header: true };
+        continue;
+      }
+      if (tag === "td" || tag === "th") {
+        closeCell(table);
+        if (!closing) {
+          if (!table.row) table.row = { cells: [], header: true };
+          if (tag === "td") table.row.header = false;
+          table.cell = "";
+        }
+        continue;
+      }
+      if (tag === "caption") {
+        // Emit the caption ahead of the table it labels.
+        if (closing) flushParagraph();
+        continue;
+      }
+    }
+
+    if (tag === "br") {
+      appendText("\n");
+      continue;
+    }
+
+    if (tag === "pre") {
+      flushParagraph();
+      preDepth = closing ? Math.max(0, preDepth - 1) : preDepth + 1;
+      continue;
+    }
+
+    if (BLOCK_ELEMENTS.has(tag) && !table && !heading) {
+      flushParagraph();
+      if (tag === "li" && !closing) paragraph = "- ";
+    }
+  }
+
+  flushParagraph();
+  return { format: "html", title, blocks };
+}
@@ -0,0 +1,233 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Path filtering for directory scans.
+ *
+ * `.ragignore` files use gitignore syntax and apply to the folder they sit in
+ * and everything below it; deeper files and later lines win. An ingestion job
+ * may also pass `exclude` globs (same syntax, applied after every .ragignore)
+ * and `include` globs (when present, a file must match one to be ingested).
+ * Job globs are relative to the job's folder.
+ *
+ * Supported syntax: `#` comments, `!` negation, a trailing `/` for
+ * directories only, a leading or inner `/` to anchor the pattern to its base
+ * folder, `*`, `?`, `[...]` and `**`.
+ */
+
+export const IGNORE_FILE_NAME = ".ragignore";
+
+export const EXCLUDE_REASONS = {
+  IGNORE_FILE: "ragignore",
+  EXCLUDE_PATTERN: "exclude",
+  NOT_INCLUDED: "not_included",
+};
+
+// Windows paths are case-insensitive, so patterns are too.
+const REGEX_FLAGS = process.platform === "win32" ? "i" : "";
+
+function segmentSource(segment) {
+  let source = "";
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === "\\" && i + 1 < segment.length) {
+      source += escapeRegex(segment[++i]);
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const close = segment.indexOf("]", i + 2);
+      if (close === -1) {
+        source += "\\[";
+        continue;
+      }
+      let body = segment.slice(i + 1, close);
+      if (body.startsWith("!")) body = `^${body.slice(1)}`;
+      source += `[${body.replace(/\\/g, "\\\\")}]`;
+      i = close;
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return source;
+}
+
+function escapeRegex(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Compiles one gitignore-style line.
+ * @param {string} line
+ * @returns {{ pattern: string, negated: boolean, directoryOnly: boolean, regex: RegExp }|null}
+ *   null for blank lines and comments
+ */
+export function compilePattern(line) {
+  let pattern = String(line).replace(/(?<!\\)\s+$/, "");
+  if (!pattern || pattern.startsWith("#")) return null;
+
+  let negated = false;
+  if (pattern.startsWith("!")) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+    pattern = pattern.slice(1);
+  }
+
+  const directoryOnly = pattern.endsWith("/");
+  pattern = pattern.replace(/\/+$/, "");
+  // A slash anywhere but the end ties the pattern to its base folder;
+  // otherwise it matches a name at any depth.
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\/+/, "");
+  if (!pattern) return null;
+
+  const segments = pattern.split("/");
+  let source = "";
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1;
+    if (segment === "**") {
+      source += last ? ".*" : "(?:[^/]+/)*";
+    } else {
+      source += segmentSource(segment) + (last ? "" : "/");
+    }
+  });
+
+  return {
+    pattern: line.trim(),
+    negated,
+    directoryOnly,
+    regex: new RegExp(`^${anchored ? "" : "(?:.*/)?"}${source}$`, REGEX_FLAGS),
+  };
+}
+
+/**
+ * Compiles every rule in an ignore file's contents.
+ * @param {string} text
+ */
+export function parseIgnoreFile(text) {
+  return String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map(compilePattern)
+    .filter(Boolean);
+}
+
+// Last matching rule wins, as in gitignore.
+function lastMatch(rules, relativePath, isDirectory) {
+  let matched = null;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) matched = rule;
+  }
+  return matched;
+}
+
+function toPosix(relativePath) {
+  return relativePath.split(path.sep).join("/");
+}
+
+export class PathFilter {
+  /**
+   * @param {string} rootDir - folder the job ingests; job globs are relative to it
+   * @param {{ include?: string[], exclude?: string[] }} [options]
+   */
+  constructor(rootDir, { include = [], exclude = [] } = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.include = include.map(compilePattern).filter(Boolean);
+    this.exclude = exclude.map(compilePattern).filter(Boolean);
+    this.ignoreFiles = new Map(); // dir -> Promise<rules[]>
+  }
+
+  /**
+   * Checks one path. Scans call this for every entry of a directory they are
+   * walking, so ancestors are known not to be excluded.
+   * @param {string} targetPath
+   * @param {boolean} isDirectory
+   * @returns {Promise<{ reason: string, pattern: string|null, ignoreFile?: string }|null>}
+   *   null when the path should be scanned
+   */
+  async check(targetPath, isDirectory) {
+    const absolute = path.resolve(targetPath);
+    const relative = path.relative(this.rootDir, absolute);
+    if (!relative || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      return null;
+    }
+
+    let verdict = null;
+    const parts = relative.split(path.sep);
+    let dir = this.rootDir;
+    for (let depth = 0; depth < parts.length; depth++) {
+      const rule = lastMatch(
+        await this._rulesIn(dir),
+        parts.slice(depth).join("/"),
+        isDirectory,
+      );
+      if (rule) {
+        verdict = rule.negated
+          ? null
+          : {
+              reason: EXCLUDE_REASONS.IGNORE_FILE,
+              pattern: rule.pattern,
+              ignoreFile: path.join(dir, IGNORE_FILE_NAME),
+            };
+      }
+      dir = path.join(dir, parts[depth]);
+    }
+
+    const posixRelative = toPosix(relative);
+    const excludeRule = lastMatch(this.exclude, posixRelative, isDirectory);
+    if (excludeRule) {
+      verdict = excludeRule.negated
+        ? null
+        : { reason: EXCLUDE_REASONS.EXCLUDE_PATTERN, pattern: excludeRule.pattern };
+    }
+
+    if (!verdict && !isDirectory && this.include.length > 0 && !this._isIncluded(parts)) {
+      verdict = { reason: EXCLUDE_REASONS.NOT_INCLUDED, pattern: null };
+    }
+    return verdict;
+  }
+
+  /**
+   * Like check(), but also checks every folder between the root and the
+   * path. Used for paths reported by a folder watch, which were not reached
+   * by walking down from the root.
+   */
+  async checkTree(targetPath, isDirectory) {
+    const relative = path.relative(this.rootDir, path.resolve(targetPath));
+    const parts = relative.split(path.sep);
+    let dir = this.rootDir;
+    for (const part of parts.slice(0, -1)) {
+      dir = path.join(dir, part);
+      const verdict = await this.check(dir, true);
+      if (verdict) return verdict;
+    }
+    return this.check(targetPath, isDirectory);
+  }
+
+  // A file is included when it, or one of its folders, matches an include glob.
+  _isIncluded(parts) {
+    for (let length = parts.length; length > 0; length--) {
+      const rule = lastMatch(this.include, parts.slice(0, length).join("/"), length < parts.length);
+      if (rule) return !rule.negated;
+    }
+    return false;
+  }
+
+  _rulesIn(dir) {
+    if (!this.ignoreFiles.has(dir)) {
+      this.ignoreFiles.set(
+        dir,
+        fs.readFile(path.join(dir, IGNORE_FILE_NAME), "utf8").then(parseIgnoreFile, (err) => {
+          if (err.code !== "ENOENT" && err.code !== "ENOTDIR") {
+            console.warn(`[Ignore Warn] Could not read ${path.join(dir, IGNORE_FILE_NAME)}: ${err.message}`);
+          }
+          return [];
+        }),
+      );
+    }
+    return this.ignoreFiles.get(dir);
+  }
+}
@@ -0,0 +1,169 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * IngestionReport
+ *
+ * Structured outcome of one ingestion job: what happened to every scanned
+ * file, plus running totals. The queue keeps the totals on the job itself
+ * (they travel with queue.json and the SSE stream) and writes the full
+ * per-file report to `<dataDir>/reports/<jobId>.json` when the job ends.
+ */
+
+export const FILE_OUTCOMES = {
+  ADDED: "added",
+  UPDATED: "updated",
+  RENAMED: "renamed",
+  UNCHANGED: "unchanged",
+  SKIPPED: "skipped",
+  FAILED: "failed",
+};
+
+export const SKIP_REASONS = {
+  TOO_LARGE: "too_large",
+  READ_ERROR: "read_error",
+  STAT_ERROR: "stat_error",
+  EMPTY: "empty",
+  UNREADABLE_ARCHIVE: "unreadable_archive",
+  UNDECODABLE: "undecodable",
+};
+
+// Why a file ended FAILED. No new chunk of a failed file is kept; the next
+// run retries it.
+export const FAILURE_REASONS = {
+  EMBED_ERROR: "embed_error",
+  WRITE_ERROR: "write_error",
+};
+
+export function emptyTotals() {
+  return {
+    filesScanned: 0,
+    added: 0,
+    updated: 0,
+    renamed: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    chunksWritten: 0,
+    chunksFailed: 0,
+    orphansRemoved: 0,
+    excluded: 0,
+  };
+}
+
+export class IngestionReport {
+  /**
+   * @param {{ id: string, collection: string, path: string }} job
+   */
+  constructor(job) {
+    this.jobId = job.id;
+    this.collection = job.collection;
+    this.path = job.path;
+    this.status = "processing";
+    this.startedAt = new Date().toISOString();
+    this.completedAt = null;
+    this.error = null;
+    this.totals = emptyTotals();
+    this.files = [];
+    this.orphans = [];
+    this.excluded = [];
+  }
+
+  static getReportPath(dataDir, jobId) {
+    return path.join(dataDir, "reports", `${jobId}.json`);
+  }
+
+  /**
+   * Records the outcome for one file.
+   * @param {string} filePath
+   * @param {string} outcome - one of FILE_OUTCOMES
+   * @param {{ reason?: string, sourceId?: string, chunks?: number, error?: string, resumed?: boolean }} [details]
+   */
+  recordFile(filePath, outcome, details = {}) {
+    const entry = {
+      path: filePath,
+      fileName: path.basename(filePath),
+      outcome,
+      ...details,
+    };
+    this.files.push(entry);
+
+    if (outcome in this.totals) {
+      this.totals[outcome] += 1;
+    }
+    if (outcome === FILE_OUTCOMES.FAILED) {
+      this.totals.chunksFailed += details.chunks || 0;
+    } else if (outcome === FILE_OUTCOMES.ADDED || outcome === FILE_OUTCOMES.UPDATED) {
+      this.totals.chunksWritten += details.chunks || 0;
+    }
+    return entry;
+  }
+
+  setFilesScanned(count) {
+    this.totals.filesScanned = count;
+  }
+
+  recordOrphan(sourceId) {
+    this.orphans.push(sourceId);
+    this.totals.orphansRemoved += 1;
+  }
+
+  /**
+   * Records a file or folder that .ragignore or the job's include/exclude
+   * globs kept out of the scan.
+   * @param {{ path: string, directory: boolean, reason: string, pattern: string|null, ignoreFile?: string }} entry
+   */
+  recordExcluded(entry) {
+    this.excluded.push(entry);
+    this.totals.excluded += 1;
+  }
+
+  finish(status, error = null) {
+    this.status = status;
+    this.error = error;
+    this.completedAt = new Date().toISOString();
+  }
+
+  toJSON() {
+    return {
+      jobId: this.jobId,
+      collection: this.collection,
+      path: this.path,
+      status: this.status,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      error: this.error,
+      totals: { ...this.totals },
+      files: this.files,
+      orphans: this.orphans,
+      excluded: this.excluded,
+    };
+  }
+
+  async save(dataDir) {
+    const reportPath = IngestionReport.getReportPath(dataDir, this.jobId);
+    const tempPath = `${reportPath}.tmp`;
+    await fs.promises.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(this.toJSON(), null, 2), "utf8");
+    await fs.promises.rename(tempPath, reportPath);
+  }
+
+  /**
+   * Reads a saved report.
+   * @returns {Promise<object|null>} null when no report exists for the job
+   */
+  static async load(dataDir, jobId) {
+    try {
+      const data = await fs.promises.readFile(
+        IngestionReport.getReportPath(dataDir, jobId),
+        "utf8",
+      );
+      return JSON.parse(data);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`[IngestionReport Warn] Failed to read report for job ${jobId}: ${err.message}`);
+      }
+      return null;
+    }
+  }
+}
@@ -0,0 +1,307 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * LexicalIndex
+ *
+ * Per-collection inverted index with Okapi BM25 scoring. It is the lexical
+ * half of hybrid retrieval: VectorStore.findNearest searches it independently
+ * of LanceDB so exact-keyword matches that the embedding missed can still
+ * become candidates.
+ *
+ * The index is keyed by ChunkHash (the same identity stored on every LanceDB
+ * row) and grouped by SourceId so the ingestion pipeline can drop a whole
+ * source when it is re-embedded or orphaned. It only stores term statistics;
+ * row payloads are always read back from LanceDB, so an index entry whose row
+ * has since been deleted is simply skipped at query time.
+ *
+ * Persisted as `<collection>.lexical.json` next to the collection manifest.
+ */
+
+const LEXICAL_INDEX_VERSION = "1.0";
+const MIN_TERM_LENGTH = 2;
+
+// Standard Okapi BM25 parameters.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Parsed indexes keyed by file path, invalidated by mtime. The chat path opens
+// the index on every hybrid query, so re-parsing an unchanged file is avoided.
+const openCache = new Map();
+
+export class LexicalIndex {
+  constructor(collectionPath, collectionName) {
+    this.collectionPath = collectionPath;
+    this.collectionName = collectionName;
+    // chunkHash -> { SourceId, Length, Terms: { term: frequency } }
+    this.documents = new Map();
+    // term -> Map(chunkHash -> frequency)
+    this.postings = new Map();
+    // sourceId -> Set(chunkHash)
+    this.sources = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Splits text into lowercase index terms. Dots, dashes and underscores are
+   * kept inside a term so identifiers such as `XMLLogger.ps1` or
+   * `Invoke-RagQuery` stay searchable, but they are trimmed from the edges so
+   * sentence punctuation does not create distinct terms.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  static tokenize(text) {
+    if (typeof text !== "string" || !text) {
+      return [];
+    }
+
+    return text
+      .toLowerCase()
+      .split(/[^a-z0-9_.\-]+/)
+      .map((token) => token.replace(/^[.\-]+|[.\-]+$/g, ""))
+      .filter((token) => token.length >= MIN_TERM_LENGTH);
+  }
+
+  /**
+   * Builds the text that is indexed for a chunk record. FileName is left out
+   * on purpose: renames only touch FileName, and file targeting is already
+   * covered by the metadata filters in retrievalModes.
+   * @param {{ Text?: string, HeaderContext?: string, StructuralPath?: string }} record
+   * @returns {string}
+   */
+  static indexableText(record) {
+    return [record.Text, record.HeaderContext, record.StructuralPath]
+      .filter((value) => typeof value === "string" && value !== "None")
+      .join("\n");
+  }
+
+  static getIndexPath(collectionPath, collectionName) {
+    return path.join(collectionPath, `${collectionName}.lexical.json`);
+  }
+
+  /**
+   * Opens the persisted index for a collection, reusing the parsed copy while
+   * the file on disk is unchanged. A missing file yields an empty index.
+   * @param {string} collectionPath
+   * @param {string} collectionName
+   * @returns {Promise<LexicalIndex>}
+   */
+  static async open(collectionPath, collectionName) {
+    const indexPath = LexicalIndex.getIndexPath(collectionPath, collectionName);
+    let mtimeMs = 0;
+    try {
+      mtimeMs = (await fs.stat(indexPath)).mtimeMs;
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`[LexicalIndex Warn] Failed to stat index: ${err.message}`);
+      }
+      openCache.delete(indexPath);
+      return new LexicalIndex(collectionPath, collectionName);
+    }
+
+    const cached = openCache.get(indexPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.index;
+    }
+
+    const index = new LexicalIndex(collectionPath, collectionName);
+    await index.load();
+    openCache.set(indexPath, { mtimeMs, index });
+    return index;
+  }
+
+  // --- Persistence ---
+
+  getIndexPath() {
+    return LexicalIndex.getIndexPath(this.collectionPath, this.collectionName);
+  }
+
+  async load() {
+    const indexPath = this.getIndexPath();
+    try {
+      const data = await fs.readFile(indexPath, "utf8");
+      const json = JSON.parse(data);
+
+      if (!json || !json.Documents) return;
+
+      if (json.Version !== LEXICAL_INDEX_VERSION) {
+        console.warn(
+          `[LexicalIndex Warn] Unsupported index version "${json.Version}". ` +
+            `Index will be rebuilt on the next ingest.`,
+        );
+        return;
+      }
+
+      this.clear();
+      for (const [chunkHash, doc] of Object.entries(json.Documents)) {
+        this._insert(chunkHash, doc.SourceId, doc.Terms || {});
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`[LexicalIndex Warn] Failed to load index: ${err.message}`);
+      }
+    }
+  }
+
+  async save() {
+    const indexPath = this.getIndexPath();
+    const json = JSON.stringify({
+      Version: LEXICAL_INDEX_VERSION,
+      Collection: this.collectionName,
+      LastUpdated: new Date().toISOString(),
+      DocumentCount: this.documents.size,
+      Documents: Object.fromEntries(this.documents),
+    });
+
+    try {
+      await fs.mkdir(this.collectionPath, { recursive: true });
+      const tempPath = `${indexPath}.tmp`;
+      await fs.writeFile(tempPath, json, "utf8");
+      await fs.rename(tempPath, indexPath);
+    } catch (err) {
+      console.error(`[LexicalIndex Error] Failed to save index: ${err.message}`);
+    }
+  }
+
+  // --- Mutation ---
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.sources.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Indexes (or re-indexes) one chunk.
+   * @param {string} chunkHash - ChunkHash stored on the LanceDB row
+   * @param {string} sourceId  - SourceId of the parent document
+   * @param {string} text      - Text to index (see indexableText)
+   */
+  addChunk(chunkHash, sourceId, text) {
+    if (!chunkHash) return;
+    this.removeChunk(chunkHash);
+
+    const terms = {};
+    for (const term of LexicalIndex.tokenize(text)) {
+      terms[term] = (terms[term] || 0) + 1;
+    }
+    this._insert(chunkHash, sourceId, terms);
+  }
+
+  removeChunk(chunkHash) {
+    const doc = this.documents.get(chunkHash);
+    if (!doc) return;
+
+    for (const term of Object.keys(doc.Terms)) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      posting.delete(chunkHash);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    const sourceChunks = this.sources.get(doc.SourceId);
+    if (sourceChunks) {
+      sourceChunks.delete(chunkHash);
+      if (sourceChunks.size === 0) {
+        this.sources.delete(doc.SourceId);
+      }
+    }
+    this.totalLength -= doc.Length;
+    this.documents.delete(chunkHash);
+  }
+
+  /**
+   * Removes every chunk belonging to a source. Mirrors
+   * `table.delete("SourceId = '...'")` on the LanceDB side.
+   * @param {string} sourceId
+   * @returns {number} chunks removed
+   */
+  removeSource(sourceId) {
+    const chunkHashes = [...(this.sources.get(sourceId) || [])];
+    for (const chunkHash of chunkHashes) {
+      this.removeChunk(chunkHash);
+    }
+    return chunkHashes.length;
+  }
+
+  hasSource(sourceId) {
+    return this.sources.has(sourceId);
+  }
+
+  _insert(chunkHash, sourceId, terms) {
+    const owner = sourceId || "";
+    let length = 0;
+    for (const [term, frequency] of Object.entries(terms)) {
+      length += frequency;
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(chunkHash, frequency);
+    }
+
+    this.documents.set(chunkHash, {
+      SourceId: owner,
+      Length: length,
+      Terms: terms,
+    });
+    if (!this.sources.has(owner)) {
+      this.sources.set(owner, new Set());
+    }
+    this.sources.get(owner).add(chunkHash);
+    this.totalLength += length;
+  }
+
+  // --- Query ---
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Ranks chunks against a free-text query with BM25.
+   * @param {string} query
+   * @param {number} limit - Maximum hits to return
+   * @returns {{ chunkHash: string, sourceId: string, score: number }[]} highest score first
+   */
+  search(query, limit = 10) {
+    const documentCount = this.documents.size;
+    if (documentCount === 0) {
+      return [];
+    }
+
+    const queryTerms = [...new Set(LexicalIndex.tokenize(query))];
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(
+        1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5),
+      );
+
+      for (const [chunkHash, frequency] of posting) {
+        const length = this.documents.get(chunkHash).Length;
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * length) / averageLength);
+        const termScore = (idf * frequency * (BM25_K1 + 1)) / (frequency + norm);
+        scores.set(chunkHash, (scores.get(chunkHash) || 0) + termScore);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((left, right) => right[1] - left[1])
+      .slice(0, Math.max(1, limit))
+      .map(([chunkHash, score]) => ({
+        chunkHash,
+        sourceId: this.documents.get(chunkHash).SourceId,
+        score,
+      }));
+  }
+}
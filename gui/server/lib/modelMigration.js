@@ -14,6 +14,7 @@
  */
 
 import path from "path";
+import { archiveContainerPath } from "./archiveSource.js";
 
 /**
  * Triggers a full re-embedding migration for a collection.
@@ -38,7 +39,8 @@ export async function triggerModelMigration(
       `Initiating full re-embedding migration for collection "${collectionName}".`,
   );
 
-  // Collect unique source directories from manifest entries
+  // Collect unique source directories from manifest entries (an archive
+  // member's directory is the one holding its archive)
   const sourceDirs = new Set();
   for (const entry of parser.entries.values()) {
     if (
@@ -46,7 +48,7 @@ export async function triggerModelMigration(
       typeof entry.SourcePath === "string" &&
       entry.SourcePath.trim() !== ""
     ) {
-      sourceDirs.add(path.dirname(entry.SourcePath));
+      sourceDirs.add(path.dirname(archiveContainerPath(entry.SourcePath)));
     }
   }
 
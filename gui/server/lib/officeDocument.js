@@ -0,0 +1,208 @@
+import path from "path";
+import { readZipEntries, readZipText } from "./zipArchive.js";
+
+/**
+ * Local text extraction for DOCX and ODT documents.
+ *
+ * Both formats are ZIP archives with an XML body. The extractor walks that
+ * XML and returns an ordered list of blocks, keeping heading levels so
+ * SmartTextChunker.splitOfficeDocument can chunk by section:
+ *
+ *   { format: "docx", blocks: [{ kind: "heading", level: 1, text }, { kind: "paragraph", text }] }
+ */
+
+export const OFFICE_EXTENSIONS = [".docx", ".odt"];
+
+export function isOfficeDocument(filePath) {
+  return OFFICE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+export function decodeXmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+    switch (entity.toLowerCase()) {
+      case "lt":
+        return "<";
+      case "gt":
+        return ">";
+      case "amp":
+        return "&";
+      case "quot":
+        return '"';
+      case "apos":
+        return "'";
+      default: {
+        const codePoint = entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        return Number.isFinite(codePoint) && codePoint <= 0x10ffff
+          ? String.fromCodePoint(codePoint)
+          : match;
+      }
+    }
+  });
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function normalizeBlockText(text) {
+  return text
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function pushBlock(blocks, level, text) {
+  const clean = normalizeBlockText(text);
+  if (!clean) return;
+  if (level > 0) {
+    blocks.push({ kind: "heading", level, text: clean.replace(/\s*\n\s*/g, " ") });
+  } else {
+    blocks.push({ kind: "paragraph", text: clean });
+  }
+}
+
+// --- DOCX ---
+
+// Maps paragraph style ids to heading levels. Built-in styles are named
+// "heading 1".."heading 9" (ids vary by locale), "Title" counts as level 1,
+// and custom styles can declare an outline level directly.
+export function parseDocxHeadingStyles(stylesXml) {
+  const levels = new Map();
+  if (!stylesXml) return levels;
+
+  const styleRegex = /<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g;
+  let match;
+  while ((match = styleRegex.exec(stylesXml)) !== null) {
+    const styleId = readAttribute(match[1], "w:styleId");
+    if (!styleId) continue;
+
+    const body = match[2];
+    const name = (body.match(/<w:name\s+w:val="([^"]*)"/) || [])[1] || "";
+    const headingName = name.match(/^heading\s*(\d)$/i);
+    const outline = body.match(/<w:outlineLvl\s+w:val="(\d)"/);
+
+    if (headingName) {
+      levels.set(styleId, Number(headingName[1]));
+    } else if (/^title$/i.test(name)) {
+      levels.set(styleId, 1);
+    } else if (outline && Number(outline[1]) < 9) {
+      levels.set(styleId, Number(outline[1]) + 1);
+    }
+  }
+  return levels;
+}
+
+function docxHeadingLevel(paragraphXml, headingStyles) {
+  const outline = paragraphXml.match(/<w:outlineLvl\s+w:val="(\d)"/);
+  if (outline && Number(outline[1]) < 9) {
+    return Number(outline[1]) + 1;
+  }
+
+  const styleId = (paragraphXml.match(/<w:pStyle\s+w:val="([^"]*)"/) || [])[1];
+  if (!styleId) return 0;
+  if (headingStyles.has(styleId)) return headingStyles.get(styleId);
+
+  // Documents without styles.xml still use the conventional ids.
+  const conventional = styleId.match(/^Heading(\d)$/i);
+  if (conventional) return Number(conventional[1]);
+  return /^Title$/i.test(styleId) ? 1 : 0;
+}
+
+function docxParagraphText(paragraphXml) {
+  const tokenRegex = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g;
+  let text = "";
+  let match;
+  while ((match = tokenRegex.exec(paragraphXml)) !== null) {
+    if (match[1] !== undefined) {
+      text += decodeXmlEntities(match[1]);
+    } else if (match[0].startsWith("<w:tab")) {
+      text += "\t";
+    } else {
+      text += "\n";
+    }
+  }
+  return text;
+}
+
+export function parseDocxXml(documentXml, stylesXml = null) {
+  const headingStyles = parseDocxHeadingStyles(stylesXml);
+  const blocks = [];
+  const paragraphRegex = /<w:p(?:\s[^>]*)?>([\s\S]*?)<\/w:p>/g;
+  let match;
+
+  while ((match = paragraphRegex.exec(documentXml)) !== null) {
+    const paragraphXml = match[1];
+    const level = docxHeadingLevel(paragraphXml, headingStyles);
+    let text = docxParagraphText(paragraphXml);
+    if (level === 0 && /<w:numPr>/.test(paragraphXml) && text.trim()) {
+      text = `- ${text.trim()}`;
+    }
+    pushBlock(blocks, level, text);
+  }
+
+  return { format: "docx", blocks };
+}
+
+// --- ODT ---
+
+function odtInlineText(xml) {
+  return decodeXmlEntities(
+    xml
+      .replace(/<text:s(?:\s[^>]*?)?\/>/g, (tag) => " ".repeat(Number(readAttribute(tag, "text:c")) || 1))
+      .replace(/<text:tab\s*\/>/g, "\t")
+      .replace(/<text:line-break\s*\/>/g, "\n")
+      .replace(/<[^>]+>/g, ""),
+  );
+}
+
+export function parseOdtXml(contentXml) {
+  const blocks = [];
+  // Footnote bodies nest paragraphs inside paragraphs; drop them rather than
+  // let them split the surrounding paragraph.
+  const body = contentXml
+    .replace(/<text:note\b[\s\S]*?<\/text:note>/g, "")
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, "");
+
+  const blockRegex = /<text:(h|p)(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/text:\1>)/g;
+  let match;
+
+  while ((match = blockRegex.exec(body)) !== null) {
+    const [, tagName, attributes, inner = ""] = match;
+    const level = tagName === "h" ? Number(readAttribute(attributes, "text:outline-level")) || 1 : 0;
+    pushBlock(blocks, level, odtInlineText(inner));
+  }
+
+  return { format: "odt", blocks };
+}
+
+/**
+ * Extracts ordered heading/paragraph blocks from a DOCX or ODT file.
+ * @param {Buffer} buffer - raw file contents
+ * @param {string} ext - ".docx" or ".odt"
+ * @returns {{ format: "docx"|"odt", blocks: Array<{ kind: "heading"|"paragraph", level?: number, text: string }> }}
+ */
+export function extractOfficeDocument(buffer, ext) {
+  const entries = readZipEntries(buffer);
+
+  switch (ext.toLowerCase()) {
+    case ".docx": {
+      const documentXml = readZipText(buffer, "word/document.xml", entries);
+      if (documentXml === null) {
+        throw new Error("DOCX archive has no word/document.xml");
+      }
+      return parseDocxXml(documentXml, readZipText(buffer, "word/styles.xml", entries));
+    }
+    case ".odt": {
+      const contentXml = readZipText(buffer, "content.xml", entries);
+      if (contentXml === null) {
+        throw new Error("ODT archive has no content.xml");
+      }
+      return parseOdtXml(contentXml);
+    }
+    default:
+      throw new Error(`Unsupported office document type: ${ext}`);
+  }
+}
@@ -1,39 +1,172 @@
 // Mutex for sequential embedding requests
 let embedPromise = Promise.resolve();
 
-export async function embed(text, model, baseUrl) {
-  const execute = async () => {
-    const response = await fetch(`${baseUrl}/api/embeddings`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ model, prompt: text }),
-    });
-
-    if (!response.ok) {
-      const textBody = await response.text().catch(() => "");
-      throw new Error(`Ollama embed failed: ${response.status} ${textBody}`);
+const DEFAULT_EMBED_BATCH_SIZE = 32;
+const DEFAULT_EMBED_CONCURRENCY = 4;
+
+// Base URLs whose Ollama predates the batch `/api/embed` endpoint.
+const batchEndpointUnsupported = new Set();
+
+class BatchEndpointMissingError extends Error {}
+
+async function requestEmbedding(text, model, baseUrl) {
+  const response = await fetch(`${baseUrl}/api/embeddings`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model, prompt: text }),
+  });
+
+  if (!response.ok) {
+    const textBody = await response.text().catch(() => "");
+    throw new Error(`Ollama embed failed: ${response.status} ${textBody}`);
+  }
+
+  const data = await response.json();
+  return new Float32Array(data.embedding);
+}
+
+async function requestEmbeddingBatch(texts, model, baseUrl) {
+  const response = await fetch(`${baseUrl}/api/embed`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model, input: texts }),
+  });
+
+  if (!response.ok) {
+    const textBody = await response.text().catch(() => "");
+    // Old servers answer an unknown route with a bare 404; newer ones also use
+    // 404 for a missing model, which must surface as a real error.
+    if (response.status === 404 && !/model/i.test(textBody)) {
+      throw new BatchEndpointMissingError(textBody);
+    }
+    throw new Error(`Ollama embed failed: ${response.status} ${textBody}`);
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data?.embeddings) || data.embeddings.length !== texts.length) {
+    throw new Error(
+      `Ollama embed returned ${data?.embeddings?.length ?? 0} embeddings for ${texts.length} inputs`,
+    );
+  }
+  return data.embeddings.map((embedding) => new Float32Array(embedding));
+}
+
+// Maps items through fn with at most `limit` calls in flight; keeps input order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
     }
+  });
+  await Promise.all(runners);
+  return results;
+}
 
-    const data = await response.json();
-    return new Float32Array(data.embedding);
-  };
+function positiveInt(value, fallback) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number >= 1 ? number : fallback;
+}
 
-  const next = () => execute();
+export async function embed(text, model, baseUrl) {
+  const next = () => requestEmbedding(text, model, baseUrl);
   embedPromise = embedPromise.catch(() => {}).then(next);
   return embedPromise;
 }
 
+/**
+ * Embeds many texts with as few round trips as possible. Texts are sent to
+ * `/api/embed` in groups of `batchSize`, with up to `concurrency` requests in
+ * flight. Servers without `/api/embed` get bounded-parallel single
+ * `/api/embeddings` calls instead.
+ * @param {string[]} texts
+ * @param {string} model
+ * @param {string} baseUrl
+ * @param {{ concurrency?: number, batchSize?: number }} [options]
+ * @returns {Promise<Float32Array[]>} one vector per input text, in input order
+ */
+export async function embedBatch(texts, model, baseUrl, options = {}) {
+  if (!Array.isArray(texts) || texts.length === 0) return [];
+  const batchSize = positiveInt(options.batchSize, DEFAULT_EMBED_BATCH_SIZE);
+  const concurrency = positiveInt(options.concurrency, DEFAULT_EMBED_CONCURRENCY);
+
+  if (!batchEndpointUnsupported.has(baseUrl)) {
+    const batches = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+      batches.push(texts.slice(i, i + batchSize));
+    }
+
+    try {
+      const results = await mapWithConcurrency(batches, concurrency, (batch) =>
+        requestEmbeddingBatch(batch, model, baseUrl),
+      );
+      return results.flat();
+    } catch (err) {
+      if (!(err instanceof BatchEndpointMissingError)) throw err;
+      batchEndpointUnsupported.add(baseUrl);
+      console.warn(
+        `[OllamaClient Warn] ${baseUrl}/api/embed is not available; falling back to single embedding requests.`,
+      );
+    }
+  }
+
+  return mapWithConcurrency(texts, concurrency, (text) =>
+    requestEmbedding(text, model, baseUrl),
+  );
+}
+
+/**
+ * Non-streaming chat completion. Used for short auxiliary prompts (e.g.
+ * reranking) where the caller needs the whole reply before continuing.
+ * @returns {Promise<string>} assistant message content
+ */
+export async function chat(messages, model, baseUrl, options = {}) {
+  const { abortSignal = null, ...modelOptions } = options;
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model,
+      messages,
+      stream: false,
+      ...(Object.keys(modelOptions).length > 0 ? { options: modelOptions } : {}),
+    }),
+    signal: abortSignal,
+  });
+
+  if (!response.ok) {
+    throw new Error(`Ollama chat failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data?.message?.content || "";
+}
+
+/**
+ * Streaming chat completion. `onChunk` receives each piece of the reply.
+ * @param {object} [modelOptions] - Ollama model options, e.g. `{ num_ctx }`
+ * @returns {Promise<{ promptTokens: number|null, completionTokens: number|null }>}
+ *   token counts Ollama reported with the final chunk (null when it sent none)
+ */
 export async function chatStream(
   messages,
   model,
   baseUrl,
   onChunk,
   abortSignal = null,
+  modelOptions = {},
 ) {
   const response = await fetch(`${baseUrl}/api/chat`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ model, messages, stream: true }),
+    body: JSON.stringify({
+      model,
+      messages,
+      stream: true,
+      ...(Object.keys(modelOptions).length > 0 ? { options: modelOptions } : {}),
+    }),
     signal: abortSignal,
   });
 
@@ -66,7 +199,12 @@ export async function chatStream(
             onChunk(parsed.message.content);
           }
           if (parsed.done === true) {
-            return;
+            return {
+              promptTokens: Number.isInteger(parsed.prompt_eval_count)
+                ? parsed.prompt_eval_count
+                : null,
+              completionTokens: Number.isInteger(parsed.eval_count) ? parsed.eval_count : null,
+            };
           }
         } catch (e) {
           console.warn(
@@ -77,4 +215,5 @@ export async function chatStream(
       }
     }
   }
+  return { promptTokens: null, completionTokens: null };
 }
@@ -0,0 +1,261 @@
+import { chat } from "./ollamaClient.js";
+
+/**
+ * Query condensation
+ *
+ * Rewrites a follow-up question into a standalone search query before
+ * retrieval. /api/chat embeds the last user turn, and "what about the second
+ * one?" on its own matches nothing useful. The rewrite drives embedding, the
+ * retrieval plan and reranking; the chat model still receives the
+ * conversation as sent.
+ *
+ * Strategies:
+ *   ollama    — asks a local chat model to rewrite the question from the
+ *               recent turns. Falls back to the heuristic if the call fails
+ *               or the reply is unusable.
+ *   heuristic — deterministic coreference. Ordinal references ("the second
+ *               one", "option 3") become that item of the list in the last
+ *               assistant reply, and a question that still leans on earlier
+ *               turns is prefixed with the previous user question.
+ */
+
+export const CONDENSE_STRATEGIES = {
+  OLLAMA: "ollama",
+  HEURISTIC: "heuristic",
+};
+
+const DEFAULT_MAX_TURNS = 6;
+const MAX_TURN_CHARS = 600;
+const MAX_QUERY_CHARS = 500;
+const MAX_ITEM_CHARS = 160;
+
+const ORDINAL_WORDS = {
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  fifth: 5,
+  sixth: 6,
+  seventh: 7,
+  eighth: 8,
+  ninth: 9,
+  tenth: 10,
+};
+const ORDINAL_REFERENCE =
+  /\bthe\s+(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|\d+(?:st|nd|rd|th))(?:\s+(?:one|ones|option|item|step|point|approach|method|way|entry|choice|suggestion))?\b|(?:\b(?:option|item|step|number|no\.)\s*#?|#)(\d+)\b/gi;
+const LIST_ITEM = /^\s*(?:\d+[.)]|[-*•])\s+(.+)$/;
+// Words that point back at earlier turns. "that" and "there" are left out;
+// they are too often relative or existential.
+const ANAPHORA = /\b(it|its|it's|they|them|their|theirs|this|these|those|he|him|his|she|her|one|ones|former|latter|above|same)\b/i;
+const CONTINUATION = /^\s*(and|also|but|or|so|then|what about|how about)\b/i;
+
+function normalizeText(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+function readContent(message) {
+  return typeof message?.content === "string" ? message.content : "";
+}
+
+function clip(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit).trimEnd()}...` : text;
+}
+
+export function normalizeCondenseStrategy(strategy, fallback = CONDENSE_STRATEGIES.OLLAMA) {
+  const normalized = normalizeText(strategy);
+  if (Object.values(CONDENSE_STRATEGIES).includes(normalized)) {
+    return normalized;
+  }
+  return normalizeText(fallback) === CONDENSE_STRATEGIES.HEURISTIC
+    ? CONDENSE_STRATEGIES.HEURISTIC
+    : CONDENSE_STRATEGIES.OLLAMA;
+}
+
+/**
+ * Returns true when a per-request `condense` value is acceptable: a boolean,
+ * or one of the strategy names.
+ */
+export function isValidCondenseFlag(value) {
+  if (value === undefined || value === null || typeof value === "boolean") {
+    return true;
+  }
+  return Object.values(CONDENSE_STRATEGIES).includes(normalizeText(value));
+}
+
+/**
+ * Resolves the effective condensation settings from the `RAG.Condense` config
+ * block and an optional per-request flag. `true` enables the configured
+ * strategy, `false` disables condensation, and a strategy name enables that
+ * strategy.
+ * @param {object} condenseConfig - RAG.Condense
+ * @param {boolean|string} [requestFlag]
+ * @returns {{ enabled: boolean, strategy: string, maxTurns: number, model: string }}
+ */
+export function resolveCondenseOptions(condenseConfig, requestFlag) {
+  const settings = condenseConfig && typeof condenseConfig === "object" ? condenseConfig : {};
+  let enabled = settings.Enabled === true;
+  let strategy = normalizeCondenseStrategy(settings.Strategy);
+
+  if (typeof requestFlag === "boolean") {
+    enabled = requestFlag;
+  } else if (typeof requestFlag === "string" && normalizeText(requestFlag)) {
+    enabled = true;
+    strategy = normalizeCondenseStrategy(requestFlag, strategy);
+  }
+
+  const maxTurns = Number.isFinite(settings.MaxTurns)
+    ? Math.min(20, Math.max(1, Math.floor(settings.MaxTurns)))
+    : DEFAULT_MAX_TURNS;
+
+  return {
+    enabled,
+    strategy,
+    maxTurns,
+    model: typeof settings.Model === "string" ? settings.Model.trim() : "",
+  };
+}
+
+/**
+ * Items of the markdown lists in an assistant reply, in order, with emphasis
+ * and code markers removed.
+ * @param {string} reply
+ * @returns {string[]}
+ */
+export function readListItems(reply) {
+  return String(reply || "")
+    .split(/\r?\n/)
+    .map((line) => line.match(LIST_ITEM)?.[1])
+    .filter(Boolean)
+    .map((item) => clip(item.replace(/[*_`]+/g, "").trim(), MAX_ITEM_CHARS))
+    .filter(Boolean);
+}
+
+function resolveOrdinalReferences(question, items) {
+  if (items.length === 0) return question;
+  return question.replace(ORDINAL_REFERENCE, (reference, word, number) => {
+    const key = normalizeText(word);
+    const position =
+      key === "last"
+        ? items.length
+        : ORDINAL_WORDS[key] ?? Number.parseInt(number ?? key, 10);
+    return items[position - 1] ?? reference;
+  });
+}
+
+/**
+ * Deterministic rewrite of the last message of `messages`.
+ * @param {{ role: string, content: string }[]} messages - earlier turns, then the question
+ * @returns {string} the standalone query (the question itself when it needs no context)
+ */
+export function condenseHeuristically(messages) {
+  const question = readContent(messages[messages.length - 1]).trim();
+  const earlier = messages.slice(0, -1);
+  const lastReply = readContent(earlier.findLast((message) => message.role === "assistant"));
+  const previousQuestion = readContent(
+    earlier.findLast((message) => message.role === "user"),
+  ).trim();
+
+  const resolved = resolveOrdinalReferences(question, readListItems(lastReply));
+  const leansOnContext =
+    ANAPHORA.test(resolved) ||
+    CONTINUATION.test(resolved) ||
+    resolved.split(/\s+/).filter(Boolean).length <= 3;
+  const rewritten =
+    previousQuestion && leansOnContext ? `${previousQuestion} ${resolved}` : resolved;
+  return clip(rewritten, MAX_QUERY_CHARS);
+}
+
+function buildCondenseMessages(turns, question) {
+  const transcript = turns
+    .map(
+      (message) =>
+        `${message.role === "assistant" ? "Assistant" : "User"}: ${clip(readContent(message), MAX_TURN_CHARS)}`,
+    )
+    .join("\n");
+  return [
+    {
+      role: "system",
+      content:
+        "You rewrite the last question of a conversation as a standalone search query. " +
+        'Resolve pronouns and references such as "the second one" from the conversation, and keep every name, term and number. ' +
+        "Reply with the query only. No other text.",
+    },
+    {
+      role: "user",
+      content: `Conversation:\n${transcript}\n\nLast question: ${question}\n\nStandalone query:`,
+    },
+  ];
+}
+
+/**
+ * Pulls the rewritten query out of a model reply: the first non-empty line,
+ * without a "Query:" label or surrounding quotes.
+ * @returns {string|null} null when the reply is empty or too long to be a query
+ */
+export function parseCondensedQuery(reply) {
+  const line =
+    String(reply || "")
+      .split(/\r?\n/)
+      .map((candidate) => candidate.trim())
+      .find(Boolean) || "";
+  const query = line
+    .replace(/^(?:standalone\s+)?query\s*:\s*/i, "")
+    .replace(/^["'`]+|["'`]+$/g, "")
+    .trim();
+  return query && query.length <= MAX_QUERY_CHARS ? query : null;
+}
+
+/**
+ * Rewrites the last message of a conversation into a standalone query.
+ *
+ * @param {{ role: string, content: string }[]} messages - the /api/chat messages
+ * @param {{ strategy: string, maxTurns?: number, model?: string, baseUrl?: string }} options
+ * @returns {Promise<{ original: string, rewritten: string, strategy: string, fallbackFrom?: string }|null>}
+ *   null when there are no earlier turns to draw on
+ */
+export async function condenseQuery(messages, options) {
+  const list = Array.isArray(messages) ? messages : [];
+  const question = readContent(list[list.length - 1]).trim();
+  const turns = list
+    .slice(0, -1)
+    .filter(
+      (message) =>
+        (message?.role === "user" || message?.role === "assistant") && readContent(message).trim(),
+    )
+    .slice(-(options.maxTurns || DEFAULT_MAX_TURNS));
+  if (!question || turns.length === 0) return null;
+
+  let strategy = normalizeCondenseStrategy(options.strategy);
+  let fallbackFrom;
+  let rewritten = null;
+
+  if (strategy === CONDENSE_STRATEGIES.OLLAMA) {
+    try {
+      const reply = await chat(buildCondenseMessages(turns, question), options.model, options.baseUrl, {
+        temperature: 0,
+        num_predict: 96,
+      });
+      rewritten = parseCondensedQuery(reply);
+      if (!rewritten) {
+        throw new Error(`Unusable rewrite reply "${String(reply).slice(0, 40)}"`);
+      }
+    } catch (err) {
+      console.warn(
+        `[Condense Warn] Ollama query rewrite failed, using heuristic instead: ${err.message}`,
+      );
+      fallbackFrom = strategy;
+      strategy = CONDENSE_STRATEGIES.HEURISTIC;
+    }
+  }
+
+  if (!rewritten) {
+    rewritten = condenseHeuristically([...turns, { role: "user", content: question }]);
+  }
+
+  return {
+    original: question,
+    rewritten,
+    strategy,
+    ...(fallbackFrom ? { fallbackFrom } : {}),
+  };
+}
@@ -0,0 +1,290 @@
+import { chat } from "./ollamaClient.js";
+
+/**
+ * Query expansion
+ *
+ * Searches several wordings of the query instead of one. A single embedding of
+ * the user's phrasing misses passages that say the same thing in other words;
+ * each variant is embedded and searched on its own, and the ranked lists are
+ * fused per collection.
+ *
+ * Strategies:
+ *   multi-query — a local chat model writes paraphrases of the query.
+ *   hyde        — a local chat model writes a short hypothetical answer
+ *                 passage (HyDE), which is searched like a document.
+ *   both        — paraphrases and the passage.
+ *
+ * The original query is always searched as variant `q0`. A generation that
+ * fails is skipped with a warning; the remaining variants still run.
+ */
+
+export const EXPANSION_STRATEGIES = {
+  MULTI_QUERY: "multi-query",
+  HYDE: "hyde",
+  BOTH: "both",
+};
+
+const DEFAULT_VARIANTS = 3;
+const MAX_VARIANTS = 5;
+const MAX_PARAPHRASE_CHARS = 300;
+const MAX_PASSAGE_CHARS = 1200;
+const MAX_TRACE_TEXT_CHARS = 200;
+// Reciprocal Rank Fusion constant, as in hybrid `rrf` fusion.
+const RRF_K = 60;
+
+function normalizeText(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+export function normalizeExpansionStrategy(strategy, fallback = EXPANSION_STRATEGIES.MULTI_QUERY) {
+  const normalized = normalizeText(strategy);
+  if (Object.values(EXPANSION_STRATEGIES).includes(normalized)) {
+    return normalized;
+  }
+  const normalizedFallback = normalizeText(fallback);
+  return Object.values(EXPANSION_STRATEGIES).includes(normalizedFallback)
+    ? normalizedFallback
+    : EXPANSION_STRATEGIES.MULTI_QUERY;
+}
+
+/**
+ * Returns true when a per-request `expansion` value is acceptable: a boolean,
+ * or one of the strategy names.
+ */
+export function isValidExpansionFlag(value) {
+  if (value === undefined || value === null || typeof value === "boolean") {
+    return true;
+  }
+  return Object.values(EXPANSION_STRATEGIES).includes(normalizeText(value));
+}
+
+/**
+ * Resolves the effective expansion settings from the `RAG.QueryExpansion`
+ * config block and an optional per-request flag. `true` enables the
+ * configured strategy, `false` disables expansion, and a strategy name
+ * enables that strategy.
+ * @param {object} expansionConfig - RAG.QueryExpansion
+ * @param {boolean|string} [requestFlag]
+ * @returns {{ enabled: boolean, strategy: string, variants: number, model: string }}
+ */
+export function resolveExpansionOptions(expansionConfig, requestFlag) {
+  const settings = expansionConfig && typeof expansionConfig === "object" ? expansionConfig : {};
+  let enabled = settings.Enabled === true;
+  let strategy = normalizeExpansionStrategy(settings.Strategy);
+
+  if (typeof requestFlag === "boolean") {
+    enabled = requestFlag;
+  } else if (typeof requestFlag === "string" && normalizeText(requestFlag)) {
+    enabled = true;
+    strategy = normalizeExpansionStrategy(requestFlag, strategy);
+  }
+
+  const variants = Number.isFinite(settings.Variants)
+    ? Math.min(MAX_VARIANTS, Math.max(1, Math.floor(settings.Variants)))
+    : DEFAULT_VARIANTS;
+
+  return {
+    enabled,
+    strategy,
+    variants,
+    model: typeof settings.Model === "string" ? settings.Model.trim() : "",
+  };
+}
+
+/**
+ * Paraphrases from a model reply: one per line, without numbering, bullets
+ * or quotes. Lines equal to the query or to an earlier line are dropped.
+ * @param {string} reply
+ * @param {string} query
+ * @param {number} limit
+ * @returns {string[]}
+ */
+export function parseParaphrases(reply, query, limit) {
+  const seen = new Set([normalizeText(query)]);
+  const paraphrases = [];
+  for (const line of String(reply || "").split(/\r?\n/)) {
+    const text = line
+      .replace(/^\s*(?:\d+[.)]|[-*•])\s*/, "")
+      .replace(/^["'`]+|["'`]+$/g, "")
+      .trim();
+    const key = normalizeText(text);
+    if (!text || text.length > MAX_PARAPHRASE_CHARS || seen.has(key)) continue;
+    seen.add(key);
+    paraphrases.push(text);
+    if (paraphrases.length >= limit) break;
+  }
+  return paraphrases;
+}
+
+async function generateParaphrases(query, count, { model, baseUrl }) {
+  const reply = await chat(
+    [
+      {
+        role: "system",
+        content:
+          "You write alternative phrasings of a search query for a document search. " +
+          "Keep every name, term and number. Reply with one query per line. No numbering and no other text.",
+      },
+      {
+        role: "user",
+        content: `Query: ${query}\n\nWrite ${count} different phrasings of this query:`,
+      },
+    ],
+    model,
+    baseUrl,
+    { temperature: 0.2, num_predict: 60 * count },
+  );
+  const paraphrases = parseParaphrases(reply, query, count);
+  if (paraphrases.length === 0) {
+    throw new Error(`No paraphrases in reply "${String(reply).slice(0, 40)}"`);
+  }
+  return paraphrases;
+}
+
+async function generateHypotheticalPassage(query, { model, baseUrl }) {
+  const reply = await chat(
+    [
+      {
+        role: "system",
+        content:
+          "You write a short passage that answers a question, as it would appear in technical documentation. " +
+          "Reply with the passage only.",
+      },
+      { role: "user", content: `Question: ${query}\n\nPassage (3-4 sentences):` },
+    ],
+    model,
+    baseUrl,
+    { temperature: 0, num_predict: 200 },
+  );
+  const passage = String(reply || "").trim();
+  if (!passage) throw new Error("Empty passage reply");
+  return passage.slice(0, MAX_PASSAGE_CHARS);
+}
+
+/**
+ * The query variants to search.
+ *
+ * @param {string} query - the (possibly condensed) retrieval query
+ * @param {{ strategy: string, variants: number, model?: string, baseUrl?: string }} options
+ * @returns {Promise<{ id: string, kind: "original"|"paraphrase"|"hyde", text: string }[]>}
+ *   the original first (`q0`), then paraphrases (`q1`...) and the passage (`hyde`)
+ */
+export async function generateQueryVariants(query, options) {
+  const strategy = normalizeExpansionStrategy(options.strategy);
+  const variants = [{ id: "q0", kind: "original", text: query }];
+
+  if (strategy !== EXPANSION_STRATEGIES.HYDE) {
+    try {
+      const paraphrases = await generateParaphrases(query, options.variants || DEFAULT_VARIANTS, options);
+      paraphrases.forEach((text, index) =>
+        variants.push({ id: `q${index + 1}`, kind: "paraphrase", text }),
+      );
+    } catch (err) {
+      console.warn(`[Expansion Warn] Could not generate paraphrases: ${err.message}`);
+    }
+  }
+
+  if (strategy !== EXPANSION_STRATEGIES.MULTI_QUERY) {
+    try {
+      variants.push({ id: "hyde", kind: "hyde", text: await generateHypotheticalPassage(query, options) });
+    } catch (err) {
+      console.warn(`[Expansion Warn] Could not generate a hypothetical passage: ${err.message}`);
+    }
+  }
+
+  return variants;
+}
+
+function rowKey(row, index) {
+  return row.ChunkHash || `${row.FileName || "unknown"}#${row.ChunkIndex ?? index}`;
+}
+
+/**
+ * Fuses the ranked lists of one collection's variant searches. Rows are
+ * deduplicated by ChunkHash and ordered by Reciprocal Rank Fusion, so a chunk
+ * several variants found ranks above one found by a single variant. A row
+ * keeps its best `score` and gains `matchedVariants` (variant ids, in search
+ * order).
+ * @param {{ variantId: string, results: object[] }[]} searches
+ * @param {number} limit
+ * @returns {object[]}
+ */
+export function mergeVariantResults(searches, limit) {
+  const merged = new Map();
+  for (const { variantId, results } of searches) {
+    (Array.isArray(results) ? results : []).forEach((row, index) => {
+      const key = rowKey(row, index);
+      const fused = 1 / (RRF_K + index + 1);
+      const entry = merged.get(key);
+      if (!entry) {
+        merged.set(key, { row: { ...row, matchedVariants: [variantId] }, fused, order: merged.size });
+        return;
+      }
+      entry.fused += fused;
+      const matchedVariants = [...entry.row.matchedVariants, variantId];
+      entry.row =
+        (row.score || 0) > (entry.row.score || 0)
+          ? { ...row, matchedVariants }
+          : { ...entry.row, matchedVariants };
+    });
+  }
+
+  return [...merged.values()]
+    .sort((left, right) => right.fused - left.fused || left.order - right.order)
+    .slice(0, limit)
+    .map((entry) => entry.row);
+}
+
+/**
+ * Deduplicates the drop-trace candidates of several variant searches. The
+ * first occurrence keeps its place, takes the best score seen and lists the
+ * variants that produced it in `matchedVariants`.
+ * @param {{ variantId: string, candidates: object[] }[]} lists
+ * @param {(candidate: object) => string} keyOf
+ * @returns {object[]}
+ */
+export function mergeTraceCandidates(lists, keyOf = (candidate) => candidate.chunkId) {
+  const merged = new Map();
+  for (const { variantId, candidates } of lists) {
+    for (const candidate of candidates || []) {
+      const key = keyOf(candidate);
+      const entry = merged.get(key);
+      if (!entry) {
+        merged.set(key, { ...candidate, matchedVariants: [variantId] });
+      } else if (!entry.matchedVariants.includes(variantId)) {
+        merged.set(key, {
+          ...entry,
+          score: Math.max(entry.score || 0, candidate.score || 0),
+          matchedVariants: [...entry.matchedVariants, variantId],
+        });
+      }
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * The `queryExpansion` block of the query log: the strategy and, per variant,
+ * its wording and the chunk ids its searches returned.
+ * @param {string} strategy
+ * @param {{ id: string, kind: string, text: string }[]} variants
+ * @param {{ variantId: string, results: object[] }[]} searches - all collections
+ */
+export function buildExpansionTrace(strategy, variants, searches) {
+  return {
+    strategy,
+    variants: variants.map((variant) => ({
+      id: variant.id,
+      kind: variant.kind,
+      text:
+        variant.text.length > MAX_TRACE_TEXT_CHARS
+          ? `${variant.text.slice(0, MAX_TRACE_TEXT_CHARS)}...`
+          : variant.text,
+      hits: searches
+        .filter((search) => search.variantId === variant.id)
+        .flatMap((search) => search.results)
+        .filter((row) => row?.ChunkHash)
+        .map((row) => `chk_${row.ChunkHash}`),
+    })),
+  };
+}
@@ -0,0 +1,235 @@
+import { chat } from "./ollamaClient.js";
+import { LexicalIndex } from "./lexicalIndex.js";
+
+/**
+ * Reranker
+ *
+ * Optional second-stage scoring between VectorStore.findNearest and context
+ * packing. The top-N retrieved candidates are rescored against the query and
+ * reordered; the normalized retrieval `score` is never modified, so citation
+ * scores keep their meaning regardless of which reranker ran.
+ *
+ * Strategies:
+ *   heuristic — deterministic query-term coverage over chunk text and
+ *               header/path metadata. No model call.
+ *   ollama    — asks a local chat model to rate each candidate 0-10. Falls
+ *               back to the heuristic for the whole batch if any call fails.
+ */
+
+export const RERANK_STRATEGIES = {
+  HEURISTIC: "heuristic",
+  OLLAMA: "ollama",
+};
+
+const DEFAULT_TOP_N = 10;
+const DEFAULT_WEIGHT = 0.7;
+const MAX_PROMPT_CHARS = 2000;
+
+function normalizeText(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+export function normalizeRerankStrategy(strategy, fallback = RERANK_STRATEGIES.HEURISTIC) {
+  const normalized = normalizeText(strategy);
+  if (Object.values(RERANK_STRATEGIES).includes(normalized)) {
+    return normalized;
+  }
+  return normalizeText(fallback) === RERANK_STRATEGIES.OLLAMA
+    ? RERANK_STRATEGIES.OLLAMA
+    : RERANK_STRATEGIES.HEURISTIC;
+}
+
+/**
+ * Returns true when a per-request `rerank` value is acceptable: a boolean, or
+ * one of the strategy names.
+ */
+export function isValidRerankFlag(value) {
+  if (value === undefined || value === null || typeof value === "boolean") {
+    return true;
+  }
+  return Object.values(RERANK_STRATEGIES).includes(normalizeText(value));
+}
+
+/**
+ * Resolves the effective reranker settings from the `RAG.Rerank` config block
+ * and an optional per-request flag. `true` enables the configured strategy,
+ * `false` disables reranking, and a strategy name enables that strategy.
+ * @param {object} rerankConfig - RAG.Rerank
+ * @param {boolean|string} [requestFlag]
+ * @returns {{ enabled: boolean, strategy: string, topN: number, weight: number, model: string }}
+ */
+export function resolveRerankOptions(rerankConfig, requestFlag) {
+  const settings = rerankConfig && typeof rerankConfig === "object" ? rerankConfig : {};
+  let enabled = settings.Enabled === true;
+  let strategy = normalizeRerankStrategy(settings.Strategy);
+
+  if (typeof requestFlag === "boolean") {
+    enabled = requestFlag;
+  } else if (typeof requestFlag === "string" && normalizeText(requestFlag)) {
+    enabled = true;
+    strategy = normalizeRerankStrategy(requestFlag, strategy);
+  }
+
+  const topN = Number.isFinite(settings.TopN)
+    ? Math.min(50, Math.max(1, Math.floor(settings.TopN)))
+    : DEFAULT_TOP_N;
+  const weight = Number.isFinite(settings.Weight)
+    ? Math.min(1, Math.max(0, settings.Weight))
+    : DEFAULT_WEIGHT;
+
+  return {
+    enabled,
+    strategy,
+    topN,
+    weight,
+    model: typeof settings.Model === "string" ? settings.Model.trim() : "",
+  };
+}
+
+function coverage(queryTerms, text) {
+  if (queryTerms.length === 0) return 0;
+  const terms = new Set(LexicalIndex.tokenize(text));
+  const hits = queryTerms.filter((term) => terms.has(term)).length;
+  return hits / queryTerms.length;
+}
+
+/**
+ * Deterministic relevance in [0, 1]: query-term coverage of the chunk body,
+ * coverage of its header/path/file metadata, and a bonus when the query
+ * appears verbatim in the body.
+ */
+export function scoreHeuristic(query, candidate) {
+  const queryTerms = [...new Set(LexicalIndex.tokenize(query))];
+  if (queryTerms.length === 0) return 0;
+
+  const body = candidate.ChunkText || candidate.TextPreview || "";
+  const metadata = [
+    candidate.HeaderContext,
+    candidate.StructuralPath,
+    candidate.SectionPath,
+    candidate.SymbolName,
+    candidate.FileName,
+  ]
+    .filter((value) => typeof value === "string" && value !== "None")
+    .join(" ");
+
+  const normalizedQuery = query.trim().toLowerCase();
+  const phraseBonus =
+    normalizedQuery.length > 0 && body.toLowerCase().includes(normalizedQuery) ? 1 : 0;
+
+  return (
+    0.7 * coverage(queryTerms, body) +
+    0.2 * coverage(queryTerms, metadata) +
+    0.1 * phraseBonus
+  );
+}
+
+/**
+ * Pulls the first 0-10 rating out of a model reply.
+ * @returns {number|null} rating normalized to [0, 1], or null if none found
+ */
+export function parseRelevanceRating(reply) {
+  const match = String(reply || "").match(/\b(10|[0-9])(?:\.\d+)?\b/);
+  if (!match) return null;
+  const rating = Number.parseFloat(match[0]);
+  return Number.isFinite(rating) ? Math.min(10, Math.max(0, rating)) / 10 : null;
+}
+
+function buildRatingMessages(query, candidate) {
+  const body = (candidate.ChunkText || candidate.TextPreview || "").slice(0, MAX_PROMPT_CHARS);
+  const header =
+    candidate.HeaderContext && candidate.HeaderContext !== "None"
+      ? `\nSection: ${candidate.HeaderContext}`
+      : "";
+  return [
+    {
+      role: "system",
+      content:
+        "You rate how relevant a document passage is to a search query. " +
+        "Reply with a single integer from 0 (irrelevant) to 10 (directly answers the query). No other text.",
+    },
+    {
+      role: "user",
+      content: `Query: ${query}\n\nFile: ${candidate.FileName || "unknown"}${header}\nPassage:\n${body}\n\nRelevance (0-10):`,
+    },
+  ];
+}
+
+async function scoreWithOllama(query, candidates, { model, baseUrl }) {
+  const scores = [];
+  // Sequential: local Ollama serves one generation at a time anyway.
+  for (const candidate of candidates) {
+    const reply = await chat(buildRatingMessages(query, candidate), model, baseUrl, {
+      temperature: 0,
+    });
+    const rating = parseRelevanceRating(reply);
+    if (rating === null) {
+      throw new Error(`Unparseable rating reply "${String(reply).slice(0, 40)}"`);
+    }
+    scores.push(rating);
+  }
+  return scores;
+}
+
+/**
+ * Rescores and reorders the first `topN` candidates. Candidates past `topN`
+ * keep their original relative order after the reranked block.
+ *
+ * Each reranked candidate gains `rerankScore` (reranker relevance in [0, 1])
+ * and `preRerankRank` (1-based position before reranking). Order is decided by
+ * `weight * rerankScore + (1 - weight) * score`.
+ *
+ * @param {string} query
+ * @param {object[]} candidates - findNearest results, best first
+ * @param {{ strategy: string, topN: number, weight: number, model?: string, baseUrl?: string }} options
+ * @returns {Promise<{ results: object[], strategy: string, fallbackFrom?: string }>}
+ */
+export async function rerankCandidates(query, candidates, options) {
+  const list = Array.isArray(candidates) ? candidates : [];
+  const topN = Math.max(1, options.topN || DEFAULT_TOP_N);
+  const weight = Number.isFinite(options.weight) ? options.weight : DEFAULT_WEIGHT;
+  const head = list.slice(0, topN);
+  const tail = list.slice(topN);
+
+  let strategy = normalizeRerankStrategy(options.strategy);
+  let fallbackFrom;
+  let scores;
+
+  if (strategy === RERANK_STRATEGIES.OLLAMA) {
+    try {
+      scores = await scoreWithOllama(query, head, options);
+    } catch (err) {
+      console.warn(
+        `[Reranker Warn] Ollama rerank failed, using heuristic instead: ${err.message}`,
+      );
+      fallbackFrom = strategy;
+      strategy = RERANK_STRATEGIES.HEURISTIC;
+    }
+  }
+
+  if (!scores) {
+    scores = head.map((candidate) => scoreHeuristic(query, candidate));
+  }
+
+  const reranked = head
+    .map((candidate, index) => ({
+      candidate: {
+        ...candidate,
+        rerankScore: scores[index],
+        preRerankRank: index + 1,
+      },
+      order: weight * scores[index] + (1 - weight) * (candidate.score || 0),
+    }))
+    .sort(
+      (left, right) =>
+        right.order - left.order ||
+        left.candidate.preRerankRank - right.candidate.preRerankRank,
+    )
+    .map(({ candidate }) => candidate);
+
+  return {
+    results: [...reranked, ...tail],
+    strategy,
+    ...(fallbackFrom ? { fallbackFrom } : {}),
+  };
+}
@@ -4,6 +4,12 @@ export const RETRIEVAL_MODES = {
   HYBRID: "hybrid",
 };
 
+export const HYBRID_FUSION_STRATEGIES = {
+  LINEAR: "linear",
+  RRF: "rrf",
+  MAX: "max",
+};
+
 function normalizeText(value) {
   if (typeof value !== "string") {
     return "";
@@ -40,6 +46,21 @@ export function normalizeRetrievalMode(mode, fallback = RETRIEVAL_MODES.VECTOR)
   return normalizeText(fallback) || RETRIEVAL_MODES.VECTOR;
 }
 
+export function normalizeHybridFusion(
+  fusion,
+  fallback = HYBRID_FUSION_STRATEGIES.LINEAR,
+) {
+  const normalized = normalizeText(fusion);
+  if (Object.values(HYBRID_FUSION_STRATEGIES).includes(normalized)) {
+    return normalized;
+  }
+
+  const normalizedFallback = normalizeText(fallback);
+  return Object.values(HYBRID_FUSION_STRATEGIES).includes(normalizedFallback)
+    ? normalizedFallback
+    : HYBRID_FUSION_STRATEGIES.LINEAR;
+}
+
 function inferQuerySignals(query) {
   const source = typeof query === "string" ? query : "";
   const lower = source.toLowerCase();
@@ -51,13 +72,17 @@ function inferQuerySignals(query) {
     fileTypeEquals = "xml";
   } else if (/\b(markdown|\.md|readme)\b/i.test(lower)) {
     fileTypeEquals = "markdown";
+  } else if (/\b(typescript|\.tsx?)\b/i.test(lower)) {
+    fileTypeEquals = "typescript";
   } else if (/\b(javascript|\.js|node)\b/i.test(lower)) {
     fileTypeEquals = "javascript";
+  } else if (/\b(html?|web\s*page|wiki\s*page)\b/i.test(lower)) {
+    fileTypeEquals = "html";
   }
 
   const fileNameContains = firstMatch(source, [
     /\b(?:in|from|file)\s+([a-zA-Z0-9_.\-]+\.[a-zA-Z0-9]+)\b/i,
-    /\b([a-zA-Z0-9_.\-]+\.(?:md|ps1|js|xml|json|txt))\b/i,
+    /\b([a-zA-Z0-9_.\-]+\.(?:md|ps1|[mc]?js|tsx?|xml|json|txt|html?))\b/i,
   ]);
 
   const headerContains = firstMatch(source, [
@@ -120,6 +145,7 @@ export function buildRetrievalPlan({
   overfetchFactor = 4,
   hybridOverfetch = 6,
   hybridLexicalWeight = 0.35,
+  fusion = HYBRID_FUSION_STRATEGIES.LINEAR,
 }) {
   const normalizedMode = normalizeRetrievalMode(mode);
   if (normalizedMode === RETRIEVAL_MODES.VECTOR) {
@@ -130,6 +156,7 @@ export function buildRetrievalPlan({
         overfetchFactor: 1,
       },
       constraintsActive: false,
+      fusion: null,
     };
   }
 
@@ -151,6 +178,7 @@ export function buildRetrievalPlan({
       ? Math.min(0.8, Math.max(0.05, hybridLexicalWeight))
       : 0.35;
     const vectorWeight = 1 - normalizedLexicalWeight;
+    const normalizedFusion = normalizeHybridFusion(fusion);
 
     return {
       mode: normalizedMode,
@@ -168,6 +196,7 @@ export function buildRetrievalPlan({
             }
           : null,
         lexicalQuery: query,
+        fusion: normalizedFusion,
         fusionWeights: {
           vector: vectorWeight,
           lexical: normalizedLexicalWeight,
@@ -176,6 +205,7 @@ export function buildRetrievalPlan({
       constraintsActive,
       appliedOverfetchFactor: hybridOverfetchFactor,
       metadataFilters,
+      fusion: normalizedFusion,
     };
   }
 
@@ -198,5 +228,6 @@ export function buildRetrievalPlan({
     constraintsActive,
     appliedOverfetchFactor: adaptiveOverfetch,
     metadataFilters,
+    fusion: null,
   };
 }
\ No newline at end of file
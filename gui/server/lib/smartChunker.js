@@ -1,4 +1,37 @@
 import path from "path";
+import { extractHtmlDocument } from "./htmlDocument.js";
+import { extractCodeSymbols } from "./codeSymbols.js";
+
+function countNewlines(text) {
+  let count = 0;
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) count++;
+  return count;
+}
+
+// Returns offset => 1-based line number. Chunkers ask for offsets in
+// ascending order, so counting resumes from the previous answer.
+function createLineLocator(content) {
+  let lastOffset = 0;
+  let lastLine = 1;
+  return (offset) => {
+    if (offset < lastOffset) {
+      lastOffset = 0;
+      lastLine = 1;
+    }
+    lastLine += countNewlines(content.slice(lastOffset, offset));
+    lastOffset = offset;
+    return lastLine;
+  };
+}
+
+// First and last line of `text` that hold content, given the line it starts on.
+function contentLineSpan(text, line) {
+  const leading = text.slice(0, text.length - text.trimStart().length);
+  return {
+    lineStart: line + countNewlines(leading),
+    lineEnd: line + countNewlines(text.trimEnd()),
+  };
+}
 
 class SmartChunk {
   constructor(
@@ -44,9 +77,33 @@ class SmartTextChunker {
       case ".psm1":
         return "powershell";
       case ".js":
+      case ".mjs":
+      case ".cjs":
+      case ".jsx":
         return "javascript";
+      case ".ts":
+      case ".mts":
+      case ".cts":
+      case ".tsx":
+        return "typescript";
       case ".xml":
         return "xml";
+      case ".docx":
+        return "docx";
+      case ".odt":
+        return "odt";
+      case ".html":
+      case ".htm":
+        return "html";
+      case ".csv":
+        return "csv";
+      case ".tsv":
+        return "tsv";
+      case ".json":
+        return "json";
+      case ".jsonl":
+      case ".ndjson":
+        return "jsonl";
       case ".txt":
         return "text";
       default:
@@ -91,11 +148,33 @@ class SmartTextChunker {
       case ".psm1":
         return this.splitPowerShell(content, fileName);
       case ".js":
-        return this.splitJavaScript(content, fileName);
+      case ".mjs":
+      case ".cjs":
+      case ".jsx":
+      case ".ts":
+      case ".mts":
+      case ".cts":
+      case ".tsx":
+        return this.splitJavaScript(content, fileName, fileType);
       case ".xml":
         return this.splitXml(content, fileName);
       case ".md":
         return this.splitMarkdown(content);
+      case ".docx":
+      case ".odt":
+        return this.splitOfficeDocument(content, fileName, fileType);
+      case ".html":
+      case ".htm":
+        return this.splitHtml(content, fileName);
+      case ".csv":
+        return this.splitCsv(content, fileName);
+      case ".tsv":
+        return this.splitCsv(content, fileName, "\t", "tsv");
+      case ".json":
+        return this.splitJson(content, fileName);
+      case ".jsonl":
+      case ".ndjson":
+        return this.splitJsonLines(content, fileName);
       default:
         // .txt and all others — paragraph-split
         return this.splitPlainText(content, fileName, fileType);
@@ -128,7 +207,7 @@ class SmartTextChunker {
     if (!pdfData) return [];
 
     if (typeof pdfData === "string") {
-      return this.splitPlainText(pdfData, fileName, "pdf");
+      return this.splitPlainText(pdfData, fileName, "pdf", false);
     }
 
     const pages = Array.isArray(pdfData.Pages) ? pdfData.Pages : [];
@@ -161,63 +240,78 @@ class SmartTextChunker {
     return chunks;
   }
 
-  // --- Code Chunker (JS) ---
-  // Splits on top-level function/class keyword boundaries.
-  splitJavaScript(content, fileName) {
+  // --- Code Chunker (JavaScript / TypeScript) ---
+  // Parses the source (lib/codeSymbols.js) so each function, class, method and
+  // export becomes its own chunk. A class chunk keeps the class shell (heritage,
+  // fields) with its methods cut out, because every method has its own chunk.
+  splitJavaScript(content, fileName, fileType = "javascript") {
     if (!content || !content.trim()) return [];
     content = content.replace(/\r\n/g, "\n");
 
-    const chunks = [];
-
-    // Match top-level function/class/const/let declarations
-    const pattern = /^\s*(?:function|class|const|let)\s+/gm;
-    let match;
-    const matches = [];
-    while ((match = pattern.exec(content)) !== null) {
-      matches.push({ index: match.index, length: match[0].length });
-    }
-
-    if (matches.length === 0) {
-      // No function boundaries found — fall back to plain text
-      return this.splitPlainText(content, fileName, "javascript");
+    let symbols = [];
+    try {
+      symbols = extractCodeSymbols(content, fileName);
+    } catch {
+      // Unparseable source is still worth indexing as text.
     }
 
-    // Capture any content before the first function (imports, comments, etc.)
-    if (matches[0].index > 0) {
-      const preamble = content.substring(0, matches[0].index).trim();
-      if (preamble.length > 0) {
-        this.processSection(preamble, `${fileName} > Preamble`, chunks, {
-          fileType: "javascript",
-          chunkType: "javascript-preamble",
-          structuralPath: `${fileName} > Preamble`,
-          locatorType: "none",
-        });
-      }
+    if (!symbols.some((symbol) => symbol.kind !== "top-level")) {
+      return this.splitPlainText(content, fileName, fileType);
     }
 
-    // Each function boundary to the next
-    for (let i = 0; i < matches.length; i++) {
-      const start = matches[i].index;
-      const end =
-        i + 1 < matches.length ? matches[i + 1].index : content.length;
-      const section = content.substring(start, end).trim();
-
-      // Extract function/class name for context
-      const nameMatch = section.match(
-        /^(?:function|class|const|let)\s+([^\s{(]+)/,
-      );
-      const name = nameMatch ? nameMatch[1] : `Block_${i}`;
-      const context = `${fileName} > ${name}`;
-
-      this.processSection(section, context, chunks, {
-        fileType: "javascript",
-        chunkType: "javascript-block",
+    const chunks = [];
+    let seenSymbol = false;
+
+    // A verbatim slice is line-tracked from where it starts; a class shell with
+    // its methods cut out is attributed to the class's whole line span.
+    const emitSymbol = (symbol, text, verbatim) => {
+      const context = `${fileName} > ${symbol.path.join(" > ")}`;
+      this.processSection(text, context, chunks, {
+        fileType,
+        chunkType: `${fileType}-${symbol.kind}`,
         structuralPath: context,
         locatorType: "declaration",
+        ...(verbatim ? { sourceLine: symbol.lineStart } : {}),
         chunkMetadata: {
-          symbolName: name,
+          symbolName: symbol.name,
+          ...(verbatim ? {} : { lineStart: symbol.lineStart, lineEnd: symbol.lineEnd }),
         },
       });
+    };
+
+    for (const symbol of symbols) {
+      if (symbol.kind === "top-level") {
+        // Imports and setup before the first symbol read as the file's preamble.
+        const label = seenSymbol ? "Top-level" : "Preamble";
+        const context = `${fileName} > ${label}`;
+        this.processSection(content.slice(symbol.start, symbol.end), context, chunks, {
+          fileType,
+          chunkType: `${fileType}-${label.toLowerCase()}`,
+          structuralPath: context,
+          locatorType: "line-range",
+          sourceLine: symbol.lineStart,
+        });
+        continue;
+      }
+
+      seenSymbol = true;
+      const members = symbol.members || [];
+      let text = content.slice(symbol.start, symbol.end);
+      if (members.length > 0) {
+        let cursor = symbol.start;
+        text = "";
+        for (const member of members) {
+          text += content.slice(cursor, member.start);
+          cursor = member.end;
+        }
+        text += content.slice(cursor, symbol.end);
+        text = text.replace(/\n[ \t]*\n(?:[ \t]*\n)+/g, "\n\n");
+      }
+
+      emitSymbol(symbol, text, members.length === 0);
+      for (const member of members) {
+        emitSymbol(member, content.slice(member.start, member.end), true);
+      }
     }
 
     return chunks;
@@ -257,14 +351,17 @@ class SmartTextChunker {
 
     boundaries.sort((left, right) => left.index - right.index);
 
+    const lineAt = createLineLocator(content);
+
     if (boundaries[0].index > 0) {
-      const preamble = content.substring(0, boundaries[0].index).trim();
-      if (preamble.length > 0) {
+      const preamble = content.substring(0, boundaries[0].index);
+      if (preamble.trim().length > 0) {
         this.processSection(preamble, `${fileName} > Preamble`, chunks, {
           fileType: "powershell",
           chunkType: "powershell-preamble",
           structuralPath: `${fileName} > Preamble`,
-          locatorType: "none",
+          locatorType: "line-range",
+          sourceLine: 1,
         });
       }
     }
@@ -281,8 +378,8 @@ class SmartTextChunker {
         start = Math.max(0, prior.length - helpMatch[0].length);
       }
 
-      const section = content.substring(start, end).trim();
-      if (!section) continue;
+      const section = content.substring(start, end);
+      if (!section.trim()) continue;
 
       const item = boundaries[i];
       const label = item.kind === "param" ? "param" : `${item.kind}:${item.name}`;
@@ -296,6 +393,7 @@ class SmartTextChunker {
             : `powershell-${item.kind}`,
         structuralPath: context,
         locatorType: "declaration",
+        sourceLine: lineAt(start),
         chunkMetadata: {
           symbolName: item.kind === "param" ? "param" : item.name,
         },
@@ -312,6 +410,7 @@ class SmartTextChunker {
     content = content.replace(/\r\n/g, "\n");
 
     const chunks = [];
+    const lineAt = createLineLocator(content);
 
     // PowerShell log schema: preserve each LogEntry as its own chunk.
     if (/<PowerShellLog\b/i.test(content) && /<LogEntry\b/i.test(content)) {
@@ -320,8 +419,8 @@ class SmartTextChunker {
       let index = 0;
 
       while ((entryMatch = entryRegex.exec(content)) !== null) {
-        const entry = entryMatch[0].trim();
-        if (!entry) continue;
+        const entry = entryMatch[0];
+        if (!entry.trim()) continue;
 
         const context = `${fileName} > LogEntry:${index}`;
         this.processSection(entry, context, chunks, {
@@ -329,6 +428,7 @@ class SmartTextChunker {
           chunkType: "xml-logentry",
           structuralPath: "PowerShellLog > LogEntry",
           locatorType: "xml-element",
+          sourceLine: lineAt(entryMatch.index),
           chunkMetadata: {
             sectionPath: "PowerShellLog > LogEntry",
           },
@@ -361,15 +461,16 @@ class SmartTextChunker {
     let lastEnd = 0;
     for (const m of matches) {
       const elementEnd = m.index + m.length;
-      const section = content.substring(lastEnd, elementEnd).trim();
+      const section = content.substring(lastEnd, elementEnd);
 
-      if (section.length > 0) {
+      if (section.trim().length > 0) {
         const context = `${fileName} > <${m.tag}>`;
         this.processSection(section, context, chunks, {
           fileType: "xml",
           chunkType: "xml-element",
           structuralPath: `<${m.tag}>`,
           locatorType: "xml-element",
+          sourceLine: lineAt(lastEnd),
           chunkMetadata: {
             sectionPath: `<${m.tag}>`,
           },
@@ -380,13 +481,14 @@ class SmartTextChunker {
 
     // Any trailing content after last closing tag
     if (lastEnd < content.length) {
-      const trailing = content.substring(lastEnd).trim();
-      if (trailing.length > 0) {
+      const trailing = content.substring(lastEnd);
+      if (trailing.trim().length > 0) {
         this.processSection(trailing, `${fileName} > Trailing`, chunks, {
           fileType: "xml",
           chunkType: "xml-trailing",
           structuralPath: `${fileName} > Trailing`,
-          locatorType: "none",
+          locatorType: "line-range",
+          sourceLine: lineAt(lastEnd),
         });
       }
     }
@@ -394,9 +496,283 @@ class SmartTextChunker {
     return chunks;
   }
 
+  // --- CSV Chunker ---
+  // Splits on record boundaries (newlines outside quoted fields) and keeps the
+  // raw text of each record, so quoting and delimiters survive unchanged.
+  static splitCsvRecords(content, delimiter = ",") {
+    const records = [];
+    let start = 0;
+    let inQuotes = false;
+
+    for (let i = 0; i <= content.length; i++) {
+      const ch = content[i];
+      if (ch === '"') {
+        inQuotes = !inQuotes;
+      } else if ((ch === "\n" && !inQuotes) || i === content.length) {
+        const record = content.substring(start, i);
+        if (record.trim() && record.split(delimiter).some((field) => field.trim())) {
+          records.push(record);
+        }
+        start = i + 1;
+      }
+    }
+
+    return records;
+  }
+
+  // Groups rows into chunks that each repeat the header line. RowStart/RowEnd
+  // are 1-based data-row numbers (the header is not counted).
+  splitCsv(content, fileName, delimiter = ",", fileType = "csv") {
+    if (!content || !content.trim()) return [];
+    content = content.replace(/\r\n/g, "\n");
+
+    const [header, ...rows] = SmartTextChunker.splitCsvRecords(content, delimiter);
+    if (rows.length === 0) {
+      return this.splitPlainText(header || "", fileName, fileType);
+    }
+
+    const chunks = [];
+    let group = [];
+    let groupStart = 1;
+    let groupLength = header.length;
+
+    const flush = () => {
+      if (group.length === 0) return;
+      const rowEnd = groupStart + group.length - 1;
+      const context = `${fileName} > Rows ${groupStart}-${rowEnd}`;
+      chunks.push(
+        new SmartChunk(
+          [header, ...group].join("\n"),
+          context,
+          0,
+          "csv-rows",
+          fileType,
+          context,
+          "row-range",
+          { rowStart: groupStart, rowEnd },
+        ),
+      );
+      groupStart = rowEnd + 1;
+      group = [];
+      groupLength = header.length;
+    };
+
+    // A row too long for one chunk is cut into overlapping pieces the way
+    // processSection cuts a long paragraph. Every piece repeats the header
+    // and points at the same row; together they form one parent section.
+    const splitRow = (row) => {
+      const budget = Math.max(this.maxChunkSize - header.length - 1, Math.ceil(this.maxChunkSize / 2));
+      const overlap = Math.min(this.overlap, Math.floor(budget / 2));
+      const context = `${fileName} > Rows ${groupStart}-${groupStart}`;
+      const firstPiece = chunks.length;
+      let start = 0;
+      while (start < row.length) {
+        let splitAt = row.length;
+        if (row.length - start > budget) {
+          splitAt = SmartTextChunker.findSentenceBoundary(row, start + budget - 1);
+          if (splitAt <= start) {
+            splitAt = start + budget;
+          }
+        }
+        chunks.push(
+          new SmartChunk(
+            `${header}\n${row.substring(start, splitAt)}`,
+            context,
+            0,
+            "csv-rows",
+            fileType,
+            context,
+            "row-range",
+            { rowStart: groupStart, rowEnd: groupStart },
+          ),
+        );
+        if (splitAt >= row.length) break;
+        start = Math.max(start + 1, splitAt - overlap);
+      }
+      for (let i = firstPiece; i < chunks.length; i++) {
+        chunks[i].parentStart = firstPiece;
+        chunks[i].parentEnd = chunks.length - 1;
+      }
+      groupStart += 1;
+    };
+
+    for (const row of rows) {
+      if (group.length > 0 && groupLength + row.length + 1 > this.maxChunkSize) {
+        flush();
+      }
+      if (header.length + row.length + 1 > this.maxChunkSize) {
+        splitRow(row);
+        continue;
+      }
+      group.push(row);
+      groupLength += row.length + 1;
+    }
+    flush();
+
+    return chunks;
+  }
+
+  // --- JSON Chunker ---
+  static escapeJsonPointerToken(token) {
+    return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+  }
+
+  // A document that fits in one chunk is emitted whole with no locator.
+  // Larger documents are split along object and array paths; each chunk's
+  // StructuralPath is the RFC 6901 pointer of its first member.
+  splitJson(content, fileName) {
+    if (!content || !content.trim()) return [];
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      return this.splitPlainText(content, fileName, "json");
+    }
+
+    const chunks = [];
+    this.processJsonNode(data, "", fileName, chunks, "json");
+    return chunks;
+  }
+
+  processJsonNode(value, pointer, fileName, chunks, fileType) {
+    const text = JSON.stringify(value, null, 2) ?? "null";
+    const isContainer = value !== null && typeof value === "object";
+    const context = pointer ? `${fileName} > ${pointer}` : fileName;
+    const locator = pointer
+      ? { structuralPath: pointer, locatorType: "json-pointer" }
+      : { structuralPath: fileName, locatorType: "none" };
+
+    if (text.length <= this.maxChunkSize || !isContainer) {
+      this.processSection(text, context, chunks, {
+        fileType,
+        chunkType: "json-node",
+        ...locator,
+      });
+      return;
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, i) => [i, item]) : Object.entries(value);
+    const childPointer = (key) => `${pointer}/${SmartTextChunker.escapeJsonPointerToken(key)}`;
+    let group = [];
+    let groupLength = 0;
+
+    const flush = () => {
+      if (group.length === 1) {
+        this.processJsonNode(group[0][1], childPointer(group[0][0]), fileName, chunks, fileType);
+      } else if (group.length > 1) {
+        const first = childPointer(group[0][0]);
+        const partial = isArray ? group.map(([, item]) => item) : Object.fromEntries(group);
+        const groupContext = isArray
+          ? `${fileName} > ${pointer || "/"}[${group[0][0]}-${group[group.length - 1][0]}]`
+          : `${fileName} > ${first}`;
+        chunks.push(
+          new SmartChunk(
+            JSON.stringify(partial, null, 2),
+            groupContext,
+            0,
+            "json-node",
+            fileType,
+            first,
+            "json-pointer",
+          ),
+        );
+      }
+      group = [];
+      groupLength = 0;
+    };
+
+    for (const entry of entries) {
+      const entryLength = (JSON.stringify(entry[1], null, 2) ?? "null").length + 4;
+      if (group.length > 0 && groupLength + entryLength > this.maxChunkSize) {
+        flush();
+      }
+      group.push(entry);
+      groupLength += entryLength;
+    }
+    flush();
+  }
+
+  // --- JSON Lines Chunker ---
+  // Groups whole lines into row-range chunks (RowStart/RowEnd are 1-based line
+  // numbers). A record too large for one chunk is split like a JSON document,
+  // with pointers prefixed by its 0-based record index.
+  splitJsonLines(content, fileName) {
+    if (!content || !content.trim()) return [];
+    content = content.replace(/\r\n/g, "\n");
+
+    const chunks = [];
+    let group = [];
+    let groupLength = 0;
+    let recordIndex = 0;
+
+    const flush = () => {
+      if (group.length === 0) return;
+      const rowStart = group[0].lineNumber;
+      const rowEnd = group[group.length - 1].lineNumber;
+      const context = `${fileName} > Lines ${rowStart}-${rowEnd}`;
+      chunks.push(
+        new SmartChunk(
+          group.map((line) => line.text).join("\n"),
+          context,
+          0,
+          "jsonl-rows",
+          "jsonl",
+          context,
+          "row-range",
+          { rowStart, rowEnd },
+        ),
+      );
+      group = [];
+      groupLength = 0;
+    };
+
+    const lines = content.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+      const text = lines[i].trim();
+      if (!text) continue;
+      const lineNumber = i + 1;
+      const index = recordIndex++;
+
+      if (text.length > this.maxChunkSize) {
+        flush();
+        let record;
+        try {
+          record = JSON.parse(text);
+        } catch {
+          record = undefined;
+        }
+        if (record !== null && typeof record === "object") {
+          this.processJsonNode(record, `/${index}`, fileName, chunks, "jsonl");
+        } else {
+          const context = `${fileName} > Lines ${lineNumber}-${lineNumber}`;
+          this.processSection(text, context, chunks, {
+            fileType: "jsonl",
+            chunkType: "jsonl-rows",
+            structuralPath: context,
+            locatorType: "row-range",
+            chunkMetadata: { rowStart: lineNumber, rowEnd: lineNumber },
+          });
+        }
+        continue;
+      }
+
+      if (group.length > 0 && groupLength + text.length + 1 > this.maxChunkSize) {
+        flush();
+      }
+      group.push({ text, lineNumber });
+      groupLength += text.length + 1;
+    }
+    flush();
+
+    return chunks;
+  }
+
   // --- Plain Text Chunker ---
-  // Paragraph-split for .txt and unknown file types.
-  splitPlainText(content, fileName, fileType = "text") {
+  // Paragraph-split for .txt and unknown file types. Text extracted from a
+  // binary document has no source lines, so callers pass sourceLines=false.
+  splitPlainText(content, fileName, fileType = "text", sourceLines = true) {
     if (!content || !content.trim()) return [];
     content = content.replace(/\r\n/g, "\n");
 
@@ -405,7 +781,8 @@ class SmartTextChunker {
       fileType,
       chunkType: "text-block",
       structuralPath: fileName,
-      locatorType: "none",
+      locatorType: sourceLines ? "line-range" : "none",
+      ...(sourceLines ? { sourceLine: 1 } : {}),
     });
     return chunks;
   }
@@ -416,6 +793,7 @@ class SmartTextChunker {
     text = text.replace(/\r\n/g, "\n");
 
     const chunks = [];
+    const lineAt = createLineLocator(text);
 
     // Split on header boundaries (# Header)
     const headerRegex = /^(#+)\s+(.*)$/gm;
@@ -425,13 +803,14 @@ class SmartTextChunker {
     // Check if there is a preamble before the first header
     match = headerRegex.exec(text);
     if (match && match.index > 0) {
-      const preamble = text.substring(0, match.index).trim();
-      if (preamble) {
+      const preamble = text.substring(0, match.index);
+      if (preamble.trim()) {
         this.processSection(preamble, "Introduction", chunks, {
           fileType: "markdown",
           chunkType: "markdown-preamble",
           structuralPath: "Introduction",
           locatorType: "section",
+          sourceLine: 1,
           chunkMetadata: {
             sectionPath: "Introduction",
           },
@@ -450,7 +829,6 @@ class SmartTextChunker {
         level: match[1].length,
         title: match[2].trim(),
         index: match.index,
-        matchLength: match[0].length,
       });
     }
 
@@ -458,11 +836,8 @@ class SmartTextChunker {
 
     for (let i = 0; i < sections.length; i++) {
       const current = sections[i];
-      const startBody = current.index + current.matchLength;
       const endBody =
         i + 1 < sections.length ? sections[i + 1].index : text.length;
-
-      const bodyText = text.substring(startBody, endBody).trim();
       const level = current.level;
 
       // Adjust stack based on header level
@@ -480,13 +855,15 @@ class SmartTextChunker {
       // Build path string mapping the headers logically
       const pathStr = headerStack.map((h) => h.title).join(" > ");
 
-      const finalText = `${"#".repeat(level)} ${current.title}\n${bodyText}`;
-      this.processSection(finalText, pathStr, chunks, {
+      // The section is kept verbatim (heading line included) so its lines map
+      // straight back to the file.
+      this.processSection(text.substring(current.index, endBody), pathStr, chunks, {
         level,
         fileType: "markdown",
         chunkType: "markdown-section",
         structuralPath: pathStr,
         locatorType: "section",
+        sourceLine: lineAt(current.index),
         chunkMetadata: {
           sectionPath: pathStr,
         },
@@ -500,6 +877,7 @@ class SmartTextChunker {
         chunkType: "markdown-section",
         structuralPath: "Markdown Document",
         locatorType: "section",
+        sourceLine: 1,
         chunkMetadata: {
           sectionPath: "Markdown Document",
         },
@@ -509,20 +887,120 @@ class SmartTextChunker {
     return chunks;
   }
 
+  // --- Office Document Chunker (DOCX / ODT) ---
+  // Takes the heading/paragraph blocks from extractOfficeDocument.
+  splitOfficeDocument(doc, fileName, fileType = "docx") {
+    if (!doc) return [];
+    if (typeof doc === "string") {
+      return this.splitPlainText(doc, fileName, fileType, false);
+    }
+
+    const blocks = Array.isArray(doc.blocks) ? doc.blocks : [];
+    return this.splitHeadingBlocks(blocks, fileName, doc.format || fileType);
+  }
+
+  // --- HTML Chunker ---
+  // Strips page chrome and chunks the remaining content by h1–h6 section.
+  splitHtml(content, fileName) {
+    if (!content || !content.trim()) return [];
+
+    const doc = extractHtmlDocument(content);
+    return this.splitHeadingBlocks(doc.blocks, fileName, "html", doc.title || fileName);
+  }
+
+  // Chunks ordered heading/paragraph blocks by section, building the same
+  // heading-stack SectionPath as splitMarkdown.
+  splitHeadingBlocks(blocks, fileName, fileType, fallbackPath = fileName) {
+    const chunks = [];
+    const headerStack = [];
+    let current = null;
+    let preamble = [];
+
+    const flush = () => {
+      if (!current) return;
+      const pathStr = headerStack.map((h) => h.title).join(" > ");
+      const finalText = [current.title, ...current.paragraphs].join("\n\n");
+      this.processSection(finalText, pathStr, chunks, {
+        level: current.level,
+        fileType,
+        chunkType: "document-section",
+        structuralPath: pathStr,
+        locatorType: "section",
+        chunkMetadata: {
+          sectionPath: pathStr,
+        },
+      });
+    };
+
+    for (const block of blocks) {
+      if (block.kind !== "heading") {
+        (current ? current.paragraphs : preamble).push(block.text);
+        continue;
+      }
+
+      flush();
+
+      if (!current && preamble.length > 0) {
+        this.processSection(preamble.join("\n\n"), "Introduction", chunks, {
+          fileType,
+          chunkType: "document-preamble",
+          structuralPath: "Introduction",
+          locatorType: "section",
+          chunkMetadata: {
+            sectionPath: "Introduction",
+          },
+        });
+        preamble = [];
+      }
+
+      while (headerStack.length > 0 && headerStack[headerStack.length - 1].level >= block.level) {
+        headerStack.pop();
+      }
+      headerStack.push({ level: block.level, title: block.text });
+      current = { level: block.level, title: block.text, paragraphs: [] };
+    }
+
+    flush();
+
+    // Fallback if no headings were found
+    if (!current && preamble.length > 0) {
+      this.processSection(preamble.join("\n\n"), fallbackPath, chunks, {
+        fileType,
+        chunkType: "document-section",
+        structuralPath: fallbackPath,
+        locatorType: "section",
+        chunkMetadata: {
+          sectionPath: fallbackPath,
+        },
+      });
+    }
+
+    return chunks;
+  }
+
   // Split by paragraph breaks while preserving fenced code blocks as single units.
   static splitParagraphsPreservingCodeBlocks(text) {
+    return SmartTextChunker.splitParagraphBlocks(text).map((block) => block.text);
+  }
+
+  // Same split, keeping the 0-based line each paragraph starts on within `text`.
+  static splitParagraphBlocks(text) {
     const lines = text.split("\n");
     const paragraphs = [];
     let buffer = [];
+    let bufferLine = 0;
     let inFence = false;
 
     const flush = () => {
       const value = buffer.join("\n").trim();
-      if (value) paragraphs.push(value);
+      if (value) paragraphs.push({ text: value, line: bufferLine });
       buffer = [];
     };
 
-    for (const line of lines) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (buffer.length === 0) bufferLine = i;
+
       if (/^```/.test(line.trim())) {
         inFence = !inFence;
         buffer.push(line);
@@ -542,7 +1020,16 @@ class SmartTextChunker {
   }
 
   // --- Core Section Processor (with overlap + sentence-aware splitting) ---
+  // When metadata.sourceLine gives the 1-based line `text` starts on in the
+  // source file, every emitted chunk gets lineStart/lineEnd for the lines it
+  // actually covers, overlap included.
+  // The children of a split section get parentStart/parentEnd: the indexes of
+  // the section's first and last chunk in `chunks`. Retrieval uses them to
+  // swap a matched child for the whole section.
   processSection(text, context, chunks, metadata = {}) {
+    const baseLine = Number.isInteger(metadata.sourceLine)
+      ? contentLineSpan(text, metadata.sourceLine).lineStart
+      : null;
     text = text.trim();
     if (!text) return;
 
@@ -553,65 +1040,96 @@ class SmartTextChunker {
     const locatorType = metadata.locatorType || "none";
     const chunkMetadata = metadata.chunkMetadata || {};
 
-    // Fits in one chunk — emit directly
-    if (text.length <= this.maxChunkSize) {
+    // `lines` is the span the chunk text covers, or null when untracked.
+    const emit = (chunkText, lines) => {
       chunks.push(
         new SmartChunk(
-          text,
+          chunkText,
           context,
           level,
           chunkType,
           fileType,
           structuralPath,
           locatorType,
-          chunkMetadata,
+          baseLine !== null && lines ? { ...chunkMetadata, ...lines } : chunkMetadata,
         ),
       );
+    };
+
+    // Fits in one chunk — emit directly
+    if (text.length <= this.maxChunkSize) {
+      emit(text, baseLine !== null ? contentLineSpan(text, baseLine) : null);
       return;
     }
 
-    // Section exceeds maxChunkSize — split with sentence-awareness and overlap
-    const paragraphs = SmartTextChunker.splitParagraphsPreservingCodeBlocks(text);
+    // Section exceeds maxChunkSize — split with sentence-awareness and overlap.
+    const firstChild = chunks.length;
+    // `segments` records which source line each piece of `current` starts on;
+    // the "\n\n" joins between them are not part of any segment.
+    const paragraphs = SmartTextChunker.splitParagraphBlocks(text);
     let current = "";
+    let segments = [];
 
-    for (let para of paragraphs) {
-      para = para.trim();
+    const append = (piece, line) => {
+      if (current.length > 0) current += "\n\n";
+      segments.push({ offset: current.length, text: piece, line });
+      current += piece;
+    };
+
+    const currentLines = () => {
+      if (segments.length === 0) return null;
+      const first = segments[0];
+      const last = segments[segments.length - 1];
+      return {
+        lineStart: contentLineSpan(first.text, first.line).lineStart,
+        lineEnd: contentLineSpan(last.text, last.line).lineEnd,
+      };
+    };
+
+    for (const block of paragraphs) {
+      const para = block.text.trim();
       if (!para) continue;
+      const paraLine = (baseLine ?? 1) + block.line;
 
       if (current.length + para.length + 2 > this.maxChunkSize) {
         // Emit current chunk if non-empty
         if (current.length > 0) {
-          chunks.push(
-            new SmartChunk(
-              current,
-              context,
-              level,
-              chunkType,
-              fileType,
-              structuralPath,
-              locatorType,
-              chunkMetadata,
-            ),
-          );
+          emit(current, currentLines());
 
           let nextPrefix = "";
+          let nextSegments = [];
           // Overlap: carry forward last Overlap chars as prefix for next chunk
           if (this.overlap > 0 && current.length > this.overlap) {
-            nextPrefix =
-              current.substring(current.length - this.overlap) + "\n\n";
+            const from = current.length - this.overlap;
+            nextPrefix = current.substring(from);
+            nextSegments = segments
+              .filter((segment) => segment.offset + segment.text.length > from)
+              .map((segment) => {
+                const cut = Math.max(0, from - segment.offset);
+                return {
+                  offset: segment.offset + cut - from,
+                  text: segment.text.slice(cut),
+                  line: segment.line + countNewlines(segment.text.slice(0, cut)),
+                };
+              });
           }
           current = nextPrefix;
+          segments = nextSegments;
         }
 
         // If single paragraph is still too large, sentence-split it
         if (para.length > this.maxChunkSize) {
+          // The pieces overlap each other. Overlap carried from the previous
+          // paragraph would land in front of the last piece, out of order.
+          current = "";
+          segments = [];
           let start = 0;
           while (start < para.length) {
             const remaining = para.length - start;
+            const pieceLine = paraLine + countNewlines(para.slice(0, start));
             if (remaining <= this.maxChunkSize) {
               // Last piece fits as-is
-              if (current.length > 0) current += "\n\n";
-              current += para.substring(start);
+              append(para.substring(start), pieceLine);
               break;
             }
 
@@ -623,18 +1141,8 @@ class SmartTextChunker {
               splitAt = start + this.maxChunkSize;
             }
 
-            chunks.push(
-              new SmartChunk(
-                para.substring(start, splitAt),
-                context,
-                level,
-                chunkType,
-                fileType,
-                structuralPath,
-                locatorType,
-                chunkMetadata,
-              ),
-            );
+            const piece = para.substring(start, splitAt);
+            emit(piece, contentLineSpan(piece, pieceLine));
 
             // Overlap for sentence-split pieces
             start = Math.max(start + 1, splitAt - this.overlap);
@@ -643,23 +1151,18 @@ class SmartTextChunker {
         }
       }
 
-      if (current.length > 0) current += "\n\n";
-      current += para;
+      append(para, paraLine);
     }
 
     if (current.length > 0) {
-      chunks.push(
-        new SmartChunk(
-          current,
-          context,
-          level,
-          chunkType,
-          fileType,
-          structuralPath,
-          locatorType,
-          chunkMetadata,
-        ),
-      );
+      emit(current, currentLines());
+    }
+
+    if (chunks.length - firstChild > 1) {
+      for (let i = firstChild; i < chunks.length; i++) {
+        chunks[i].parentStart = firstChild;
+        chunks[i].parentEnd = chunks.length - 1;
+      }
     }
   }
 }
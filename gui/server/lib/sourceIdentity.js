@@ -62,3 +62,16 @@ export function mintSourceId(collection, canonicalPath) {
 export function computeChunkHash(sourceId, chunkIndex, chunkText) {
   return stableIdentityHash([sourceId, chunkIndex, chunkText || ""]);
 }
+
+/**
+ * Derives the identity of a section that was split into several chunks.
+ * It is built from the children's hashes, so it changes whenever any of
+ * them does.
+ *
+ * @param {string}   sourceId    - canonical sourceId for the parent document
+ * @param {string[]} chunkHashes - ChunkHash of every child, in ordinal order
+ * @returns {string} 16-char lowercase hex (no prefix — callers add `sec_`)
+ */
+export function computeParentHash(sourceId, chunkHashes) {
+  return stableIdentityHash([sourceId, "section", ...chunkHashes]);
+}
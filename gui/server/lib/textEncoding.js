@@ -0,0 +1,119 @@
+/**
+ * Text decoding for ingested source files.
+ *
+ * Windows tools often write UTF-16 (PowerShell scripts, XML logs) or legacy
+ * code-page text rather than UTF-8. decodeText picks an encoding before
+ * chunking:
+ *
+ *   1. A byte-order mark decides (UTF-8, UTF-16 LE, UTF-16 BE).
+ *   2. Without one, a NUL byte in every other position means UTF-16.
+ *   3. Otherwise valid UTF-8 is UTF-8, and anything else is read as Latin-1
+ *      with the Windows-1252 characters (smart quotes, €) in 0x80-0x9F.
+ *
+ * Text that is invalid in its detected encoding, or that is full of control
+ * characters once decoded, throws a TextDecodeError instead of being chunked.
+ */
+
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+];
+
+const SNIFF_BYTES = 4096;
+// Share of NULs in one byte lane of ASCII-heavy UTF-16, and the most the
+// other lane may have.
+const UTF16_NUL_LANE_RATIO = 0.4;
+const UTF16_OTHER_LANE_RATIO = 0.05;
+// Decoded text with more control characters than this reads as binary.
+const MAX_CONTROL_RATIO = 0.01;
+// C0 controls other than tab, line breaks, form feed and ESC (ANSI colors).
+const BINARY_CONTROL_CHARS = /[\x00-\x08\x0e-\x1a\x1c-\x1f]/g;
+
+// Windows-1252 for 0x80-0x9F; the five unassigned bytes stay as C1 controls.
+// Mapped by hand because TextDecoder's "windows-1252" is plain ISO-8859-1
+// in Node builds without full ICU.
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021,
+  0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+  0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178,
+];
+
+export class TextDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TextDecodeError";
+  }
+}
+
+function bomEncoding(buffer) {
+  const bom = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return bom ? bom.encoding : null;
+}
+
+function sniffUtf16(buffer) {
+  const length = Math.min(buffer.length, SNIFF_BYTES) & ~1;
+  if (length < 4) return null;
+
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (buffer[i] === 0) evenNuls++;
+    if (buffer[i + 1] === 0) oddNuls++;
+  }
+  const units = length / 2;
+  if (oddNuls / units >= UTF16_NUL_LANE_RATIO && evenNuls / units <= UTF16_OTHER_LANE_RATIO) {
+    return "utf-16le";
+  }
+  if (evenNuls / units >= UTF16_NUL_LANE_RATIO && oddNuls / units <= UTF16_OTHER_LANE_RATIO) {
+    return "utf-16be";
+  }
+  return null;
+}
+
+function decodeWindows1252(buffer) {
+  return buffer
+    .toString("latin1")
+    .replace(/[\x80-\x9f]/g, (char) => String.fromCharCode(WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]));
+}
+
+function decodeStrict(buffer, encoding) {
+  try {
+    // TextDecoder drops a leading BOM for its own encoding.
+    return new TextDecoder(encoding, { fatal: true }).decode(buffer);
+  } catch {
+    throw new TextDecodeError(`Not valid ${encoding.toUpperCase()} text`);
+  }
+}
+
+/**
+ * Detects the encoding of `buffer` and decodes it.
+ * @param {Buffer} buffer
+ * @returns {{ text: string, encoding: "utf-8"|"utf-16le"|"utf-16be"|"windows-1252", bom: boolean }}
+ * @throws {TextDecodeError} when the bytes are not valid text in any supported encoding
+ */
+export function decodeText(buffer) {
+  const fromBom = bomEncoding(buffer);
+  let encoding = fromBom || sniffUtf16(buffer);
+  let text;
+
+  if (encoding) {
+    text = decodeStrict(buffer, encoding);
+  } else {
+    try {
+      text = decodeStrict(buffer, "utf-8");
+      encoding = "utf-8";
+    } catch {
+      text = decodeWindows1252(buffer);
+      encoding = "windows-1252";
+    }
+  }
+
+  const controlCount = text.match(BINARY_CONTROL_CHARS)?.length ?? 0;
+  if (controlCount > 0 && controlCount > text.length * MAX_CONTROL_RATIO) {
+    throw new TextDecodeError(`Looks like binary data, not ${encoding.toUpperCase()} text`);
+  }
+
+  return { text, encoding, bom: Boolean(fromBom) };
+}
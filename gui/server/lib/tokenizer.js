@@ -0,0 +1,492 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Token counting
+ *
+ * One counter per model family measures text for chunk sizing (embedding
+ * model), context packing and history trimming (chat model), so all three
+ * budgets are in the same unit the model is limited by.
+ *
+ * A counter uses the model's own vocabulary when a Hugging Face
+ * `tokenizer.json` is available locally: `<TokenizerDir>/<model>.json` (tag
+ * dropped, e.g. `llama3.1.json`) or `<TokenizerDir>/<family>.json` (e.g.
+ * `llama3.json`, `qwen2.json`, `mistral.json`). Supported models are byte-level
+ * BPE (Llama 3, Qwen 2), SentencePiece-style BPE with byte fallback (Llama 2,
+ * Mistral, Gemma, Phi-3) and WordPiece (BERT-style embedders).
+ *
+ * Without a vocabulary the counter estimates from a per-family
+ * characters-per-token ratio, with CJK characters counted one token each.
+ * The estimate is calibrated against the prompt token counts Ollama reports
+ * after each chat.
+ *
+ * Counts cover message text only; chat-template tokens are added per message
+ * by countMessages.
+ */
+
+export const COUNTING_METHODS = {
+  VOCABULARY: "vocabulary",
+  ESTIMATE: "estimate",
+};
+
+const MODEL_FAMILIES = [
+  { family: "llama3", pattern: /^(llama3|llama-3|hermes3|dolphin-llama3)/, charsPerToken: 4.2, messageOverhead: 5 },
+  { family: "qwen2", pattern: /^(qwen|qwq)/, charsPerToken: 4.0, messageOverhead: 5 },
+  { family: "mistral", pattern: /^(mistral|mixtral|codestral|ministral)/, charsPerToken: 3.7, messageOverhead: 4 },
+  { family: "llama2", pattern: /^(llama2|llama-2|codellama|vicuna|orca-mini|tinyllama)/, charsPerToken: 3.6, messageOverhead: 4 },
+  { family: "gemma", pattern: /^(gemma|codegemma)/, charsPerToken: 4.0, messageOverhead: 5 },
+  { family: "phi3", pattern: /^(phi3|phi-3)/, charsPerToken: 3.6, messageOverhead: 4 },
+  {
+    family: "bert",
+    pattern: /^(nomic-embed|mxbai-embed|bge-|all-minilm|snowflake-arctic-embed|paraphrase-multilingual)/,
+    charsPerToken: 4.0,
+    messageOverhead: 2,
+  },
+];
+const GENERIC_FAMILY = { family: "generic", charsPerToken: 3.8, messageOverhead: 4 };
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const GPT2_SPLIT = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+// Pieces longer than this are counted in slices; the merge loop is quadratic.
+const MAX_PIECE_CHARS = 256;
+const PIECE_CACHE_LIMIT = 50000;
+// Chunk sizing measures at most this much of a document.
+const SAMPLE_CHARS = 16384;
+// Ollama only evaluates the part of a prompt it has not cached, and truncates
+// prompts longer than num_ctx; reports this far off the estimate are skipped.
+const CALIBRATION_BOUNDS = [0.5, 2];
+const CALIBRATION_RATE = 0.2;
+
+/**
+ * The family a model's tokenizer belongs to, from its Ollama name
+ * (`library/llama3.1:8b` → llama3). Unknown models are "generic".
+ * @param {string} model
+ * @returns {{ family: string, charsPerToken: number, messageOverhead: number }}
+ */
+export function resolveModelFamily(model) {
+  const name = modelBaseName(model);
+  return MODEL_FAMILIES.find((entry) => entry.pattern.test(name)) || GENERIC_FAMILY;
+}
+
+function modelBaseName(model) {
+  return String(model || "")
+    .trim()
+    .toLowerCase()
+    .split("/")
+    .pop()
+    .split(":")[0];
+}
+
+// GPT-2's reversible byte → printable character table used by byte-level BPE.
+const BYTE_ALPHABET = (() => {
+  const printable = [];
+  for (let b = 33; b <= 126; b++) printable.push(b);
+  for (let b = 161; b <= 172; b++) printable.push(b);
+  for (let b = 174; b <= 255; b++) printable.push(b);
+  const alphabet = new Array(256);
+  printable.forEach((b) => (alphabet[b] = String.fromCodePoint(b)));
+  let shifted = 0;
+  for (let b = 0; b < 256; b++) {
+    if (alphabet[b] === undefined) alphabet[b] = String.fromCodePoint(256 + shifted++);
+  }
+  return alphabet;
+})();
+
+const utf8 = new TextEncoder();
+
+function toByteLevel(text) {
+  let mapped = "";
+  for (const byte of utf8.encode(text)) mapped += BYTE_ALPHABET[byte];
+  return mapped;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compiles a tokenizer.json regex for JavaScript. Vocabularies are written
+ * for Oniguruma/fancy-regex; the only construct Node lacks in practice is the
+ * scoped case-insensitive group `(?i:...)`, which is spelled out here.
+ */
+export function compileTokenizerPattern(pattern) {
+  if (typeof pattern?.String === "string") {
+    return new RegExp(escapeRegExp(pattern.String), "gu");
+  }
+  let source = String(pattern?.Regex ?? "");
+  let start;
+  while ((start = source.indexOf("(?i:")) !== -1) {
+    let depth = 1;
+    let end = start + 4;
+    for (; end < source.length && depth > 0; end++) {
+      if (source[end] === "\\") end++;
+      else if (source[end] === "(") depth++;
+      else if (source[end] === ")") depth--;
+    }
+    const body = source
+      .slice(start + 4, end - 1)
+      .replace(/\\.|\[[^\]]*\]|[a-zA-Z]/g, (token) =>
+        token.length === 1 ? `[${token.toLowerCase()}${token.toUpperCase()}]` : token,
+      );
+    source = `${source.slice(0, start)}(?:${body})${source.slice(end)}`;
+  }
+  return new RegExp(source, "gu");
+}
+
+// Splits text into matches and the gaps between them.
+function splitByPattern(text, regex, keepMatches = true) {
+  const pieces = [];
+  let last = 0;
+  for (const match of text.matchAll(regex)) {
+    if (match[0].length === 0) continue;
+    if (match.index > last) pieces.push(text.slice(last, match.index));
+    if (keepMatches) pieces.push(match[0]);
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) pieces.push(text.slice(last));
+  return pieces;
+}
+
+function compileNormalizer(spec) {
+  if (!spec) return (text) => text;
+  switch (spec.type) {
+    case "Sequence": {
+      const steps = (spec.normalizers || []).map(compileNormalizer);
+      return (text) => steps.reduce((value, step) => step(value), text);
+    }
+    case "Prepend":
+      return (text) => (text ? `${spec.prepend}${text}` : text);
+    case "Replace": {
+      const regex = compileTokenizerPattern(spec.pattern);
+      return (text) => text.replace(regex, () => spec.content);
+    }
+    case "NFC":
+    case "NFD":
+    case "NFKC":
+    case "NFKD":
+      return (text) => text.normalize(spec.type);
+    case "Lowercase":
+      return (text) => text.toLowerCase();
+    case "Strip":
+      return (text) => {
+        let value = spec.strip_left === false ? text : text.trimStart();
+        value = spec.strip_right === false ? value : value.trimEnd();
+        return value;
+      };
+    case "BertNormalizer":
+      return (text) => {
+        let value = text;
+        if (spec.clean_text !== false) value = value.replace(/[\p{Cc}\p{Cf}]/gu, (ch) => (/\s/.test(ch) ? " " : ""));
+        if (spec.handle_chinese_chars !== false) value = value.replace(/\p{Script=Han}/gu, " $& ");
+        if (spec.strip_accents ?? spec.lowercase !== false) value = value.normalize("NFD").replace(/\p{Mn}/gu, "");
+        if (spec.lowercase !== false) value = value.toLowerCase();
+        return value;
+      };
+    default:
+      return (text) => text;
+  }
+}
+
+function compilePreTokenizer(spec) {
+  if (!spec) return (pieces) => pieces;
+  switch (spec.type) {
+    case "Sequence": {
+      const steps = (spec.pretokenizers || []).map(compilePreTokenizer);
+      return (pieces) => steps.reduce((value, step) => step(value), pieces);
+    }
+    case "Split": {
+      const regex = compileTokenizerPattern(spec.pattern);
+      const keepMatches = spec.behavior !== "Removed";
+      return (pieces) => pieces.flatMap((piece) => splitByPattern(piece, regex, keepMatches));
+    }
+    case "ByteLevel":
+      return (pieces) =>
+        pieces
+          .map((piece, index) =>
+            spec.add_prefix_space && index === 0 && !piece.startsWith(" ") ? ` ${piece}` : piece,
+          )
+          .flatMap((piece) => (spec.use_regex === false ? [piece] : splitByPattern(piece, GPT2_SPLIT)))
+          .map(toByteLevel);
+    case "Metaspace": {
+      const replacement = spec.replacement || "▁";
+      const scheme = spec.prepend_scheme || (spec.add_prefix_space === false ? "never" : "always");
+      const runs = new RegExp(`${escapeRegExp(replacement)}*[^${escapeRegExp(replacement)}]+|${escapeRegExp(replacement)}+`, "gu");
+      return (pieces) =>
+        pieces.flatMap((piece, index) => {
+          let value = piece.replace(/ /g, replacement);
+          if (scheme === "always" || (scheme === "first" && index === 0)) {
+            if (!value.startsWith(replacement)) value = `${replacement}${value}`;
+          }
+          return spec.split === false ? [value] : value.match(runs) || [];
+        });
+    }
+    case "Whitespace":
+      return (pieces) => pieces.flatMap((piece) => piece.match(/\w+|[^\w\s]+/gu) || []);
+    case "WhitespaceSplit":
+      return (pieces) => pieces.flatMap((piece) => piece.match(/\S+/gu) || []);
+    case "BertPreTokenizer":
+      return (pieces) => pieces.flatMap((piece) => piece.match(/[^\s\p{P}\p{S}]+|[\p{P}\p{S}]/gu) || []);
+    default:
+      return (pieces) => pieces;
+  }
+}
+
+/**
+ * Counts tokens with a Hugging Face tokenizer.json (BPE or WordPiece model).
+ * Added/special tokens in the input are counted as ordinary text.
+ */
+export class Vocabulary {
+  /**
+   * @param {object} definition - parsed tokenizer.json
+   */
+  constructor(definition) {
+    const model = definition?.model;
+    if (!model || (model.type !== "BPE" && model.type !== "WordPiece")) {
+      throw new Error(`unsupported tokenizer model ${model?.type || "(none)"}`);
+    }
+    this.type = model.type;
+    this.vocab = new Map(Object.entries(model.vocab || {}));
+    if (this.vocab.size === 0) throw new Error("tokenizer has an empty vocabulary");
+
+    this.normalize = compileNormalizer(definition.normalizer);
+    this.preTokenize = compilePreTokenizer(definition.pre_tokenizer);
+    this.cache = new Map();
+
+    if (this.type === "BPE") {
+      this.ranks = new Map();
+      (model.merges || []).forEach((merge, rank) => {
+        const [left, right] = Array.isArray(merge) ? merge : String(merge).split(" ");
+        this.ranks.set(`${left}\u0000${right}`, rank);
+      });
+      this.byteFallback = model.byte_fallback === true;
+      this.ignoreMerges = model.ignore_merges === true;
+    } else {
+      this.subwordPrefix = model.continuing_subword_prefix ?? "##";
+      this.maxWordChars = model.max_input_chars_per_word || 100;
+    }
+  }
+
+  /**
+   * Reads and compiles a tokenizer.json file.
+   * @param {string} filePath
+   * @returns {Vocabulary}
+   */
+  static fromFile(filePath) {
+    return new Vocabulary(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+
+  count(text) {
+    if (!text) return 0;
+    let total = 0;
+    for (const piece of this.preTokenize([this.normalize(text)])) {
+      const symbols = Array.from(piece);
+      for (let i = 0; i < symbols.length; i += MAX_PIECE_CHARS) {
+        total += this.countPiece(symbols.slice(i, i + MAX_PIECE_CHARS).join(""));
+      }
+    }
+    return total;
+  }
+
+  countPiece(piece) {
+    if (!piece) return 0;
+    let count = this.cache.get(piece);
+    if (count === undefined) {
+      count = this.type === "BPE" ? this.countBpe(piece) : this.countWordPiece(piece);
+      if (this.cache.size >= PIECE_CACHE_LIMIT) this.cache.clear();
+      this.cache.set(piece, count);
+    }
+    return count;
+  }
+
+  countBpe(piece) {
+    if (this.ignoreMerges && this.vocab.has(piece)) return 1;
+
+    let symbols = Array.from(piece);
+    while (symbols.length > 1) {
+      let bestRank = Infinity;
+      let bestPair = null;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.ranks.get(`${symbols[i]}\u0000${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          bestPair = [symbols[i], symbols[i + 1]];
+        }
+      }
+      if (!bestPair) break;
+
+      const merged = [];
+      for (let i = 0; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === bestPair[0] && symbols[i + 1] === bestPair[1]) {
+          merged.push(symbols[i] + symbols[i + 1]);
+          i++;
+        } else {
+          merged.push(symbols[i]);
+        }
+      }
+      symbols = merged;
+    }
+
+    let count = 0;
+    for (const symbol of symbols) {
+      count += this.vocab.has(symbol) || !this.byteFallback ? 1 : utf8.encode(symbol).length;
+    }
+    return count;
+  }
+
+  countWordPiece(word) {
+    const chars = Array.from(word);
+    if (chars.length > this.maxWordChars) return 1;
+
+    let count = 0;
+    let start = 0;
+    while (start < chars.length) {
+      let end = chars.length;
+      while (end > start) {
+        const sub = chars.slice(start, end).join("");
+        if (this.vocab.has(start > 0 ? `${this.subwordPrefix}${sub}` : sub)) break;
+        end--;
+      }
+      // No piece matches: the whole word is one unknown token.
+      if (end === start) return 1;
+      count++;
+      start = end;
+    }
+    return count;
+  }
+}
+
+/**
+ * Measures text for one model family. Create through getTokenCounter so
+ * vocabularies are loaded once and calibration is shared.
+ */
+export class TokenCounter {
+  /**
+   * @param {{ family: string, charsPerToken: number, messageOverhead: number }} family
+   * @param {Vocabulary|null} [vocabulary]
+   */
+  constructor(family, vocabulary = null) {
+    this.family = family.family;
+    this.charsPerToken = family.charsPerToken;
+    this.messageOverhead = family.messageOverhead;
+    this.vocabulary = vocabulary;
+    this.calibration = 1;
+  }
+
+  get method() {
+    return this.vocabulary ? COUNTING_METHODS.VOCABULARY : COUNTING_METHODS.ESTIMATE;
+  }
+
+  /**
+   * Tokens in `text`.
+   * @param {string} text
+   * @returns {number}
+   */
+  count(text) {
+    if (typeof text !== "string" || !text) return 0;
+    if (this.vocabulary) return this.vocabulary.count(text);
+
+    const cjk = text.match(CJK_PATTERN)?.length || 0;
+    return Math.ceil(((text.length - cjk) / this.charsPerToken + cjk) * this.calibration);
+  }
+
+  /** Tokens of one chat message including its template framing. */
+  countMessage(message) {
+    return this.count(message?.content || "") + this.messageOverhead;
+  }
+
+  /**
+   * Tokens of a chat prompt: every message plus the assistant turn header the
+   * template appends.
+   * @param {{ role: string, content: string }[]} messages
+   */
+  countMessages(messages) {
+    return messages.reduce((sum, message) => sum + this.countMessage(message), this.messageOverhead);
+  }
+
+  /**
+   * Characters that hold about `tokens` tokens of text like `sample` (the
+   * document being chunked). Falls back to the family ratio for empty samples.
+   */
+  charsFor(tokens, sample = "") {
+    const text = typeof sample === "string" ? sample.slice(0, SAMPLE_CHARS) : "";
+    const counted = this.count(text);
+    const charsPerToken = counted > 0 ? text.length / counted : this.charsPerToken / this.calibration;
+    return Math.max(1, Math.floor(tokens * charsPerToken));
+  }
+
+  /**
+   * Folds the prompt size Ollama reported into the estimate. Vocabulary counts
+   * are not adjusted.
+   * @param {number} estimated - countMessages() of the prompt that was sent
+   * @param {number} actual - prompt_eval_count
+   * @returns {boolean} true when the report was used
+   */
+  calibrate(estimated, actual) {
+    if (this.vocabulary || !(estimated > 0) || !(actual > 0)) return false;
+    const ratio = actual / estimated;
+    if (ratio < CALIBRATION_BOUNDS[0] || ratio > CALIBRATION_BOUNDS[1]) return false;
+    this.calibration *= 1 + CALIBRATION_RATE * (ratio - 1);
+    return true;
+  }
+}
+
+const counters = new Map();
+
+function findVocabulary(model, family, tokenizerDir) {
+  if (!tokenizerDir) return null;
+  const candidates = [modelBaseName(model), family.family]
+    .filter(Boolean)
+    .map((name) => path.join(tokenizerDir, `${name.replace(/[^a-z0-9._-]/g, "_")}.json`));
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * The shared counter for a model. The first call for a vocabulary file reads
+ * it synchronously; a file that cannot be used is reported once and the
+ * counter estimates instead.
+ * @param {string} model - Ollama model name
+ * @param {{ tokenizerDir?: string }} [options]
+ * @returns {TokenCounter}
+ */
+export function getTokenCounter(model, { tokenizerDir = "" } = {}) {
+  const family = resolveModelFamily(model);
+  const vocabularyPath = findVocabulary(model, family, tokenizerDir);
+  const key = vocabularyPath || `estimate:${family.family}`;
+  if (counters.has(key)) return counters.get(key);
+
+  let vocabulary = null;
+  if (vocabularyPath) {
+    try {
+      vocabulary = Vocabulary.fromFile(vocabularyPath);
+      console.log(`[Tokenizer] Counting ${model} tokens with ${vocabularyPath}`);
+    } catch (err) {
+      console.warn(
+        `[Tokenizer Warn] Could not use ${vocabularyPath}: ${err.message}. Estimating ${model} tokens instead.`,
+      );
+    }
+  }
+  const counter = new TokenCounter(family, vocabulary);
+  counters.set(key, counter);
+  return counter;
+}
+
+/**
+ * Drops the oldest chat turns until the conversation fits `budget` tokens.
+ * The last message is always kept, and the kept history never starts with an
+ * assistant reply.
+ * @param {{ role: string, content: string }[]} messages
+ * @param {TokenCounter} counter
+ * @param {number} budget - tokens available to the conversation
+ * @returns {{ messages: object[], dropped: number }}
+ */
+export function trimHistory(messages, counter, budget) {
+  const sizes = messages.map((message) => counter.countMessage(message));
+  let total = sizes.reduce((sum, size) => sum + size, 0);
+  let start = 0;
+  while (start < messages.length - 1 && (total > budget || messages[start].role === "assistant")) {
+    total -= sizes[start];
+    start++;
+  }
+  return { messages: messages.slice(start), dropped: start };
+}
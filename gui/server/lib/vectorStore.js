@@ -1,4 +1,9 @@
+import path from "path";
 import * as lancedb from "@lancedb/lancedb";
+import { LexicalIndex } from "./lexicalIndex.js";
+
+// Rank offset from the original Reciprocal Rank Fusion paper (Cormack et al., 2009).
+const DEFAULT_RRF_K = 60;
 
 /**
  * LanceDB VectorStore Wrapper
@@ -22,6 +27,8 @@ export class VectorStore {
     this.dims = 0;
     this.model = null;
     this.isReady = false;
+    this.dataDir = null;
+    this.collectionName = null;
   }
 
   static normalizeString(value) {
@@ -105,48 +112,155 @@ export class VectorStore {
     return totalBoost;
   }
 
-  static tokenizeLexicalQuery(query) {
-    if (typeof query !== "string") {
-      return [];
+  static squaredL2Distance(left, right) {
+    const a = Array.from(left || []);
+    const b = Array.from(right || []);
+    if (a.length === 0 || a.length !== b.length) {
+      return Number.POSITIVE_INFINITY;
     }
 
-    const terms = query
-      .toLowerCase()
-      .split(/[^a-z0-9_.\-]+/)
-      .filter((token) => token.length >= 3);
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      const delta = a[i] - b[i];
+      sum += delta * delta;
+    }
+    return sum;
+  }
 
-    return [...new Set(terms)];
+  /**
+   * Reciprocal Rank Fusion. Every candidate earns 1 / (k + rank) from each
+   * ranked list it appears in — vector, lexical and metadata — and the sum
+   * becomes its rankingScore. Only ranks matter, so the result does not depend
+   * on how distanceToScore or BM25 normalization scale the raw scores.
+   * @param {object[]} candidates - mapped results carrying `fusionSignals`
+   * @param {number} k - rank offset
+   */
+  static applyReciprocalRankFusion(candidates, k = DEFAULT_RRF_K) {
+    const rankOffset = Number.isFinite(k) && k > 0 ? k : DEFAULT_RRF_K;
+    for (const candidate of candidates) {
+      candidate.rankingScore = 0;
+    }
+
+    for (const signal of ["vector", "lexical", "metadata"]) {
+      const ranked = candidates
+        .filter((candidate) => candidate.fusionSignals?.[signal] !== null)
+        .sort(
+          (left, right) =>
+            right.fusionSignals[signal] - left.fusionSignals[signal] ||
+            right.score - left.score,
+        );
+
+      ranked.forEach((candidate, index) => {
+        candidate.rankingScore += 1 / (rankOffset + index + 1);
+      });
+    }
   }
 
-  static computeLexicalScore(row, queryTerms) {
-    if (!Array.isArray(queryTerms) || queryTerms.length === 0) {
-      return 0;
+  /**
+   * Maps a LanceDB row into the field names server.js and the client parser
+   * (main.js) expect. Search results add their scores on top.
+   */
+  static mapRow(row) {
+    return {
+      SourceId: row.SourceId,
+      ChunkHash: row.ChunkHash,
+      chunkOrdinal: row.chunkOrdinal ?? row.ChunkIndex,
+      ChunkText: row.Text || row.ChunkText,
+      TextPreview:
+        row.TextPreview || (row.Text ? row.Text.substring(0, 150) + "..." : ""),
+      FileName: row.FileName,
+      ChunkIndex: row.ChunkIndex,
+      HeaderContext: row.HeaderContext,
+      FileType: row.FileType,
+      ChunkType: row.ChunkType,
+      LocatorType: row.LocatorType,
+      StructuralPath: row.StructuralPath,
+      SectionPath: row.SectionPath,
+      SymbolName: row.SymbolName,
+      PageStart: row.PageStart,
+      PageEnd: row.PageEnd,
+      RowStart: row.RowStart,
+      RowEnd: row.RowEnd,
+      LineStart: row.LineStart,
+      LineEnd: row.LineEnd,
+      CommitSha: row.CommitSha,
+      CommitAuthor: row.CommitAuthor,
+      CommitDate: row.CommitDate,
+      ParentHash: row.ParentHash,
+      ParentOrdinalStart: row.ParentOrdinalStart,
+      ParentOrdinalEnd: row.ParentOrdinalEnd,
+    };
+  }
+
+  static quoteSqlString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Runs the BM25 side of hybrid retrieval against the collection's lexical
+   * index. Scores are normalized against the best hit so they sit on the same
+   * 0..1 scale as the vector relevance score used by the linear fusion.
+   * @param {string} query
+   * @param {number} limit
+   * @returns {Promise<Map<string, number>>} ChunkHash -> normalized BM25 score
+   */
+  async searchLexical(query, limit) {
+    const scores = new Map();
+    if (!this.dataDir || !this.collectionName || typeof query !== "string") {
+      return scores;
     }
 
-    const haystack = [
-      row.ChunkText,
-      row.Text,
-      row.TextPreview,
-      row.HeaderContext,
-      row.FileName,
-      row.StructuralPath,
-    ]
-      .filter((value) => typeof value === "string")
-      .join("\n")
-      .toLowerCase();
-
-    if (!haystack) {
-      return 0;
+    const index = await LexicalIndex.open(this.dataDir, this.collectionName);
+    const hits = index.search(query, limit);
+    const topScore = hits.length > 0 ? hits[0].score : 0;
+    for (const hit of hits) {
+      scores.set(hit.chunkHash, topScore > 0 ? hit.score / topScore : 0);
     }
+    return scores;
+  }
 
-    let matches = 0;
-    for (const term of queryTerms) {
-      if (haystack.includes(term)) {
-        matches += 1;
-      }
+  /**
+   * Loads full rows for lexical hits that the vector search did not return and
+   * gives them a `_distance` computed against the query vector, so they flow
+   * through the same scoring path as native LanceDB results.
+   */
+  async fetchLexicalOnlyRows(chunkHashes, queryVec) {
+    if (chunkHashes.length === 0) {
+      return [];
     }
 
-    return matches / queryTerms.length;
+    const predicate = `ChunkHash IN (${chunkHashes
+      .map((hash) => VectorStore.quoteSqlString(hash))
+      .join(", ")})`;
+    const rows = await this.table.query().where(predicate).toArray();
+
+    return rows.map((row) => ({
+      ...row,
+      _distance: VectorStore.squaredL2Distance(queryVec, row.vector),
+    }));
+  }
+
+  /**
+   * Loads one source's chunks with chunkOrdinal in [ordinalStart, ordinalEnd],
+   * in ordinal order. Used to widen a hit into the section or passage around it.
+   * @param {string} sourceId
+   * @param {number} ordinalStart
+   * @param {number} ordinalEnd
+   * @returns {Promise<object[]>} rows mapped like search results, without scores
+   */
+  async fetchChunkRange(sourceId, ordinalStart, ordinalEnd) {
+    if (!this.isReady || !this.table) {
+      return [];
+    }
+
+    const predicate =
+      `SourceId = ${VectorStore.quoteSqlString(sourceId)} AND ` +
+      `chunkOrdinal >= ${Math.floor(ordinalStart)} AND chunkOrdinal <= ${Math.floor(ordinalEnd)}`;
+    const rows = await this.table.query().where(predicate).toArray();
+
+    return rows
+      .map((row) => VectorStore.mapRow(row))
+      .sort((left, right) => left.chunkOrdinal - right.chunkOrdinal);
   }
 
   /**
@@ -160,6 +274,9 @@ export class VectorStore {
     try {
       // Connect to the embedded DB directory
       this.db = await lancedb.connect(dbPath);
+      // The lexical index lives beside the manifest, one level above the .lance directory.
+      this.dataDir = path.dirname(dbPath);
+      this.collectionName = collectionName;
 
       // Verify the table exists before trying to open it
       const tables = await this.db.tableNames();
@@ -235,9 +352,6 @@ export class VectorStore {
         strictFilter && hasMetadataFilters && options.strictBackfill !== false;
       const includeDropTrace = options.includeDropTrace === true;
       const mode = VectorStore.normalizeString(options.mode) || "vector";
-      const lexicalQueryTerms = VectorStore.tokenizeLexicalQuery(
-        options.lexicalQuery,
-      );
       const isHybridMode = mode === "hybrid";
       const fusionWeights = options.fusionWeights || { vector: 0.65, lexical: 0.35 };
       const vectorWeight = Number.isFinite(fusionWeights.vector)
@@ -246,6 +360,7 @@ export class VectorStore {
       const lexicalWeight = Number.isFinite(fusionWeights.lexical)
         ? fusionWeights.lexical
         : 0.35;
+      const fusion = VectorStore.normalizeString(options.fusion) || "linear";
 
       // LanceDB native search array collapse
       const rawResults = await this.table
@@ -253,6 +368,24 @@ export class VectorStore {
         .limit(candidateLimit)
         .toArray();
 
+      // Hybrid mode fuses two independent candidate lists: the vector list above
+      // and a BM25 list from the lexical index. Lexical-only hits are fetched
+      // from LanceDB so they can be ranked alongside the vector results.
+      let candidateRows = rawResults;
+      let lexicalScores = new Map();
+      const vectorHashes = new Set(rawResults.map((row) => row.ChunkHash));
+      if (isHybridMode) {
+        lexicalScores = await this.searchLexical(options.lexicalQuery, candidateLimit);
+        const lexicalOnlyHashes = [...lexicalScores.keys()].filter(
+          (hash) => !vectorHashes.has(hash),
+        );
+        const lexicalOnlyRows = await this.fetchLexicalOnlyRows(
+          lexicalOnlyHashes,
+          queryVec,
+        );
+        candidateRows = [...rawResults, ...lexicalOnlyRows];
+      }
+
       const results = [];
       const strictMatches = [];
       const strictBackfillPool = [];
@@ -262,23 +395,7 @@ export class VectorStore {
       const mapResult = (row, score, rankingScore = score) => ({
         score,
         rankingScore,
-        SourceId: row.SourceId,
-        ChunkHash: row.ChunkHash,
-        chunkOrdinal: row.chunkOrdinal ?? row.ChunkIndex,
-        ChunkText: row.Text || row.ChunkText,
-        TextPreview:
-          row.TextPreview || (row.Text ? row.Text.substring(0, 150) + "..." : ""),
-        FileName: row.FileName,
-        ChunkIndex: row.ChunkIndex,
-        HeaderContext: row.HeaderContext,
-        FileType: row.FileType,
-        ChunkType: row.ChunkType,
-        LocatorType: row.LocatorType,
-        StructuralPath: row.StructuralPath,
-        SectionPath: row.SectionPath,
-        SymbolName: row.SymbolName,
-        PageStart: row.PageStart,
-        PageEnd: row.PageEnd,
+        ...VectorStore.mapRow(row),
       });
 
       const toTraceCandidate = (mapped, extra = {}) => ({
@@ -298,13 +415,19 @@ export class VectorStore {
         ...extra,
       });
 
-      for (const r of rawResults) {
+      for (const r of candidateRows) {
         const score = VectorStore.distanceToScore(r._distance);
+        const lexicalScore = lexicalScores.get(r.ChunkHash) || 0;
         const mappedBase = mapResult(r, score, score);
         if (includeDropTrace) {
-          traceRetrievedCandidates.push(toTraceCandidate(mappedBase));
+          traceRetrievedCandidates.push(
+            toTraceCandidate(mappedBase, isHybridMode ? { lexicalScore } : {}),
+          );
         }
-        if (score < minRelevance) {
+        // minScore is a vector similarity floor. A BM25 hit is kept however
+        // far its embedding is, or hybrid mode would drop exactly the keyword
+        // matches the embedding missed.
+        if (score < minRelevance && lexicalScore === 0) {
           if (includeDropTrace) {
             traceDroppedCandidates.push(
               toTraceCandidate(mappedBase, { dropReason: "below_min_score" }),
@@ -314,6 +437,7 @@ export class VectorStore {
         }
 
         let rankingScore = score;
+        let metadataBoost = 0;
         let isMetadataMatch = true;
         if (shouldEvaluateMetadata) {
           const { matched, matchedFields } = VectorStore.matchMetadataFilters(
@@ -335,19 +459,26 @@ export class VectorStore {
             }
           }
 
-          rankingScore += VectorStore.computeBoost(matchedFields, boosts);
+          metadataBoost = VectorStore.computeBoost(matchedFields, boosts);
+          rankingScore += metadataBoost;
         }
 
-        if (isHybridMode) {
-          const lexicalScore = VectorStore.computeLexicalScore(
-            r,
-            lexicalQueryTerms,
-          );
+        if (isHybridMode && fusion === "max") {
+          rankingScore = Math.max(score, lexicalScore) + metadataBoost;
+        } else if (isHybridMode && fusion !== "rrf") {
           rankingScore = vectorWeight * rankingScore + lexicalWeight * lexicalScore;
         }
 
         // Map LanceDB generic response into the strict format expected by server.js / main.js
         const mappedResult = mapResult(r, score, rankingScore);
+        if (isHybridMode && fusion === "rrf") {
+          // Scored after the loop, once every list can be ranked.
+          mappedResult.fusionSignals = {
+            vector: vectorHashes.has(r.ChunkHash) ? score : null,
+            lexical: lexicalScore > 0 ? lexicalScore : null,
+            metadata: metadataBoost > 0 ? metadataBoost : null,
+          };
+        }
 
         if (strictBackfillEnabled) {
           if (isMetadataMatch) {
@@ -361,6 +492,13 @@ export class VectorStore {
         results.push(mappedResult);
       }
 
+      if (isHybridMode && fusion === "rrf") {
+        VectorStore.applyReciprocalRankFusion(
+          [...results, ...strictMatches, ...strictBackfillPool],
+          options.rrfK,
+        );
+      }
+
       if (strictBackfillEnabled) {
         strictMatches.sort((left, right) => right.rankingScore - left.rankingScore);
         strictBackfillPool.sort(
@@ -373,7 +511,7 @@ export class VectorStore {
 
         const finalResults = results
           .slice(0, requestedTopK)
-          .map(({ rankingScore, ...result }) => result);
+          .map(({ rankingScore, fusionSignals, ...result }) => result);
         if (includeDropTrace) {
           return {
             results: finalResults,
@@ -387,7 +525,7 @@ export class VectorStore {
       const finalResults = results
         .sort((left, right) => right.rankingScore - left.rankingScore)
         .slice(0, requestedTopK)
-        .map(({ rankingScore, ...result }) => result);
+        .map(({ rankingScore, fusionSignals, ...result }) => result);
       if (includeDropTrace) {
         return {
           results: finalResults,
@@ -0,0 +1,125 @@
+import zlib from "zlib";
+
+/**
+ * Minimal in-memory ZIP reader.
+ *
+ * Office formats (DOCX, ODT) are ZIP containers of XML parts. This reads the
+ * central directory and inflates single entries with Node's zlib, so no
+ * third-party archive dependency is needed. Only stored (0) and deflate (8)
+ * entries are supported; ZIP64 and encrypted archives are rejected.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_LENGTH = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// Guards against decompression bombs hidden in small archives.
+export const MAX_ENTRY_SIZE = 100 * 1024 * 1024;
+
+export class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ZipFormatError";
+  }
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const lowest = Math.max(0, buffer.length - EOCD_MIN_LENGTH - MAX_COMMENT_LENGTH);
+  for (let offset = buffer.length - EOCD_MIN_LENGTH; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Lists the entries of a ZIP archive.
+ * @param {Buffer} buffer
+ * @returns {Map<string, { name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number }>}
+ */
+export function readZipEntries(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < EOCD_MIN_LENGTH) {
+    throw new ZipFormatError("Not a ZIP archive");
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd < 0) {
+    throw new ZipFormatError("Not a ZIP archive (end of central directory not found)");
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new ZipFormatError("ZIP64 archives are not supported");
+  }
+
+  const entries = new Map();
+  let cursor = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (cursor + 46 > buffer.length || buffer.readUInt32LE(cursor) !== CENTRAL_ENTRY_SIGNATURE) {
+      throw new ZipFormatError("Corrupt ZIP central directory");
+    }
+
+    const flags = buffer.readUInt16LE(cursor + 8);
+    const method = buffer.readUInt16LE(cursor + 10);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const extraLength = buffer.readUInt16LE(cursor + 30);
+    const commentLength = buffer.readUInt16LE(cursor + 32);
+    const localHeaderOffset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString("utf8", cursor + 46, cursor + 46 + nameLength);
+
+    if (!(flags & 0x1)) {
+      entries.set(name, { name, method, compressedSize, size, localHeaderOffset });
+    }
+
+    cursor += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Reads and decompresses one entry.
+ * @param {Buffer} buffer - the whole archive
+ * @param {{ name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number }} entry
+ * @returns {Buffer}
+ */
+export function extractZipEntry(buffer, entry) {
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_HEADER_SIGNATURE) {
+    throw new ZipFormatError(`Corrupt local header for ${entry.name}`);
+  }
+  if (entry.size > MAX_ENTRY_SIZE) {
+    throw new ZipFormatError(`${entry.name} exceeds the ${MAX_ENTRY_SIZE} byte entry limit`);
+  }
+
+  const dataStart = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  switch (entry.method) {
+    case METHOD_STORED:
+      return Buffer.from(data);
+    case METHOD_DEFLATE:
+      return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+    default:
+      throw new ZipFormatError(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+}
+
+/**
+ * Convenience: reads one named entry as UTF-8 text.
+ * @returns {string|null} null when the archive has no such entry
+ */
+export function readZipText(buffer, name, entries = readZipEntries(buffer)) {
+  const entry = entries.get(name);
+  return entry ? extractZipEntry(buffer, entry).toString("utf8") : null;
+}
@@ -5,6 +5,11 @@ import { performance } from "perf_hooks";
 import { loadConfig } from "../lib/configLoader.js";
 import { VectorStore } from "../lib/vectorStore.js";
 import { embed } from "../lib/ollamaClient.js";
+import {
+  isValidRerankFlag,
+  rerankCandidates,
+  resolveRerankOptions,
+} from "../lib/reranker.js";
 import {
   enforceQueryLogSchema,
   resolveQueryLogPath,
@@ -153,6 +158,10 @@ async function runEvaluation(options) {
   const embeddingModel = config?.RAG?.EmbeddingModel || "nomic-embed-text";
   const ollamaUrl = config?.RAG?.OllamaUrl || "http://localhost:11434";
 
+  const rerankOptions = options.rerank
+    ? resolveRerankOptions(config?.RAG?.Rerank, options.rerank)
+    : { enabled: false };
+
   const store = new VectorStore();
   const entries = [];
 
@@ -168,7 +177,21 @@ async function runEvaluation(options) {
       const t0 = performance.now();
       await store.load(dbDir, collection, embeddingModel);
       const queryVector = await embed(item.query, embeddingModel, ollamaUrl);
-      const results = await store.findNearest(queryVector, topK, minScore);
+      let results = await store.findNearest(
+        queryVector,
+        rerankOptions.enabled ? Math.max(topK, rerankOptions.topN) : topK,
+        minScore,
+      );
+      let preRerankRanks = null;
+      if (rerankOptions.enabled) {
+        const reranked = await rerankCandidates(item.query, results, {
+          ...rerankOptions,
+          model: rerankOptions.model || config?.RAG?.ChatModel || "llama3.1:8b",
+          baseUrl: ollamaUrl,
+        });
+        results = reranked.results.slice(0, topK);
+        preRerankRanks = results.map((r) => r.preRerankRank ?? null);
+      }
       const latencyMs = performance.now() - t0;
 
       const topMatchRank = getTopMatchRank(
@@ -190,6 +213,7 @@ async function runEvaluation(options) {
         topMatchRank,
         hasExpectedHit: topMatchRank !== null,
         resultCount: results.length,
+        ...(preRerankRanks ? { preRerankRanks } : {}),
       });
     } catch (err) {
       entries.push({
@@ -216,6 +240,7 @@ async function runEvaluation(options) {
     scoreSchemaVersion: SCORE_SCHEMA_VERSION,
     scoreType: SCORE_TYPE,
     embeddingModel,
+    rerankStrategy: rerankOptions.enabled ? rerankOptions.strategy : "none",
     collection: defaultCollection,
     summary: summarizeRun(entries),
     entries,
@@ -235,6 +260,7 @@ async function runEvaluation(options) {
       "",
       `- Created: ${run.createdAt}`,
       `- Embedding Model: ${run.embeddingModel}`,
+      `- Rerank: ${run.rerankStrategy}`,
       `- Collection: ${run.collection}`,
       `- Query Count: ${run.summary.queryCount}`,
       `- Recall@K: ${run.summary.recallAtK.toFixed(4)}`,
@@ -291,6 +317,7 @@ async function runEvaluation(options) {
     "",
     `- Compared At: ${run.createdAt}`,
     `- Baseline Created At: ${baselineRun.createdAt}`,
+    `- Rerank: ${baselineRun.rerankStrategy || "none"} -> ${run.rerankStrategy}`,
     "",
     "## Summary",
     "",
@@ -326,7 +353,7 @@ async function runEvaluation(options) {
 
 function usage() {
   console.log(
-    "Usage: node scripts/run-golden-eval.js --mode baseline|compare [--golden tests/data/golden_queries.json] [--baseline TestResults/retrieval-eval/golden_baseline.json] [--collection NAME] [--min-score NUMBER] [--query-log path] [--allow-legacy-schema]",
+    "Usage: node scripts/run-golden-eval.js --mode baseline|compare [--golden tests/data/golden_queries.json] [--baseline TestResults/retrieval-eval/golden_baseline.json] [--collection NAME] [--min-score NUMBER] [--rerank heuristic|ollama] [--query-log path] [--allow-legacy-schema]",
   );
 }
 
@@ -371,6 +398,11 @@ async function main() {
     throw new Error("--min-score must be a valid number");
   }
 
+  const rerank = args.get("rerank") ? String(args.get("rerank")) : null;
+  if (rerank !== null && (rerank === "true" || !isValidRerankFlag(rerank))) {
+    throw new Error("--rerank must be heuristic or ollama");
+  }
+
   const queryLogSelection = resolveQueryLogPath({
     workspaceRoot,
     explicitQueryLogPath,
@@ -396,6 +428,7 @@ async function main() {
     baselinePath,
     collection,
     minScoreOverride,
+    rerank,
     allowLegacySchema,
   });
 
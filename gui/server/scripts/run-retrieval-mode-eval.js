@@ -5,7 +5,12 @@ import { performance } from "perf_hooks";
 import { loadConfig } from "../lib/configLoader.js";
 import { VectorStore } from "../lib/vectorStore.js";
 import { embed } from "../lib/ollamaClient.js";
-import { buildRetrievalPlan, RETRIEVAL_MODES } from "../lib/retrievalModes.js";
+import {
+  buildRetrievalPlan,
+  HYBRID_FUSION_STRATEGIES,
+  normalizeHybridFusion,
+  RETRIEVAL_MODES,
+} from "../lib/retrievalModes.js";
 import {
   enforceQueryLogSchema,
   resolveQueryLogPath,
@@ -97,7 +102,7 @@ function summarize(entries) {
   };
 }
 
-async function runModeEvaluation({ mode, queries, config, store, dbDir }) {
+async function runModeEvaluation({ mode, fusion, queries, config, store, dbDir }) {
   const embeddingModel = config?.RAG?.EmbeddingModel || "nomic-embed-text";
   const ollamaUrl = config?.RAG?.OllamaUrl || "http://localhost:11434";
   const entries = [];
@@ -114,6 +119,7 @@ async function runModeEvaluation({ mode, queries, config, store, dbDir }) {
       overfetchFactor: config?.RAG?.FilteredVectorOverfetch || 4,
       hybridOverfetch: config?.RAG?.HybridOverfetch || 6,
       hybridLexicalWeight: config?.RAG?.HybridLexicalWeight || 0.35,
+      fusion,
     });
 
     try {
@@ -146,6 +152,7 @@ async function runModeEvaluation({ mode, queries, config, store, dbDir }) {
         id: query.id,
         query: query.query,
         mode,
+        fusion: retrievalPlan.fusion,
         overfetchFactor: retrievalPlan.appliedOverfetchFactor || 1,
         constraintsActive: retrievalPlan.constraintsActive,
         latencyMs,
@@ -161,6 +168,7 @@ async function runModeEvaluation({ mode, queries, config, store, dbDir }) {
         id: query.id,
         query: query.query,
         mode,
+        fusion: retrievalPlan.fusion,
         overfetchFactor: retrievalPlan.appliedOverfetchFactor || 1,
         constraintsActive: retrievalPlan.constraintsActive,
         latencyMs: 0,
@@ -177,6 +185,7 @@ async function runModeEvaluation({ mode, queries, config, store, dbDir }) {
 
   return {
     mode,
+    fusion: mode === RETRIEVAL_MODES.HYBRID ? fusion : null,
     summary: summarize(entries),
     entries,
   };
@@ -231,11 +240,8 @@ async function main() {
     : path.join(workspaceRoot, "PowerShell Scripts", "Data");
   const dbDir = path.join(dataDir, "vector_store.lance");
 
-  const modes = [
-    RETRIEVAL_MODES.VECTOR,
-    RETRIEVAL_MODES.FILTERED_VECTOR,
-    RETRIEVAL_MODES.HYBRID,
-  ];
+  const modes = [RETRIEVAL_MODES.VECTOR, RETRIEVAL_MODES.FILTERED_VECTOR];
+  const configuredFusion = normalizeHybridFusion(config?.RAG?.HybridFusion);
 
   const store = new VectorStore();
   const runs = [];
@@ -244,7 +250,27 @@ async function main() {
     runs.push(run);
   }
 
+  // Hybrid runs once per fusion strategy; the configured one stands in for
+  // "hybrid" in the mode summary and deltas.
+  const fusionRuns = [];
+  for (const fusion of Object.values(HYBRID_FUSION_STRATEGIES)) {
+    const run = await runModeEvaluation({
+      mode: RETRIEVAL_MODES.HYBRID,
+      fusion,
+      queries,
+      config,
+      store,
+      dbDir,
+    });
+    fusionRuns.push(run);
+  }
+  runs.push(fusionRuns.find((run) => run.fusion === configuredFusion));
+
   const runByMode = Object.fromEntries(runs.map((run) => [run.mode, run]));
+  const runByFusion = Object.fromEntries(fusionRuns.map((run) => [run.fusion, run]));
+  const fusionSummaries = Object.fromEntries(
+    fusionRuns.map((run) => [run.fusion, run.summary]),
+  );
   const vectorSummary = runByMode.vector.summary;
   const filteredSummary = runByMode["filtered-vector"].summary;
   const hybridSummary = runByMode.hybrid.summary;
@@ -261,7 +287,16 @@ async function main() {
   const rows = runs
     .map((run) => {
       const summary = run.summary;
-      return `| ${run.mode} | ${summary.recallAtK.toFixed(4)} | ${summary.meanReciprocalRank.toFixed(4)} | ${summary.avgLatencyMs.toFixed(2)} | ${summary.avgTopScore.toFixed(6)} |`;
+      const label = run.fusion ? `${run.mode} (${run.fusion})` : run.mode;
+      return `| ${label} | ${summary.recallAtK.toFixed(4)} | ${summary.meanReciprocalRank.toFixed(4)} | ${summary.avgLatencyMs.toFixed(2)} | ${summary.avgTopScore.toFixed(6)} |`;
+    })
+    .join("\n");
+
+  const fusionRows = fusionRuns
+    .map((run) => {
+      const summary = run.summary;
+      const delta = buildDeltas(runByFusion[HYBRID_FUSION_STRATEGIES.LINEAR].summary, summary);
+      return `| ${run.fusion} | ${summary.recallAtK.toFixed(4)} | ${summary.meanReciprocalRank.toFixed(4)} | ${(delta.meanReciprocalRank >= 0 ? "+" : "") + delta.meanReciprocalRank.toFixed(4)} | ${summary.avgLatencyMs.toFixed(2)} |`;
     })
     .join("\n");
 
@@ -283,6 +318,14 @@ async function main() {
     `- Filtered-vector vs vector: Recall delta ${(filteredVsVector.recallAtK >= 0 ? "+" : "") + filteredVsVector.recallAtK.toFixed(4)}, MRR delta ${(filteredVsVector.meanReciprocalRank >= 0 ? "+" : "") + filteredVsVector.meanReciprocalRank.toFixed(4)}, latency delta ${(filteredVsVector.avgLatencyMs >= 0 ? "+" : "") + filteredVsVector.avgLatencyMs.toFixed(2)} ms`,
     `- Hybrid vs filtered-vector: Recall delta ${(hybridVsFiltered.recallAtK >= 0 ? "+" : "") + hybridVsFiltered.recallAtK.toFixed(4)}, MRR delta ${(hybridVsFiltered.meanReciprocalRank >= 0 ? "+" : "") + hybridVsFiltered.meanReciprocalRank.toFixed(4)}, latency delta ${(hybridVsFiltered.avgLatencyMs >= 0 ? "+" : "") + hybridVsFiltered.avgLatencyMs.toFixed(2)} ms`,
     "",
+    "## Hybrid Fusion Strategies",
+    "",
+    `- Configured strategy: ${configuredFusion}`,
+    "",
+    "| Fusion | Recall@K | MRR | MRR vs linear | Avg Latency (ms) |",
+    "| --- | ---: | ---: | ---: | ---: |",
+    fusionRows,
+    "",
     "## Per-Query Top Match Rank",
     "",
   ];
@@ -292,10 +335,15 @@ async function main() {
     const filteredEntry = runByMode["filtered-vector"].entries.find(
       (entry) => entry.id === query.id,
     );
-    const hybridEntry = runByMode.hybrid.entries.find((entry) => entry.id === query.id);
+    const fusionRanks = fusionRuns
+      .map((run) => {
+        const entry = run.entries.find((item) => item.id === query.id);
+        return `hybrid/${run.fusion}=${entry?.topMatchRank ?? "none"}`;
+      })
+      .join(", ");
 
     markdown.push(
-      `- ${query.id}: vector=${vectorEntry?.topMatchRank ?? "none"}, filtered-vector=${filteredEntry?.topMatchRank ?? "none"}, hybrid=${hybridEntry?.topMatchRank ?? "none"}`,
+      `- ${query.id}: vector=${vectorEntry?.topMatchRank ?? "none"}, filtered-vector=${filteredEntry?.topMatchRank ?? "none"}, ${fusionRanks}`,
     );
   }
 
@@ -315,11 +363,16 @@ async function main() {
           filteredVector: filteredSummary,
           hybrid: hybridSummary,
         },
+        hybridFusion: {
+          configured: configuredFusion,
+          summaries: fusionSummaries,
+        },
         deltas: {
           filteredVectorVsVector: filteredVsVector,
           hybridVsFilteredVector: hybridVsFiltered,
         },
         runs,
+        fusionRuns,
       },
       null,
       2,
@@ -336,6 +389,7 @@ async function main() {
         vector: vectorSummary,
         filteredVector: filteredSummary,
         hybrid: hybridSummary,
+        hybridFusion: fusionSummaries,
       },
       null,
       2,
@@ -9,18 +9,52 @@ import axios from "axios";
 import { loadConfig } from "./lib/configLoader.js";
 import IngestionQueue from "./IngestionQueue.js";
 import { VectorStore } from "./lib/vectorStore.js";
-import { embed, chatStream } from "./lib/ollamaClient.js";
+import { embed, embedBatch, chatStream } from "./lib/ollamaClient.js";
 import { QueryLogger } from "./lib/queryLogger.js";
 import {
   RETRIEVAL_MODES,
   buildRetrievalPlan,
   normalizeRetrievalMode,
 } from "./lib/retrievalModes.js";
+import {
+  isValidRerankFlag,
+  rerankCandidates,
+  resolveRerankOptions,
+} from "./lib/reranker.js";
+import {
+  condenseQuery,
+  isValidCondenseFlag,
+  resolveCondenseOptions,
+} from "./lib/queryCondensation.js";
+import {
+  buildExpansionTrace,
+  generateQueryVariants,
+  isValidExpansionFlag,
+  mergeTraceCandidates,
+  mergeVariantResults,
+  resolveExpansionOptions,
+} from "./lib/queryExpansion.js";
+import {
+  mergeCollectionResults,
+  resolveRequestedCollections,
+} from "./lib/federatedSearch.js";
 import { getSystemHealth } from "./lib/healthCheck.js";
 import { bridgeLogger } from "./lib/xmlLogger.js";
 import * as lancedb from "@lancedb/lancedb";
 import { DocumentParser } from "./lib/documentParser.js";
 import { triggerModelMigration } from "./lib/modelMigration.js";
+import { CollectionManager } from "./lib/collectionManager.js";
+import { FolderWatcher } from "./lib/folderWatcher.js";
+import { isValidGitRef, resolveGitCommit } from "./lib/gitSource.js";
+import {
+  expandToNeighbors,
+  expandToParent,
+  isValidNeighborWindow,
+  planNeighborRuns,
+  readParentSpan,
+  resolveNeighborWindow,
+} from "./lib/contextExpansion.js";
+import { getTokenCounter, trimHistory } from "./lib/tokenizer.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,6 +83,23 @@ const PS_SCRIPTS_DIR = config?.Paths?.ScriptsDirectory
 const ingestQueue = new IngestionQueue();
 if (config) ingestQueue.setConfig(config);
 
+// Tokenizer vocabularies (tokenizer.json per model or family); see lib/tokenizer.js.
+const TOKENIZER_DIR =
+  config?.RAG?.TokenizerDir ||
+  path.join(
+    config?.Paths?.DataDir || path.join(__dirname, "..", "..", "PowerShell Scripts", "Data"),
+    "tokenizers",
+  );
+
+// Folders followed by collections; armed in the listen block below so
+// importing the app (tests) never starts watching the real data dir.
+const folderWatcher = new FolderWatcher(ingestQueue, {
+  dataDir: config?.Paths?.DataDir
+    ? config.Paths.DataDir
+    : path.join(__dirname, "..", "..", "PowerShell Scripts", "Data"),
+  debounceMs: config?.RAG?.WatchDebounceMs,
+});
+
 function readCanonicalIds(result) {
   if (
     typeof result?.SourceId === "string" &&
@@ -58,7 +109,10 @@ function readCanonicalIds(result) {
   ) {
     return {
       sourceId: result.SourceId,
-      chunkId: `chk_${result.ChunkHash}`,
+      // A child expanded to its section is cited as the section.
+      chunkId: result.parentExpansion
+        ? `sec_${result.ParentHash}`
+        : `chk_${result.ChunkHash}`,
     };
   }
 
@@ -142,6 +196,7 @@ const logger = new QueryLogger(
 
 const shutdown = async () => {
   console.log("Shutting down gracefully...");
+  folderWatcher.close();
   await ingestQueue.flushPersistence();
   await logger.flush();
   process.exit();
@@ -322,6 +377,24 @@ function isValidCollection(name) {
   return /^[a-zA-Z0-9_\-]+$/.test(name);
 }
 
+// SourceIds are interpolated into LanceDB filters, so only the minted shape is accepted.
+function isValidSourceId(sourceId) {
+  return /^src_[a-zA-Z0-9]+$/.test(sourceId);
+}
+
+const MAX_PATH_GLOBS = 100;
+const MAX_PATH_GLOB_LENGTH = 500;
+
+// Optional include/exclude glob lists on queued jobs: absent, or an array of
+// non-empty strings. Returns the list to store, or null when malformed.
+function readPathGlobs(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_PATH_GLOBS) return null;
+  const globs = value.map((glob) => (typeof glob === "string" ? glob.trim() : ""));
+  if (globs.some((glob) => !glob || glob.length > MAX_PATH_GLOB_LENGTH)) return null;
+  return globs;
+}
+
 // --- Cross-Platform Folder Selection API ---
 app.get("/api/browse", async (req, res) => {
   const defaultTargetPath = ALLOWED_BROWSE_ROOTS[0] || defaultBrowseRoot;
@@ -413,17 +486,25 @@ app.get("/api/queue/stream", (req, res) => {
   // Send initial state
   ingestQueue.flushUpdateEmit();
   res.write(`data: ${JSON.stringify(ingestQueue.getJobs())}\n\n`);
+  // Folder watches travel as a named event so plain `message` consumers
+  // keep receiving only the job list.
+  res.write(`event: watchers\ndata: ${JSON.stringify(folderWatcher.list())}\n\n`);
 
   // Push updates natively when the queue saves state
   const onUpdate = (jobs) => {
     res.write(`data: ${JSON.stringify(jobs)}\n\n`);
   };
+  const onWatchersUpdate = (watches) => {
+    res.write(`event: watchers\ndata: ${JSON.stringify(watches)}\n\n`);
+  };
 
   ingestQueue.on("update", onUpdate);
+  folderWatcher.on("update", onWatchersUpdate);
 
   // Clean up listener when client closes connection
   req.on("close", () => {
     ingestQueue.removeListener("update", onUpdate);
+    folderWatcher.removeListener("update", onWatchersUpdate);
   });
 });
 
@@ -441,6 +522,22 @@ app.post("/api/queue", async (req, res) => {
       .json({ error: "Invalid collection name (alphanumeric only)" });
   }
 
+  const { mode = "folder", ref } = req.body;
+  if (mode !== "folder" && mode !== "git") {
+    return res.status(400).json({ error: 'mode must be "folder" or "git"' });
+  }
+  if (ref !== undefined && (mode !== "git" || !isValidGitRef(ref))) {
+    return res.status(400).json({ error: "ref must be a branch, tag or commit of a git job" });
+  }
+
+  const include = readPathGlobs(req.body.include);
+  const exclude = readPathGlobs(req.body.exclude);
+  if (!include || !exclude) {
+    return res.status(400).json({
+      error: `include and exclude must be arrays of up to ${MAX_PATH_GLOBS} non-empty glob strings`,
+    });
+  }
+
   const validation = await validateInputPath(folderPath, {
     mustExist: true,
     requireDirectory: true,
@@ -454,7 +551,20 @@ app.post("/api/queue", async (req, res) => {
     });
   }
 
-  const job = ingestQueue.enqueue(validation.resolvedPath, collection);
+  if (mode === "git") {
+    // Fail fast on folders outside a repository and unknown refs.
+    try {
+      await resolveGitCommit(validation.resolvedPath, ref);
+    } catch (err) {
+      return res.status(400).json({ error: err.message, code: "GIT_SOURCE_INVALID" });
+    }
+  }
+
+  const job = ingestQueue.enqueue(validation.resolvedPath, collection, {
+    ...(mode === "git" ? { mode, ref: ref || "HEAD" } : {}),
+    ...(include.length > 0 ? { include } : {}),
+    ...(exclude.length > 0 ? { exclude } : {}),
+  });
   res.status(201).json(job);
 });
 
@@ -470,6 +580,198 @@ app.delete("/api/queue/:id", (req, res) => {
   }
 });
 
+// Per-file ingestion report; live while the job runs, from disk afterwards.
+app.get("/api/queue/:id/report", async (req, res) => {
+  const { id } = req.params;
+  if (!/^[a-zA-Z0-9_\-]+$/.test(id)) {
+    return res.status(400).json({ error: "Invalid job id" });
+  }
+
+  const report = await ingestQueue.getReport(id);
+  if (report) {
+    return res.json(report);
+  }
+
+  const job = ingestQueue.getJobs().find((j) => j.id === id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  return res.status(404).json({
+    error: "No report available for this job yet",
+    status: job.status,
+  });
+});
+
+// --- Folder Watches ---
+
+app.get("/api/watches", (req, res) => {
+  res.json(folderWatcher.list());
+});
+
+// Follow a folder: queue a full sync now, then incremental syncs on change
+app.post("/api/watches", async (req, res) => {
+  const { path: folderPath, collection } = req.body || {};
+  if (!folderPath || !collection) {
+    return res.status(400).json({ error: "path and collection are required" });
+  }
+  if (!isValidCollection(collection)) {
+    return res
+      .status(400)
+      .json({ error: "Invalid collection name (alphanumeric only)" });
+  }
+
+  const validation = await validateInputPath(folderPath, {
+    mustExist: true,
+    requireDirectory: true,
+    rejectSymlinks: BROWSE_ROOT_POLICY.rejectSymlinks,
+  });
+  if (!validation.ok) {
+    return res.status(403).json({
+      error: "Selected folder is unavailable or restricted",
+      code: validation.code,
+    });
+  }
+
+  const { watch, created } = folderWatcher.add(collection, validation.resolvedPath);
+  res.status(created ? 201 : 200).json(watch);
+});
+
+app.delete("/api/watches/:id", (req, res) => {
+  if (!/^watch_[a-f0-9]+$/.test(req.params.id)) {
+    return res.status(400).json({ error: "Invalid watch id" });
+  }
+  if (!folderWatcher.remove(req.params.id)) {
+    return res.status(404).json({ error: "Watch not found" });
+  }
+  res.json({ status: "removed" });
+});
+
+// --- Collection Management ---
+
+const COLLECTION_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  COLLECTION_BUSY: 409,
+  COLLECTION_EXISTS: 409,
+};
+
+function getCollectionManager() {
+  const dataDir = config?.Paths?.DataDir
+    ? config.Paths.DataDir
+    : path.join(__dirname, "..", "..", "PowerShell Scripts", "Data");
+  return new CollectionManager(dataDir, ingestQueue, folderWatcher);
+}
+
+function sendCollectionError(res, err) {
+  const status = COLLECTION_ERROR_STATUS[err.code];
+  if (status) {
+    return res.status(status).json({ error: err.message, code: err.code });
+  }
+  console.error("[Collections Error]", err.message);
+  return res.status(500).json({ error: err.message });
+}
+
+app.get("/api/collections", async (req, res) => {
+  try {
+    res.json(await getCollectionManager().list());
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+app.get("/api/collections/:name", async (req, res) => {
+  if (!isValidCollection(req.params.name)) {
+    return res.status(400).json({ error: "Invalid collection name" });
+  }
+  try {
+    res.json(await getCollectionManager().describe(req.params.name));
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+// Rename and clone share the same body: { newName }
+for (const action of ["rename", "clone"]) {
+  app.post(`/api/collections/:name/${action}`, async (req, res) => {
+    const { name } = req.params;
+    const newName = req.body?.newName;
+    if (
+      !isValidCollection(name) ||
+      typeof newName !== "string" ||
+      !isValidCollection(newName)
+    ) {
+      return res.status(400).json({ error: "Invalid collection name" });
+    }
+    if (name === newName) {
+      return res.status(400).json({ error: "newName must differ from the current name" });
+    }
+
+    try {
+      const result = await getCollectionManager()[action](name, newName);
+      metricsCache = null;
+      res.json(result);
+    } catch (err) {
+      sendCollectionError(res, err);
+    }
+  });
+}
+
+app.delete("/api/collections/:name", async (req, res) => {
+  if (!isValidCollection(req.params.name)) {
+    return res.status(400).json({ error: "Invalid collection name" });
+  }
+  try {
+    const result = await getCollectionManager().delete(req.params.name);
+    metricsCache = null;
+    res.json(result);
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+app.get("/api/collections/:name/sources", async (req, res) => {
+  if (!isValidCollection(req.params.name)) {
+    return res.status(400).json({ error: "Invalid collection name" });
+  }
+  const { offset, limit, search } = req.query;
+  try {
+    res.json(
+      await getCollectionManager().listSources(req.params.name, {
+        offset,
+        limit,
+        search: typeof search === "string" ? search : "",
+      }),
+    );
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+app.get("/api/collections/:name/sources/:sourceId", async (req, res) => {
+  const { name, sourceId } = req.params;
+  if (!isValidCollection(name) || !isValidSourceId(sourceId)) {
+    return res.status(400).json({ error: "Invalid collection name or sourceId" });
+  }
+  try {
+    res.json(await getCollectionManager().getSource(name, sourceId));
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
+app.delete("/api/collections/:name/sources/:sourceId", async (req, res) => {
+  const { name, sourceId } = req.params;
+  if (!isValidCollection(name) || !isValidSourceId(sourceId)) {
+    return res.status(400).json({ error: "Invalid collection name or sourceId" });
+  }
+  try {
+    const result = await getCollectionManager().deleteSource(name, sourceId);
+    metricsCache = null;
+    res.json(result);
+  } catch (err) {
+    sendCollectionError(res, err);
+  }
+});
+
 // Health Check Caching
 let healthCache = null;
 let lastHealthUpdate = 0;
@@ -653,23 +955,36 @@ app.get("/api/models", async (req, res) => {
   }
 });
 
+const SYSTEM_PROMPT_PREAMBLE =
+  "You are a helpful assistant. Use ONLY the provided context to answer. If unsure, say you don't know.\n\nCONTEXT:\n";
+
 // Main Chat / RAG Endpoint
 app.post("/api/chat", async (req, res) => {
   const {
     messages,
     collection = "TestIngest",
+    collections,
     model = config?.RAG?.ChatModel || "llama3.1:8b",
     retrievalMode = config?.RAG?.RetrievalMode || RETRIEVAL_MODES.VECTOR,
     retrievalConstraints = null,
+    rerank,
+    neighborWindow: requestedNeighborWindow,
+    condense,
+    expansion,
   } = req.body;
 
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
     return res.status(400).json({ error: "Messages array is required" });
   }
 
-  if (!isValidCollection(collection)) {
-    return res.status(400).json({ error: "Invalid collection name" });
+  const collectionSelection = resolveRequestedCollections(
+    { collection, collections },
+    isValidCollection,
+  );
+  if (collectionSelection.error) {
+    return res.status(400).json({ error: collectionSelection.error });
   }
+  const targetCollections = collectionSelection.collections;
 
   const requestedRetrievalMode =
     typeof retrievalMode === "string" ? retrievalMode.trim().toLowerCase() : "";
@@ -696,14 +1011,68 @@ app.post("/api/chat", async (req, res) => {
     });
   }
 
+  if (!isValidRerankFlag(rerank)) {
+    return res.status(400).json({
+      error: "Invalid rerank. Allowed values: true, false, heuristic, ollama.",
+    });
+  }
+  const rerankOptions = resolveRerankOptions(config?.RAG?.Rerank, rerank);
+
+  if (!isValidNeighborWindow(requestedNeighborWindow)) {
+    return res.status(400).json({
+      error: "Invalid neighborWindow. Use an integer from 0 to 5.",
+    });
+  }
+  const neighborWindow = resolveNeighborWindow(
+    config?.RAG?.NeighborWindow,
+    requestedNeighborWindow,
+  );
+
+  if (!isValidCondenseFlag(condense)) {
+    return res.status(400).json({
+      error: "Invalid condense. Allowed values: true, false, ollama, heuristic.",
+    });
+  }
+  const condenseOptions = resolveCondenseOptions(config?.RAG?.Condense, condense);
+
+  if (!isValidExpansionFlag(expansion)) {
+    return res.status(400).json({
+      error: "Invalid expansion. Allowed values: true, false, multi-query, hyde, both.",
+    });
+  }
+  const expansionOptions = resolveExpansionOptions(config?.RAG?.QueryExpansion, expansion);
+
   const lastUserMessage = messages[messages.length - 1].content;
+  // Follow-ups are retrieved by a standalone rewrite; the chat model still
+  // gets the conversation as sent.
+  const tCondenseStart = performance.now();
+  const condensed = condenseOptions.enabled
+    ? await condenseQuery(messages, {
+        ...condenseOptions,
+        model: condenseOptions.model || model,
+        baseUrl: OLLAMA_URL,
+      })
+    : null;
+  const condenseMs = performance.now() - tCondenseStart;
+  const retrievalQuery = condensed?.rewritten || lastUserMessage;
+  const queryRewritten = Boolean(condensed) && condensed.rewritten !== condensed.original;
+  const queryRewrite = condensed
+    ? {
+        original: condensed.original.substring(0, 500),
+        rewritten: condensed.rewritten,
+        strategy: condensed.strategy,
+        ...(condensed.fallbackFrom ? { fallbackFrom: condensed.fallbackFrom } : {}),
+      }
+    : null;
+
   const retrievalPlan = buildRetrievalPlan({
     mode: resolvedRetrievalMode,
-    query: lastUserMessage,
+    query: retrievalQuery,
     constraints: retrievalConstraints,
     overfetchFactor: config?.RAG?.FilteredVectorOverfetch || 4,
     hybridOverfetch: config?.RAG?.HybridOverfetch || 6,
     hybridLexicalWeight: config?.RAG?.HybridLexicalWeight || 0.35,
+    fusion: config?.RAG?.HybridFusion || "linear",
   });
 
   const createFailureLogEntry = ({ reason, message, minScore }) => ({
@@ -716,8 +1085,14 @@ app.post("/api/chat", async (req, res) => {
     topK: config?.RAG?.TopK || 5,
     minScore,
     retrievalMode: resolvedRetrievalMode,
+    collections: targetCollections,
     constraintsActive: retrievalPlan.constraintsActive,
     retrievalOverfetchFactor: retrievalPlan.appliedOverfetchFactor || 1,
+    fusionStrategy: retrievalPlan.fusion || "none",
+    rerankStrategy: rerankOptions.enabled ? rerankOptions.strategy : "none",
+    neighborWindow,
+    queryRewrite,
+    queryExpansion: null,
     resultCount: 0,
     results: [],
     retrievedCandidates: [],
@@ -727,7 +1102,7 @@ app.post("/api/chat", async (req, res) => {
         score: 0,
         chunkId: "",
         sourceId: "",
-        fileName: collection,
+        fileName: targetCollections.join(", "),
         headerContext: "None",
         locatorType: "none",
         preview: message || "",
@@ -740,8 +1115,11 @@ app.post("/api/chat", async (req, res) => {
 
   try {
     console.log(
-      `[RAG] Query: "${lastUserMessage}" | Collection: ${collection}`,
+      `[RAG] Query: "${lastUserMessage}" | Collection: ${targetCollections.join(", ")}`,
     );
+    if (queryRewritten) {
+      console.log(`[RAG] Condensed query (${condensed.strategy}): "${retrievalQuery}"`);
+    }
 
     const minScoreThresh = config?.RAG?.MinScore || 0.5;
     const preDroppedCandidates = [];
@@ -762,12 +1140,33 @@ app.post("/api/chat", async (req, res) => {
     const t0 = process.hrtime.bigint();
 
     // 1. JS Native Retrieval
+    // With expansion on, paraphrases and/or a hypothetical answer are
+    // searched alongside the query; q0 is always the query itself.
+    const tExpandStart = performance.now();
+    const queryVariants = expansionOptions.enabled
+      ? await generateQueryVariants(retrievalQuery, {
+          ...expansionOptions,
+          model: expansionOptions.model || model,
+          baseUrl: OLLAMA_URL,
+        })
+      : [{ id: "q0", kind: "original", text: retrievalQuery }];
+    const expandMs = performance.now() - tExpandStart;
+
     const tEmbedStart = process.hrtime.bigint();
-    const queryVector = await embed(
-      lastUserMessage,
-      config?.RAG?.EmbeddingModel || "nomic-embed-text",
-      OLLAMA_URL,
-    );
+    const queryVectors =
+      queryVariants.length > 1
+        ? await embedBatch(
+            queryVariants.map((variant) => variant.text),
+            config?.RAG?.EmbeddingModel || "nomic-embed-text",
+            OLLAMA_URL,
+          )
+        : [
+            await embed(
+              retrievalQuery,
+              config?.RAG?.EmbeddingModel || "nomic-embed-text",
+              OLLAMA_URL,
+            ),
+          ];
     const tEmbedEnd = process.hrtime.bigint();
 
     // --- 2. Hot-Path Retrieval (LanceDB) ---
@@ -778,69 +1177,216 @@ app.post("/api/chat", async (req, res) => {
       : path.join(__dirname, "..", "..", "PowerShell Scripts", "Data");
     const dbDir = path.join(dataDir, "vector_store.lance");
 
-    try {
-      await store.load(
-        dbDir,
-        collection,
-        config?.RAG?.EmbeddingModel || "nomic-embed-text",
-      );
-    } catch (err) {
-      console.warn(
-        `[RAG Warning] Error loading collection ${collection}:`,
-        err.message,
-      );
-      if (/does not exist yet|collection not found|failed to load/i.test(err.message)) {
-        preDroppedCandidates.push({
-          score: 0,
-          chunkId: "",
-          sourceId: "",
-          fileName: collection,
-          headerContext: "None",
-          locatorType: "none",
-          preview: err.message,
-          dropReason: "collection_not_ready",
+    // store.findNearest is now an async LanceDB projection.
+    // With reranking on, fetch enough candidates to fill the rerank window.
+    const searchTopK = rerankOptions.enabled
+      ? Math.max(config.RAG.TopK, rerankOptions.topN)
+      : config.RAG.TopK;
+
+    const searchCollection = async (name, collectionStore) => {
+      try {
+        await collectionStore.load(
+          dbDir,
+          name,
+          config?.RAG?.EmbeddingModel || "nomic-embed-text",
+        );
+      } catch (err) {
+        console.warn(`[RAG Warning] Error loading collection ${name}:`, err.message);
+        if (/does not exist yet|collection not found|failed to load/i.test(err.message)) {
+          preDroppedCandidates.push({
+            score: 0,
+            chunkId: "",
+            sourceId: "",
+            fileName: name,
+            collection: name,
+            headerContext: "None",
+            locatorType: "none",
+            preview: err.message,
+            dropReason: "collection_not_ready",
+          });
+        }
+      }
+
+      const withCollection = (candidates) =>
+        candidates.map((candidate) => ({ ...candidate, collection: name }));
+      const variantSearches = [];
+      for (const [index, variant] of queryVariants.entries()) {
+        const output = await collectionStore.findNearest(
+          queryVectors[index],
+          searchTopK,
+          config.RAG.MinScore,
+          {
+            ...retrievalPlan.vectorOptions,
+            // Hybrid mode matches keywords of the variant being searched.
+            ...(retrievalPlan.vectorOptions.lexicalQuery !== undefined
+              ? { lexicalQuery: variant.text }
+              : {}),
+            includeDropTrace: true,
+          },
+        );
+        variantSearches.push({
+          variantId: variant.id,
+          results: Array.isArray(output)
+            ? output
+            : Array.isArray(output?.results)
+              ? output.results
+              : [],
+          retrievedCandidates:
+            !Array.isArray(output) && Array.isArray(output?.retrievedCandidates)
+              ? withCollection(output.retrievedCandidates)
+              : null,
+          droppedCandidates:
+            !Array.isArray(output) && Array.isArray(output?.droppedCandidates)
+              ? withCollection(output.droppedCandidates)
+              : [],
         });
       }
-    }
 
-    // store.findNearest is now an async LanceDB projection
-    const searchOutput = await store.findNearest(
-      queryVector,
-      config.RAG.TopK,
-      config.RAG.MinScore,
-      {
-        ...retrievalPlan.vectorOptions,
-        includeDropTrace: true,
-      },
+      if (variantSearches.length === 1) {
+        const [{ results, retrievedCandidates, droppedCandidates }] = variantSearches;
+        return { collection: name, variantSearches, results, retrievedCandidates, droppedCandidates };
+      }
+      // Variants overlap heavily; each chunk is kept once, ranked by fusion.
+      return {
+        collection: name,
+        variantSearches,
+        results: mergeVariantResults(variantSearches, searchTopK),
+        retrievedCandidates: variantSearches.every((search) => search.retrievedCandidates)
+          ? mergeTraceCandidates(
+              variantSearches.map((search) => ({
+                variantId: search.variantId,
+                candidates: search.retrievedCandidates,
+              })),
+            )
+          : null,
+        droppedCandidates: mergeTraceCandidates(
+          variantSearches.map((search) => ({
+            variantId: search.variantId,
+            candidates: search.droppedCandidates,
+          })),
+          (candidate) => `${candidate.chunkId}|${candidate.dropReason}`,
+        ),
+      };
+    };
+
+    // The shared store serves the first collection; extra collections get
+    // their own instance so the parallel loads do not overwrite each other.
+    const collectionStores = new Map(
+      targetCollections.map((name, index) => [
+        name,
+        index === 0 ? store : new VectorStore(),
+      ]),
+    );
+    const collectionSearches = await Promise.all(
+      targetCollections.map((name) =>
+        searchCollection(name, collectionStores.get(name)),
+      ),
+    );
+    const searchResults = mergeCollectionResults(collectionSearches, searchTopK);
+    let searchRetrievedCandidates = collectionSearches.every(
+      (search) => search.retrievedCandidates,
+    )
+      ? collectionSearches.flatMap((search) => search.retrievedCandidates)
+      : null;
+    const searchDroppedCandidates = collectionSearches.flatMap(
+      (search) => search.droppedCandidates,
     );
-    const results = Array.isArray(searchOutput)
-      ? searchOutput
-      : Array.isArray(searchOutput?.results)
-        ? searchOutput.results
-        : [];
-    const searchRetrievedCandidates =
-      !Array.isArray(searchOutput) && Array.isArray(searchOutput?.retrievedCandidates)
-        ? searchOutput.retrievedCandidates
-        : null;
-    const searchDroppedCandidates =
-      !Array.isArray(searchOutput) && Array.isArray(searchOutput?.droppedCandidates)
-        ? searchOutput.droppedCandidates
-        : [];
+    const queryExpansion = expansionOptions.enabled
+      ? buildExpansionTrace(
+          expansionOptions.strategy,
+          queryVariants,
+          collectionSearches.flatMap((search) => search.variantSearches || []),
+        )
+      : null;
     const searchMs = performance.now() - tSearchStart;
 
+    // 2a. Optional rerank stage over the top-N candidates
+    let results = searchResults;
+    let rerankStrategy = "none";
+    let rerankCutoff = [];
+    let rerankMs = 0;
+    if (rerankOptions.enabled && searchResults.length > 0) {
+      const tRerankStart = performance.now();
+      const reranked = await rerankCandidates(retrievalQuery, searchResults, {
+        ...rerankOptions,
+        model: rerankOptions.model || model,
+        baseUrl: OLLAMA_URL,
+      });
+      rerankMs = performance.now() - tRerankStart;
+      rerankStrategy = reranked.strategy;
+      results = reranked.results.slice(0, config.RAG.TopK);
+      rerankCutoff = reranked.results.slice(config.RAG.TopK);
+
+      if (searchRetrievedCandidates) {
+        const rerankByChunkId = new Map(
+          reranked.results
+            .filter((r) => Number.isInteger(r.preRerankRank) && r.ChunkHash)
+            .map((r, index) => [
+              `chk_${r.ChunkHash}`,
+              {
+                rerankScore: r.rerankScore,
+                preRerankRank: r.preRerankRank,
+                rerankRank: index + 1,
+              },
+            ]),
+        );
+        searchRetrievedCandidates = searchRetrievedCandidates.map((candidate) =>
+          rerankByChunkId.has(candidate.chunkId)
+            ? { ...candidate, ...rerankByChunkId.get(candidate.chunkId) }
+            : candidate,
+        );
+      }
+    }
+
     // 2. Build Context with pre-flight token budget enforcement
-    // Rough estimate: 1 word ≈ 1.3 tokens.
+    // Tokens are counted for the chat model (see lib/tokenizer.js). Context
+    // is capped by MaxContextTokens and by what num_ctx leaves after the
+    // response reserve, the instructions and the question.
+    const tokenCounter = getTokenCounter(model, { tokenizerDir: TOKENIZER_DIR });
+    const numCtx = Math.max(1, config?.RAG?.NumCtx || 4096);
+    const responseReserve = Math.max(0, config?.RAG?.ResponseReserveTokens ?? 512);
+    const fixedPromptTokens = tokenCounter.countMessages([
+      { role: "system", content: SYSTEM_PROMPT_PREAMBLE },
+      messages[messages.length - 1],
+    ]);
     const maxContextTokens = Math.max(
       1,
-      config?.RAG?.MaxContextTokens || 2048,
+      Math.min(
+        config?.RAG?.MaxContextTokens || 2048,
+        numCtx - responseReserve - fixedPromptTokens,
+      ),
     );
+    const estimateTokens = (r) => tokenCounter.count(r.ChunkText || r.TextPreview || "");
+    // Small-to-big: a child of a split section is sent as the whole section
+    // when the section still fits the budget; otherwise as itself.
+    const parentExpansion = config?.RAG?.ParentExpansion !== false;
     let currentTokenEstimate = 0;
-    const approvedResults = [];
+    let approvedResults = [];
     const droppedResults = [];
+    const approvedParents = new Map();
 
     for (const r of results) {
-      const chunkWords = (r.ChunkText || r.TextPreview || "").split(" ").length;
-      const chunkTokens = Math.ceil(chunkWords * 1.3);
+      const parentKey =
+        parentExpansion && readParentSpan(r)
+          ? `${r.Collection}|${r.SourceId}|${r.ParentHash}`
+          : null;
+      if (parentKey && approvedParents.has(parentKey)) {
+        // Already in context as part of its section.
+        approvedParents
+          .get(parentKey)
+          .parentExpansion.matchedChunkIds.push(`chk_${r.ChunkHash}`);
+        continue;
+      }
+
+      let candidate = r;
+      if (parentKey) {
+        const parent = await expandToParent(r, collectionStores.get(r.Collection));
+        if (parent && currentTokenEstimate + estimateTokens(parent) <= maxContextTokens) {
+          candidate = parent;
+          approvedParents.set(parentKey, parent);
+        }
+      }
+      const chunkTokens = estimateTokens(candidate);
 
       if (currentTokenEstimate + chunkTokens > maxContextTokens) {
         console.warn(
@@ -850,10 +1396,38 @@ app.post("/api/chat", async (req, res) => {
         continue;
       }
 
-      approvedResults.push(r);
+      approvedResults.push(candidate);
       currentTokenEstimate += chunkTokens;
     }
 
+    // Neighbor window: widen approved hits by N chunks on each side, merging
+    // hits of one source into contiguous passages. Runs are widened best hit
+    // first while the budget allows; a run that does not fit stays as is.
+    if (neighborWindow > 0 && approvedResults.length > 0) {
+      const passages = new Map();
+      const absorbed = new Set();
+      for (const run of planNeighborRuns(approvedResults, neighborWindow)) {
+        const members = run.members.map((index) => approvedResults[index]);
+        const passage = await expandToNeighbors(
+          run,
+          members,
+          collectionStores.get(members[0].Collection),
+        );
+        if (!passage) continue;
+
+        const memberTokens = members.reduce((sum, member) => sum + estimateTokens(member), 0);
+        const passageTokens = estimateTokens(passage);
+        if (currentTokenEstimate - memberTokens + passageTokens > maxContextTokens) continue;
+
+        currentTokenEstimate += passageTokens - memberTokens;
+        passages.set(run.members[0], passage);
+        run.members.slice(1).forEach((index) => absorbed.add(index));
+      }
+      approvedResults = approvedResults.flatMap((r, index) =>
+        absorbed.has(index) ? [] : [passages.get(index) || r],
+      );
+    }
+
     const canonicalApprovedResults = approvedResults
       .map((r) => {
         const canonicalIds = readCanonicalIds(r);
@@ -878,7 +1452,7 @@ app.post("/api/chat", async (req, res) => {
                   ? ` header="${r.HeaderContext}"`
                   : "";
               return (
-                `[CHUNK chunkId=${cid} sourceId=${sid} file=${r.FileName} locator=${locator}${headerAttr}]\n` +
+                `[CHUNK chunkId=${cid} sourceId=${sid} collection=${r.Collection} file=${r.FileName} locator=${locator}${headerAttr}]\n` +
                 `${r.ChunkText || r.TextPreview}\n` +
                 `[/CHUNK]`
               );
@@ -886,12 +1460,26 @@ app.post("/api/chat", async (req, res) => {
             .join("\n\n")
         : "No relevant local documents found.";
 
+    // Sections and neighbor passages report the ordinals they cover and the
+    // chunks that matched; a passage's span includes its sections.
+    const readExpansionFields = (r) => {
+      const expansion = r.passage || r.parentExpansion;
+      return expansion
+        ? {
+            ordinalStart: expansion.ordinalStart,
+            ordinalEnd: expansion.ordinalEnd,
+            matchedChunkIds: [...expansion.matchedChunkIds],
+          }
+        : {};
+    };
+
     const citations = canonicalApprovedResults.map((r) => {
       const sourceId = r.__canonicalSourceId;
       const chunkId = r.__canonicalChunkId;
       return {
         chunkId,
         sourceId,
+        collection: r.Collection,
         fileName: r.FileName,
         headerContext: r.HeaderContext,
         locatorType: r.LocatorType || "none",
@@ -911,6 +1499,38 @@ app.post("/api/chat", async (req, res) => {
               pageEnd: r.PageEnd,
             }
           : {}),
+        ...((r.LocatorType === "row-range" &&
+          Number.isInteger(r.RowStart) &&
+          Number.isInteger(r.RowEnd))
+          ? {
+              rowStart: r.RowStart,
+              rowEnd: r.RowEnd,
+            }
+          : {}),
+        // Text-backed chunks keep their source lines whatever their locator
+        // (line-range, declaration, section, xml-element).
+        ...(Number.isInteger(r.LineStart) && Number.isInteger(r.LineEnd)
+          ? {
+              lineStart: r.LineStart,
+              lineEnd: r.LineEnd,
+            }
+          : {}),
+        ...(r.LocatorType === "json-pointer" &&
+          typeof r.StructuralPath === "string" &&
+          r.StructuralPath.startsWith("/")
+          ? { jsonPointer: r.StructuralPath }
+          : {}),
+        // Chunks ingested from a git repository cite the commit they were read at.
+        ...(typeof r.CommitSha === "string" && r.CommitSha
+          ? {
+              commit: {
+                sha: r.CommitSha,
+                author: r.CommitAuthor || null,
+                date: r.CommitDate || null,
+              },
+            }
+          : {}),
+        ...readExpansionFields(r),
       };
     });
 
@@ -924,6 +1544,7 @@ app.post("/api/chat", async (req, res) => {
         score: r.score,
         chunkId,
         sourceId,
+        collection: r.Collection,
         fileName: r.FileName,
         headerContext: r.HeaderContext || "None",
         locatorType: r.LocatorType || "none",
@@ -934,6 +1555,11 @@ app.post("/api/chat", async (req, res) => {
           ? { symbolName: r.SymbolName }
           : {}),
         preview: r.TextPreview || r.ChunkText || "",
+        ...(Number.isFinite(r.rerankScore)
+          ? { rerankScore: r.rerankScore, preRerankRank: r.preRerankRank }
+          : {}),
+        ...readExpansionFields(r),
+        ...(Array.isArray(r.matchedVariants) ? { matchedVariants: r.matchedVariants } : {}),
         ...extra,
       };
     };
@@ -946,6 +1572,7 @@ app.post("/api/chat", async (req, res) => {
     const droppedCandidates = [
       ...searchDroppedCandidates,
       ...preDroppedCandidates,
+      ...rerankCutoff.map((r) => toTraceCandidate(r, { dropReason: "rerank_cutoff" })),
       ...droppedResults.map((r) =>
         toTraceCandidate(r, { dropReason: "context_budget_exceeded" }),
       ),
@@ -955,6 +1582,7 @@ app.post("/api/chat", async (req, res) => {
       score: candidate.score,
       chunkId: candidate.chunkId,
       sourceId: candidate.sourceId,
+      collection: candidate.collection,
       fileName: candidate.fileName,
       headerContext: candidate.headerContext,
       preview: candidate.preview,
@@ -976,8 +1604,14 @@ app.post("/api/chat", async (req, res) => {
       topK: config?.RAG?.TopK || 5,
       minScore: minScoreThresh,
       retrievalMode: resolvedRetrievalMode,
+      collections: targetCollections,
       constraintsActive: retrievalPlan.constraintsActive,
       retrievalOverfetchFactor: retrievalPlan.appliedOverfetchFactor || 1,
+      fusionStrategy: retrievalPlan.fusion || "none",
+      rerankStrategy,
+      neighborWindow,
+      queryRewrite,
+      queryExpansion,
       resultCount: canonicalApprovedResults.length,
       results: logResults,
       retrievedCandidates,
@@ -989,22 +1623,59 @@ app.post("/api/chat", async (req, res) => {
     // 4. Output Headers, Server-Timing, & System Prompt
     const embedMs = Number(tEmbedEnd - tEmbedStart) / 1e6;
     const totalMs = Number(process.hrtime.bigint() - t0) / 1e6;
+    const condenseTiming = condensed ? `condense;dur=${condenseMs.toFixed(1)}, ` : "";
+    const expandTiming = queryExpansion ? `expand;dur=${expandMs.toFixed(1)}, ` : "";
+    const rerankTiming =
+      rerankStrategy !== "none" ? `, rerank;dur=${rerankMs.toFixed(1)}` : "";
     res.setHeader(
       "Server-Timing",
-      `embed;dur=${embedMs.toFixed(1)}, search;dur=${searchMs.toFixed(1)}, total;dur=${totalMs.toFixed(1)}`,
+      `${condenseTiming}${expandTiming}embed;dur=${embedMs.toFixed(1)}, search;dur=${searchMs.toFixed(1)}${rerankTiming}, total;dur=${totalMs.toFixed(1)}`,
     );
     console.log(
-      `[RAG Timing] embed=${embedMs.toFixed(1)}ms  search=${searchMs.toFixed(1)}ms  total=${totalMs.toFixed(1)}ms`,
+      `[RAG Timing] ` +
+        (condensed ? `condense=${condenseMs.toFixed(1)}ms  ` : "") +
+        (queryExpansion ? `expand=${expandMs.toFixed(1)}ms  ` : "") +
+        `embed=${embedMs.toFixed(1)}ms  search=${searchMs.toFixed(1)}ms  ` +
+        (rerankStrategy !== "none" ? `rerank=${rerankMs.toFixed(1)}ms  ` : "") +
+        `total=${totalMs.toFixed(1)}ms`,
     );
 
     res.write(`data: ${JSON.stringify({ type: "status", message: "" })}\n\n`);
+    if (queryRewritten) {
+      res.write(
+        `data: ${JSON.stringify({
+          type: "query_rewrite",
+          original: queryRewrite.original,
+          rewritten: queryRewrite.rewritten,
+          strategy: queryRewrite.strategy,
+        })}\n\n`,
+      );
+    }
     res.write(`data: ${JSON.stringify({ type: "metadata", citations })}\n\n`);
 
-    const systemPrompt = `You are a helpful assistant. Use ONLY the provided context to answer. If unsure, say you don't know.\n\nCONTEXT:\n${contextText}`;
+    const systemPrompt = `${SYSTEM_PROMPT_PREAMBLE}${contextText}`;
+    // Older turns go first when the conversation does not fit num_ctx.
+    const promptBudget = numCtx - responseReserve;
+    const history = trimHistory(
+      messages,
+      tokenCounter,
+      promptBudget - tokenCounter.countMessages([{ role: "system", content: systemPrompt }]),
+    );
+    if (history.dropped > 0) {
+      console.warn(
+        `[RAG Context] Dropped ${history.dropped} earlier message(s) to fit num_ctx ${numCtx}.`,
+      );
+    }
     const ollamaMessages = [
       { role: "system", content: systemPrompt },
-      ...messages,
+      ...history.messages,
     ];
+    const estimatedPromptTokens = tokenCounter.countMessages(ollamaMessages);
+    if (estimatedPromptTokens > promptBudget) {
+      console.warn(
+        `[RAG Context] Prompt is about ${estimatedPromptTokens} tokens; num_ctx ${numCtx} leaves ${promptBudget}.`,
+      );
+    }
 
     // AbortController setup
     const abortController = new AbortController();
@@ -1016,7 +1687,7 @@ app.post("/api/chat", async (req, res) => {
     });
 
     // 5. Native JS Streaming
-    await chatStream(
+    const usage = await chatStream(
       ollamaMessages,
       model,
       OLLAMA_URL,
@@ -1026,11 +1697,26 @@ app.post("/api/chat", async (req, res) => {
         );
       },
       abortController.signal,
+      { num_ctx: numCtx },
     );
 
+    const promptTokens = Number.isInteger(usage?.promptTokens) ? usage.promptTokens : null;
+    logEntry.tokenUsage = {
+      countingMethod: tokenCounter.method,
+      tokenizerFamily: tokenCounter.family,
+      numCtx,
+      contextTokens: currentTokenEstimate,
+      estimatedPromptTokens,
+      promptTokens,
+      completionTokens: Number.isInteger(usage?.completionTokens) ? usage.completionTokens : null,
+      historyMessagesDropped: history.dropped,
+    };
+    if (promptTokens !== null) tokenCounter.calibrate(estimatedPromptTokens, promptTokens);
+
     const answerReferences = citations.map((citation) => ({
       chunkId: citation.chunkId,
       sourceId: citation.sourceId,
+      collection: citation.collection,
       fileName: citation.fileName,
     }));
     logEntry.answerReferences = answerReferences;
@@ -1094,6 +1780,7 @@ app.post("/api/ingest", (req, res) => {
 
 // Only start server if run directly (not imported)
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  folderWatcher.load();
   app.listen(PORT, HOST, () => {
     console.log(`🚀 Bridge Server running at http://${HOST}:${PORT}`);
     console.log(`📂 PowerShell Scripts: ${PS_SCRIPTS_DIR}`);
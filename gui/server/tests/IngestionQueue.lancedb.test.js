@@ -0,0 +1,226 @@
+import { jest } from "@jest/globals";
+import { createRequire } from "module";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The shared LanceDB mock accepts rows of any shape, so schema errors only
+// show up against real tables. jest.config.js maps the package name to that
+// mock; load the real build by path instead.
+const require = createRequire(import.meta.url);
+const realLancedb = require("../node_modules/@lancedb/lancedb/dist/index.js");
+jest.unstable_mockModule("@lancedb/lancedb", () => realLancedb);
+
+jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
+  embed: jest.fn(async () => new Float32Array([0.1, 0.2, 0.3, 0.4])),
+  embedBatch: jest.fn(async (texts) => texts.map(() => new Float32Array([0.1, 0.2, 0.3, 0.4]))),
+}));
+
+const { initRepo } = await import("./helpers/gitFixture.js");
+const lancedb = await import("@lancedb/lancedb");
+const ollamaClient = await import("../lib/ollamaClient.js");
+const { default: IngestionQueue } = await import("../IngestionQueue.js");
+
+const CSV = "id,name\n1,alpha\n2,beta\n3,gamma\n";
+const PROSE = "# Notes\n\nA short note about the project.\n";
+// One section longer than ChunkSize, so it is split into child chunks.
+const LONG_SECTION = `# Guide\n\n${"Each step of the install is described here in full detail. ".repeat(12)}\n`;
+const GIT_PROSE = "# Changelog\n\nFirst tagged release.\n";
+
+describe("IngestionQueue with a real LanceDB table", () => {
+  let dataDir;
+  let docsDir;
+  let queue;
+  let jobCount = 0;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "queue-lancedb-data-"));
+    docsDir = fs.mkdtempSync(path.join(os.tmpdir(), "queue-lancedb-docs-"));
+    queue = new IngestionQueue();
+    queue.setConfig({ Paths: { DataDir: dataDir }, RAG: { ChunkSize: 200, ChunkOverlap: 20 } });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await queue.shutdown();
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    fs.rmSync(docsDir, { recursive: true, force: true });
+  });
+
+  const writeDoc = (name, content) => fs.writeFileSync(path.join(docsDir, name), content);
+
+  async function ingest(collection, extra = {}) {
+    const job = { id: `lancedb-job-${++jobCount}`, path: docsDir, collection, ...extra };
+    await queue.executeNodeIngest(job);
+    const report = await queue.getReport(job.id);
+    queue._clearCheckpoint(job);
+    queue.reports.delete(job.id);
+    return report;
+  }
+
+  async function openTable(collection) {
+    const db = await lancedb.connect(path.join(dataDir, "vector_store.lance"));
+    return db.openTable(collection);
+  }
+
+  async function rowsOf(collection, fileName) {
+    const rows = await (await openTable(collection)).query().toArray();
+    return rows.filter((row) => row.FileName === fileName);
+  }
+
+  const outcomes = (report) =>
+    report.files.map((file) => [file.fileName, file.outcome, file.reason ?? null]);
+
+  it("stores row ranges in a collection that began with prose", async () => {
+    writeDoc("a.md", PROSE);
+    await ingest("Mixed");
+    writeDoc("y.json", JSON.stringify({ service: { host: "api", port: 8080 } }));
+    await ingest("Mixed");
+    writeDoc("z.csv", CSV);
+
+    const report = await ingest("Mixed");
+
+    expect(outcomes(report)).toEqual([
+      ["a.md", "unchanged", null],
+      ["y.json", "unchanged", null],
+      ["z.csv", "added", null],
+    ]);
+    const [csvRow] = await rowsOf("Mixed", "z.csv");
+    expect([csvRow.RowStart, csvRow.RowEnd]).toEqual([1, 3]);
+    const [proseRow] = await rowsOf("Mixed", "a.md");
+    expect([proseRow.RowStart, proseRow.RowEnd]).toEqual([null, null]);
+  });
+
+  it("stores line ranges in a collection that began with chunks that have none", async () => {
+    writeDoc("z.csv", CSV);
+    await ingest("Rows");
+    writeDoc("a.md", PROSE);
+
+    const report = await ingest("Rows");
+
+    expect(outcomes(report)).toEqual([
+      ["a.md", "added", null],
+      ["z.csv", "unchanged", null],
+    ]);
+    const [proseRow] = await rowsOf("Rows", "a.md");
+    expect([proseRow.LineStart, proseRow.LineEnd]).toEqual([1, 3]);
+    const [csvRow] = await rowsOf("Rows", "z.csv");
+    expect([csvRow.LineStart, csvRow.LineEnd]).toEqual([null, null]);
+  });
+
+  it("stores parent sections in a collection whose first file had none", async () => {
+    writeDoc("a.md", PROSE);
+    await ingest("Sections");
+    writeDoc("b.md", LONG_SECTION);
+
+    const report = await ingest("Sections");
+
+    expect(outcomes(report)).toEqual([
+      ["a.md", "unchanged", null],
+      ["b.md", "added", null],
+    ]);
+    const children = await rowsOf("Sections", "b.md");
+    expect(children.length).toBeGreaterThan(1);
+    expect(new Set(children.map((row) => row.ParentHash)).size).toBe(1);
+    expect(children[0].ParentHash).toEqual(expect.any(String));
+    expect([children[0].ParentOrdinalStart, children[0].ParentOrdinalEnd]).toEqual([0, children.length - 1]);
+    const [proseRow] = await rowsOf("Sections", "a.md");
+    expect([proseRow.ParentHash, proseRow.ParentOrdinalStart, proseRow.ParentOrdinalEnd]).toEqual([null, null, null]);
+  });
+
+  it("keeps a changed file's indexed chunks when its new content fails to embed", async () => {
+    writeDoc("a.md", PROSE);
+    await ingest("Kept");
+    writeDoc("a.md", `${PROSE}\nA second paragraph.\n`);
+    ollamaClient.embedBatch.mockRejectedValueOnce(new Error("connect ECONNREFUSED"));
+
+    const report = await ingest("Kept");
+
+    expect(outcomes(report)).toEqual([["a.md", "failed", "embed_error"]]);
+    const rows = await rowsOf("Kept", "a.md");
+    expect(rows.map((row) => row.Text)).toEqual([expect.stringContaining("A short note")]);
+  });
+
+  describe("folder and git jobs in one collection", () => {
+    let repoDir;
+
+    beforeEach(() => {
+      repoDir = path.join(dataDir, "repo");
+    });
+
+    const ingestGit = (collection) => ingest(collection, { path: repoDir, mode: "git", ref: "main" });
+
+    it("stores commit provenance after a folder job created the table", async () => {
+      writeDoc("a.md", PROSE);
+      await ingest("Mixed");
+      const commit = initRepo(repoDir, { "b.md": GIT_PROSE });
+
+      const report = await ingestGit("Mixed");
+
+      expect(outcomes(report)).toContainEqual(["b.md", "added", null]);
+      const [gitRow] = await rowsOf("Mixed", "b.md");
+      expect([gitRow.CommitSha, gitRow.CommitAuthor]).toEqual([commit, "Ada Author"]);
+      expect(gitRow.CommitDate).toMatch(/^2026-03-01/);
+    });
+
+    it("writes folder chunks without commit provenance after a git job created the table", async () => {
+      initRepo(repoDir, { "b.md": GIT_PROSE });
+      await ingestGit("Mixed");
+      writeDoc("a.md", PROSE);
+
+      const report = await ingest("Mixed");
+
+      expect(outcomes(report)).toContainEqual(["a.md", "added", null]);
+      const [folderRow] = await rowsOf("Mixed", "a.md");
+      expect([folderRow.CommitSha, folderRow.CommitAuthor, folderRow.CommitDate]).toEqual([null, null, null]);
+    });
+  });
+
+  async function createLegacyTable(collection) {
+    const db = await lancedb.connect(path.join(dataDir, "vector_store.lance"));
+    await db.createTable(collection, [
+      {
+        vector: [0.1, 0.2, 0.3, 0.4],
+        FileName: "old.md",
+        SourceId: "src_old",
+        ChunkHash: "hash_old_0",
+        ChunkIndex: 0,
+        chunkOrdinal: 0,
+        Text: "Old text",
+        HeaderContext: "None",
+        FileType: "md",
+        ChunkType: "content",
+        LocatorType: "none",
+        StructuralPath: "None",
+        EmbeddingModel: "nomic-embed-text",
+      },
+    ]);
+  }
+
+  it("adds missing optional columns to a table created by an older layout", async () => {
+    await createLegacyTable("Legacy");
+    writeDoc("z.csv", CSV);
+
+    const report = await ingest("Legacy");
+
+    expect(outcomes(report)).toEqual([["z.csv", "added", null]]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining("Added column(s) SectionPath"));
+    const [oldRow] = await rowsOf("Legacy", "old.md");
+    expect(oldRow.RowStart).toBeNull();
+    expect((await rowsOf("Legacy", "z.csv"))[0].RowStart).toBe(1);
+  });
+
+  it("writes text files with line ranges into a table created before them", async () => {
+    await createLegacyTable("Legacy");
+    writeDoc("a.md", PROSE);
+
+    const report = await ingest("Legacy");
+
+    expect(outcomes(report)).toEqual([["a.md", "added", null]]);
+    expect((await rowsOf("Legacy", "a.md"))[0].LineStart).toBe(1);
+    expect((await rowsOf("Legacy", "old.md"))[0].LineStart).toBeNull();
+  });
+});
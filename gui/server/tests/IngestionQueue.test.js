@@ -2,6 +2,9 @@ import { jest } from "@jest/globals";
 import path from "path";
 import fs from "fs";
 import os from "os";
+import { buildZip } from "./helpers/zipFixture.js";
+import { commitFiles, initRepo } from "./helpers/gitFixture.js";
+import { buildTarGz } from "./helpers/tarFixture.js";
 
 // We'll use this object to control mock behavior dynamically across modules
 const MOCK_STATE = {
@@ -15,6 +18,10 @@ const MOCK_STATE = {
   chunkerResult: [
     { text: "Chunk 1", headerContext: "Ctx", locatorType: "section" },
   ],
+  // null = no entry; object with SourceId/SourcePath = entry a git rename continues
+  entryBySourcePath: null,
+  // folder path -> { ref, commit, indexedAt } last indexed by a git job
+  gitSync: {},
 };
 
 // --- Mocks ---
@@ -24,6 +31,7 @@ jest.unstable_mockModule("@lancedb/lancedb", () => ({
 
 jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
   embed: jest.fn(),
+  embedBatch: jest.fn(),
 }));
 
 jest.unstable_mockModule("../lib/documentParser.js", () => {
@@ -38,6 +46,17 @@ jest.unstable_mockModule("../lib/documentParser.js", () => {
       getEntryByFileName() {
         return MOCK_STATE.entryByFileName;
       }
+      getEntryBySourcePath(sourcePath) {
+        return MOCK_STATE.entryBySourcePath?.SourcePath === sourcePath
+          ? MOCK_STATE.entryBySourcePath
+          : null;
+      }
+      getGitSync(folderPath) {
+        return MOCK_STATE.gitSync[folderPath] ?? null;
+      }
+      setGitSync(folderPath, state) {
+        MOCK_STATE.gitSync[folderPath] = state;
+      }
       getEntry(sourceId) {
         // Return the entry if its SourceId matches (used for orphan lookups)
         if (MOCK_STATE.hashMatch?.SourceId === sourceId) return MOCK_STATE.hashMatch;
@@ -49,9 +68,18 @@ jest.unstable_mockModule("../lib/documentParser.js", () => {
       getOrphans() {
         return MOCK_STATE.orphanSourceIds;
       }
+      getOrphansUnder() {
+        return MOCK_STATE.orphanSourceIds;
+      }
+      static isEligibleFile(filePath) {
+        return !filePath.endsWith(".png");
+      }
       static async scanDirectory() {
         return MOCK_STATE.files;
       }
+      static async listArchiveFiles(archivePath) {
+        return MOCK_STATE.files.filter((filePath) => filePath.startsWith(`${archivePath}!/`));
+      }
       static async getFileHash() {
         return "HASH123";
       }
@@ -73,6 +101,10 @@ jest.unstable_mockModule("../lib/smartChunker.js", () => {
 const lancedb = await import("@lancedb/lancedb");
 const ollamaClient = await import("../lib/ollamaClient.js");
 const { default: IngestionQueue } = await import("../IngestionQueue.js");
+const { LexicalIndex } = await import("../lib/lexicalIndex.js");
+const { DocumentParser } = await import("../lib/documentParser.js");
+const { SmartTextChunker } = await import("../lib/smartChunker.js");
+const { computeParentHash } = await import("../lib/sourceIdentity.js");
 
 describe("IngestionQueue", () => {
   let tempDir;
@@ -104,11 +136,17 @@ describe("IngestionQueue", () => {
     MOCK_STATE.chunkerResult = [
       { text: "Chunk 1", headerContext: "Ctx", locatorType: "section" },
     ];
+    MOCK_STATE.entryBySourcePath = null;
+    MOCK_STATE.gitSync = {};
 
     mockTable = {
       update: jest.fn(),
       delete: jest.fn(),
       add: jest.fn(),
+      addColumns: jest.fn(),
+      query: jest.fn(() => ({
+        where: jest.fn(() => ({ toArray: jest.fn().mockResolvedValue([]) })),
+      })),
       schema: jest.fn().mockResolvedValue({
         fields: [{ name: "SourceId" }, { name: "FileName" }, { name: "vector" }],
       }),
@@ -121,13 +159,17 @@ describe("IngestionQueue", () => {
     };
     lancedb.connect.mockResolvedValue(mockDb);
     ollamaClient.embed.mockResolvedValue(new Float32Array([0.5, 0.6]));
+    ollamaClient.embedBatch.mockImplementation(async (texts) =>
+      texts.map(() => new Float32Array([0.5, 0.6])),
+    );
 
     jest.spyOn(queue, "processNext").mockImplementation(async () => {});
   });
 
   afterEach(async () => {
     // Stop any pending processes
-    queue.isWorking = false;
+    queue.workers.clear();
+    queue.collectionLocks.clear();
     queue.jobs = [];
 
     try {
@@ -167,13 +209,14 @@ describe("IngestionQueue", () => {
       jest.useFakeTimers();
       queue.jobs = [
         { id: "1", status: "completed" },
-        { id: "2", status: "processing" }, // Should reset to failed on load
+        { id: "2", status: "processing", workerId: "worker-1" }, // Should be requeued on load
       ];
       queue.saveState();
       await queue.flushPersistence();
 
       const newQueue = new IngestionQueue();
       newQueue.setConfig({ Paths: { DataDir: tempDir } });
+      const resumeSpy = jest.spyOn(newQueue, "processNext").mockImplementation(async () => {});
       jest.runAllTimers();
       jest.useRealTimers();
 
@@ -182,8 +225,11 @@ describe("IngestionQueue", () => {
       const interruptedJob = newQueue.jobs.find((job) => job.id === "2");
 
       expect(completedJob.status).toBe("completed");
-      expect(interruptedJob.status).toBe("failed");
+      expect(interruptedJob.status).toBe("pending");
       expect(interruptedJob.progress).toContain("Interrupted");
+      expect(interruptedJob.resumed).toBe(true);
+      expect(interruptedJob.workerId).toBeUndefined();
+      expect(resumeSpy).toHaveBeenCalled();
     });
 
     it("should emit an update event on save", (done) => {
@@ -411,6 +457,69 @@ describe("IngestionQueue", () => {
       const jobs = queue.getJobs();
       expect(jobs).toBe(queue.jobs);
     });
+
+    it("gives jobs queued in the same millisecond distinct ids", () => {
+      const first = queue.enqueue("/a", "my_col");
+      const second = queue.enqueue("/b", "my_col");
+      expect(second.id).not.toBe(first.id);
+    });
+
+    it("merges watched changes into a pending job for the same folder", () => {
+      const job = queue.enqueueChanges("/watched", "my_col", ["/watched/a.md"], { trigger: "watch" });
+      expect(job).toEqual(expect.objectContaining({ changedPaths: ["/watched/a.md"], trigger: "watch" }));
+
+      const merged = queue.enqueueChanges("/watched", "my_col", ["/watched/b.md", "/watched/a.md"]);
+      expect(merged).toBe(job);
+      expect(job.changedPaths).toEqual(["/watched/a.md", "/watched/b.md"]);
+
+      queue.enqueueChanges("/watched", "my_col", null);
+      expect(job.changedPaths).toBeUndefined();
+      expect(queue.jobs).toHaveLength(1);
+
+      job.status = "processing";
+      const next = queue.enqueueChanges("/watched", "my_col", ["/watched/c.md"]);
+      expect(next).not.toBe(job);
+      expect(queue.jobs).toHaveLength(2);
+    });
+  });
+
+  describe("Collection coordination", () => {
+    it("reports a collection as busy only while a job for it is processing", () => {
+      const job = queue.enqueue("/some/path", "my_col");
+      expect(queue.isCollectionBusy("my_col")).toBe(false);
+
+      job.status = "processing";
+      expect(queue.isCollectionBusy("my_col")).toBe(true);
+      expect(queue.isCollectionBusy("other_col")).toBe(false);
+    });
+
+    it("does not start pending jobs for a held collection", async () => {
+      queue.processNext.mockRestore();
+      const executeSpy = jest.spyOn(queue, "executeNodeIngest").mockResolvedValue();
+
+      queue.holdCollection("held_col");
+      const heldJob = queue.enqueue("/held", "held_col");
+      await new Promise(process.nextTick);
+      expect(executeSpy).not.toHaveBeenCalled();
+      expect(heldJob.status).toBe("pending");
+
+      queue.releaseCollection("held_col");
+      await new Promise(process.nextTick);
+      expect(executeSpy).toHaveBeenCalledWith(heldJob);
+    });
+
+    it("retargets and cancels only pending jobs of a collection", () => {
+      const pending = queue.enqueue("/a", "old_col");
+      const running = queue.enqueue("/b", "old_col");
+      running.status = "processing";
+
+      expect(queue.retargetPendingJobs("old_col", "new_col")).toBe(1);
+      expect(pending.collection).toBe("new_col");
+      expect(running.collection).toBe("old_col");
+
+      expect(queue.cancelPendingJobs("new_col")).toBe(1);
+      expect(pending.status).toBe("cancelled");
+    });
   });
 
   describe("Process Execution Flow", () => {
@@ -444,6 +553,106 @@ describe("IngestionQueue", () => {
     });
   });
 
+  describe("Worker pool", () => {
+    function deferredIngest() {
+      const runs = new Map();
+      const spy = jest.spyOn(queue, "executeNodeIngest").mockImplementation(
+        (job) =>
+          new Promise((resolve) => {
+            runs.set(job, resolve);
+          }),
+      );
+      return { spy, finish: (job) => runs.get(job)() };
+    }
+
+    it("runs jobs for different collections in parallel on separate workers", async () => {
+      queue.processNext.mockRestore();
+      const { spy, finish } = deferredIngest();
+
+      const pdfJob = queue.enqueue("/big/pdfs", "pdfs");
+      const notesJob = queue.enqueue("/notes", "notes");
+      await new Promise(process.nextTick);
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(pdfJob).toMatchObject({ status: "processing", workerId: "worker-1" });
+      expect(notesJob).toMatchObject({ status: "processing", workerId: "worker-2" });
+      expect(queue.getWorkers()).toEqual([
+        { id: "worker-1", jobId: pdfJob.id, collection: "pdfs" },
+        { id: "worker-2", jobId: notesJob.id, collection: "notes" },
+      ]);
+
+      finish(notesJob);
+      await new Promise(process.nextTick);
+      expect(notesJob.status).toBe("completed");
+      expect(pdfJob.status).toBe("processing");
+      expect(queue.getWorkers()[1]).toEqual({ id: "worker-2", jobId: null, collection: null });
+
+      finish(pdfJob);
+      await new Promise(process.nextTick);
+      expect(pdfJob.status).toBe("completed");
+    });
+
+    it("serializes jobs for the same collection and lets other collections overtake", async () => {
+      queue.processNext.mockRestore();
+      const { spy, finish } = deferredIngest();
+
+      const first = queue.enqueue("/a", "shared");
+      const second = queue.enqueue("/b", "shared");
+      const other = queue.enqueue("/c", "other");
+      await new Promise(process.nextTick);
+
+      expect(spy.mock.calls.map(([job]) => job)).toEqual([first, other]);
+      expect(second.status).toBe("pending");
+      expect(queue.isCollectionBusy("shared")).toBe(true);
+
+      finish(first);
+      await new Promise(process.nextTick);
+      expect(second).toMatchObject({ status: "processing", workerId: "worker-1" });
+
+      finish(second);
+      finish(other);
+      await new Promise(process.nextTick);
+    });
+
+    it("never runs more jobs than the configured worker count", async () => {
+      queue.setConfig({
+        Paths: { DataDir: tempDir },
+        RAG: { ChunkSize: 100, ChunkOverlap: 20, IngestWorkers: 1 },
+      });
+      queue.processNext.mockRestore();
+      const { spy, finish } = deferredIngest();
+
+      const first = queue.enqueue("/a", "col_a");
+      const second = queue.enqueue("/b", "col_b");
+      await new Promise(process.nextTick);
+
+      expect(queue.maxWorkers).toBe(1);
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(second.status).toBe("pending");
+
+      finish(first);
+      await new Promise(process.nextTick);
+      expect(second.workerId).toBe("worker-1");
+      finish(second);
+      await new Promise(process.nextTick);
+    });
+
+    it("records the worker pool in the persisted queue state", async () => {
+      queue.jobs = [{ id: "1", collection: "col", status: "processing", workerId: "worker-1" }];
+      queue.workers.set("worker-1", queue.jobs[0]);
+      queue.saveState();
+      await queue.flushPersistence();
+
+      const persisted = JSON.parse(fs.readFileSync(queue.persistencePath, "utf8"));
+      expect(persisted.maxWorkers).toBe(2);
+      expect(persisted.workers).toEqual([
+        { id: "worker-1", jobId: "1", collection: "col" },
+        { id: "worker-2", jobId: null, collection: null },
+      ]);
+      expect(persisted.jobs[0].workerId).toBe("worker-1");
+    });
+  });
+
   describe("executeNodeIngest", () => {
     it("should execute the full integration pathway", async () => {
       const testFilePath = path.join(tempDir, "file1.md");
@@ -454,10 +663,11 @@ describe("IngestionQueue", () => {
       await queue.executeNodeIngest(job);
 
       expect(lancedb.connect).toHaveBeenCalled();
-      expect(ollamaClient.embed).toHaveBeenCalledWith(
-        "Chunk 1",
+      expect(ollamaClient.embedBatch).toHaveBeenCalledWith(
+        ["Chunk 1"],
         "nomic-embed-text",
         "http://localhost:11434",
+        { batchSize: 32, concurrency: 4 },
       );
       expect(mockDb.openTable).toHaveBeenCalledWith("my_collection");
       // Delete must use SourceId predicate (not FileName)
@@ -562,6 +772,123 @@ describe("IngestionQueue", () => {
       ]);
     });
 
+    it("extracts .docx files locally and hands heading blocks to the chunker", async () => {
+      const testFilePath = path.join(tempDir, "runbook.docx");
+      fs.writeFileSync(
+        testFilePath,
+        buildZip({
+          "word/document.xml":
+            '<w:document><w:body><w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Install</w:t></w:r></w:p>' +
+            "<w:p><w:r><w:t>Run setup.</w:t></w:r></w:p></w:body></w:document>",
+        }),
+      );
+      MOCK_STATE.files = [testFilePath];
+      const dispatchSpy = jest.spyOn(SmartTextChunker.prototype, "dispatchByExtension");
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(dispatchSpy).toHaveBeenCalledWith(testFilePath, {
+        format: "docx",
+        blocks: [
+          { kind: "heading", level: 1, text: "Install" },
+          { kind: "paragraph", text: "Run setup." },
+        ],
+      });
+      expect(mockTable.add).toHaveBeenCalledWith([
+        expect.objectContaining({ FileName: "runbook.docx" }),
+      ]);
+      dispatchSpy.mockRestore();
+    });
+
+    it("skips office documents that are empty or not valid archives", async () => {
+      const emptyDoc = path.join(tempDir, "blank.odt");
+      const brokenDoc = path.join(tempDir, "broken.docx");
+      fs.writeFileSync(emptyDoc, buildZip({ "content.xml": "<office:text><text:p/></office:text>" }));
+      fs.writeFileSync(brokenDoc, "not a zip archive at all");
+      MOCK_STATE.files = [emptyDoc, brokenDoc];
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const job = { id: "office-skip", path: tempDir, collection: "my_collection" };
+      await queue.executeNodeIngest(job);
+      warnSpy.mockRestore();
+
+      const report = await queue.getReport("office-skip");
+      expect(report.files.map((f) => [f.fileName, f.outcome, f.reason])).toEqual([
+        ["blank.odt", "skipped", "empty"],
+        ["broken.docx", "skipped", "read_error"],
+      ]);
+      expect(mockTable.add).not.toHaveBeenCalled();
+    });
+
+    it("persists row and line ranges when chunk metadata includes them", async () => {
+      const testFilePath = path.join(tempDir, "hosts.csv");
+      fs.writeFileSync(testFilePath, "id,name\n1,a");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.chunkerResult = [
+        {
+          text: "id,name\n1,a",
+          headerContext: "hosts.csv > Rows 1-1",
+          chunkType: "csv-rows",
+          fileType: "csv",
+          locatorType: "row-range",
+          structuralPath: "hosts.csv > Rows 1-1",
+          rowStart: 1,
+          rowEnd: 1,
+        },
+        {
+          text: "function a() {}",
+          headerContext: "a.js > a",
+          locatorType: "declaration",
+          symbolName: "a",
+          lineStart: 3,
+          lineEnd: 5,
+        },
+      ];
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.add).toHaveBeenCalledWith([
+        expect.objectContaining({
+          LocatorType: "row-range",
+          RowStart: 1,
+          RowEnd: 1,
+        }),
+        expect.objectContaining({
+          SymbolName: "a",
+          LineStart: 3,
+          LineEnd: 5,
+        }),
+      ]);
+    });
+
+    it("persists the parent section of split chunks", async () => {
+      const testFilePath = path.join(tempDir, "guide.md");
+      fs.writeFileSync(testFilePath, "guide");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.chunkerResult = [
+        { text: "Intro", headerContext: "Guide" },
+        { text: "Install part one", headerContext: "Guide > Install", parentStart: 1, parentEnd: 2 },
+        { text: "Install part two", headerContext: "Guide > Install", parentStart: 1, parentEnd: 2 },
+      ];
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      const records = mockTable.add.mock.calls.at(-1)[0];
+      const sourceId = records[0].SourceId;
+      const parentHash = computeParentHash(sourceId, [records[1].ChunkHash, records[2].ChunkHash]);
+      expect(records[0]).toEqual(
+        expect.objectContaining({ ParentHash: null, ParentOrdinalStart: null, ParentOrdinalEnd: null }),
+      );
+      for (const record of records.slice(1)) {
+        expect(record).toEqual(
+          expect.objectContaining({ ParentHash: parentHash, ParentOrdinalStart: 1, ParentOrdinalEnd: 2 }),
+        );
+      }
+    });
+
     it("persists explicit sectionPath and symbolName when chunk metadata supports them", async () => {
       const testFilePath = path.join(tempDir, "file_structured.md");
       fs.writeFileSync(testFilePath, "structured content");
@@ -622,6 +949,391 @@ describe("IngestionQueue", () => {
       expect(writtenRecord.chunkOrdinal).toBe(0); // first (and only) chunk
     });
 
+    it("indexes written chunks in the collection's lexical index", async () => {
+      const testFilePath = path.join(tempDir, "file_lexical.md");
+      fs.writeFileSync(testFilePath, "lexical content");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.chunkerResult = [
+        { text: "Rotate the BridgeToken secret", headerContext: "Secrets" },
+      ];
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      const writtenRecord = mockTable.add.mock.calls[0][0][0];
+      const index = new LexicalIndex(tempDir, "my_collection");
+      await index.load();
+      const hits = index.search("bridgetoken", 5);
+      expect(hits).toHaveLength(1);
+      expect(hits[0].chunkHash).toBe(writtenRecord.ChunkHash);
+      expect(hits[0].sourceId).toBe(writtenRecord.SourceId);
+    });
+
+    it("removes orphaned sources from the lexical index", async () => {
+      const seeded = new LexicalIndex(tempDir, "my_collection");
+      await seeded.load();
+      seeded.addChunk("orphanhash", "src_orphanlexical01", "stale orphan text");
+      await seeded.save();
+
+      const testFilePath = path.join(tempDir, "active_lexical.md");
+      fs.writeFileSync(testFilePath, "active content");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.orphanSourceIds = ["src_orphanlexical01"];
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      const index = new LexicalIndex(tempDir, "my_collection");
+      await index.load();
+      expect(index.hasSource("src_orphanlexical01")).toBe(false);
+    });
+
+    it("backfills the lexical index from stored rows for unchanged sources", async () => {
+      const testFilePath = path.join(tempDir, "file_backfill.md");
+      fs.writeFileSync(testFilePath, "dummy content");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.hashMatch = {
+        FileName: "file_backfill.md",
+        SourceId: "src_backfill12345678",
+        ChunkCount: 1,
+        FileSize: 12,
+      };
+      const whereMock = jest.fn(() => ({
+        toArray: jest.fn().mockResolvedValue([
+          {
+            SourceId: "src_backfill12345678",
+            ChunkHash: "backfillhash0001",
+            Text: "Legacy stored chunk about quotas",
+            HeaderContext: "Limits",
+          },
+        ]),
+      }));
+      mockTable.query.mockReturnValue({ where: whereMock });
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(ollamaClient.embedBatch).not.toHaveBeenCalled();
+      expect(whereMock).toHaveBeenCalledWith("SourceId = 'src_backfill12345678'");
+      const index = new LexicalIndex(tempDir, "my_collection");
+      await index.load();
+      expect(index.search("quotas", 5)[0].chunkHash).toBe("backfillhash0001");
+    });
+
+    it("syncs only the changed paths of an incremental job and drops removed ones", async () => {
+      const changedFile = path.join(tempDir, "watched_changed.md");
+      fs.writeFileSync(changedFile, "changed content");
+      const removedFile = path.join(tempDir, "watched_removed.md");
+      const imageFile = path.join(tempDir, "image.png");
+      fs.writeFileSync(imageFile, "not a document");
+      const scanSpy = jest.spyOn(DocumentParser, "scanDirectory");
+      const orphansUnderSpy = jest.spyOn(DocumentParser.prototype, "getOrphansUnder");
+      const orphansSpy = jest.spyOn(DocumentParser.prototype, "getOrphans");
+      MOCK_STATE.orphanSourceIds = ["src_removedwatch001"];
+
+      const job = queue.enqueue(tempDir, "my_collection", {
+        changedPaths: [changedFile, removedFile, imageFile],
+      });
+      await queue.executeNodeIngest(job);
+
+      expect(scanSpy).not.toHaveBeenCalled();
+      expect(orphansSpy).not.toHaveBeenCalled();
+      expect(orphansUnderSpy).toHaveBeenCalledWith([removedFile], expect.any(Set));
+      expect(mockTable.add).toHaveBeenCalledWith([
+        expect.objectContaining({ FileName: "watched_changed.md" }),
+      ]);
+      expect(mockTable.delete).toHaveBeenCalledWith("SourceId = 'src_removedwatch001'");
+      expect(job.progress).toBe("Complete");
+    });
+
+    it("ingests archive members as sources named by their virtual path", async () => {
+      const zipPath = path.join(tempDir, "bundle.zip");
+      fs.writeFileSync(zipPath, buildZip({ "logs/run.xml": "<run/>" }));
+      const tarPath = path.join(tempDir, "export.tar.gz");
+      fs.writeFileSync(tarPath, buildTarGz({ "docs/guide.md": "# Guide" }));
+      const runPath = `${zipPath}!/logs/run.xml`;
+      const guidePath = `${tarPath}!/docs/guide.md`;
+      MOCK_STATE.files = [runPath, guidePath];
+      const addOrUpdateSpy = jest.spyOn(DocumentParser.prototype, "addOrUpdate");
+      const dispatchSpy = jest.spyOn(SmartTextChunker.prototype, "dispatchByExtension");
+      const { mintSourceId } = await import("../lib/sourceIdentity.js");
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(dispatchSpy).toHaveBeenCalledWith(runPath, "<run/>");
+      expect(dispatchSpy).toHaveBeenCalledWith(guidePath, "# Guide");
+      expect(mockTable.add).toHaveBeenCalledWith([
+        expect.objectContaining({ FileName: "run.xml", SourceId: mintSourceId("my_collection", runPath) }),
+      ]);
+      expect(addOrUpdateSpy).toHaveBeenCalledWith(
+        mintSourceId("my_collection", guidePath),
+        "guide.md",
+        guidePath,
+        expect.any(String),
+        1,
+        7,
+        "nomic-embed-text",
+      );
+      const report = await queue.getReport(job.id);
+      expect(report.files.map((f) => f.path)).toEqual([runPath, guidePath]);
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("decodes UTF-16 files before chunking and notes the encoding in the report", async () => {
+      const scriptPath = path.join(tempDir, "Deploy.ps1");
+      fs.writeFileSync(scriptPath, Buffer.from("\uFEFFparam($Path)\r\n", "utf16le"));
+      MOCK_STATE.files = [scriptPath];
+      const dispatchSpy = jest.spyOn(SmartTextChunker.prototype, "dispatchByExtension");
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(dispatchSpy).toHaveBeenCalledWith(scriptPath, "param($Path)\r\n");
+      const report = await queue.getReport(job.id);
+      expect(report.files[0]).toEqual(expect.objectContaining({ outcome: "added", encoding: "utf-16le" }));
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("flags files that cannot be decoded instead of embedding them", async () => {
+      const binaryPath = path.join(tempDir, "capture.txt");
+      fs.writeFileSync(binaryPath, Buffer.from(Array.from({ length: 256 }, (_, i) => (i * 37) % 256)));
+      MOCK_STATE.files = [binaryPath];
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.add).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("Failed to decode capture.txt"));
+      const report = await queue.getReport(job.id);
+      expect(report.files[0]).toEqual(
+        expect.objectContaining({
+          outcome: "skipped",
+          reason: "undecodable",
+          error: expect.stringMatching(/binary data/),
+        }),
+      );
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("re-reads a watched archive and drops members it no longer holds", async () => {
+      const zipPath = path.join(tempDir, "watched_bundle.zip");
+      fs.writeFileSync(zipPath, buildZip({ "kept.md": "kept" }));
+      MOCK_STATE.files = [`${zipPath}!/kept.md`];
+      const orphansUnderSpy = jest.spyOn(DocumentParser.prototype, "getOrphansUnder");
+
+      const job = queue.enqueue(tempDir, "my_collection", { changedPaths: [zipPath] });
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.add).toHaveBeenCalledWith([expect.objectContaining({ FileName: "kept.md" })]);
+      expect(orphansUnderSpy).toHaveBeenCalledWith([zipPath], expect.any(Set));
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("applies .ragignore and job excludes to watched changes and reports them", async () => {
+      const watchedDir = path.join(tempDir, "watched_ignore");
+      fs.mkdirSync(path.join(watchedDir, "bin"), { recursive: true });
+      fs.writeFileSync(path.join(watchedDir, ".ragignore"), "bin/\n");
+      const kept = path.join(watchedDir, "kept.md");
+      const ignored = path.join(watchedDir, "bin", "build.md");
+      const excludedByJob = path.join(watchedDir, "secret.md");
+      for (const filePath of [kept, ignored, excludedByJob]) fs.writeFileSync(filePath, "content");
+      const orphansUnderSpy = jest.spyOn(DocumentParser.prototype, "getOrphansUnder");
+
+      const job = queue.enqueue(watchedDir, "my_collection", {
+        changedPaths: [kept, ignored, excludedByJob],
+        exclude: ["secret.md"],
+      });
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.add).toHaveBeenCalledTimes(1);
+      expect(mockTable.add).toHaveBeenCalledWith([expect.objectContaining({ FileName: "kept.md" })]);
+      // Newly excluded files lose whatever was indexed for them before.
+      expect(orphansUnderSpy).toHaveBeenCalledWith([ignored, excludedByJob], expect.any(Set));
+
+      const report = await queue.getReport(job.id);
+      expect(report.totals.excluded).toBe(2);
+      expect(report.excluded).toEqual([
+        expect.objectContaining({ path: ignored, reason: "ragignore", pattern: "bin/" }),
+        expect.objectContaining({ path: excludedByJob, reason: "exclude", pattern: "secret.md" }),
+      ]);
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("passes the job's include and exclude globs to a full scan", async () => {
+      const testFilePath = path.join(tempDir, "scanned.md");
+      fs.writeFileSync(testFilePath, "content");
+      MOCK_STATE.files = [testFilePath];
+      const scanSpy = jest.spyOn(DocumentParser, "scanDirectory");
+
+      const job = queue.enqueue(tempDir, "my_collection", { include: ["*.md"], exclude: ["drafts/"] });
+      await queue.executeNodeIngest(job);
+
+      const [, , options] = scanSpy.mock.calls[0];
+      expect(await options.filter.check(path.join(tempDir, "drafts"), true)).toEqual(
+        expect.objectContaining({ reason: "exclude" }),
+      );
+      expect(await options.filter.check(path.join(tempDir, "notes.txt"), false)).toEqual(
+        expect.objectContaining({ reason: "not_included" }),
+      );
+      options.onExcluded({ path: path.join(tempDir, "drafts"), directory: true, reason: "exclude", pattern: "drafts/" });
+      expect(job.report.excluded).toBe(1);
+    });
+
+    it("completes an incremental job whose changes were all deletions", async () => {
+      const job = queue.enqueue(tempDir, "my_collection", {
+        changedPaths: [path.join(tempDir, "already_gone.md")],
+      });
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.add).not.toHaveBeenCalled();
+      expect(job.progress).toBe("Complete");
+    });
+
+    it("indexes the files tracked at a git ref with commit metadata", async () => {
+      const repoDir = path.join(tempDir, "git_full");
+      const commit = initRepo(repoDir, {
+        "notes.md": "Release notes",
+        "src/app.js": "export const app = 1;",
+        "image.png": "binary",
+      });
+      fs.writeFileSync(path.join(repoDir, "untracked.md"), "not committed");
+      fs.writeFileSync(path.join(repoDir, "notes.md"), "uncommitted edit");
+
+      const job = queue.enqueue(repoDir, "my_collection", { mode: "git", ref: "main" });
+      await queue.executeNodeIngest(job);
+
+      expect(job.commit).toBe(commit);
+      expect(mockTable.add.mock.calls.map(([records]) => records[0].FileName).sort()).toEqual([
+        "app.js",
+        "notes.md",
+      ]);
+      expect(mockTable.add).toHaveBeenCalledWith([
+        expect.objectContaining({
+          FileName: "notes.md",
+          CommitSha: commit,
+          CommitAuthor: "Ada Author",
+          CommitDate: "2026-03-01T10:00:00+00:00",
+        }),
+      ]);
+      expect(MOCK_STATE.gitSync[repoDir]).toEqual({
+        ref: "main",
+        commit,
+        indexedAt: expect.any(String),
+      });
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("skips a blob over the size limit as too large without reading it", async () => {
+      const repoDir = path.join(tempDir, "git_large");
+      initRepo(repoDir, {
+        "notes.md": "Release notes",
+        "dump.log": "x".repeat(65 * 1024 * 1024),
+      });
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const job = queue.enqueue(repoDir, "my_collection", { mode: "git", ref: "main" });
+      await queue.executeNodeIngest(job);
+
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("Skipping dump.log: Exceeds 50MB limit."));
+      const report = await queue.getReport(job.id);
+      expect(report.files.find((file) => file.fileName === "dump.log")).toEqual(
+        expect.objectContaining({ outcome: "skipped", reason: "too_large", bytes: 65 * 1024 * 1024 }),
+      );
+      expect(mockTable.add.mock.calls.map(([records]) => records[0].FileName)).toEqual(["notes.md"]);
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("re-embeds only files changed since the last indexed commit and keeps SourceIds across git renames", async () => {
+      const repoDir = path.join(tempDir, "git_incremental");
+      const body = "A long paragraph that makes the rename easy for git to detect.\n".repeat(5);
+      const first = initRepo(repoDir, {
+        "edited.md": "Version one",
+        "unchanged.md": "Same as before",
+        "before.md": body,
+        "removed.md": "Going away",
+      });
+      const second = commitFiles(
+        repoDir,
+        {
+          "edited.md": "Version two",
+          "before.md": null,
+          "after.md": `${body}One more line.\n`,
+          "removed.md": null,
+        },
+        "Edit, rename and delete",
+      );
+      MOCK_STATE.gitSync[repoDir] = { ref: "HEAD", commit: first, indexedAt: "2026-03-01T00:00:00.000Z" };
+      MOCK_STATE.entryBySourcePath = {
+        SourceId: "src_renamedlineage01",
+        FileName: "before.md",
+        SourcePath: path.join(repoDir, "before.md"),
+      };
+      const orphansUnderSpy = jest.spyOn(DocumentParser.prototype, "getOrphansUnder");
+      const orphansSpy = jest.spyOn(DocumentParser.prototype, "getOrphans");
+
+      const job = queue.enqueue(repoDir, "my_collection", { mode: "git", ref: "HEAD" });
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.add.mock.calls.map(([records]) => records[0].FileName).sort()).toEqual([
+        "after.md",
+        "edited.md",
+      ]);
+      expect(mockTable.add).toHaveBeenCalledWith([
+        expect.objectContaining({ FileName: "after.md", SourceId: "src_renamedlineage01", CommitSha: second }),
+      ]);
+      expect(orphansSpy).not.toHaveBeenCalled();
+      expect(orphansUnderSpy).toHaveBeenCalledWith(
+        expect.arrayContaining([path.join(repoDir, "before.md"), path.join(repoDir, "removed.md")]),
+        expect.any(Set),
+      );
+
+      const report = await queue.getReport(job.id);
+      expect(report.files.find((f) => f.fileName === "after.md")).toEqual(
+        expect.objectContaining({ outcome: "updated", previousPath: path.join(repoDir, "before.md") }),
+      );
+      expect(MOCK_STATE.gitSync[repoDir].commit).toBe(second);
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("stays at the previous commit when files fail to embed", async () => {
+      const repoDir = path.join(tempDir, "git_failed");
+      const first = initRepo(repoDir, { "a.md": "one" });
+      commitFiles(repoDir, { "a.md": "two" }, "Edit");
+      MOCK_STATE.gitSync[repoDir] = { ref: "HEAD", commit: first, indexedAt: "2026-03-01T00:00:00.000Z" };
+      ollamaClient.embedBatch.mockRejectedValue(new Error("Network Error"));
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const job = queue.enqueue(repoDir, "my_collection", { mode: "git" });
+      await queue.executeNodeIngest(job);
+      errorSpy.mockRestore();
+      warnSpy.mockRestore();
+
+      expect(MOCK_STATE.gitSync[repoDir].commit).toBe(first);
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("fails a git job whose folder is not a repository", async () => {
+      const plainDir = fs.mkdtempSync(path.join(os.tmpdir(), "not-a-repo-"));
+      try {
+        const job = queue.enqueue(plainDir, "my_collection", { mode: "git" });
+        await expect(queue.executeNodeIngest(job)).rejects.toThrow(/Not a git repository/);
+      } finally {
+        fs.rmSync(plainDir, { recursive: true, force: true });
+      }
+    });
+
     it("should throw error if zero files are found in directory", async () => {
       MOCK_STATE.files = [];
       const job = queue.enqueue(tempDir, "col");
@@ -645,7 +1357,7 @@ describe("IngestionQueue", () => {
       const job = queue.enqueue(tempDir, "col");
       await queue.executeNodeIngest(job);
 
-      expect(ollamaClient.embed).not.toHaveBeenCalled();
+      expect(ollamaClient.embedBatch).not.toHaveBeenCalled();
     });
 
     it("rename detection: updates LanceDB by SourceId, calls updateEntry, skips re-embedding", async () => {
@@ -670,7 +1382,7 @@ describe("IngestionQueue", () => {
         }),
       );
       // Content unchanged — no re-embedding
-      expect(ollamaClient.embed).not.toHaveBeenCalled();
+      expect(ollamaClient.embedBatch).not.toHaveBeenCalled();
     });
 
     // WS1 Acceptance Criteria #1+#2 — RAG_Source_Identity_Decision_Record.md:
@@ -708,7 +1420,7 @@ describe("IngestionQueue", () => {
       expect(wrongRename).toBeUndefined();
 
       // fileB must be embedded and written as a new source with its own SourceId
-      expect(ollamaClient.embed).toHaveBeenCalled();
+      expect(ollamaClient.embedBatch).toHaveBeenCalled();
       const addCalls = mockTable.add.mock.calls.flatMap((c) => c[0]);
       expect(addCalls.every((r) => r.SourceId !== "src_filea_collision1234")).toBe(true);
     });
@@ -735,7 +1447,7 @@ describe("IngestionQueue", () => {
           where: "SourceId = 'src_legacyid12345678'",
         }),
       );
-      expect(ollamaClient.embed).not.toHaveBeenCalled();
+      expect(ollamaClient.embedBatch).not.toHaveBeenCalled();
     });
 
     it("orphan cleanup deletes by SourceId predicate, not FileName", async () => {
@@ -764,7 +1476,7 @@ describe("IngestionQueue", () => {
       const job = queue.enqueue(tempDir, "my_collection");
       await queue.executeNodeIngest(job);
 
-      expect(ollamaClient.embed).not.toHaveBeenCalled();
+      expect(ollamaClient.embedBatch).not.toHaveBeenCalled();
     });
 
     it("should skip files that exceed the 50MB file size limit to prevent memory exhaustion", async () => {
@@ -784,7 +1496,7 @@ describe("IngestionQueue", () => {
         expect(warnSpy).toHaveBeenCalledWith(
           expect.stringContaining("Exceeds 50MB limit"),
         );
-        expect(ollamaClient.embed).not.toHaveBeenCalled();
+        expect(ollamaClient.embedBatch).not.toHaveBeenCalled();
       } finally {
         statSpy.mockRestore();
         warnSpy.mockRestore();
@@ -803,6 +1515,7 @@ describe("IngestionQueue", () => {
       expect(mockDb.createTable).toHaveBeenCalledWith(
         "new_collection",
         expect.any(Array),
+        { schema: expect.objectContaining({ fields: expect.any(Array) }) },
       );
     });
 
@@ -811,13 +1524,137 @@ describe("IngestionQueue", () => {
       fs.writeFileSync(testFilePath, "dummy context");
       MOCK_STATE.files = [testFilePath];
 
-      ollamaClient.embed.mockRejectedValue(new Error("Network Error"));
+      ollamaClient.embedBatch.mockRejectedValue(new Error("Network Error"));
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
 
       const job = queue.enqueue(tempDir, "col");
       await queue.executeNodeIngest(job);
 
-      expect(ollamaClient.embed).toHaveBeenCalled();
+      expect(ollamaClient.embedBatch).toHaveBeenCalled();
       expect(mockTable.add).not.toHaveBeenCalled(); // Failed to embed, so not added
+      expect(errorSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Failed to embed 1 chunk(s) of embed_fail.md"),
+        "Network Error",
+      );
+      errorSpy.mockRestore();
+    });
+
+    it("keeps the indexed chunks of a changed file whose new content fails to embed", async () => {
+      const testFilePath = path.join(tempDir, "changed_embed_fail.md");
+      fs.writeFileSync(testFilePath, "new content");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.entryByFileName = { SourceId: "src_changedembed0001", FileName: "changed_embed_fail.md" };
+      MOCK_STATE.orphanSourceIds = [];
+      ollamaClient.embedBatch.mockRejectedValue(new Error("Network Error"));
+      const removeSourceSpy = jest.spyOn(LexicalIndex.prototype, "removeSource");
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.delete).not.toHaveBeenCalled();
+      expect(removeSourceSpy).not.toHaveBeenCalledWith("src_changedembed0001");
+      removeSourceSpy.mockRestore();
+      errorSpy.mockRestore();
+    });
+
+    it("replaces a changed file's chunks right before writing the new ones", async () => {
+      const testFilePath = path.join(tempDir, "changed_write.md");
+      fs.writeFileSync(testFilePath, "new content");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.entryByFileName = { SourceId: "src_changedwrite0001", FileName: "changed_write.md" };
+      MOCK_STATE.orphanSourceIds = [];
+      const steps = [];
+      ollamaClient.embedBatch.mockImplementation(async (texts) => {
+        steps.push("embed");
+        return texts.map(() => new Float32Array([0.5, 0.6]));
+      });
+      mockTable.delete.mockImplementation(async (predicate) => steps.push(`delete ${predicate}`));
+      mockTable.add.mockImplementation(async () => steps.push("add"));
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(steps).toEqual(["embed", "delete SourceId = 'src_changedwrite0001'", "add"]);
+    });
+
+    it("logs rows the table rejects as a write failure, apart from embed failures", async () => {
+      const testFilePath = path.join(tempDir, "write_fail.md");
+      fs.writeFileSync(testFilePath, "dummy context");
+      MOCK_STATE.files = [testFilePath];
+
+      mockTable.add.mockRejectedValue(new Error("Found field not in schema: PageStart at row 0"));
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(errorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to write 1 chunk(s) of write_fail.md to "my_collection"'),
+        "Found field not in schema: PageStart at row 0",
+      );
+      expect(errorSpy).not.toHaveBeenCalledWith(
+        expect.stringContaining("Failed to embed"),
+        expect.anything(),
+      );
+      errorSpy.mockRestore();
+    });
+
+    it("embeds a file's chunks in one batch call and writes them in one add", async () => {
+      const testFilePath = path.join(tempDir, "multi_chunk.md");
+      fs.writeFileSync(testFilePath, "several chunks");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.chunkerResult = [
+        { text: "Chunk A", headerContext: "A" },
+        { text: "Chunk B", headerContext: "B" },
+        { text: "Chunk C", headerContext: "C" },
+      ];
+      queue.setConfig({
+        Paths: { DataDir: tempDir },
+        RAG: { ChunkSize: 100, ChunkOverlap: 20, EmbedBatchSize: 2, EmbedConcurrency: 3 },
+      });
+
+      const job = queue.enqueue(tempDir, "my_collection");
+      await queue.executeNodeIngest(job);
+
+      expect(ollamaClient.embedBatch).toHaveBeenCalledTimes(1);
+      expect(ollamaClient.embedBatch).toHaveBeenCalledWith(
+        ["Chunk A", "Chunk B", "Chunk C"],
+        "nomic-embed-text",
+        "http://localhost:11434",
+        { batchSize: 2, concurrency: 3 },
+      );
+      expect(ollamaClient.embed).not.toHaveBeenCalled();
+      expect(mockTable.add).toHaveBeenCalledTimes(1);
+      expect(mockTable.add.mock.calls[0][0].map((r) => r.chunkOrdinal)).toEqual([0, 1, 2]);
+    });
+
+    it("sizes chunks in embedding-model tokens when ChunkTokens is set", async () => {
+      const testFilePath = path.join(tempDir, "token_sized.md");
+      fs.writeFileSync(testFilePath, "a".repeat(420));
+      MOCK_STATE.files = [testFilePath];
+      queue.setConfig({
+        Paths: { DataDir: tempDir },
+        RAG: { ChunkSize: 100, ChunkOverlap: 20, ChunkTokens: 50 },
+      });
+      const sizes = [];
+      const dispatchSpy = jest
+        .spyOn(SmartTextChunker.prototype, "dispatchByExtension")
+        .mockImplementation(function () {
+          sizes.push([this.maxChunkSize, this.overlap]);
+          return MOCK_STATE.chunkerResult;
+        });
+
+      try {
+        const job = queue.enqueue(tempDir, "my_collection");
+        await queue.executeNodeIngest(job);
+      } finally {
+        dispatchSpy.mockRestore();
+      }
+
+      // nomic-embed-text has no vocabulary here: 4 chars per token, overlap
+      // keeps ChunkOverlap's 20% share.
+      expect(sizes).toEqual([[200, 40]]);
     });
 
     it("drops pre-SourceId LanceDB table and clears manifest entries before re-embedding", async () => {
@@ -845,7 +1682,7 @@ describe("IngestionQueue", () => {
         // Table was dropped
         expect(mockDb.dropTable).toHaveBeenCalledWith("my_collection");
         // After drop the file is treated as new content — embed is called
-        expect(ollamaClient.embed).toHaveBeenCalled();
+        expect(ollamaClient.embedBatch).toHaveBeenCalled();
         // Log message identifies the migration action
         const migrationLogs = logSpy.mock.calls.filter(
           (args) => typeof args[0] === "string" && args[0].includes("pre-SourceId schema"),
@@ -872,6 +1709,246 @@ describe("IngestionQueue", () => {
     });
   });
 
+  describe("Checkpoints & resume", () => {
+    function makeJob(id) {
+      return { id, path: tempDir, collection: "my_collection", status: "processing" };
+    }
+
+    function readCheckpointLines(job) {
+      return fs
+        .readFileSync(queue._checkpointPath(job), "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+    }
+
+    it("logs start/done per written file and flushes the manifest after each one", async () => {
+      const fileA = path.join(tempDir, "cp_a.md");
+      const fileB = path.join(tempDir, "cp_b.md");
+      fs.writeFileSync(fileA, "alpha");
+      fs.writeFileSync(fileB, "beta");
+      MOCK_STATE.files = [fileA, fileB];
+      MOCK_STATE.orphanSourceIds = [];
+      const saveSpy = jest.spyOn(DocumentParser.prototype, "save");
+
+      const job = makeJob("cp-log");
+      await queue.executeNodeIngest(job);
+
+      const lines = readCheckpointLines(job);
+      expect(lines.map((l) => `${l.event}:${path.basename(l.path)}`)).toEqual([
+        "start:cp_a.md",
+        "done:cp_a.md",
+        "start:cp_b.md",
+        "done:cp_b.md",
+      ]);
+      expect(lines[0].sourceId).toMatch(/^src_/);
+      // One flush per file plus the final save.
+      expect(saveSpy).toHaveBeenCalledTimes(3);
+      saveSpy.mockRestore();
+      queue._clearCheckpoint(job);
+    });
+
+    it("skips completed files and rolls back the interrupted one on resume", async () => {
+      const fileA = path.join(tempDir, "resume_a.md");
+      const fileB = path.join(tempDir, "resume_b.md");
+      fs.writeFileSync(fileA, "alpha");
+      fs.writeFileSync(fileB, "beta");
+      MOCK_STATE.files = [fileA, fileB];
+      MOCK_STATE.orphanSourceIds = [];
+
+      const job = makeJob("cp-resume");
+      fs.mkdirSync(path.dirname(queue._checkpointPath(job)), { recursive: true });
+      fs.writeFileSync(
+        queue._checkpointPath(job),
+        [
+          JSON.stringify({ event: "start", path: fileA, sourceId: "src_done_a" }),
+          JSON.stringify({ event: "done", path: fileA, sourceId: "src_done_a" }),
+          JSON.stringify({ event: "start", path: fileB, sourceId: "src_partial_b" }),
+          '{"event":"do', // torn line from the crash
+        ].join("\n"),
+      );
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+
+      await queue.executeNodeIngest(job);
+
+      expect(mockTable.delete.mock.calls[0][0]).toBe("SourceId = 'src_partial_b'");
+      expect(ollamaClient.embedBatch).toHaveBeenCalledTimes(1);
+      expect(mockTable.add.mock.calls.flat(2).map((r) => r.FileName)).toEqual(["resume_b.md"]);
+      expect(
+        logSpy.mock.calls.some(([msg]) => String(msg).includes("Rolling back partially ingested resume_b.md")),
+      ).toBe(true);
+      logSpy.mockRestore();
+      queue._clearCheckpoint(job);
+    });
+
+    it("removes the checkpoint log once the job finishes", async () => {
+      queue.processNext.mockRestore();
+      let checkpointPath;
+      jest.spyOn(queue, "executeNodeIngest").mockImplementation(async (job) => {
+        await queue._appendCheckpoint(job, "done", "/x.md", "src_x");
+        checkpointPath = queue._checkpointPath(job);
+      });
+
+      const job = queue.enqueue("/docs", "col");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(job.status).toBe("completed");
+      expect(checkpointPath).toBeDefined();
+      expect(fs.existsSync(checkpointPath)).toBe(false);
+    });
+  });
+
+  describe("Ingestion report", () => {
+    it("records an outcome for every scanned file", async () => {
+      const added = path.join(tempDir, "report_added.md");
+      const empty = path.join(tempDir, "report_empty.md");
+      const missing = path.join(tempDir, "report_missing.md");
+      fs.writeFileSync(added, "content");
+      fs.writeFileSync(empty, "   ");
+      MOCK_STATE.files = [added, empty, missing];
+      MOCK_STATE.orphanSourceIds = ["src_orphan12345678"];
+      MOCK_STATE.chunkerResult = [{ text: "A" }, { text: "B" }];
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const job = { id: "report-1", path: tempDir, collection: "my_collection" };
+      await queue.executeNodeIngest(job);
+      warnSpy.mockRestore();
+
+      const report = await queue.getReport("report-1");
+      expect(report.status).toBe("processing");
+      expect(report.files.map((f) => [f.fileName, f.outcome, f.reason])).toEqual([
+        ["report_added.md", "added", undefined],
+        ["report_empty.md", "skipped", "empty"],
+        ["report_missing.md", "skipped", "stat_error"],
+      ]);
+      expect(report.orphans).toEqual(["src_orphan12345678"]);
+      expect(job.report).toEqual(
+        expect.objectContaining({
+          filesScanned: 3,
+          added: 1,
+          skipped: 2,
+          chunksWritten: 2,
+          orphansRemoved: 1,
+        }),
+      );
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("counts chunks that failed to embed", async () => {
+      const testFilePath = path.join(tempDir, "report_fail.md");
+      fs.writeFileSync(testFilePath, "content");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.chunkerResult = [{ text: "A" }, { text: "B" }, { text: "C" }];
+      ollamaClient.embedBatch.mockRejectedValue(new Error("Network Error"));
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const job = { id: "report-2", path: tempDir, collection: "my_collection" };
+      await queue.executeNodeIngest(job);
+      errorSpy.mockRestore();
+
+      const report = await queue.getReport("report-2");
+      expect(report.files[0]).toEqual(
+        expect.objectContaining({ outcome: "failed", reason: "embed_error", error: "Network Error", chunks: 3 }),
+      );
+      expect(report.totals).toEqual(expect.objectContaining({ failed: 1, chunksFailed: 3, chunksWritten: 0 }));
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("reports rows the table rejects as a write error, apart from embed errors", async () => {
+      const testFilePath = path.join(tempDir, "report_write.md");
+      fs.writeFileSync(testFilePath, "content");
+      MOCK_STATE.files = [testFilePath];
+      MOCK_STATE.chunkerResult = [{ text: "A" }, { text: "B" }];
+      mockTable.add.mockRejectedValue(new Error("Found field not in schema: PageStart at row 0"));
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const job = { id: "report-write", path: tempDir, collection: "my_collection" };
+      await queue.executeNodeIngest(job);
+      errorSpy.mockRestore();
+
+      const report = await queue.getReport("report-write");
+      expect(report.files[0]).toEqual(
+        expect.objectContaining({
+          outcome: "failed",
+          reason: "write_error",
+          error: "Found field not in schema: PageStart at row 0",
+          chunks: 2,
+        }),
+      );
+      expect(report.totals).toEqual(expect.objectContaining({ failed: 1, chunksFailed: 2, chunksWritten: 0 }));
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("carries outcomes of files finished before a resume", async () => {
+      const doneFile = path.join(tempDir, "report_done.md");
+      fs.writeFileSync(doneFile, "content");
+      MOCK_STATE.files = [doneFile];
+      MOCK_STATE.orphanSourceIds = [];
+      const job = { id: "report-3", path: tempDir, collection: "my_collection" };
+      await queue._appendCheckpoint(job, "done", doneFile, "src_done", { outcome: "added", chunks: 5 });
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      await queue.executeNodeIngest(job);
+      console.log.mockRestore();
+
+      const report = await queue.getReport("report-3");
+      expect(report.files).toEqual([
+        expect.objectContaining({ outcome: "added", sourceId: "src_done", chunks: 5, resumed: true }),
+      ]);
+      expect(report.totals.chunksWritten).toBe(5);
+      expect(ollamaClient.embedBatch).not.toHaveBeenCalled();
+      queue._clearCheckpoint(job);
+      queue.reports.delete(job.id);
+    });
+
+    it("writes the finished report to disk and keeps the totals on the job", async () => {
+      queue.processNext.mockRestore();
+      jest.spyOn(queue, "executeNodeIngest").mockImplementation(async (job) => {
+        const { IngestionReport } = await import("../lib/ingestionReport.js");
+        const report = new IngestionReport(job);
+        report.recordFile("/docs/a.md", "added", { chunks: 2 });
+        queue.reports.set(job.id, report);
+        job.report = report.totals;
+      });
+
+      const job = queue.enqueue("/docs", "col");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(job.status).toBe("completed");
+      expect(job.report).toEqual(expect.objectContaining({ added: 1, chunksWritten: 2 }));
+      expect(queue.reports.has(job.id)).toBe(false);
+      const saved = JSON.parse(
+        fs.readFileSync(path.join(tempDir, "reports", `${job.id}.json`), "utf8"),
+      );
+      expect(saved.status).toBe("completed");
+      expect(await queue.getReport(job.id)).toEqual(saved);
+    });
+
+    it("names the failed file count in the progress of a completed job", async () => {
+      queue.processNext.mockRestore();
+      jest.spyOn(queue, "executeNodeIngest").mockImplementation(async (job) => {
+        const { IngestionReport } = await import("../lib/ingestionReport.js");
+        const report = new IngestionReport(job);
+        report.recordFile("/docs/a.md", "added", { chunks: 2 });
+        report.recordFile("/docs/b.md", "failed", { reason: "write_error", chunks: 3 });
+        queue.reports.set(job.id, report);
+        job.report = report.totals;
+      });
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const job = queue.enqueue("/docs", "col");
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      warnSpy.mockRestore();
+
+      expect(job.status).toBe("completed");
+      expect(job.progress).toBe("Complete, 1 file(s) failed");
+      expect(job.report).toEqual(expect.objectContaining({ added: 1, failed: 1 }));
+    });
+  });
+
   describe("Schema Migration", () => {
     const queueFile = () => path.join(tempDir, "queue.json");
 
@@ -64,9 +64,17 @@ const mockLimit = jest
 const mockSearch = jest
   .fn()
   .mockReturnValue({ limit: mockLimit, toArray: mockExecute });
-const mockQuery = jest
+const mockWhere = jest
   .fn()
   .mockReturnValue({ limit: mockLimit, toArray: mockExecute });
+const mockQuery = jest
+  .fn()
+  .mockReturnValue({
+    limit: mockLimit,
+    where: mockWhere,
+    toArray: mockExecute,
+    toArrow: mockExecute,
+  });
 
 // Default schema mock: current schema has SourceId (no migration triggered).
 // Override per-test with mockTable.schema.mockResolvedValueOnce(...) for old-schema tests.
@@ -75,7 +83,10 @@ const mockSchema = { fields: [{ name: "SourceId" }, { name: "FileName" }, { name
 const mockTable = {
   query: mockQuery,
   search: mockSearch,
+  // Accepts rows of any shape. Real LanceDB rejects fields its table schema
+  // lacks; IngestionQueue.lancedb.test.js covers writes against a real table.
   add: jest.fn().mockResolvedValue(true),
+  addColumns: jest.fn().mockResolvedValue(undefined),
   delete: jest.fn().mockResolvedValue(true),
   update: jest.fn().mockResolvedValue(true),
   schema: jest.fn().mockResolvedValue(mockSchema),
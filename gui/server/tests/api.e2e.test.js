@@ -13,6 +13,8 @@ process.env.EMBEDDING_MODEL = "test-embed-model"; // Match the hardcoded mock la
 // Mock Ollama to make the test fast and deterministic (no real LLM required)
 jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
   embed: jest.fn().mockResolvedValue(new Float32Array([0.1, 0.2, 0.3, 0.4])),
+  embedBatch: jest.fn(async (texts) => texts.map(() => new Float32Array([0.1, 0.2, 0.3, 0.4]))),
+  chat: jest.fn(async () => ""),
   chatStream: jest.fn(async (messages, model, baseUrl, onChunk, signal) => {
     // Send a mock chunk back
     onChunk("According to the dummy document, X is the answer.");
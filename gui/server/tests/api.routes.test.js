@@ -49,6 +49,77 @@ describe("API Routes Integration (ESM)", () => {
         .send({ path: "C:/tmp" });
       expect(res.statusCode).toBe(400);
     });
+
+    it("should return 400 for malformed include or exclude globs", async () => {
+      for (const body of [{ include: "*.md" }, { exclude: ["bin/", ""] }, { exclude: [42] }]) {
+        const res = await request(app)
+          .post("/api/queue")
+          .send({ path: "C:/tmp", collection: "test", ...body });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/include and exclude/);
+      }
+    });
+
+    it("should return 400 for an unknown mode or a ref on a folder job", async () => {
+      let res = await request(app)
+        .post("/api/queue")
+        .send({ path: "C:/tmp", collection: "test", mode: "svn" });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch(/mode/);
+
+      res = await request(app)
+        .post("/api/queue")
+        .send({ path: "C:/tmp", collection: "test", ref: "main" });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch(/ref must be/);
+    });
+  });
+
+  describe("GET /api/queue/:id/report", () => {
+    it("should return 400 for a malformed job id", async () => {
+      const res = await request(app).get("/api/queue/..%2Fsecrets/report");
+      expect(res.statusCode).toBe(400);
+    });
+
+    it("should return 404 for an unknown job", async () => {
+      const res = await request(app).get("/api/queue/does-not-exist/report");
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe("/api/watches", () => {
+    it("lists folder watches", async () => {
+      const res = await request(app).get("/api/watches");
+      expect(res.status).toBe(200);
+      expect(Array.isArray(res.body)).toBe(true);
+    });
+
+    it("requires a path and collection to follow a folder", async () => {
+      const res = await request(app).post("/api/watches").send({ collection: "Docs" });
+      expect(res.status).toBe(400);
+    });
+
+    it("rejects malformed watch ids and reports unknown ones", async () => {
+      const invalid = await request(app).delete("/api/watches/..%2Fwatches");
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(app).delete("/api/watches/watch_0123456789abcdef");
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("/api/collections/:name/sources/:sourceId", () => {
+    it("should return 400 for a sourceId that is not in minted form", async () => {
+      const res = await request(app).get(
+        "/api/collections/test/sources/x' OR '1'='1",
+      );
+      expect(res.statusCode).toBe(400);
+    });
+
+    it("should return 400 on DELETE with an invalid sourceId", async () => {
+      const res = await request(app).delete("/api/collections/test/sources/not-a-source");
+      expect(res.statusCode).toBe(400);
+    });
   });
 
   describe("POST /api/chat", () => {
@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import {
+  ArchiveError,
+  ArchiveReader,
+  MAX_ARCHIVE_MEMBERS,
+  archiveContainerPath,
+  isArchivePath,
+  openArchive,
+  splitArchiveMemberPath,
+  toArchiveMemberPath,
+} from "../lib/archiveSource.js";
+import { buildZip } from "./helpers/zipFixture.js";
+import { buildTarGz } from "./helpers/tarFixture.js";
+
+describe("archiveSource", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-source-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const write = (name, buffer) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+  };
+
+  it("builds and splits virtual member paths", () => {
+    const archivePath = path.join(tempDir, "bundle.zip");
+    const memberPath = toArchiveMemberPath(archivePath, "logs/run.xml");
+
+    expect(memberPath).toBe(`${archivePath}!/logs/run.xml`);
+    expect(splitArchiveMemberPath(memberPath)).toEqual({ archivePath, memberName: "logs/run.xml" });
+    expect(splitArchiveMemberPath(path.join(tempDir, "odd!", "notes.md"))).toBeNull();
+    expect(archiveContainerPath(memberPath)).toBe(archivePath);
+    expect(archiveContainerPath(path.join(tempDir, "notes.md"))).toBe(path.join(tempDir, "notes.md"));
+
+    expect(isArchivePath("Export.ZIP")).toBe(true);
+    expect(isArchivePath("logs.tar.gz")).toBe(true);
+    expect(isArchivePath("logs.tgz")).toBe(true);
+    expect(isArchivePath("logs.gz")).toBe(false);
+  });
+
+  it("lists zip members and drops directories and unsafe names", async () => {
+    const archivePath = write(
+      "bundle.zip",
+      buildZip({
+        "logs/": "",
+        "logs/run.xml": "<run/>",
+        "./docs/guide.md": "# Guide",
+        "../escape.md": "nope",
+        "/etc/passwd.txt": "nope",
+      }),
+    );
+
+    const archive = await openArchive(archivePath);
+
+    expect([...archive.members.keys()].sort()).toEqual(["docs/guide.md", "logs/run.xml"]);
+    expect(archive.extract(archive.members.get("logs/run.xml")).toString()).toBe("<run/>");
+  });
+
+  it("lists tar.gz members, including GNU long names", async () => {
+    const longName = `deep/${"nested-folder/".repeat(8)}notes.md`;
+    const archivePath = write(
+      "bundle.tar.gz",
+      buildTarGz({ "logs/": "", "logs/run.xml": "<run/>", [longName]: "long" }),
+    );
+
+    const archive = await openArchive(archivePath);
+
+    expect([...archive.members.keys()].sort()).toEqual([longName, "logs/run.xml"]);
+    expect(archive.members.get("logs/run.xml").size).toBe(6);
+    expect(archive.extract(archive.members.get(longName)).toString()).toBe("long");
+  });
+
+  it("reads, hashes and sizes members through virtual paths", async () => {
+    const zipPath = write("a.zip", buildZip({ "notes.md": "zip notes" }));
+    const tarPath = write("b.tgz", buildTarGz({ "notes.md": "tar notes" }));
+    const reader = new ArchiveReader();
+
+    expect((await reader.read(toArchiveMemberPath(zipPath, "notes.md"))).toString()).toBe("zip notes");
+    expect(await reader.stat(toArchiveMemberPath(tarPath, "notes.md"))).toEqual({ size: 9 });
+    expect(await reader.hash(toArchiveMemberPath(tarPath, "notes.md"))).toBe(
+      crypto.createHash("sha256").update("tar notes").digest("hex").toUpperCase(),
+    );
+    await expect(reader.read(toArchiveMemberPath(zipPath, "missing.md"))).rejects.toThrow(/no member/);
+  });
+
+  it("rejects corrupt archives and archives with too many members", async () => {
+    const notZip = write("broken.zip", Buffer.from("not an archive"));
+    const notGzip = write("broken.tar.gz", Buffer.from("not an archive"));
+    const crowded = {};
+    for (let i = 0; i <= MAX_ARCHIVE_MEMBERS; i++) crowded[`f${i}.txt`] = "";
+    const bomb = write("crowded.zip", buildZip(crowded, { store: true }));
+
+    await expect(openArchive(notZip)).rejects.toThrow(ArchiveError);
+    await expect(openArchive(notGzip)).rejects.toThrow(/not a gzip archive/);
+    await expect(openArchive(bomb)).rejects.toThrow(/more than 10000 members/);
+    await expect(openArchive(path.join(tempDir, "missing.zip"))).rejects.toThrow(/Could not read/);
+  });
+
+  it("rejects zip members that inflate past their entry limit", async () => {
+    const size = 101 * 1024 * 1024;
+    // Declares one byte but inflates to more than MAX_ENTRY_SIZE.
+    const zip = buildZip({ "bomb.txt": Buffer.alloc(size) });
+    zip.writeUInt32LE(1, zip.indexOf(Buffer.from("bomb.txt")) - 30 + 22);
+    const centralStart = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt32LE(1, centralStart + 24);
+    const archivePath = write("lying.zip", zip);
+    const reader = new ArchiveReader();
+
+    expect(await reader.stat(toArchiveMemberPath(archivePath, "bomb.txt"))).toEqual({ size: 1 });
+    await expect(reader.read(toArchiveMemberPath(archivePath, "bomb.txt"))).rejects.toThrow(ArchiveError);
+  });
+});
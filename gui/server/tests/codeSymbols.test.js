@@ -0,0 +1,96 @@
+import { extractCodeSymbols, codeLanguageForExtension } from "../lib/codeSymbols.js";
+
+const pick = (symbols) => symbols.map(({ kind, name, exported, lineStart, lineEnd }) => ({ kind, name, exported, lineStart, lineEnd }));
+
+describe("codeSymbols", () => {
+  it("maps extensions to a language", () => {
+    expect(codeLanguageForExtension(".tsx")).toBe("typescript");
+    expect(codeLanguageForExtension(".mjs")).toBe("javascript");
+  });
+
+  it("extracts top-level symbols in source order with line ranges", () => {
+    const code = [
+      'import fs from "fs";',
+      "const LIMIT = 3;",
+      "",
+      "/** Reads a file. */",
+      "export async function read(p) {",
+      '  return fs.promises.readFile(p, "utf8");',
+      "}",
+      "",
+      "const handler = (event) => event.id;",
+      "export const VERSION = 2, NAME = 'x';",
+      "export { handler as onEvent };",
+      'export * from "./other.js";',
+      "export default class {",
+      "  run() {}",
+      "}",
+      "main();",
+    ].join("\n");
+
+    expect(pick(extractCodeSymbols(code, "mod.js"))).toEqual([
+      { kind: "top-level", name: "", exported: false, lineStart: 1, lineEnd: 2 },
+      { kind: "function", name: "read", exported: true, lineStart: 4, lineEnd: 7 },
+      { kind: "function", name: "handler", exported: false, lineStart: 9, lineEnd: 9 },
+      { kind: "export", name: "VERSION, NAME", exported: true, lineStart: 10, lineEnd: 10 },
+      { kind: "export", name: "onEvent", exported: true, lineStart: 11, lineEnd: 11 },
+      { kind: "export", name: "*", exported: true, lineStart: 12, lineEnd: 12 },
+      { kind: "class", name: "default", exported: true, lineStart: 13, lineEnd: 15 },
+      { kind: "top-level", name: "", exported: false, lineStart: 16, lineEnd: 16 },
+    ]);
+  });
+
+  it("lists class methods, accessors, arrow properties and private methods", () => {
+    const code = [
+      "class Store {",
+      "  #items = [];",
+      "  constructor() {}",
+      "  get size() { return this.#items.length; }",
+      "  onChange = () => {};",
+      "  #flush() {}",
+      "  [Symbol.iterator]() {}",
+      "}",
+    ].join("\n");
+
+    const [store] = extractCodeSymbols(code, "store.js");
+    expect(store.members.map((member) => member.name)).toEqual([
+      "Store.constructor",
+      "Store.size",
+      "Store.onChange",
+      "Store.#flush",
+      "Store.[Symbol.iterator]",
+    ]);
+    expect(store.members[1]).toEqual(expect.objectContaining({ path: ["Store", "size"], lineStart: 4, lineEnd: 4 }));
+  });
+
+  it("recognises TypeScript-only declarations", () => {
+    const code = [
+      "export interface A { x: number }",
+      "type B = A | null;",
+      "enum C { One }",
+      "namespace D { export const y = 1; }",
+      "declare function e(): void;",
+      "const Widget = class { render(): void {} };",
+    ].join("\n");
+
+    const symbols = extractCodeSymbols(code, "types.ts");
+    expect(symbols.map((symbol) => [symbol.kind, symbol.name])).toEqual([
+      ["interface", "A"],
+      ["type", "B"],
+      ["enum", "C"],
+      ["namespace", "D"],
+      ["function", "e"],
+      ["class", "Widget"],
+    ]);
+    expect(symbols[5].members.map((member) => member.name)).toEqual(["Widget.render"]);
+  });
+
+  it("parses CommonJS with top-level return", () => {
+    const code = "if (module.parent) return;\nfunction main() {}\nmodule.exports = main;";
+    expect(extractCodeSymbols(code, "cli.cjs").map((symbol) => symbol.kind)).toEqual([
+      "top-level",
+      "function",
+      "top-level",
+    ]);
+  });
+});
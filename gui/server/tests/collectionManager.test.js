@@ -0,0 +1,312 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import * as lancedb from "@lancedb/lancedb";
+import { CollectionManager, CollectionError } from "../lib/collectionManager.js";
+import { LexicalIndex } from "../lib/lexicalIndex.js";
+
+// The shared LanceDB mock reports two tables: TestIngest and TestCollection.
+
+function makeQueue(jobs = []) {
+  return {
+    jobs,
+    held: [],
+    getJobs() {
+      return this.jobs;
+    },
+    isCollectionBusy(name) {
+      return this.jobs.some((job) => job.collection === name && job.status === "processing");
+    },
+    holdCollection: jest.fn(function (name) {
+      this.held.push(name);
+    }),
+    releaseCollection: jest.fn(function (name) {
+      this.held = this.held.filter((held) => held !== name);
+    }),
+    retargetPendingJobs: jest.fn(() => 1),
+    cancelPendingJobs: jest.fn(() => 2),
+  };
+}
+
+function writeManifest(dataDir, name, entries) {
+  fs.writeFileSync(
+    path.join(dataDir, `${name}.manifest.json`),
+    JSON.stringify({
+      Version: "2.0",
+      Collection: name,
+      EntryCount: entries.length,
+      Entries: entries,
+    }),
+  );
+}
+
+describe("CollectionManager", () => {
+  let dataDir;
+  let db;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "collection-manager-test-"));
+    fs.mkdirSync(path.join(dataDir, "vector_store.lance"));
+    writeManifest(dataDir, "TestCollection", [
+      {
+        SourceId: "src_a",
+        FileName: "guide.md",
+        SourcePath: "/docs/guide.md",
+        ChunkCount: 4,
+        FileSize: 1200,
+        EmbeddingModel: "nomic-embed-text",
+        LastIngested: "2026-03-01T00:00:00.000Z",
+      },
+    ]);
+    fs.writeFileSync(path.join(dataDir, "TestCollection.lexical.json"), "{}");
+    db = await lancedb.connect();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("lists tables and manifest-only collections together", async () => {
+    writeManifest(dataDir, "ManifestOnly", []);
+    const manager = new CollectionManager(dataDir, makeQueue());
+
+    const collections = await manager.list();
+
+    expect(collections.map((c) => c.name)).toEqual([
+      "ManifestOnly",
+      "TestCollection",
+      "TestIngest",
+    ]);
+    expect(collections.find((c) => c.name === "TestCollection")).toEqual(
+      expect.objectContaining({
+        hasTable: true,
+        hasManifest: true,
+        rowCount: 10,
+        sourceCount: 1,
+        embeddingModel: "nomic-embed-text",
+      }),
+    );
+    expect(collections.find((c) => c.name === "ManifestOnly").hasTable).toBe(false);
+  });
+
+  it("describes a collection and rejects unknown names", async () => {
+    const manager = new CollectionManager(
+      dataDir,
+      makeQueue([{ id: "1", collection: "TestCollection", status: "pending", path: "/docs" }]),
+    );
+
+    const detail = await manager.describe("TestCollection");
+    expect(detail).toEqual(
+      expect.objectContaining({
+        manifestChunkCount: 4,
+        totalBytes: 1200,
+        fileTypes: { ".md": 1 },
+        lexicalIndex: true,
+        pendingJobs: 1,
+      }),
+    );
+
+    await expect(manager.describe("Missing")).rejects.toMatchObject({ code: "NOT_FOUND" });
+  });
+
+  it("renames the table, manifest and lexical index and moves pending jobs", async () => {
+    const queue = makeQueue();
+    const manager = new CollectionManager(dataDir, queue);
+
+    const result = await manager.rename("TestCollection", "Handbook");
+
+    expect(result).toEqual({
+      from: "TestCollection",
+      to: "Handbook",
+      rowCount: 10,
+      retargetedJobs: 1,
+    });
+    expect(db.createTable).toHaveBeenCalledWith("Handbook", expect.anything());
+    expect(db.dropTable).toHaveBeenCalledWith("TestCollection");
+    expect(fs.existsSync(path.join(dataDir, "TestCollection.manifest.json"))).toBe(false);
+    expect(fs.existsSync(path.join(dataDir, "TestCollection.lexical.json"))).toBe(false);
+    expect(fs.existsSync(path.join(dataDir, "Handbook.lexical.json"))).toBe(true);
+
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(dataDir, "Handbook.manifest.json"), "utf8"),
+    );
+    expect(manifest.Collection).toBe("Handbook");
+    expect(manifest.Entries[0].SourceId).toBe("src_a");
+    expect(queue.retargetPendingJobs).toHaveBeenCalledWith("TestCollection", "Handbook");
+    expect(queue.held).toEqual([]);
+  });
+
+  it("clones without touching the original", async () => {
+    const manager = new CollectionManager(dataDir, makeQueue());
+
+    await manager.clone("TestCollection", "Copy");
+
+    expect(db.createTable).toHaveBeenCalledWith("Copy", expect.anything());
+    expect(db.dropTable).not.toHaveBeenCalled();
+    expect(fs.existsSync(path.join(dataDir, "TestCollection.manifest.json"))).toBe(true);
+    expect(fs.existsSync(path.join(dataDir, "Copy.manifest.json"))).toBe(true);
+  });
+
+  it("rolls back the partial copy when creating the new table fails", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    db.createTable.mockRejectedValueOnce(new Error("disk full"));
+    const manager = new CollectionManager(dataDir, makeQueue());
+
+    await expect(manager.rename("TestCollection", "Handbook")).rejects.toThrow("disk full");
+
+    expect(db.dropTable).not.toHaveBeenCalledWith("TestCollection");
+    expect(fs.existsSync(path.join(dataDir, "TestCollection.manifest.json"))).toBe(true);
+    expect(fs.existsSync(path.join(dataDir, "Handbook.manifest.json"))).toBe(false);
+    console.warn.mockRestore();
+  });
+
+  it("refuses to overwrite an existing collection", async () => {
+    const manager = new CollectionManager(dataDir, makeQueue());
+
+    await expect(manager.clone("TestCollection", "TestIngest")).rejects.toMatchObject({
+      code: "COLLECTION_EXISTS",
+    });
+    expect(db.createTable).not.toHaveBeenCalled();
+  });
+
+  it("deletes the table and files and cancels pending jobs", async () => {
+    const queue = makeQueue();
+    const manager = new CollectionManager(dataDir, queue);
+
+    const result = await manager.delete("TestCollection");
+
+    expect(result).toEqual({ name: "TestCollection", droppedTable: true, cancelledJobs: 2 });
+    expect(db.dropTable).toHaveBeenCalledWith("TestCollection");
+    expect(fs.existsSync(path.join(dataDir, "TestCollection.manifest.json"))).toBe(false);
+    expect(queue.cancelPendingJobs).toHaveBeenCalledWith("TestCollection");
+  });
+
+  it("refuses every mutation while a job for the collection is running", async () => {
+    const queue = makeQueue([{ id: "1", collection: "TestCollection", status: "processing" }]);
+    const manager = new CollectionManager(dataDir, queue);
+
+    for (const operation of [
+      () => manager.delete("TestCollection"),
+      () => manager.rename("TestCollection", "Other"),
+      () => manager.clone("TestCollection", "Other"),
+    ]) {
+      const error = await operation().catch((err) => err);
+      expect(error).toBeInstanceOf(CollectionError);
+      expect(error.code).toBe("COLLECTION_BUSY");
+    }
+    expect(db.dropTable).not.toHaveBeenCalled();
+    expect(db.createTable).not.toHaveBeenCalled();
+    expect(queue.holdCollection).not.toHaveBeenCalled();
+  });
+
+  describe("sources", () => {
+    beforeEach(() => {
+      writeManifest(dataDir, "TestCollection", [
+        { SourceId: "src_b", FileName: "zeta.md", SourcePath: "/docs/zeta.md", ChunkCount: 2 },
+        { SourceId: "src_a", FileName: "alpha.md", SourcePath: "/docs/alpha.md", ChunkCount: 3 },
+        { SourceId: "src_c", FileName: "notes.txt", SourcePath: "/misc/notes.txt", ChunkCount: 1 },
+      ]);
+    });
+
+    it("pages sources sorted by file name and filters by search", async () => {
+      const manager = new CollectionManager(dataDir, makeQueue());
+
+      const page = await manager.listSources("TestCollection", { offset: 1, limit: 1 });
+      expect(page).toEqual(
+        expect.objectContaining({ collection: "TestCollection", total: 3, offset: 1, limit: 1 }),
+      );
+      expect(page.sources.map((s) => s.fileName)).toEqual(["notes.txt"]);
+
+      const filtered = await manager.listSources("TestCollection", { search: "DOCS/" });
+      expect(filtered.total).toBe(2);
+      expect(filtered.sources.map((s) => s.sourceId)).toEqual(["src_a", "src_b"]);
+    });
+
+    it("returns a source's chunks in chunkOrdinal order with locators", async () => {
+      const table = await db.openTable("TestCollection");
+      table.query().where().toArray.mockResolvedValueOnce([
+        { SourceId: "src_a", ChunkHash: "h2", chunkOrdinal: 2, Text: "third", LocatorType: "line-range", LineStart: 7, LineEnd: 9, HeaderContext: "A > C", ParentHash: "p1", ParentOrdinalStart: 1, ParentOrdinalEnd: 2 },
+        { SourceId: "src_a", ChunkHash: "h0", chunkOrdinal: 0, Text: "first", LocatorType: "page-range", PageStart: 1, PageEnd: 2, HeaderContext: "None" },
+        { SourceId: "src_a", ChunkHash: "h1", chunkOrdinal: 1, Text: "second", LocatorType: "section", StructuralPath: "A > B" },
+      ]);
+      jest.clearAllMocks();
+      const manager = new CollectionManager(dataDir, makeQueue());
+
+      const source = await manager.getSource("TestCollection", "src_a");
+
+      expect(table.query().where).toHaveBeenCalledWith("SourceId = 'src_a'");
+      expect(source).toEqual(
+        expect.objectContaining({ sourceId: "src_a", fileName: "alpha.md", storedChunkCount: 3 }),
+      );
+      expect(source.chunks.map((c) => c.text)).toEqual(["first", "second", "third"]);
+      expect(source.chunks[0]).toEqual(
+        expect.objectContaining({
+          chunkId: "chk_h0",
+          headerContext: null,
+          locator: { type: "page-range", pageStart: 1, pageEnd: 2 },
+        }),
+      );
+      expect(source.chunks[1].locator).toEqual({ type: "section", structuralPath: "A > B" });
+      expect(source.chunks[2].locator).toEqual({ type: "line-range", lineStart: 7, lineEnd: 9 });
+      expect(source.chunks[2].parent).toEqual({ id: "sec_p1", ordinalStart: 1, ordinalEnd: 2 });
+      expect(source.chunks[0]).not.toHaveProperty("parent");
+    });
+
+    it("reports an unknown source as NOT_FOUND", async () => {
+      const table = await db.openTable("TestCollection");
+      table.query().where().toArray.mockResolvedValueOnce([]);
+      const manager = new CollectionManager(dataDir, makeQueue());
+
+      await expect(manager.getSource("TestCollection", "src_missing")).rejects.toMatchObject({
+        code: "NOT_FOUND",
+      });
+    });
+
+    it("deletes a source's rows, lexical postings and manifest entry", async () => {
+      const lexical = new LexicalIndex(dataDir, "TestCollection");
+      lexical.addChunk("h0", "src_a", "alpha content");
+      lexical.addChunk("h9", "src_b", "zeta content");
+      await lexical.save();
+      const table = await db.openTable("TestCollection");
+      table.countRows.mockResolvedValueOnce(3);
+      const manager = new CollectionManager(dataDir, makeQueue());
+
+      const result = await manager.deleteSource("TestCollection", "src_a");
+
+      expect(result).toEqual({
+        collection: "TestCollection",
+        sourceId: "src_a",
+        fileName: "alpha.md",
+        deletedChunks: 3,
+      });
+      expect(table.countRows).toHaveBeenCalledWith("SourceId = 'src_a'");
+      expect(table.delete).toHaveBeenCalledWith("SourceId = 'src_a'");
+
+      const manifest = JSON.parse(
+        fs.readFileSync(path.join(dataDir, "TestCollection.manifest.json"), "utf8"),
+      );
+      expect(manifest.Entries.map((e) => e.SourceId)).toEqual(["src_b", "src_c"]);
+
+      const reloaded = new LexicalIndex(dataDir, "TestCollection");
+      await reloaded.load();
+      expect(reloaded.hasSource("src_a")).toBe(false);
+      expect(reloaded.hasSource("src_b")).toBe(true);
+    });
+
+    it("refuses to delete an unknown source or one in a busy collection", async () => {
+      const table = await db.openTable("TestCollection");
+      table.countRows.mockResolvedValueOnce(0);
+      await expect(
+        new CollectionManager(dataDir, makeQueue()).deleteSource("TestCollection", "src_missing"),
+      ).rejects.toMatchObject({ code: "NOT_FOUND" });
+
+      const busyQueue = makeQueue([{ id: "1", collection: "TestCollection", status: "processing" }]);
+      await expect(
+        new CollectionManager(dataDir, busyQueue).deleteSource("TestCollection", "src_a"),
+      ).rejects.toMatchObject({ code: "COLLECTION_BUSY" });
+      expect(table.delete).not.toHaveBeenCalled();
+    });
+  });
+});
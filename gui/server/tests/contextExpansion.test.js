@@ -0,0 +1,183 @@
+import { jest } from "@jest/globals";
+import {
+  MAX_PARENT_CHUNKS,
+  expandToNeighbors,
+  expandToParent,
+  isValidNeighborWindow,
+  mergeChunkTexts,
+  overlapLength,
+  planNeighborRuns,
+  readParentSpan,
+  resolveNeighborWindow,
+} from "../lib/contextExpansion.js";
+import { SmartTextChunker } from "../lib/smartChunker.js";
+
+describe("contextExpansion", () => {
+  const child = (ordinal, text, extra = {}) => ({
+    SourceId: "src_guide",
+    ChunkHash: `hash${ordinal}`,
+    chunkOrdinal: ordinal,
+    ChunkText: text,
+    FileName: "guide.md",
+    ParentHash: "parent01",
+    ParentOrdinalStart: 4,
+    ParentOrdinalEnd: 6,
+    ...extra,
+  });
+
+  it("finds the longest suffix/prefix overlap and ignores short coincidences", () => {
+    expect(overlapLength("the quick brown fox jumps over", "brown fox jumps over the dog")).toBe(20);
+    expect(overlapLength("ends with the word over", "over and out")).toBe(0);
+    expect(overlapLength("no shared text at all here", "completely different words")).toBe(0);
+  });
+
+  it("rebuilds a section from the chunks processSection split it into", () => {
+    const text = [
+      "Alpha paragraph text that runs on.",
+      "Bravo paragraph here with words.",
+      "Charlie paragraph text. It has two sentences that are long enough to split up.",
+    ].join("\n\n");
+    const chunks = [];
+    new SmartTextChunker(48, 16).processSection(text, "ctx", chunks);
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(mergeChunkTexts(chunks.map((chunk) => chunk.text))).toBe(text);
+  });
+
+  it("joins chunks without overlap as paragraphs", () => {
+    expect(mergeChunkTexts(["First part.", "", "Second part."])).toBe("First part.\n\nSecond part.");
+  });
+
+  it("reads a parent span only for split sections within the size cap", () => {
+    expect(readParentSpan(child(5, "x"))).toEqual({ start: 4, end: 6 });
+    expect(readParentSpan(child(5, "x", { ParentHash: undefined }))).toBeNull();
+    expect(readParentSpan(child(5, "x", { ParentOrdinalEnd: 4 }))).toBeNull();
+    expect(readParentSpan(child(5, "x", { ParentOrdinalEnd: 4 + MAX_PARENT_CHUNKS }))).toBeNull();
+  });
+
+  it("expands a child into its section with the section's text and line span", async () => {
+    const store = {
+      fetchChunkRange: jest.fn(async () => [
+        child(4, "Install the bridge service first.", { LineStart: 10, LineEnd: 12 }),
+        child(5, "bridge service first.\n\nThen start the watcher.", { LineStart: 12, LineEnd: 14 }),
+        child(6, "start the watcher.\n\nFinally open the dashboard.", { LineStart: 14, LineEnd: 18 }),
+      ]),
+    };
+    const hit = child(5, "bridge service first.\n\nThen start the watcher.", {
+      score: 0.8,
+      LineStart: 12,
+      LineEnd: 14,
+    });
+
+    const parent = await expandToParent(hit, store);
+
+    expect(store.fetchChunkRange).toHaveBeenCalledWith("src_guide", 4, 6);
+    expect(parent).toEqual(
+      expect.objectContaining({
+        score: 0.8,
+        ChunkHash: "hash5",
+        ChunkText:
+          "Install the bridge service first.\n\nThen start the watcher.\n\nFinally open the dashboard.",
+        LineStart: 10,
+        LineEnd: 18,
+        parentExpansion: { ordinalStart: 4, ordinalEnd: 6, matchedChunkIds: ["chk_hash5"] },
+      }),
+    );
+  });
+
+  it("gives up when the stored section is incomplete or changed", async () => {
+    const hit = child(5, "text");
+    const partial = { fetchChunkRange: async () => [child(4, "a"), child(5, "b")] };
+    const reingested = {
+      fetchChunkRange: async () => [child(4, "a"), child(5, "b"), child(6, "c", { ParentHash: "other" })],
+    };
+    const failing = {
+      fetchChunkRange: async () => {
+        throw new Error("table closed");
+      },
+    };
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(await expandToParent(hit, partial)).toBeNull();
+    expect(await expandToParent(hit, reingested)).toBeNull();
+    expect(await expandToParent(hit, failing)).toBeNull();
+    expect(await expandToParent(hit, {})).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("table closed"));
+    warn.mockRestore();
+  });
+
+  describe("neighbor window", () => {
+    const hit = (ordinal, extra = {}) => ({
+      Collection: "Docs",
+      SourceId: "src_guide",
+      ChunkHash: `hash${ordinal}`,
+      chunkOrdinal: ordinal,
+      ChunkText: `Part ${ordinal}`,
+      FileName: "guide.md",
+      ...extra,
+    });
+
+    it("validates and resolves the window", () => {
+      expect(isValidNeighborWindow(undefined)).toBe(true);
+      expect(isValidNeighborWindow(0)).toBe(true);
+      expect(isValidNeighborWindow(5)).toBe(true);
+      expect(isValidNeighborWindow(6)).toBe(false);
+      expect(isValidNeighborWindow(1.5)).toBe(false);
+      expect(isValidNeighborWindow("2")).toBe(false);
+
+      expect(resolveNeighborWindow(2, undefined)).toBe(2);
+      expect(resolveNeighborWindow(2, 0)).toBe(0);
+      expect(resolveNeighborWindow(40, undefined)).toBe(5);
+      expect(resolveNeighborWindow(undefined, undefined)).toBe(0);
+    });
+
+    it("merges windows that overlap or touch within one source", () => {
+      const results = [
+        hit(12),
+        hit(2),
+        hit(4),
+        hit(4, { SourceId: "src_other" }),
+        hit(6, { parentExpansion: { ordinalStart: 6, ordinalEnd: 8, matchedChunkIds: ["chk_hash7"] } }),
+      ];
+
+      expect(planNeighborRuns(results, 1)).toEqual([
+        { start: 11, end: 13, members: [0] },
+        { start: 1, end: 9, members: [1, 2, 4] },
+        { start: 3, end: 5, members: [3] },
+      ]);
+    });
+
+    it("builds one passage per run, cut off at the ends of the source", async () => {
+      const store = {
+        fetchChunkRange: jest.fn(async () => [
+          hit(0, { ChunkText: "Part zero", LineStart: 1, LineEnd: 3 }),
+          hit(1, { ChunkText: "Part one", LineStart: 4, LineEnd: 6 }),
+          hit(2, { ChunkText: "Part two", LineStart: 7, LineEnd: 9 }),
+        ]),
+      };
+      const members = [hit(1, { score: 0.9 }), hit(0, { score: 0.7 })];
+
+      const passage = await expandToNeighbors({ start: 0, end: 2 }, members, store);
+
+      expect(store.fetchChunkRange).toHaveBeenCalledWith("src_guide", 0, 2);
+      expect(passage).toEqual(
+        expect.objectContaining({
+          score: 0.9,
+          ChunkHash: "hash1",
+          ChunkText: "Part zero\n\nPart one\n\nPart two",
+          LineStart: 1,
+          LineEnd: 9,
+          passage: { ordinalStart: 0, ordinalEnd: 2, matchedChunkIds: ["chk_hash1", "chk_hash0"] },
+        }),
+      );
+    });
+
+    it("gives up when rows are missing or no longer hold the hits", async () => {
+      const gap = { fetchChunkRange: async () => [hit(3), hit(5)] };
+      const changed = { fetchChunkRange: async () => [hit(3), hit(4, { ChunkHash: "new" }), hit(5)] };
+
+      expect(await expandToNeighbors({ start: 3, end: 5 }, [hit(4)], gap)).toBeNull();
+      expect(await expandToNeighbors({ start: 3, end: 5 }, [hit(4)], changed)).toBeNull();
+    });
+  });
+});
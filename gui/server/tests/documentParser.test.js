@@ -4,6 +4,8 @@ import fs from "fs/promises";
 import os from "os";
 import crypto from "crypto";
 import { DocumentParser, ManifestEntry } from "../lib/documentParser.js";
+import { buildZip } from "./helpers/zipFixture.js";
+import { buildTarGz } from "./helpers/tarFixture.js";
 
 describe("DocumentParser", () => {
   let tempDir;
@@ -59,8 +61,20 @@ describe("DocumentParser", () => {
       expect(emptyParser.count()).toBe(0);
     });
 
+    it("persists the last synced git commit per folder", async () => {
+      const state = { ref: "main", commit: "a".repeat(40), indexedAt: "2026-03-01T10:00:00.000Z" };
+      parser.setGitSync("/repos/project", state);
+      await parser.save();
+
+      const newParser = new DocumentParser(tempDir, collectionName);
+      await newParser.load();
+      expect(newParser.getGitSync("/repos/project")).toEqual(state);
+      expect(newParser.getGitSync("/repos/other")).toBeNull();
+    });
+
     it("clears the manifest correctly", async () => {
       parser.addOrUpdate("src_del", "del.md", "/a", "H", 1, 10, "m");
+      parser.setGitSync("/a", { ref: "HEAD", commit: "b".repeat(40), indexedAt: "2026-03-01T10:00:00.000Z" });
       await parser.save();
       await parser.clear();
 
@@ -69,6 +83,7 @@ describe("DocumentParser", () => {
       const newParser = new DocumentParser(tempDir, collectionName);
       await newParser.load();
       expect(newParser.count()).toBe(0);
+      expect(newParser.getGitSync("/a")).toBeNull();
     });
   });
 
@@ -150,6 +165,35 @@ describe("DocumentParser", () => {
       parser.addOrUpdate("src_x", "x.md", "/x", "1", 1, 1, "m");
       expect(parser.getOrphans(new Set(["src_x"]))).toHaveLength(0);
     });
+
+    it("getEntryBySourcePath finds the entry recorded for a path", () => {
+      parser.addOrUpdate("src_path", "a.md", path.join(tempDir, "docs", "a.md"), "1", 1, 1, "m");
+      expect(parser.getEntryBySourcePath(path.join(tempDir, "docs", "a.md")).SourceId).toBe("src_path");
+      expect(parser.getEntryBySourcePath(path.join(tempDir, "other", "a.md"))).toBeNull();
+    });
+
+    it("getOrphansUnder only returns entries at or below removed paths", () => {
+      const root = path.join(tempDir, "watched");
+      parser.addOrUpdate("src_gone", "gone.md", path.join(root, "gone.md"), "1", 1, 1, "m");
+      parser.addOrUpdate("src_dir", "a.md", path.join(root, "old", "a.md"), "2", 1, 1, "m");
+      parser.addOrUpdate("src_prefix", "b.md", path.join(root, "older", "b.md"), "3", 1, 1, "m");
+      parser.addOrUpdate("src_moved", "c.md", path.join(root, "c.md"), "4", 1, 1, "m");
+      parser.addOrUpdate("src_kept", "d.md", path.join(root, "d.md"), "5", 1, 1, "m");
+
+      const orphans = parser.getOrphansUnder(
+        [path.join(root, "gone.md"), path.join(root, "old"), path.join(root, "c.md")],
+        new Set(["src_moved"]), // claimed by a rename this run
+      );
+      expect(orphans.sort()).toEqual(["src_dir", "src_gone"]);
+    });
+
+    it("getOrphansUnder treats a removed archive like a folder of its members", () => {
+      const archive = path.join(tempDir, "bundle.zip");
+      parser.addOrUpdate("src_member", "run.xml", `${archive}!/logs/run.xml`, "1", 1, 1, "m");
+      parser.addOrUpdate("src_sibling", "a.md", path.join(tempDir, "bundle.zip.md"), "2", 1, 1, "m");
+
+      expect(parser.getOrphansUnder([archive], new Set())).toEqual(["src_member"]);
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -218,6 +262,100 @@ describe("DocumentParser", () => {
       expect(fileNames).toContain("test3.md");
       expect(fileNames).not.toContain("ignored.json");
     });
+
+    it("includes code files by default and skips dependency and VCS folders", async () => {
+      const scanDir = path.join(tempDir, "scan_code_test");
+      await fs.mkdir(path.join(scanDir, "src"), { recursive: true });
+      await fs.mkdir(path.join(scanDir, "node_modules", "dep"), { recursive: true });
+      await fs.mkdir(path.join(scanDir, ".git"), { recursive: true });
+
+      for (const name of ["a.js", "b.mjs", "c.cjs", "d.ts", "e.tsx"]) {
+        await fs.writeFile(path.join(scanDir, "src", name), "export {}");
+      }
+      await fs.writeFile(path.join(scanDir, "node_modules", "dep", "index.js"), "x");
+      await fs.writeFile(path.join(scanDir, ".git", "config.json"), "{}");
+
+      const results = await DocumentParser.scanDirectory(scanDir);
+      expect(results.map((r) => path.basename(r)).sort()).toEqual([
+        "a.js",
+        "b.mjs",
+        "c.cjs",
+        "d.ts",
+        "e.tsx",
+      ]);
+    });
+
+    it("honors .ragignore files and reports what they exclude", async () => {
+      const scanDir = path.join(tempDir, "scan_ignore_test");
+      await fs.mkdir(path.join(scanDir, "bin"), { recursive: true });
+      await fs.mkdir(path.join(scanDir, "Logs", "pester"), { recursive: true });
+      await fs.writeFile(path.join(scanDir, ".ragignore"), "# build output\nbin/\n*.draft.md\n");
+      await fs.writeFile(path.join(scanDir, "Logs", ".ragignore"), "pester/\n");
+      await fs.writeFile(path.join(scanDir, "readme.md"), "r");
+      await fs.writeFile(path.join(scanDir, "plan.draft.md"), "p");
+      await fs.writeFile(path.join(scanDir, "bin", "out.txt"), "o");
+      await fs.writeFile(path.join(scanDir, "Logs", "today.txt"), "t");
+      await fs.writeFile(path.join(scanDir, "Logs", "pester", "run.xml"), "<x/>");
+
+      const excluded = [];
+      const results = await DocumentParser.scanDirectory(scanDir, undefined, {
+        onExcluded: (entry) => excluded.push(entry),
+      });
+
+      expect(results.map((r) => path.relative(scanDir, r)).sort()).toEqual([
+        path.join("Logs", "today.txt"),
+        "readme.md",
+      ]);
+      expect(excluded).toEqual(
+        expect.arrayContaining([
+          {
+            path: path.join(scanDir, "bin"),
+            directory: true,
+            reason: "ragignore",
+            pattern: "bin/",
+            ignoreFile: path.join(scanDir, ".ragignore"),
+          },
+          expect.objectContaining({ path: path.join(scanDir, "plan.draft.md"), directory: false }),
+          expect.objectContaining({
+            path: path.join(scanDir, "Logs", "pester"),
+            ignoreFile: path.join(scanDir, "Logs", ".ragignore"),
+          }),
+        ]),
+      );
+      expect(excluded).toHaveLength(3);
+    });
+
+    it("lists eligible archive members as virtual paths", async () => {
+      const scanDir = path.join(tempDir, "scan_archive_test");
+      await fs.mkdir(scanDir, { recursive: true });
+      const zipPath = path.join(scanDir, "bundle.zip");
+      const tarPath = path.join(scanDir, "export.tgz");
+      await fs.writeFile(
+        zipPath,
+        buildZip({ "logs/run.xml": "<run/>", "logs/screen.png": "png", "node_modules/x/index.js": "x" }),
+      );
+      await fs.writeFile(tarPath, buildTarGz({ "docs/guide.md": "# Guide", "inner.zip": "zip" }));
+      await fs.writeFile(path.join(scanDir, "broken.tar.gz"), "not gzip");
+
+      const unreadable = [];
+      const results = await DocumentParser.scanDirectory(scanDir, undefined, {
+        onArchiveError: (entry) => unreadable.push(entry),
+      });
+
+      expect(results.sort()).toEqual([`${zipPath}!/logs/run.xml`, `${tarPath}!/docs/guide.md`].sort());
+      expect(unreadable).toEqual([
+        { path: path.join(scanDir, "broken.tar.gz"), error: expect.stringMatching(/not a gzip archive/) },
+      ]);
+    });
+
+    it("isEligibleFile applies the same extension and directory rules as a scan", () => {
+      expect(DocumentParser.isEligibleFile(path.join(tempDir, "docs", "Guide.MD"))).toBe(true);
+      expect(DocumentParser.isEligibleFile(path.join(tempDir, "image.png"))).toBe(false);
+      expect(DocumentParser.isEligibleFile(path.join(tempDir, "node_modules", "x", "readme.md"))).toBe(false);
+      expect(DocumentParser.isEligibleFile(path.join(tempDir, "notes.log"), [".log"])).toBe(true);
+      expect(DocumentParser.isSkippedPath(path.join(".git", "HEAD"))).toBe(true);
+      expect(DocumentParser.isSkippedPath(path.join("src", "git", "HEAD"))).toBe(false);
+    });
   });
 
   // ---------------------------------------------------------------------------
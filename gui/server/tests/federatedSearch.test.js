@@ -0,0 +1,80 @@
+import {
+  MAX_FEDERATED_COLLECTIONS,
+  mergeCollectionResults,
+  resolveRequestedCollections,
+} from "../lib/federatedSearch.js";
+
+const isValidName = (name) => /^[a-zA-Z0-9_-]+$/.test(name);
+
+describe("federatedSearch", () => {
+  describe("resolveRequestedCollections", () => {
+    it("falls back to the single collection field", () => {
+      expect(resolveRequestedCollections({ collection: "docs" }, isValidName)).toEqual({
+        collections: ["docs"],
+      });
+      expect(
+        resolveRequestedCollections({ collection: "../etc" }, isValidName).error,
+      ).toBe("Invalid collection name");
+    });
+
+    it("prefers collections[] and drops duplicates", () => {
+      expect(
+        resolveRequestedCollections(
+          { collection: "ignored", collections: ["docs", "scripts", "docs"] },
+          isValidName,
+        ),
+      ).toEqual({ collections: ["docs", "scripts"] });
+    });
+
+    it("rejects empty, invalid and oversized lists", () => {
+      expect(resolveRequestedCollections({ collections: [] }, isValidName).error).toMatch(
+        /non-empty array/,
+      );
+      expect(resolveRequestedCollections({ collections: "docs" }, isValidName).error).toMatch(
+        /non-empty array/,
+      );
+      expect(
+        resolveRequestedCollections({ collections: ["docs", "bad name"] }, isValidName).error,
+      ).toBe("Invalid collection name: bad name");
+
+      const tooMany = Array.from(
+        { length: MAX_FEDERATED_COLLECTIONS + 1 },
+        (_, i) => `col${i}`,
+      );
+      expect(resolveRequestedCollections({ collections: tooMany }, isValidName).error).toMatch(
+        /At most/,
+      );
+    });
+  });
+
+  describe("mergeCollectionResults", () => {
+    it("interleaves by score and tags each row with its collection", () => {
+      const merged = mergeCollectionResults(
+        [
+          { collection: "docs", results: [{ id: "d1", score: 0.9 }, { id: "d2", score: 0.4 }] },
+          { collection: "logs", results: [{ id: "l1", score: 0.7 }] },
+        ],
+        10,
+      );
+
+      expect(merged.map((row) => [row.id, row.Collection])).toEqual([
+        ["d1", "docs"],
+        ["l1", "logs"],
+        ["d2", "docs"],
+      ]);
+    });
+
+    it("keeps each collection's own order and respects the limit", () => {
+      // Hybrid fusion can rank a lower-scored row first within a collection.
+      const merged = mergeCollectionResults(
+        [
+          { collection: "docs", results: [{ id: "d1", score: 0.5 }, { id: "d2", score: 0.95 }] },
+          { collection: "logs", results: [{ id: "l1", score: 0.6 }] },
+        ],
+        2,
+      );
+
+      expect(merged.map((row) => row.id)).toEqual(["l1", "d1"]);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FolderWatcher, WATCH_STATUS } from "../lib/folderWatcher.js";
+
+describe("FolderWatcher", () => {
+  let dataDir;
+  let queue;
+  let handles;
+  let watchFn;
+  let jobCounter;
+
+  const makeWatcher = (options = {}) =>
+    new FolderWatcher(queue, { dataDir, debounceMs: 500, watchFn, ...options });
+
+  // Fires a change event on the most recent fs.watch handle for `folder`.
+  const change = (folder, fileName) => {
+    const handle = [...handles].reverse().find((h) => h.folder === folder);
+    handle.listener("rename", fileName);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "watch-test-"));
+    jobCounter = 0;
+    queue = {
+      enqueueChanges: jest.fn(() => ({ id: `job-${++jobCounter}` })),
+    };
+    handles = [];
+    watchFn = jest.fn((folder, options, listener) => {
+      const handle = { folder, options, listener, close: jest.fn(), on: jest.fn(), unref: jest.fn() };
+      handles.push(handle);
+      return handle;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("arms a recursive watch, queues a full sync and persists the watch", () => {
+    const watcher = makeWatcher();
+    const { watch, created } = watcher.add("Docs", "/srv/notes");
+
+    expect(created).toBe(true);
+    expect(watchFn).toHaveBeenCalledWith("/srv/notes", { recursive: true }, expect.any(Function));
+    expect(handles[0].unref).toHaveBeenCalled();
+    expect(queue.enqueueChanges).toHaveBeenCalledWith("/srv/notes", "Docs", null, {
+      trigger: "watch",
+      watchId: watch.id,
+    });
+    expect(watch).toEqual(
+      expect.objectContaining({ collection: "Docs", status: WATCH_STATUS.WATCHING, lastSyncJobId: "job-1" }),
+    );
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, "watches.json"), "utf8"));
+    expect(saved.watches).toEqual([expect.objectContaining({ collection: "Docs", path: "/srv/notes" })]);
+
+    expect(watcher.add("Docs", "/srv/notes").created).toBe(false);
+    expect(watchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it("debounces changes into one incremental job with only eligible paths", () => {
+    const watcher = makeWatcher();
+    const updates = [];
+    watcher.on("update", (watches) => updates.push(watches[0]?.status));
+    watcher.add("Docs", "/srv/notes");
+    queue.enqueueChanges.mockClear();
+
+    change("/srv/notes", "a.md");
+    change("/srv/notes", path.join("sub", "b.txt"));
+    change("/srv/notes", "photo.png");
+    change("/srv/notes", path.join("node_modules", "pkg", "readme.md"));
+    change("/srv/notes", "new-folder");
+    change("/srv/notes", "logs.tar.gz");
+    jest.advanceTimersByTime(400);
+    change("/srv/notes", "a.md");
+    jest.advanceTimersByTime(400);
+
+    expect(queue.enqueueChanges).not.toHaveBeenCalled();
+    expect(watcher.list()[0]).toEqual(expect.objectContaining({ status: WATCH_STATUS.PENDING, pendingChanges: 4 }));
+
+    jest.advanceTimersByTime(100);
+
+    expect(queue.enqueueChanges).toHaveBeenCalledTimes(1);
+    expect(queue.enqueueChanges).toHaveBeenCalledWith(
+      "/srv/notes",
+      "Docs",
+      [
+        path.join("/srv/notes", "a.md"),
+        path.join("/srv/notes", "sub", "b.txt"),
+        path.join("/srv/notes", "new-folder"),
+        path.join("/srv/notes", "logs.tar.gz"),
+      ],
+      expect.objectContaining({ trigger: "watch" }),
+    );
+    expect(watcher.list()[0]).toEqual(
+      expect.objectContaining({ status: WATCH_STATUS.WATCHING, pendingChanges: 0, lastSyncJobId: "job-2" }),
+    );
+    expect(updates).toContain(WATCH_STATUS.PENDING);
+  });
+
+  it("falls back to a full rescan when the platform omits the file name", () => {
+    const watcher = makeWatcher();
+    watcher.add("Docs", "/srv/notes");
+    queue.enqueueChanges.mockClear();
+
+    change("/srv/notes", "a.md");
+    change("/srv/notes", null);
+    jest.advanceTimersByTime(500);
+
+    expect(queue.enqueueChanges).toHaveBeenCalledWith("/srv/notes", "Docs", null, expect.any(Object));
+  });
+
+  it("rescans the whole folder when a .ragignore file changes", () => {
+    const watcher = makeWatcher();
+    watcher.add("Docs", "/srv/notes");
+    queue.enqueueChanges.mockClear();
+
+    change("/srv/notes", path.join("sub", ".ragignore"));
+    jest.advanceTimersByTime(500);
+
+    expect(queue.enqueueChanges).toHaveBeenCalledWith("/srv/notes", "Docs", null, expect.any(Object));
+  });
+
+  it("ignores bursts that only touch ineligible files", () => {
+    const watcher = makeWatcher();
+    watcher.add("Docs", "/srv/notes");
+    queue.enqueueChanges.mockClear();
+
+    change("/srv/notes", "build.log");
+    jest.advanceTimersByTime(1000);
+
+    expect(queue.enqueueChanges).not.toHaveBeenCalled();
+    expect(watcher.list()[0].status).toBe(WATCH_STATUS.WATCHING);
+  });
+
+  it("restores persisted watches with a catch-up sync and flags folders it cannot watch", () => {
+    const original = makeWatcher();
+    original.add("Docs", "/srv/notes");
+    original.add("Logs", "/srv/missing");
+    original.close();
+    queue.enqueueChanges.mockClear();
+    watchFn.mockImplementation((folder, options, listener) => {
+      if (folder === "/srv/missing") {
+        throw Object.assign(new Error("ENOENT: no such file or directory"), { code: "ENOENT" });
+      }
+      return { folder, listener, close: jest.fn(), on: jest.fn(), unref: jest.fn() };
+    });
+
+    const restored = makeWatcher();
+    restored.load();
+
+    const byCollection = Object.fromEntries(restored.list().map((w) => [w.collection, w]));
+    expect(byCollection.Docs.status).toBe(WATCH_STATUS.WATCHING);
+    expect(byCollection.Logs).toEqual(
+      expect.objectContaining({ status: WATCH_STATUS.ERROR, error: expect.stringContaining("ENOENT") }),
+    );
+    expect(queue.enqueueChanges).toHaveBeenCalledTimes(1);
+    expect(queue.enqueueChanges).toHaveBeenCalledWith("/srv/notes", "Docs", null, expect.any(Object));
+  });
+
+  it("marks a watch as failed when fs.watch reports an error", () => {
+    const watcher = makeWatcher();
+    watcher.add("Docs", "/srv/notes");
+    const onError = handles[0].on.mock.calls.find(([event]) => event === "error")[1];
+
+    onError(new Error("EPERM"));
+
+    expect(handles[0].close).toHaveBeenCalled();
+    expect(watcher.list()[0]).toEqual(expect.objectContaining({ status: WATCH_STATUS.ERROR, error: "EPERM" }));
+  });
+
+  it("follows collection renames and deletes", () => {
+    const watcher = makeWatcher();
+    const { watch } = watcher.add("Docs", "/srv/notes");
+    watcher.add("Other", "/srv/other");
+    queue.enqueueChanges.mockClear();
+
+    expect(watcher.retargetCollection("Docs", "Handbook")).toBe(1);
+    expect(handles[0].close).toHaveBeenCalled();
+    expect(watcher.list().map((w) => w.collection).sort()).toEqual(["Handbook", "Other"]);
+    expect(queue.enqueueChanges).not.toHaveBeenCalled();
+
+    expect(watcher.removeCollection("Other")).toBe(1);
+    expect(watcher.remove(watch.id)).toBe(false); // id changed with the collection
+    const [handbook] = watcher.list();
+    expect(watcher.remove(handbook.id)).toBe(true);
+    expect(watcher.list()).toEqual([]);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, "watches.json"), "utf8"));
+    expect(saved.watches).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import {
+  GitBlobReader,
+  GitError,
+  diffGitCommits,
+  hasGitCommit,
+  isValidGitRef,
+  listGitFiles,
+  resolveGitCommit,
+} from "../lib/gitSource.js";
+import { commitFiles, git, initRepo } from "./helpers/gitFixture.js";
+
+describe("gitSource", () => {
+  let tempDir;
+  let repoDir;
+  let firstCommit;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "git-source-test-"));
+    repoDir = path.join(tempDir, "repo");
+    firstCommit = initRepo(repoDir, {
+      "README.md": "# Project\n",
+      ".gitignore": "build/\n",
+      "docs/guide.md": "Guide v1\n",
+      "docs/old-name.md": "Renamed content that stays the same\n",
+      "src/app.js": "export const app = 1;\n",
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("resolves a ref to its commit, author and date", async () => {
+    const repo = await resolveGitCommit(repoDir, "main");
+
+    expect(repo).toEqual({
+      root: fs.realpathSync(repoDir),
+      prefix: "",
+      ref: "main",
+      commit: firstCommit,
+      author: "Ada Author",
+      date: "2026-03-01T10:00:00+00:00",
+      subject: "Initial commit",
+    });
+  });
+
+  it("reports a folder inside the repository as a prefix", async () => {
+    const repo = await resolveGitCommit(path.join(repoDir, "docs"));
+    expect(repo.prefix).toBe("docs");
+    expect((await listGitFiles(repo)).map((f) => path.basename(f)).sort()).toEqual([
+      "guide.md",
+      "old-name.md",
+    ]);
+  });
+
+  it("lists only tracked regular files at the commit", async () => {
+    fs.writeFileSync(path.join(repoDir, "untracked.md"), "not committed");
+    fs.mkdirSync(path.join(repoDir, "build"));
+    fs.writeFileSync(path.join(repoDir, "build", "out.md"), "ignored");
+    if (process.platform !== "win32") {
+      fs.symlinkSync("README.md", path.join(repoDir, "link.md"));
+      git(repoDir, "add", "link.md");
+      git(repoDir, "commit", "-q", "-m", "Add symlink");
+    }
+
+    const repo = await resolveGitCommit(repoDir);
+    const files = (await listGitFiles(repo)).map((f) => path.relative(repo.root, f)).sort();
+
+    expect(files).toEqual([
+      ".gitignore",
+      "README.md",
+      path.join("docs", "guide.md"),
+      path.join("docs", "old-name.md"),
+      path.join("src", "app.js"),
+    ]);
+  });
+
+  it("diffs two commits with rename detection", async () => {
+    commitFiles(
+      repoDir,
+      {
+        "docs/guide.md": "Guide v2\n",
+        "docs/old-name.md": null,
+        "docs/new-name.md": "Renamed content that stays the same\n",
+        "src/app.js": null,
+        "src/added.ts": "export type Added = string;\n",
+      },
+      "Second commit",
+    );
+    const repo = await resolveGitCommit(repoDir);
+    const at = (relative) => path.join(repo.root, relative);
+
+    const changes = await diffGitCommits(repo, firstCommit);
+
+    expect(changes).toEqual(
+      expect.arrayContaining([
+        { status: "modified", path: at("docs/guide.md"), regularFile: true },
+        {
+          status: "renamed",
+          path: at("docs/new-name.md"),
+          previousPath: at("docs/old-name.md"),
+          regularFile: true,
+        },
+        { status: "deleted", path: at("src/app.js"), regularFile: false },
+        { status: "added", path: at("src/added.ts"), regularFile: true },
+      ]),
+    );
+    expect(changes).toHaveLength(4);
+  });
+
+  it("reads file contents at the commit rather than the working tree", async () => {
+    fs.writeFileSync(path.join(repoDir, "docs", "guide.md"), "uncommitted edit");
+    const repo = await resolveGitCommit(repoDir);
+    const reader = new GitBlobReader(repo);
+    const guide = path.join(repo.root, "docs", "guide.md");
+
+    expect((await reader.read(guide)).toString()).toBe("Guide v1\n");
+    expect(await reader.stat(guide)).toEqual({ size: 9 });
+    expect(await reader.hash(guide)).toBe(
+      crypto.createHash("sha256").update("Guide v1\n").digest("hex").toUpperCase(),
+    );
+  });
+
+  it("stats a blob from its object header without reading its content", async () => {
+    const repo = await resolveGitCommit(repoDir);
+    const reader = new GitBlobReader(repo);
+
+    expect(await reader.stat(path.join(repo.root, "src", "app.js"))).toEqual({ size: 22 });
+    expect(reader.cachedPath).toBeNull();
+    await expect(reader.stat(path.join(repo.root, "missing.md"))).rejects.toThrow(GitError);
+  });
+
+  it("checks whether a commit still exists", async () => {
+    const repo = await resolveGitCommit(repoDir);
+    expect(await hasGitCommit(repo, firstCommit)).toBe(true);
+    expect(await hasGitCommit(repo, "0".repeat(40))).toBe(false);
+    expect(await hasGitCommit(repo, "HEAD")).toBe(false);
+  });
+
+  it("rejects unsafe refs, unknown refs and folders outside a repository", async () => {
+    expect(isValidGitRef("release/2.1")).toBe(true);
+    expect(isValidGitRef("HEAD~2")).toBe(true);
+    expect(isValidGitRef("--output=/tmp/x")).toBe(false);
+    expect(isValidGitRef("main..dev")).toBe(false);
+    expect(isValidGitRef("a b")).toBe(false);
+
+    await expect(resolveGitCommit(repoDir, "--all")).rejects.toThrow(GitError);
+    await expect(resolveGitCommit(repoDir, "no-such-branch")).rejects.toThrow(/Unknown git ref/);
+    const plainDir = path.join(tempDir, "plain");
+    fs.mkdirSync(plainDir);
+    await expect(resolveGitCommit(plainDir)).rejects.toThrow(/Not a git repository/);
+  });
+});
@@ -0,0 +1,53 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+
+// Fixed identity and dates keep commit metadata predictable across machines.
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Ada Author",
+  GIT_AUTHOR_EMAIL: "ada@example.com",
+  GIT_AUTHOR_DATE: "2026-03-01T10:00:00+00:00",
+  GIT_COMMITTER_NAME: "Ada Author",
+  GIT_COMMITTER_EMAIL: "ada@example.com",
+  GIT_COMMITTER_DATE: "2026-03-01T10:00:00+00:00",
+  GIT_CONFIG_NOSYSTEM: "1",
+  GIT_CONFIG_GLOBAL: path.join(process.cwd(), "tests", "helpers", "gitconfig.missing"),
+};
+
+/** Runs git in `dir` and returns trimmed stdout. */
+export function git(dir, ...args) {
+  return execFileSync("git", ["-C", dir, ...args], { env: GIT_ENV, encoding: "utf8" }).trim();
+}
+
+/**
+ * Creates a repository in `dir` with the given files committed.
+ * @param {string} dir
+ * @param {Record<string, string>} files - repo-relative path → contents
+ * @returns {string} the commit SHA
+ */
+export function initRepo(dir, files) {
+  fs.mkdirSync(dir, { recursive: true });
+  git(dir, "init", "-q", "-b", "main");
+  git(dir, "config", "commit.gpgsign", "false");
+  return commitFiles(dir, files, "Initial commit");
+}
+
+/**
+ * Writes files (null deletes one) and commits everything.
+ * @returns {string} the new commit SHA
+ */
+export function commitFiles(dir, files, message) {
+  for (const [relativePath, contents] of Object.entries(files)) {
+    const filePath = path.join(dir, relativePath);
+    if (contents === null) {
+      fs.rmSync(filePath, { force: true });
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, contents);
+    }
+  }
+  git(dir, "add", "-A");
+  git(dir, "commit", "-q", "--allow-empty", "-m", message);
+  return git(dir, "rev-parse", "HEAD");
+}
@@ -0,0 +1,49 @@
+import zlib from "zlib";
+
+function header(name, size, type) {
+  const block = Buffer.alloc(512);
+  block.write(name, 0, 100, "utf8");
+  block.write("0000644\0", 100, "latin1");
+  block.write("0000000\0", 108, "latin1");
+  block.write("0000000\0", 116, "latin1");
+  block.write(`${size.toString(8).padStart(11, "0")}\0`, 124, "latin1");
+  block.write("00000000000\0", 136, "latin1");
+  block.write(type, 156, "latin1");
+  block.write("ustar\0", 257, "latin1");
+  block.write("00", 263, "latin1");
+
+  block.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const byte of block) sum += byte;
+  block.write(`${sum.toString(8).padStart(6, "0")}\0 `, 148, "latin1");
+  return block;
+}
+
+function padded(data) {
+  const remainder = data.length % 512;
+  return remainder ? Buffer.concat([data, Buffer.alloc(512 - remainder)]) : data;
+}
+
+/**
+ * Builds a gzipped ustar archive in memory for tests. Names ending in "/"
+ * become directory entries; names over 100 bytes get a GNU long-name entry.
+ * @param {Record<string, string|Buffer>} files - member name → contents
+ * @returns {Buffer}
+ */
+export function buildTarGz(files) {
+  const parts = [];
+  for (const [name, contents] of Object.entries(files)) {
+    if (name.endsWith("/")) {
+      parts.push(header(name, 0, "5"));
+      continue;
+    }
+    if (Buffer.byteLength(name) > 100) {
+      const longName = Buffer.from(`${name}\0`, "utf8");
+      parts.push(header("././@LongLink", longName.length, "L"), padded(longName));
+    }
+    const data = Buffer.isBuffer(contents) ? contents : Buffer.from(contents, "utf8");
+    parts.push(header(name.slice(0, 100), data.length, "0"), padded(data));
+  }
+  parts.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(parts));
+}
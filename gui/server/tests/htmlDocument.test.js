@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { decodeHtmlEntities, extractHtmlDocument } from "../lib/htmlDocument.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("htmlDocument", () => {
+  it("decodes common named and numeric entities", () => {
+    expect(decodeHtmlEntities("a&nbsp;b &mdash; &lt;c&gt; &#39;d&#39; &unknown;")).toBe(
+      "a b — <c> 'd' &unknown;",
+    );
+  });
+
+  it("keeps the h1-h6 hierarchy and paragraph text in order", () => {
+    const doc = extractHtmlDocument(`
+      <html><head><title>Runbook &amp; Notes</title></head><body>
+        <p>Owned by <strong>platform</strong>.</p>
+        <h1 id="top">Install <small>v2</small></h1>
+        <div>Run   setup<br>then reboot.</div>
+        <h3>Checks</h3>
+        <ul><li>Disk</li><li>Network</li><li></li></ul>
+      </body></html>`);
+
+    expect(doc.title).toBe("Runbook & Notes");
+    expect(doc.blocks).toEqual([
+      { kind: "paragraph", text: "Owned by platform." },
+      { kind: "heading", level: 1, text: "Install v2" },
+      { kind: "paragraph", text: "Run setup\nthen reboot." },
+      { kind: "heading", level: 3, text: "Checks" },
+      { kind: "paragraph", text: "- Disk" },
+      { kind: "paragraph", text: "- Network" },
+    ]);
+  });
+
+  it("drops scripts, styles, comments and navigation chrome", () => {
+    const doc = extractHtmlDocument(`
+      <body>
+        <header role="banner"><a href="/">Wiki</a> | <a href="/search">Search</a></header>
+        <nav class="sidebar"><ul><li>Page A</li></ul></nav>
+        <!-- <p>commented out</p> -->
+        <p>Real content.</p>
+        <aside>Related pages</aside>
+        <form><input name="q"></form>
+        <footer>Copyright</footer>
+        <script>var secret = "<p>not text</p>";</script>
+        <style>p { color: red; }</style>
+      </body>`);
+
+    expect(doc.blocks).toEqual([{ kind: "paragraph", text: "Real content." }]);
+  });
+
+  it("prefers the main content region when the page declares one", () => {
+    const doc = extractHtmlDocument(`
+      <body><div class="chrome">Logged in as admin</div>
+      <main><h2>Article</h2><p>Body.</p></main></body>`);
+
+    expect(doc.blocks).toEqual([
+      { kind: "heading", level: 2, text: "Article" },
+      { kind: "paragraph", text: "Body." },
+    ]);
+  });
+
+  it("renders tables as readable rows keyed by their header cells", () => {
+    const doc = extractHtmlDocument(`
+      <table>
+        <caption>Model status</caption>
+        <thead><tr><th>Model</th><th>Status</th></tr></thead>
+        <tbody>
+          <tr><td>llama3</td><td><p>ok</p></td></tr>
+          <tr><td>mistral</td><td></td></tr>
+        </tbody>
+      </table>
+      <table><tr><td>a</td><td>b</td></tr></table>`);
+
+    expect(doc.blocks).toEqual([
+      { kind: "paragraph", text: "Model status" },
+      { kind: "paragraph", text: "Model: llama3 | Status: ok\nModel: mistral" },
+      { kind: "paragraph", text: "a | b" },
+    ]);
+  });
+
+  it("preserves whitespace inside pre blocks", () => {
+    const doc = extractHtmlDocument("<p>Run:</p><pre>Get-Process\n    | Sort CPU</pre>");
+
+    expect(doc.blocks[1]).toEqual({ kind: "paragraph", text: "Get-Process\n    | Sort CPU" });
+  });
+
+  it("parses the generated model analysis reports", () => {
+    const reportPath = path.resolve(
+      __dirname,
+      "../../../html_pages/model-analysis-report-20260129-221003.html",
+    );
+    const doc = extractHtmlDocument(fs.readFileSync(reportPath, "utf8"));
+
+    expect(doc.title).toBe("AI Model Report");
+    expect(doc.blocks.filter((block) => block.kind === "heading")).toEqual([
+      { kind: "heading", level: 1, text: "AI Model Report" },
+      { kind: "heading", level: 2, text: "Log Entries" },
+    ]);
+    expect(doc.blocks.map((block) => block.text).join("\n")).not.toMatch(/font-family|border-collapse/);
+  });
+});
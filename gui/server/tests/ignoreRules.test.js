@@ -0,0 +1,127 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  compilePattern,
+  parseIgnoreFile,
+  PathFilter,
+  EXCLUDE_REASONS,
+} from "../lib/ignoreRules.js";
+
+const matches = (line, relativePath) => compilePattern(line).regex.test(relativePath);
+
+describe("ignoreRules", () => {
+  describe("compilePattern", () => {
+    it("matches unanchored names at any depth", () => {
+      expect(matches("*.log", "build.log")).toBe(true);
+      expect(matches("*.log", "Logs/2026/run.log")).toBe(true);
+      expect(matches("bin", "tools/bin")).toBe(true);
+      expect(matches("*.log", "build.log.md")).toBe(false);
+    });
+
+    it("anchors patterns that contain a slash to the base folder", () => {
+      expect(matches("/notes.md", "notes.md")).toBe(true);
+      expect(matches("/notes.md", "sub/notes.md")).toBe(false);
+      expect(matches("docs/*.md", "docs/a.md")).toBe(true);
+      expect(matches("docs/*.md", "docs/deep/a.md")).toBe(false);
+      expect(matches("docs/*.md", "other/docs/a.md")).toBe(false);
+    });
+
+    it("supports ** across folders", () => {
+      expect(matches("**/pester/*.xml", "pester/run.xml")).toBe(true);
+      expect(matches("**/pester/*.xml", "Logs/archive/pester/run.xml")).toBe(true);
+      expect(matches("Logs/**", "Logs/a/b.txt")).toBe(true);
+      expect(matches("Logs/**", "Logs")).toBe(false);
+      expect(matches("a/**/b.md", "a/b.md")).toBe(true);
+      expect(matches("a/**/b.md", "a/x/y/b.md")).toBe(true);
+    });
+
+    it("supports ?, character classes and escapes", () => {
+      expect(matches("draft?.md", "draft1.md")).toBe(true);
+      expect(matches("draft?.md", "draft10.md")).toBe(false);
+      expect(matches("v[0-9].txt", "v7.txt")).toBe(true);
+      expect(matches("v[!0-9].txt", "v7.txt")).toBe(false);
+      expect(matches("\\#notes.md", "#notes.md")).toBe(true);
+      expect(matches("a+b (1).md", "a+b (1).md")).toBe(true);
+    });
+
+    it("reads negation and directory-only markers", () => {
+      expect(compilePattern("!keep.md")).toEqual(expect.objectContaining({ negated: true, directoryOnly: false }));
+      expect(compilePattern("build/")).toEqual(expect.objectContaining({ negated: false, directoryOnly: true }));
+    });
+
+    it("skips comments, blank lines and a byte-order mark", () => {
+      const rules = parseIgnoreFile("\uFEFF# generated output\n\nbin/\r\n  \n*.tmp\n");
+      expect(rules.map((rule) => rule.pattern)).toEqual(["bin/", "*.tmp"]);
+    });
+  });
+
+  describe("PathFilter", () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "ignore-rules-test-"));
+      fs.mkdirSync(path.join(rootDir, "docs", "drafts"), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, ".ragignore"), "bin/\n*.md\n!docs/**\n");
+      fs.writeFileSync(path.join(rootDir, "docs", ".ragignore"), "drafts/\n");
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    const at = (...parts) => path.join(rootDir, ...parts);
+
+    it("applies .ragignore rules with the last match winning and deeper files overriding", async () => {
+      const filter = new PathFilter(rootDir);
+
+      expect(await filter.check(at("bin"), true)).toEqual({
+        reason: EXCLUDE_REASONS.IGNORE_FILE,
+        pattern: "bin/",
+        ignoreFile: at(".ragignore"),
+      });
+      expect(await filter.check(at("bin"), false)).toBeNull();
+      expect(await filter.check(at("readme.md"), false)).toEqual(
+        expect.objectContaining({ pattern: "*.md" }),
+      );
+      expect(await filter.check(at("docs", "guide.md"), false)).toBeNull();
+      expect(await filter.check(at("docs", "drafts"), true)).toEqual(
+        expect.objectContaining({ pattern: "drafts/", ignoreFile: at("docs", ".ragignore") }),
+      );
+    });
+
+    it("applies job exclude globs after .ragignore and requires include matches for files", async () => {
+      const filter = new PathFilter(rootDir, {
+        include: ["docs/", "*.txt"],
+        exclude: ["docs/secret.md", "!readme.md"],
+      });
+
+      expect(await filter.check(at("readme.md"), false)).toEqual({
+        reason: EXCLUDE_REASONS.NOT_INCLUDED,
+        pattern: null,
+      });
+      expect(await filter.check(at("docs", "secret.md"), false)).toEqual({
+        reason: EXCLUDE_REASONS.EXCLUDE_PATTERN,
+        pattern: "docs/secret.md",
+      });
+      expect(await filter.check(at("docs", "guide.md"), false)).toBeNull();
+      expect(await filter.check(at("notes", "todo.txt"), false)).toBeNull();
+      expect(await filter.check(at("notes"), true)).toBeNull();
+    });
+
+    it("checks every folder above a path with checkTree", async () => {
+      const filter = new PathFilter(rootDir);
+
+      expect(await filter.check(at("docs", "drafts", "plan.txt"), false)).toBeNull();
+      expect(await filter.checkTree(at("docs", "drafts", "plan.txt"), false)).toEqual(
+        expect.objectContaining({ pattern: "drafts/" }),
+      );
+      expect(await filter.checkTree(at("docs", "guide.md"), false)).toBeNull();
+    });
+
+    it("ignores paths outside its root", async () => {
+      const filter = new PathFilter(at("docs"), { include: ["*.txt"] });
+      expect(await filter.check(at("readme.md"), false)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  IngestionReport,
+  FILE_OUTCOMES,
+  SKIP_REASONS,
+} from "../lib/ingestionReport.js";
+
+describe("IngestionReport", () => {
+  const job = { id: "1700000000000", collection: "Docs", path: "/docs" };
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ingestion-report-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("tallies file outcomes, chunks and orphans", () => {
+    const report = new IngestionReport(job);
+    report.setFilesScanned(5);
+    report.recordFile("/docs/new.md", FILE_OUTCOMES.ADDED, { sourceId: "src_a", chunks: 4 });
+    report.recordFile("/docs/edited.md", FILE_OUTCOMES.UPDATED, { sourceId: "src_b", chunks: 2 });
+    report.recordFile("/docs/same.md", FILE_OUTCOMES.UNCHANGED, { sourceId: "src_c" });
+    report.recordFile("/docs/huge.pdf", FILE_OUTCOMES.SKIPPED, { reason: SKIP_REASONS.TOO_LARGE });
+    report.recordFile("/docs/bad.md", FILE_OUTCOMES.FAILED, { reason: "embed_error", chunks: 3 });
+    report.recordOrphan("src_gone");
+
+    expect(report.totals).toEqual({
+      filesScanned: 5,
+      added: 1,
+      updated: 1,
+      renamed: 0,
+      unchanged: 1,
+      skipped: 1,
+      failed: 1,
+      chunksWritten: 6,
+      chunksFailed: 3,
+      orphansRemoved: 1,
+      excluded: 0,
+    });
+    expect(report.files[3]).toEqual({
+      path: "/docs/huge.pdf",
+      fileName: "huge.pdf",
+      outcome: "skipped",
+      reason: "too_large",
+    });
+  });
+
+  it("lists excluded paths separately from scanned files", () => {
+    const report = new IngestionReport(job);
+    report.recordExcluded({
+      path: "/docs/bin",
+      directory: true,
+      reason: "ragignore",
+      pattern: "bin/",
+      ignoreFile: "/docs/.ragignore",
+    });
+
+    expect(report.totals.excluded).toBe(1);
+    expect(report.files).toEqual([]);
+    expect(report.toJSON().excluded).toEqual([
+      expect.objectContaining({ path: "/docs/bin", pattern: "bin/" }),
+    ]);
+  });
+
+  it("round-trips through disk and returns null for unknown jobs", async () => {
+    const report = new IngestionReport(job);
+    report.recordFile("/docs/new.md", FILE_OUTCOMES.ADDED, { chunks: 1 });
+    report.finish("completed");
+    await report.save(dataDir);
+
+    const loaded = await IngestionReport.load(dataDir, job.id);
+    expect(loaded).toEqual(
+      expect.objectContaining({
+        jobId: job.id,
+        collection: "Docs",
+        status: "completed",
+        error: null,
+        orphans: [],
+        excluded: [],
+      }),
+    );
+    expect(loaded.completedAt).toEqual(expect.any(String));
+    expect(loaded.files).toHaveLength(1);
+    expect(fs.existsSync(path.join(dataDir, "reports", `${job.id}.json.tmp`))).toBe(false);
+
+    await expect(IngestionReport.load(dataDir, "missing")).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { LexicalIndex } from "../lib/lexicalIndex.js";
+
+describe("LexicalIndex", () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lexical-index-test-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function buildIndex() {
+    const index = new LexicalIndex(tempDir, "col");
+    index.addChunk("hash_a", "src_a", "Invoke-RagQuery sends the prompt to Ollama.");
+    index.addChunk("hash_b", "src_b", "The chunker splits markdown by heading.");
+    index.addChunk("hash_c", "src_b", "Markdown headings become SectionPath locators.");
+    return index;
+  }
+
+  describe("tokenize", () => {
+    it("keeps identifiers intact and trims sentence punctuation", () => {
+      expect(LexicalIndex.tokenize("Run XMLLogger.ps1 with Invoke-RagQuery.")).toEqual([
+        "run",
+        "xmllogger.ps1",
+        "with",
+        "invoke-ragquery",
+      ]);
+    });
+
+    it("drops single-character terms", () => {
+      expect(LexicalIndex.tokenize("a b cd")).toEqual(["cd"]);
+    });
+  });
+
+  describe("search", () => {
+    it("ranks exact keyword matches with BM25", () => {
+      const hits = buildIndex().search("markdown heading", 5);
+
+      expect(hits.map((hit) => hit.chunkHash)).toEqual(["hash_b", "hash_c"]);
+      expect(hits[0].score).toBeGreaterThan(hits[1].score);
+      expect(hits[0].sourceId).toBe("src_b");
+    });
+
+    it("returns no hits for unknown terms or an empty index", () => {
+      expect(buildIndex().search("kubernetes", 5)).toEqual([]);
+      expect(new LexicalIndex(tempDir, "empty").search("markdown", 5)).toEqual([]);
+    });
+
+    it("respects the limit", () => {
+      expect(buildIndex().search("markdown", 1)).toHaveLength(1);
+    });
+  });
+
+  describe("mutation", () => {
+    it("removeSource drops every chunk of that source", () => {
+      const index = buildIndex();
+      expect(index.removeSource("src_b")).toBe(2);
+
+      expect(index.size).toBe(1);
+      expect(index.hasSource("src_b")).toBe(false);
+      expect(index.search("markdown", 5)).toEqual([]);
+    });
+
+    it("addChunk re-indexes an existing chunk hash instead of duplicating it", () => {
+      const index = buildIndex();
+      index.addChunk("hash_a", "src_a", "Replaced text about embeddings.");
+
+      expect(index.size).toBe(3);
+      expect(index.search("ollama", 5)).toEqual([]);
+      expect(index.search("embeddings", 5)[0].chunkHash).toBe("hash_a");
+    });
+
+    it("indexableText skips the None placeholder", () => {
+      expect(
+        LexicalIndex.indexableText({
+          Text: "body",
+          HeaderContext: "None",
+          StructuralPath: "Guide > Install",
+        }),
+      ).toBe("body\nGuide > Install");
+    });
+  });
+
+  describe("persistence", () => {
+    it("round-trips through save and load", async () => {
+      const index = buildIndex();
+      await index.save();
+
+      const reloaded = new LexicalIndex(tempDir, "col");
+      await reloaded.load();
+
+      expect(reloaded.size).toBe(3);
+      expect(reloaded.hasSource("src_a")).toBe(true);
+      expect(reloaded.search("markdown heading", 5)).toEqual(
+        index.search("markdown heading", 5),
+      );
+    });
+
+    it("open returns an empty index when no file exists", async () => {
+      const index = await LexicalIndex.open(tempDir, "missing");
+      expect(index.size).toBe(0);
+    });
+
+    it("open reuses the parsed index until the file changes", async () => {
+      await buildIndex().save();
+      const first = await LexicalIndex.open(tempDir, "col");
+      const second = await LexicalIndex.open(tempDir, "col");
+      expect(second).toBe(first);
+
+      const updated = buildIndex();
+      updated.removeSource("src_a");
+      await updated.save();
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(updated.getIndexPath(), future, future);
+
+      const third = await LexicalIndex.open(tempDir, "col");
+      expect(third).not.toBe(first);
+      expect(third.size).toBe(2);
+    });
+  });
+});
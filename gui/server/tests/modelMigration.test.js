@@ -175,4 +175,19 @@ describe("triggerModelMigration", () => {
 
     expect(queue.enqueue).toHaveBeenCalledWith("/data", customCollection);
   });
+
+  // 10 — Archive members re-index the folder holding their archive
+  test("archive members enqueue the directory that holds the archive", async () => {
+    const parser = makeParser([
+      { FileName: "run.xml", SourcePath: "/drops/bundle.zip!/logs/run.xml" },
+      { FileName: "guide.md", SourcePath: "/drops/export.tar.gz!/guide.md" },
+    ]);
+    const queue = makeQueue();
+
+    const result = await triggerModelMigration(parser, queue, COL, STORED, TARGET);
+
+    expect(queue.enqueue).toHaveBeenCalledTimes(1);
+    expect(queue.enqueue).toHaveBeenCalledWith("/drops", COL);
+    expect(result.queued).toBe(1);
+  });
 });
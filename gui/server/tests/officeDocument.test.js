@@ -0,0 +1,132 @@
+import {
+  decodeXmlEntities,
+  extractOfficeDocument,
+  isOfficeDocument,
+  parseDocxHeadingStyles,
+  parseDocxXml,
+  parseOdtXml,
+} from "../lib/officeDocument.js";
+import { buildZip } from "./helpers/zipFixture.js";
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+function docxParagraph(text, style = null, extraPPr = "") {
+  const pPr = style || extraPPr
+    ? `<w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ""}${extraPPr}</w:pPr>`
+    : "";
+  return `<w:p w:rsidR="00A1">${pPr}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+}
+
+function docxDocument(...paragraphs) {
+  return `<?xml version="1.0" encoding="UTF-8"?><w:document ${W}><w:body>${paragraphs.join("")}<w:sectPr/></w:body></w:document>`;
+}
+
+describe("officeDocument", () => {
+  it("recognises DOCX and ODT extensions case-insensitively", () => {
+    expect(isOfficeDocument("C:/Docs/Runbook.DOCX")).toBe(true);
+    expect(isOfficeDocument("/docs/spec.odt")).toBe(true);
+    expect(isOfficeDocument("/docs/spec.doc")).toBe(false);
+  });
+
+  it("decodes named and numeric XML entities", () => {
+    expect(decodeXmlEntities("a &lt;b&gt; &amp; &quot;c&quot; &apos;d&apos; &#8212; &#x2192;")).toBe(
+      "a <b> & \"c\" 'd' \u2014 \u2192",
+    );
+  });
+
+  describe("DOCX", () => {
+    it("maps heading styles by name, title and outline level", () => {
+      const styles = `<w:styles ${W}>
+        <w:style w:type="paragraph" w:styleId="berschrift1"><w:name w:val="heading 1"/></w:style>
+        <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>
+        <w:style w:type="paragraph" w:styleId="RunbookStep"><w:name w:val="Runbook Step"/><w:pPr><w:outlineLvl w:val="2"/></w:pPr></w:style>
+        <w:style w:type="paragraph" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+      </w:styles>`;
+
+      const levels = parseDocxHeadingStyles(styles);
+      expect(levels.get("berschrift1")).toBe(1);
+      expect(levels.get("Title")).toBe(1);
+      expect(levels.get("RunbookStep")).toBe(3);
+      expect(levels.has("Normal")).toBe(false);
+    });
+
+    it("keeps heading levels and paragraph text in document order", () => {
+      const xml = docxDocument(
+        docxParagraph("Intro text"),
+        docxParagraph("Install", "Heading1"),
+        docxParagraph("Run setup &amp; reboot."),
+        docxParagraph("Prerequisites", "Heading2"),
+        docxParagraph("Admin rights", null, '<w:numPr><w:ilvl w:val="0"/></w:numPr>'),
+        `<w:p><w:r><w:t>Col</w:t><w:tab/><w:t>Value</w:t><w:br/><w:t>Next line</w:t></w:r></w:p>`,
+        "<w:p/>",
+      );
+
+      expect(parseDocxXml(xml).blocks).toEqual([
+        { kind: "paragraph", text: "Intro text" },
+        { kind: "heading", level: 1, text: "Install" },
+        { kind: "paragraph", text: "Run setup & reboot." },
+        { kind: "heading", level: 2, text: "Prerequisites" },
+        { kind: "paragraph", text: "- Admin rights" },
+        { kind: "paragraph", text: "Col\tValue\nNext line" },
+      ]);
+    });
+
+    it("extracts a zipped .docx using styles.xml", () => {
+      const archive = buildZip({
+        "[Content_Types].xml": "<Types/>",
+        "word/document.xml": docxDocument(
+          docxParagraph("Overview", "CustomHead"),
+          docxParagraph("Body"),
+        ),
+        "word/styles.xml": `<w:styles ${W}><w:style w:type="paragraph" w:styleId="CustomHead"><w:name w:val="heading 2"/></w:style></w:styles>`,
+      });
+
+      expect(extractOfficeDocument(archive, ".docx")).toEqual({
+        format: "docx",
+        blocks: [
+          { kind: "heading", level: 2, text: "Overview" },
+          { kind: "paragraph", text: "Body" },
+        ],
+      });
+    });
+
+    it("fails clearly when the archive has no document part", () => {
+      expect(() => extractOfficeDocument(buildZip({ "other.xml": "<x/>" }), ".docx")).toThrow(
+        /no word\/document\.xml/,
+      );
+    });
+  });
+
+  describe("ODT", () => {
+    it("reads headings with outline levels and inline spacing", () => {
+      const xml = `<office:document-content><office:body><office:text>
+        <text:p text:style-name="P1">Preface</text:p>
+        <text:h text:style-name="H1" text:outline-level="1">Deploy</text:h>
+        <text:p>Copy<text:s text:c="2"/>files<text:tab/>now<text:line-break/>then restart<text:note text:id="n1"><text:note-body><text:p>Footnote</text:p></text:note-body></text:note>.</text:p>
+        <text:list><text:list-item><text:p>Step <text:span text:style-name="T1">one</text:span></text:p></text:list-item></text:list>
+        <text:h text:outline-level="3">Rollback</text:h>
+        <text:p/>
+      </office:text></office:body></office:document-content>`;
+
+      expect(parseOdtXml(xml).blocks).toEqual([
+        { kind: "paragraph", text: "Preface" },
+        { kind: "heading", level: 1, text: "Deploy" },
+        { kind: "paragraph", text: "Copy  files\tnow\nthen restart." },
+        { kind: "paragraph", text: "Step one" },
+        { kind: "heading", level: 3, text: "Rollback" },
+      ]);
+    });
+
+    it("extracts a zipped .odt", () => {
+      const archive = buildZip({
+        mimetype: "application/vnd.oasis.opendocument.text",
+        "content.xml": '<office:text><text:h text:outline-level="2">Scope</text:h><text:p>All hosts</text:p></office:text>',
+      });
+
+      expect(extractOfficeDocument(archive, ".ODT").blocks).toEqual([
+        { kind: "heading", level: 2, text: "Scope" },
+        { kind: "paragraph", text: "All hosts" },
+      ]);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { jest } from "@jest/globals";
-import { embed, chatStream } from "../lib/ollamaClient.js";
+import { embed, embedBatch, chat, chatStream } from "../lib/ollamaClient.js";
 
 describe("ollamaClient", () => {
   const model = "test-model";
@@ -92,6 +92,134 @@ describe("ollamaClient", () => {
     });
   });
 
+  describe("embedBatch", () => {
+    function batchResponse(options) {
+      const { input } = JSON.parse(options.body);
+      return {
+        ok: true,
+        json: async () => ({ embeddings: input.map((text) => [text.length]) }),
+      };
+    }
+
+    it("should send batches to /api/embed and return vectors in input order", async () => {
+      global.fetch.mockImplementation(async (url, options) => batchResponse(options));
+
+      const result = await embedBatch(["a", "bb", "ccc"], model, baseUrl, { batchSize: 2 });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch).toHaveBeenNthCalledWith(1, `${baseUrl}/api/embed`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, input: ["a", "bb"] }),
+      });
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).input).toEqual(["ccc"]);
+      expect(result.every((vector) => vector instanceof Float32Array)).toBe(true);
+      expect(result.map((vector) => vector[0])).toEqual([1, 2, 3]);
+    });
+
+    it("should keep at most `concurrency` requests in flight", async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      global.fetch.mockImplementation(async (url, options) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        inFlight--;
+        return batchResponse(options);
+      });
+
+      const texts = Array.from({ length: 10 }, (_, i) => `t${i}`);
+      const result = await embedBatch(texts, model, baseUrl, { batchSize: 1, concurrency: 3 });
+
+      expect(global.fetch).toHaveBeenCalledTimes(10);
+      expect(maxInFlight).toBe(3);
+      expect(result).toHaveLength(10);
+    });
+
+    it("should fall back to single /api/embeddings calls when /api/embed is missing", async () => {
+      const legacyUrl = "http://legacy-ollama:11434";
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      global.fetch.mockImplementation(async (url, options) => {
+        if (url.endsWith("/api/embed")) {
+          return { ok: false, status: 404, text: async () => "404 page not found" };
+        }
+        return {
+          ok: true,
+          json: async () => ({ embedding: [JSON.parse(options.body).prompt.length] }),
+        };
+      });
+
+      const first = await embedBatch(["x", "yy"], model, legacyUrl);
+      const second = await embedBatch(["zzz"], model, legacyUrl);
+
+      expect(first.map((vector) => vector[0])).toEqual([1, 2]);
+      expect(second.map((vector) => vector[0])).toEqual([3]);
+      const embedCalls = global.fetch.mock.calls.filter(([url]) => url.endsWith("/api/embed"));
+      expect(embedCalls).toHaveLength(1); // support is remembered per base URL
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it("should throw rather than fall back when the model is missing", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        text: async () => '{"error":"model \\"nope\\" not found, try pulling it first"}',
+      });
+
+      await expect(embedBatch(["a"], model, baseUrl)).rejects.toThrow("Ollama embed failed: 404");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reject a response with the wrong number of embeddings", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ embeddings: [[1]] }),
+      });
+
+      await expect(embedBatch(["a", "b"], model, baseUrl)).rejects.toThrow(
+        "returned 1 embeddings for 2 inputs",
+      );
+    });
+
+    it("should return an empty array without calling Ollama for no input", async () => {
+      await expect(embedBatch([], model, baseUrl)).resolves.toEqual([]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("chat", () => {
+    it("should post a non-streaming request and return the message content", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ message: { content: "7" }, done: true }),
+      });
+
+      const messages = [{ role: "user", content: "Rate it" }];
+      const reply = await chat(messages, model, baseUrl, { temperature: 0 });
+
+      expect(reply).toBe("7");
+      expect(global.fetch).toHaveBeenCalledWith(`${baseUrl}/api/chat`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: false,
+          options: { temperature: 0 },
+        }),
+        signal: null,
+      });
+    });
+
+    it("should throw an error when response is not ok", async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+
+      await expect(chat([], model, baseUrl)).rejects.toThrow(
+        "Ollama chat failed: 503",
+      );
+    });
+  });
+
   describe("chatStream", () => {
     const encoder = new TextEncoder();
 
@@ -136,6 +264,23 @@ describe("ollamaClient", () => {
       expect(onChunk).toHaveBeenNthCalledWith(2, "World!");
     });
 
+    it("sends model options and returns the token counts of the final chunk", async () => {
+      const done =
+        JSON.stringify({ message: { content: "Hi" }, done: true, prompt_eval_count: 42, eval_count: 3 }) +
+        "\n";
+      global.fetch.mockResolvedValueOnce({ ok: true, body: createMockStream([done]) });
+
+      const usage = await chatStream([], model, baseUrl, () => {}, null, { num_ctx: 8192 });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+        model,
+        messages: [],
+        stream: true,
+        options: { num_ctx: 8192 },
+      });
+      expect(usage).toEqual({ promptTokens: 42, completionTokens: 3 });
+    });
+
     it("should throw an error when response is not ok", async () => {
       global.fetch.mockResolvedValueOnce({
         ok: false,
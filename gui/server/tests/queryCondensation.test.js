@@ -0,0 +1,162 @@
+import { jest } from "@jest/globals";
+
+const chatMock = jest.fn();
+
+jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
+  chat: chatMock,
+}));
+
+const {
+  CONDENSE_STRATEGIES,
+  condenseHeuristically,
+  condenseQuery,
+  isValidCondenseFlag,
+  parseCondensedQuery,
+  readListItems,
+  resolveCondenseOptions,
+} = await import("../lib/queryCondensation.js");
+
+const user = (content) => ({ role: "user", content });
+const assistant = (content) => ({ role: "assistant", content });
+
+const conversation = [
+  user("Which services does the bridge start?"),
+  assistant(
+    "It starts three services:\n\n1. **Ingestion queue** for embedding jobs\n2. `Folder watcher` for followed folders\n3. Query logger",
+  ),
+];
+
+describe("queryCondensation", () => {
+  beforeEach(() => {
+    chatMock.mockReset();
+  });
+
+  describe("resolveCondenseOptions", () => {
+    it("is disabled by default and fills defaults", () => {
+      expect(resolveCondenseOptions(undefined)).toEqual({
+        enabled: false,
+        strategy: CONDENSE_STRATEGIES.OLLAMA,
+        maxTurns: 6,
+        model: "",
+      });
+    });
+
+    it("lets the request flag enable, disable or pick a strategy", () => {
+      const config = { Enabled: true, Strategy: "ollama", MaxTurns: 40, Model: " qwen2.5:0.5b " };
+      expect(resolveCondenseOptions(config, false).enabled).toBe(false);
+      expect(resolveCondenseOptions(config, "heuristic")).toEqual({
+        enabled: true,
+        strategy: CONDENSE_STRATEGIES.HEURISTIC,
+        maxTurns: 20,
+        model: "qwen2.5:0.5b",
+      });
+      expect(resolveCondenseOptions({ Strategy: "heuristic" }, true)).toEqual(
+        expect.objectContaining({ enabled: true, strategy: CONDENSE_STRATEGIES.HEURISTIC }),
+      );
+    });
+
+    it("validates request flags", () => {
+      expect(isValidCondenseFlag(undefined)).toBe(true);
+      expect(isValidCondenseFlag(true)).toBe(true);
+      expect(isValidCondenseFlag("Ollama")).toBe(true);
+      expect(isValidCondenseFlag("llm")).toBe(false);
+      expect(isValidCondenseFlag(1)).toBe(false);
+    });
+  });
+
+  describe("heuristic", () => {
+    it("reads list items without markdown emphasis", () => {
+      expect(readListItems(conversation[1].content)).toEqual([
+        "Ingestion queue for embedding jobs",
+        "Folder watcher for followed folders",
+        "Query logger",
+      ]);
+    });
+
+    it("replaces ordinal references with items of the last assistant list", () => {
+      expect(condenseHeuristically([...conversation, user("How is the second one configured?")])).toBe(
+        "How is Folder watcher for followed folders configured?",
+      );
+      expect(condenseHeuristically([...conversation, user("Explain option #3 in detail please")])).toBe(
+        "Explain Query logger in detail please",
+      );
+    });
+
+    it("prefixes the previous question when the follow-up still leans on it", () => {
+      expect(condenseHeuristically([...conversation, user("what about the last one?")])).toBe(
+        "Which services does the bridge start? what about Query logger?",
+      );
+      expect(condenseHeuristically([...conversation, user("Does it restart them?")])).toBe(
+        "Which services does the bridge start? Does it restart them?",
+      );
+    });
+
+    it("leaves standalone questions alone", () => {
+      const question = "How do I change the embedding model for a collection?";
+      expect(condenseHeuristically([...conversation, user(question)])).toBe(question);
+    });
+  });
+
+  describe("parseCondensedQuery", () => {
+    it("takes the first line without labels or quotes", () => {
+      expect(parseCondensedQuery('Standalone query: "folder watcher configuration"\nBecause...')).toBe(
+        "folder watcher configuration",
+      );
+      expect(parseCondensedQuery("  \n")).toBeNull();
+      expect(parseCondensedQuery("x".repeat(600))).toBeNull();
+    });
+  });
+
+  describe("condenseQuery", () => {
+    const options = { strategy: "ollama", maxTurns: 6, model: "llama3.1:8b", baseUrl: "http://ollama" };
+
+    it("returns null when there are no earlier turns", async () => {
+      expect(await condenseQuery([user("What is RAG?")], options)).toBeNull();
+      expect(chatMock).not.toHaveBeenCalled();
+    });
+
+    it("asks the model with the recent turns", async () => {
+      chatMock.mockResolvedValueOnce("How is the folder watcher configured?");
+
+      const result = await condenseQuery([...conversation, user("How is the second one configured?")], options);
+
+      expect(result).toEqual({
+        original: "How is the second one configured?",
+        rewritten: "How is the folder watcher configured?",
+        strategy: "ollama",
+      });
+      const [messages, model, baseUrl, modelOptions] = chatMock.mock.calls[0];
+      expect(messages[1].content).toContain("User: Which services does the bridge start?");
+      expect(messages[1].content).toContain("Last question: How is the second one configured?");
+      expect([model, baseUrl, modelOptions]).toEqual(["llama3.1:8b", "http://ollama", { temperature: 0, num_predict: 96 }]);
+    });
+
+    it("falls back to the heuristic when the model fails", async () => {
+      chatMock.mockRejectedValueOnce(new Error("model not found"));
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const result = await condenseQuery([...conversation, user("How is the second one configured?")], options);
+
+      expect(result).toEqual({
+        original: "How is the second one configured?",
+        rewritten: "How is Folder watcher for followed folders configured?",
+        strategy: "heuristic",
+        fallbackFrom: "ollama",
+      });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("model not found"));
+      warn.mockRestore();
+    });
+
+    it("considers only the last maxTurns earlier messages", async () => {
+      const result = await condenseQuery(
+        [user("Old topic?"), assistant("1. Stale item"), ...conversation, user("and the first one?")],
+        { ...options, strategy: "heuristic", maxTurns: 2 },
+      );
+
+      expect(chatMock).not.toHaveBeenCalled();
+      expect(result.rewritten).toBe(
+        "Which services does the bridge start? and Ingestion queue for embedding jobs?",
+      );
+    });
+  });
+});
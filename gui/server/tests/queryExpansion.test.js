@@ -0,0 +1,151 @@
+import { jest } from "@jest/globals";
+
+const chatMock = jest.fn();
+
+jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
+  chat: chatMock,
+}));
+
+const {
+  EXPANSION_STRATEGIES,
+  buildExpansionTrace,
+  generateQueryVariants,
+  isValidExpansionFlag,
+  mergeTraceCandidates,
+  mergeVariantResults,
+  parseParaphrases,
+  resolveExpansionOptions,
+} = await import("../lib/queryExpansion.js");
+
+const row = (hash, score) => ({ ChunkHash: hash, FileName: `${hash}.md`, ChunkIndex: 0, score });
+
+describe("queryExpansion", () => {
+  beforeEach(() => {
+    chatMock.mockReset();
+  });
+
+  describe("resolveExpansionOptions", () => {
+    it("is disabled by default and fills defaults", () => {
+      expect(resolveExpansionOptions(undefined)).toEqual({
+        enabled: false,
+        strategy: EXPANSION_STRATEGIES.MULTI_QUERY,
+        variants: 3,
+        model: "",
+      });
+    });
+
+    it("lets the request flag enable, disable or pick a strategy", () => {
+      const config = { Enabled: true, Strategy: "hyde", Variants: 12, Model: " qwen2.5:0.5b " };
+      expect(resolveExpansionOptions(config, false).enabled).toBe(false);
+      expect(resolveExpansionOptions(config, "BOTH")).toEqual({
+        enabled: true,
+        strategy: EXPANSION_STRATEGIES.BOTH,
+        variants: 5,
+        model: "qwen2.5:0.5b",
+      });
+      expect(resolveExpansionOptions({ Strategy: "hyde" }, true)).toEqual(
+        expect.objectContaining({ enabled: true, strategy: EXPANSION_STRATEGIES.HYDE }),
+      );
+    });
+
+    it("validates request flags", () => {
+      expect(isValidExpansionFlag(undefined)).toBe(true);
+      expect(isValidExpansionFlag(false)).toBe(true);
+      expect(isValidExpansionFlag("multi-query")).toBe(true);
+      expect(isValidExpansionFlag("rag-fusion")).toBe(false);
+      expect(isValidExpansionFlag(2)).toBe(false);
+    });
+  });
+
+  it("parses paraphrases without numbering, quotes or repeats", () => {
+    expect(
+      parseParaphrases(
+        '1. "restart the watcher"\n- How do I restart the watcher?\n\n2) watcher restart\n* Watcher Restart\n3. stop and start watching',
+        "How do I restart the watcher?",
+        2,
+      ),
+    ).toEqual(["restart the watcher", "watcher restart"]);
+  });
+
+  describe("generateQueryVariants", () => {
+    const options = { variants: 2, model: "llama3.1:8b", baseUrl: "http://ollama" };
+
+    it("puts the query first, then paraphrases and the hypothetical passage", async () => {
+      chatMock
+        .mockResolvedValueOnce("restart the watcher\nwatcher restart steps\nextra line")
+        .mockResolvedValueOnce("  The watcher restarts when its folder list changes.  ");
+
+      const variants = await generateQueryVariants("How do I restart the watcher?", {
+        ...options,
+        strategy: "both",
+      });
+
+      expect(variants).toEqual([
+        { id: "q0", kind: "original", text: "How do I restart the watcher?" },
+        { id: "q1", kind: "paraphrase", text: "restart the watcher" },
+        { id: "q2", kind: "paraphrase", text: "watcher restart steps" },
+        { id: "hyde", kind: "hyde", text: "The watcher restarts when its folder list changes." },
+      ]);
+      const [, model, baseUrl, modelOptions] = chatMock.mock.calls[0];
+      expect([model, baseUrl, modelOptions]).toEqual(["llama3.1:8b", "http://ollama", { temperature: 0.2, num_predict: 120 }]);
+    });
+
+    it("skips a generation that fails and keeps the rest", async () => {
+      chatMock.mockRejectedValueOnce(new Error("model not found"));
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const variants = await generateQueryVariants("watcher", { ...options, strategy: "hyde" });
+
+      expect(variants).toEqual([{ id: "q0", kind: "original", text: "watcher" }]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("model not found"));
+      warn.mockRestore();
+    });
+  });
+
+  describe("merging", () => {
+    const searches = [
+      { variantId: "q0", results: [row("a", 0.7), row("b", 0.65)] },
+      { variantId: "q1", results: [row("c", 0.9), row("a", 0.8)] },
+      { variantId: "hyde", results: [row("a", 0.6)] },
+    ];
+
+    it("deduplicates by ChunkHash and ranks chunks many variants found first", () => {
+      const merged = mergeVariantResults(searches, 5);
+
+      expect(merged.map((r) => [r.ChunkHash, r.score, r.matchedVariants])).toEqual([
+        ["a", 0.8, ["q0", "q1", "hyde"]],
+        ["c", 0.9, ["q1"]],
+        ["b", 0.65, ["q0"]],
+      ]);
+      expect(mergeVariantResults(searches, 1)).toHaveLength(1);
+    });
+
+    it("merges trace candidates and records the variants behind them", () => {
+      const merged = mergeTraceCandidates([
+        { variantId: "q0", candidates: [{ chunkId: "chk_a", score: 0.4 }] },
+        { variantId: "q1", candidates: [{ chunkId: "chk_b", score: 0.3 }, { chunkId: "chk_a", score: 0.45 }] },
+      ]);
+
+      expect(merged).toEqual([
+        { chunkId: "chk_a", score: 0.45, matchedVariants: ["q0", "q1"] },
+        { chunkId: "chk_b", score: 0.3, matchedVariants: ["q1"] },
+      ]);
+    });
+
+    it("lists each variant's hits across collections", () => {
+      const trace = buildExpansionTrace(
+        "multi-query",
+        [
+          { id: "q0", kind: "original", text: "watcher" },
+          { id: "q1", kind: "paraphrase", text: "x".repeat(250) },
+        ],
+        [...searches, { variantId: "q0", results: [row("d", 0.5)] }],
+      );
+
+      expect(trace.strategy).toBe("multi-query");
+      expect(trace.variants[0].hits).toEqual(["chk_a", "chk_b", "chk_d"]);
+      expect(trace.variants[1].hits).toEqual(["chk_c", "chk_a"]);
+      expect(trace.variants[1].text).toHaveLength(203);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { jest } from "@jest/globals";
+
+const chatMock = jest.fn();
+
+jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
+  chat: chatMock,
+}));
+
+const {
+  RERANK_STRATEGIES,
+  isValidRerankFlag,
+  parseRelevanceRating,
+  rerankCandidates,
+  resolveRerankOptions,
+  scoreHeuristic,
+} = await import("../lib/reranker.js");
+
+function candidate(fileName, score, text, headerContext = "None") {
+  return {
+    score,
+    FileName: fileName,
+    ChunkText: text,
+    TextPreview: text,
+    HeaderContext: headerContext,
+    ChunkHash: `hash_${fileName}`,
+  };
+}
+
+describe("reranker", () => {
+  beforeEach(() => {
+    chatMock.mockReset();
+  });
+
+  describe("resolveRerankOptions", () => {
+    it("is disabled by default and fills defaults", () => {
+      expect(resolveRerankOptions(undefined)).toEqual({
+        enabled: false,
+        strategy: RERANK_STRATEGIES.HEURISTIC,
+        topN: 10,
+        weight: 0.7,
+        model: "",
+      });
+    });
+
+    it("lets the request flag override the config block", () => {
+      const config = { Enabled: true, Strategy: "ollama", TopN: 4, Weight: 0.5 };
+
+      expect(resolveRerankOptions(config, false).enabled).toBe(false);
+      expect(resolveRerankOptions(config, true).strategy).toBe("ollama");
+      expect(resolveRerankOptions({ Enabled: false }, "heuristic")).toEqual(
+        expect.objectContaining({ enabled: true, strategy: "heuristic" }),
+      );
+      expect(resolveRerankOptions(config).topN).toBe(4);
+    });
+
+    it("validates request flags", () => {
+      expect(isValidRerankFlag(undefined)).toBe(true);
+      expect(isValidRerankFlag(true)).toBe(true);
+      expect(isValidRerankFlag("Ollama")).toBe(true);
+      expect(isValidRerankFlag("cross-encoder")).toBe(false);
+      expect(isValidRerankFlag(3)).toBe(false);
+    });
+  });
+
+  describe("heuristic strategy", () => {
+    it("scores query-term coverage with a verbatim phrase bonus", () => {
+      const exact = candidate("a.md", 0.5, "Rotate the bridge token weekly.");
+      const partial = candidate("b.md", 0.5, "The token is stored on disk.");
+
+      expect(scoreHeuristic("bridge token", exact)).toBeCloseTo(0.8, 5);
+      expect(scoreHeuristic("bridge token", partial)).toBeCloseTo(0.35, 5);
+      expect(scoreHeuristic("", exact)).toBe(0);
+    });
+
+    it("reorders the top-N and records the pre-rerank rank", async () => {
+      const candidates = [
+        candidate("first.md", 0.9, "unrelated passage"),
+        candidate("second.md", 0.7, "bridge token rotation"),
+        candidate("third.md", 0.6, "bridge token"),
+      ];
+
+      const { results, strategy } = await rerankCandidates("bridge token", candidates, {
+        strategy: "heuristic",
+        topN: 2,
+        weight: 0.7,
+      });
+
+      expect(strategy).toBe("heuristic");
+      expect(results.map((r) => r.FileName)).toEqual(["second.md", "first.md", "third.md"]);
+      expect(results[0]).toEqual(expect.objectContaining({ preRerankRank: 2, score: 0.7 }));
+      expect(results[2]).not.toHaveProperty("rerankScore");
+      expect(chatMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("ollama strategy", () => {
+    it("parses 0-10 ratings from model replies", () => {
+      expect(parseRelevanceRating("8")).toBe(0.8);
+      expect(parseRelevanceRating("Relevance: 10/10")).toBe(1);
+      expect(parseRelevanceRating("not sure")).toBeNull();
+    });
+
+    it("rates each candidate with the configured model", async () => {
+      chatMock.mockResolvedValueOnce("2").mockResolvedValueOnce("9");
+      const candidates = [
+        candidate("first.md", 0.9, "unrelated passage"),
+        candidate("second.md", 0.7, "bridge token rotation"),
+      ];
+
+      const { results, strategy } = await rerankCandidates("bridge token", candidates, {
+        strategy: "ollama",
+        topN: 10,
+        weight: 1,
+        model: "rerank-model",
+        baseUrl: "http://ollama:11434",
+      });
+
+      expect(strategy).toBe("ollama");
+      expect(chatMock).toHaveBeenCalledTimes(2);
+      expect(chatMock).toHaveBeenCalledWith(
+        expect.any(Array),
+        "rerank-model",
+        "http://ollama:11434",
+        { temperature: 0 },
+      );
+      expect(results.map((r) => [r.FileName, r.rerankScore])).toEqual([
+        ["second.md", 0.9],
+        ["first.md", 0.2],
+      ]);
+    });
+
+    it("falls back to the heuristic when the model call fails", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      chatMock.mockRejectedValue(new Error("connection refused"));
+
+      const { results, strategy, fallbackFrom } = await rerankCandidates(
+        "bridge token",
+        [candidate("first.md", 0.9, "unrelated"), candidate("second.md", 0.7, "bridge token")],
+        { strategy: "ollama", topN: 10, weight: 0.7 },
+      );
+
+      expect(strategy).toBe("heuristic");
+      expect(fallbackFrom).toBe("ollama");
+      expect(results[0].FileName).toBe("second.md");
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("[Reranker Warn]"));
+      warnSpy.mockRestore();
+    });
+  });
+});
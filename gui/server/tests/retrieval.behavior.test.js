@@ -5,6 +5,7 @@ import path from "path";
 
 const loadMock = jest.fn();
 const findNearestMock = jest.fn();
+const fetchChunkRangeMock = jest.fn();
 const logMock = jest.fn(async () => {});
 const chatStreamMock = jest.fn(async (messages, model, url, onChunk) => {
   onChunk("ok");
@@ -20,23 +21,28 @@ jest.unstable_mockModule("child_process", () => ({
   })),
 }));
 
+// Shared with server.js, so a test can change a setting and restore it.
+const mockConfig = {
+  RAG: {
+    OllamaUrl: "http://localhost:11434",
+    EmbeddingModel: "nomic-embed-text",
+    ChatModel: "llama3.1:8b",
+    TopK: 5,
+    MinScore: 0.5,
+    MaxContextTokens: 5,
+    RetrievalMode: "vector",
+    FilteredVectorOverfetch: 4,
+  },
+};
+
 jest.unstable_mockModule("../lib/configLoader.js", () => ({
-  loadConfig: jest.fn(() => ({
-    RAG: {
-      OllamaUrl: "http://localhost:11434",
-      EmbeddingModel: "nomic-embed-text",
-      ChatModel: "llama3.1:8b",
-      TopK: 5,
-      MinScore: 0.5,
-      MaxContextTokens: 5,
-      RetrievalMode: "vector",
-      FilteredVectorOverfetch: 4,
-    },
-  })),
+  loadConfig: jest.fn(() => mockConfig),
 }));
 
 jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
   embed: jest.fn(async () => new Float32Array(768)),
+  embedBatch: jest.fn(async (texts) => texts.map(() => new Float32Array(768))),
+  chat: jest.fn(async () => ""),
   chatStream: chatStreamMock,
 }));
 
@@ -48,6 +54,7 @@ jest.unstable_mockModule("../lib/vectorStore.js", () => ({
     size: 2,
     load: loadMock,
     findNearest: findNearestMock,
+    fetchChunkRange: fetchChunkRangeMock,
   })),
 }));
 
@@ -59,12 +66,14 @@ jest.unstable_mockModule("../lib/queryLogger.js", () => ({
   })),
 }));
 
+const ollamaClient = await import("../lib/ollamaClient.js");
 const appModule = await import("../server.js");
 const app = appModule.default;
 
 describe("Retrieval behavior — /api/chat", () => {
   beforeEach(() => {
     findNearestMock.mockReset();
+    fetchChunkRangeMock.mockReset();
     logMock.mockClear();
     chatStreamMock.mockClear();
     loadMock.mockClear();
@@ -222,6 +231,588 @@ describe("Retrieval behavior — /api/chat", () => {
     expect(flattenedMetadata.citations[0]).not.toHaveProperty("pageEnd");
   });
 
+  it("emits row ranges and json pointers for structured data citations", async () => {
+    const citeOne = async (row) => {
+      findNearestMock.mockResolvedValueOnce([row]);
+      const response = await request(app)
+        .post("/api/chat")
+        .send({
+          messages: [{ role: "user", content: "which host runs the api" }],
+          collection: "TestIngest",
+        });
+      expect(response.status).toBe(200);
+      const metadata = parseSseEvents(response.text).find((event) => event.type === "metadata");
+      expect(metadata.citations).toHaveLength(1);
+      return metadata.citations[0];
+    };
+
+    const csvCitation = await citeOne({
+      score: 0.9,
+      ChunkText: "id,name\n12,host-12",
+      TextPreview: "id,name\n12,host-12",
+      FileName: "hosts.csv",
+      ChunkIndex: 0,
+      HeaderContext: "hosts.csv > Rows 12-12",
+      LocatorType: "row-range",
+      StructuralPath: "hosts.csv > Rows 12-12",
+      RowStart: 12,
+      RowEnd: 12,
+      SourceId: "src_hosts_csv",
+      ChunkHash: "hash_hosts_0",
+    });
+    expect(csvCitation).toEqual(
+      expect.objectContaining({ fileName: "hosts.csv", locatorType: "row-range", rowStart: 12, rowEnd: 12 }),
+    );
+    expect(csvCitation).not.toHaveProperty("jsonPointer");
+
+    const jsonCitation = await citeOne({
+      score: 0.9,
+      ChunkText: '{"retries":3}',
+      TextPreview: '{"retries":3}',
+      FileName: "config.json",
+      ChunkIndex: 1,
+      HeaderContext: "config.json > /services/api",
+      LocatorType: "json-pointer",
+      StructuralPath: "/services/api",
+      SourceId: "src_config_json",
+      ChunkHash: "hash_config_1",
+    });
+    expect(jsonCitation).toEqual(
+      expect.objectContaining({ fileName: "config.json", locatorType: "json-pointer", jsonPointer: "/services/api" }),
+    );
+    expect(jsonCitation).not.toHaveProperty("rowStart");
+  });
+
+  it("emits line ranges for text and code citations", async () => {
+    const citeOne = async (row) => {
+      findNearestMock.mockResolvedValueOnce([row]);
+      const response = await request(app)
+        .post("/api/chat")
+        .send({
+          messages: [{ role: "user", content: "where is the retry loop" }],
+          collection: "TestIngest",
+        });
+      expect(response.status).toBe(200);
+      const metadata = parseSseEvents(response.text).find((event) => event.type === "metadata");
+      expect(metadata.citations).toHaveLength(1);
+      return metadata.citations[0];
+    };
+
+    const textCitation = await citeOne({
+      score: 0.9,
+      ChunkText: "retry loop notes",
+      TextPreview: "retry loop notes",
+      FileName: "notes.txt",
+      ChunkIndex: 3,
+      HeaderContext: "notes.txt",
+      LocatorType: "line-range",
+      StructuralPath: "notes.txt",
+      LineStart: 40,
+      LineEnd: 52,
+      SourceId: "src_notes_txt",
+      ChunkHash: "hash_notes_3",
+    });
+    expect(textCitation).toEqual(
+      expect.objectContaining({ fileName: "notes.txt", locatorType: "line-range", lineStart: 40, lineEnd: 52 }),
+    );
+    expect(textCitation).not.toHaveProperty("pageStart");
+
+    const codeCitation = await citeOne({
+      score: 0.9,
+      ChunkText: "function retry() {}",
+      TextPreview: "function retry() {}",
+      FileName: "client.js",
+      ChunkIndex: 1,
+      HeaderContext: "client.js > retry",
+      LocatorType: "declaration",
+      StructuralPath: "client.js > retry",
+      SymbolName: "retry",
+      LineStart: 12,
+      LineEnd: 30,
+      SourceId: "src_client_js",
+      ChunkHash: "hash_client_1",
+    });
+    expect(codeCitation).toEqual(
+      expect.objectContaining({ locatorType: "declaration", symbolName: "retry", lineStart: 12, lineEnd: 30 }),
+    );
+  });
+
+  it("emits commit metadata for chunks ingested from a git repository", async () => {
+    findNearestMock.mockResolvedValueOnce([
+      {
+        score: 0.9,
+        ChunkText: "function retry() {}",
+        TextPreview: "function retry() {}",
+        FileName: "client.js",
+        ChunkIndex: 1,
+        HeaderContext: "client.js > retry",
+        LocatorType: "declaration",
+        StructuralPath: "client.js > retry",
+        SymbolName: "retry",
+        CommitSha: "3f2c9a1e4b5d6c7f8091a2b3c4d5e6f708192a3b",
+        CommitAuthor: "Ada Author",
+        CommitDate: "2026-03-01T10:00:00+00:00",
+        SourceId: "src_client_js",
+        ChunkHash: "hash_client_1",
+      },
+    ]);
+
+    const response = await request(app)
+      .post("/api/chat")
+      .send({
+        messages: [{ role: "user", content: "where is the retry loop" }],
+        collection: "TestIngest",
+      });
+
+    expect(response.status).toBe(200);
+    const metadata = parseSseEvents(response.text).find((event) => event.type === "metadata");
+    expect(metadata.citations[0].commit).toEqual({
+      sha: "3f2c9a1e4b5d6c7f8091a2b3c4d5e6f708192a3b",
+      author: "Ada Author",
+      date: "2026-03-01T10:00:00+00:00",
+    });
+  });
+
+  const withMaxContextTokens = (tokens) => {
+    beforeEach(() => {
+      mockConfig.RAG.MaxContextTokens = tokens;
+    });
+    afterEach(() => {
+      mockConfig.RAG.MaxContextTokens = 5;
+    });
+  };
+
+  describe("parent section expansion", () => {
+    withMaxContextTokens(12);
+
+    // One section split into two overlapping children at ordinals 3 and 4.
+    const sectionChild = (ordinal, text, extra = {}) => ({
+      score: 0.9,
+      ChunkText: text,
+      TextPreview: text,
+      FileName: "setup.md",
+      ChunkIndex: ordinal,
+      chunkOrdinal: ordinal,
+      HeaderContext: "Setup > Bridge",
+      LocatorType: "section",
+      SourceId: "src_setup_md",
+      ChunkHash: `hash_setup_${ordinal}`,
+      ParentHash: "parent_setup",
+      ParentOrdinalStart: 3,
+      ParentOrdinalEnd: 4,
+      ...extra,
+    });
+    const first = sectionChild(3, "Install bridge-service-configuration", { LineStart: 5, LineEnd: 6 });
+    const second = sectionChild(4, "bridge-service-configuration carefully", {
+      score: 0.8,
+      LineStart: 6,
+      LineEnd: 8,
+    });
+
+    const ask = async () => {
+      const response = await request(app)
+        .post("/api/chat")
+        .send({
+          messages: [{ role: "user", content: "how do I set up the bridge" }],
+          collection: "TestIngest",
+        });
+      expect(response.status).toBe(200);
+      return parseSseEvents(response.text);
+    };
+
+    it("sends the deduplicated section of matched children and cites it", async () => {
+      findNearestMock.mockResolvedValueOnce([second, first]);
+      fetchChunkRangeMock.mockResolvedValueOnce([first, second]);
+
+      const events = await ask();
+
+      expect(fetchChunkRangeMock).toHaveBeenCalledTimes(1);
+      expect(fetchChunkRangeMock).toHaveBeenCalledWith("src_setup_md", 3, 4);
+      const systemPrompt = chatStreamMock.mock.calls[0][0][0].content;
+      expect(systemPrompt).toContain(
+        "[CHUNK chunkId=sec_parent_setup sourceId=src_setup_md collection=TestIngest file=setup.md",
+      );
+      expect(systemPrompt).toContain("Install bridge-service-configuration carefully\n[/CHUNK]");
+
+      const { citations } = events.find((event) => event.type === "metadata");
+      expect(citations).toHaveLength(1);
+      expect(citations[0]).toEqual(
+        expect.objectContaining({
+          chunkId: "sec_parent_setup",
+          score: 0.8,
+          lineStart: 5,
+          lineEnd: 8,
+          ordinalStart: 3,
+          ordinalEnd: 4,
+          matchedChunkIds: ["chk_hash_setup_4", "chk_hash_setup_3"],
+        }),
+      );
+      const { references } = events.find((event) => event.type === "answer_references");
+      expect(references.map((reference) => reference.chunkId)).toEqual(["sec_parent_setup"]);
+      expect(logMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          approvedContext: [expect.objectContaining({ chunkId: "sec_parent_setup", ordinalStart: 3 })],
+          droppedCandidates: [],
+        }),
+      );
+    });
+
+    it("keeps the child when its section does not fit the context budget", async () => {
+      const wordy = sectionChild(4, "bridge-service-configuration then restart every worker node", {
+        score: 0.8,
+      });
+      findNearestMock.mockResolvedValueOnce([first]);
+      fetchChunkRangeMock.mockResolvedValueOnce([first, wordy]);
+
+      const events = await ask();
+
+      const { citations } = events.find((event) => event.type === "metadata");
+      expect(citations).toHaveLength(1);
+      expect(citations[0].chunkId).toBe("chk_hash_setup_3");
+      expect(citations[0]).not.toHaveProperty("ordinalStart");
+      expect(chatStreamMock.mock.calls[0][0][0].content).not.toContain("restart");
+    });
+  });
+
+  describe("neighbor window", () => {
+    withMaxContextTokens(12);
+
+    const row = (ordinal, text, extra = {}) => ({
+      score: 0.9,
+      ChunkText: text,
+      TextPreview: text,
+      FileName: "runbook.md",
+      ChunkIndex: ordinal,
+      chunkOrdinal: ordinal,
+      HeaderContext: "Runbook",
+      LocatorType: "line-range",
+      SourceId: "src_runbook_md",
+      ChunkHash: `hash_runbook_${ordinal}`,
+      ...extra,
+    });
+
+    it("merges the windows of nearby hits into one passage and logs its span", async () => {
+      findNearestMock.mockResolvedValueOnce([
+        row(2, "alpha", { LineStart: 3, LineEnd: 4 }),
+        row(4, "gamma", { score: 0.7, LineStart: 7, LineEnd: 8 }),
+      ]);
+      // The source has no chunk 5, so the passage ends at 4.
+      fetchChunkRangeMock.mockResolvedValueOnce([
+        row(1, "before", { LineStart: 1, LineEnd: 2 }),
+        row(2, "alpha", { LineStart: 3, LineEnd: 4 }),
+        row(3, "beta", { LineStart: 5, LineEnd: 6 }),
+        row(4, "gamma", { LineStart: 7, LineEnd: 8 }),
+      ]);
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({
+          messages: [{ role: "user", content: "what does the runbook say" }],
+          collection: "TestIngest",
+          neighborWindow: 1,
+        });
+
+      expect(response.status).toBe(200);
+      expect(fetchChunkRangeMock).toHaveBeenCalledWith("src_runbook_md", 1, 5);
+      expect(chatStreamMock.mock.calls[0][0][0].content).toContain(
+        "locator=line-range header=\"Runbook\"]\nbefore\n\nalpha\n\nbeta\n\ngamma\n[/CHUNK]",
+      );
+      const { citations } = parseSseEvents(response.text).find((event) => event.type === "metadata");
+      expect(citations).toEqual([
+        expect.objectContaining({
+          chunkId: "chk_hash_runbook_2",
+          lineStart: 1,
+          lineEnd: 8,
+          ordinalStart: 1,
+          ordinalEnd: 4,
+          matchedChunkIds: ["chk_hash_runbook_2", "chk_hash_runbook_4"],
+        }),
+      ]);
+      expect(logMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          neighborWindow: 1,
+          approvedContext: [expect.objectContaining({ ordinalStart: 1, ordinalEnd: 4 })],
+        }),
+      );
+    });
+
+    it("does not fetch neighbors when the window is 0", async () => {
+      findNearestMock.mockResolvedValueOnce([row(2, "alpha")]);
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages: [{ role: "user", content: "runbook" }], collection: "TestIngest" });
+
+      expect(response.status).toBe(200);
+      expect(fetchChunkRangeMock).not.toHaveBeenCalled();
+      expect(logMock).toHaveBeenCalledWith(expect.objectContaining({ neighborWindow: 0 }));
+    });
+
+    it("rejects a window outside 0-5", async () => {
+      for (const neighborWindow of [6, -1, "2"]) {
+        const response = await request(app)
+          .post("/api/chat")
+          .send({ messages: [{ role: "user", content: "runbook" }], neighborWindow });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/neighborWindow/);
+      }
+    });
+  });
+
+  describe("token budgeting", () => {
+    const hit = {
+      score: 0.9,
+      ChunkText: "alpha beta",
+      TextPreview: "alpha beta",
+      FileName: "notes.md",
+      ChunkIndex: 0,
+      HeaderContext: "Notes",
+      SourceId: "src_notes_md",
+      ChunkHash: "hash_notes_0",
+    };
+
+    afterEach(() => {
+      delete mockConfig.RAG.NumCtx;
+      delete mockConfig.RAG.ResponseReserveTokens;
+    });
+
+    it("requests num_ctx and logs estimated against reported prompt tokens", async () => {
+      findNearestMock.mockResolvedValueOnce([hit]);
+      chatStreamMock.mockImplementationOnce(async (messages, model, url, onChunk) => {
+        onChunk("ok");
+        return { promptTokens: 61, completionTokens: 9 };
+      });
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages: [{ role: "user", content: "notes" }], collection: "TestIngest" });
+
+      expect(response.status).toBe(200);
+      expect(chatStreamMock.mock.calls[0][5]).toEqual({ num_ctx: 4096 });
+      expect(logMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tokenUsage: expect.objectContaining({
+            countingMethod: "estimate",
+            tokenizerFamily: "llama3",
+            numCtx: 4096,
+            contextTokens: 3,
+            estimatedPromptTokens: expect.any(Number),
+            promptTokens: 61,
+            completionTokens: 9,
+            historyMessagesDropped: 0,
+          }),
+        }),
+      );
+    });
+
+    it("drops the oldest turns when the conversation does not fit num_ctx", async () => {
+      mockConfig.RAG.NumCtx = 640;
+      mockConfig.RAG.ResponseReserveTokens = 512;
+      findNearestMock.mockResolvedValueOnce([hit]);
+      const turn = (role, word) => ({ role, content: `${word} `.repeat(10).trim() });
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({
+          messages: [
+            turn("user", "first"),
+            turn("assistant", "second"),
+            turn("user", "third"),
+            turn("assistant", "fourth"),
+            { role: "user", content: "and now?" },
+          ],
+          collection: "TestIngest",
+        });
+
+      expect(response.status).toBe(200);
+      const sent = chatStreamMock.mock.calls[0][0];
+      expect(sent[0].role).toBe("system");
+      expect(sent.slice(1).map((message) => message.content.split(" ")[0])).toEqual([
+        "third",
+        "fourth",
+        "and",
+      ]);
+      expect(logMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tokenUsage: expect.objectContaining({ numCtx: 640, historyMessagesDropped: 2 }),
+        }),
+      );
+    });
+  });
+
+  describe("query condensation", () => {
+    const hit = {
+      score: 0.9,
+      ChunkText: "watch",
+      TextPreview: "watch",
+      FileName: "watcher.md",
+      ChunkIndex: 0,
+      HeaderContext: "Watcher",
+      SourceId: "src_watcher_md",
+      ChunkHash: "hash_watcher_0",
+    };
+    const conversation = [
+      { role: "user", content: "Which services does the bridge start?" },
+      { role: "assistant", content: "1. Ingestion queue\n2. Folder watcher" },
+      { role: "user", content: "How is the second one configured?" },
+    ];
+
+    it("retrieves with the standalone rewrite and reports it", async () => {
+      findNearestMock.mockResolvedValueOnce([hit]);
+      ollamaClient.embed.mockClear();
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages: conversation, collection: "TestIngest", condense: "heuristic" });
+
+      expect(response.status).toBe(200);
+      expect(ollamaClient.embed).toHaveBeenCalledWith(
+        "How is Folder watcher configured?",
+        "nomic-embed-text",
+        expect.any(String),
+      );
+      const events = parseSseEvents(response.text);
+      const types = events.map((event) => event.type).filter(Boolean);
+      expect(types.indexOf("query_rewrite")).toBeLessThan(types.indexOf("metadata"));
+      expect(events.find((event) => event.type === "query_rewrite")).toEqual({
+        type: "query_rewrite",
+        original: "How is the second one configured?",
+        rewritten: "How is Folder watcher configured?",
+        strategy: "heuristic",
+      });
+      // The chat model still gets the conversation as sent.
+      expect(chatStreamMock.mock.calls[0][0].slice(1)).toEqual(conversation);
+      expect(logMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          query: "How is the second one configured?",
+          queryRewrite: {
+            original: "How is the second one configured?",
+            rewritten: "How is Folder watcher configured?",
+            strategy: "heuristic",
+          },
+        }),
+      );
+    });
+
+    it("embeds the last message as is when condensation is off", async () => {
+      findNearestMock.mockResolvedValueOnce([hit]);
+      ollamaClient.embed.mockClear();
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages: conversation, collection: "TestIngest" });
+
+      expect(response.status).toBe(200);
+      expect(ollamaClient.embed.mock.calls[0][0]).toBe("How is the second one configured?");
+      expect(parseSseEvents(response.text).some((event) => event.type === "query_rewrite")).toBe(false);
+      expect(logMock).toHaveBeenCalledWith(expect.objectContaining({ queryRewrite: null }));
+    });
+
+    it("rejects unsupported condense values", async () => {
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages: conversation, condense: "llm" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/condense/);
+    });
+  });
+
+  describe("query expansion", () => {
+    const row = (name, score) => ({
+      score,
+      ChunkText: name,
+      TextPreview: name,
+      FileName: `${name}.md`,
+      ChunkIndex: 0,
+      HeaderContext: "None",
+      SourceId: `src_${name}_md`,
+      ChunkHash: `hash_${name}_0`,
+    });
+    const messages = [{ role: "user", content: "How do I restart the watcher?" }];
+
+    beforeEach(() => {
+      ollamaClient.chat.mockReset();
+      ollamaClient.embed.mockClear();
+      ollamaClient.embedBatch.mockClear();
+    });
+
+    it("searches each variant and merges the hits by ChunkHash", async () => {
+      ollamaClient.chat
+        .mockResolvedValueOnce("1. restarting the folder watcher\n2. watcher restart steps")
+        .mockResolvedValueOnce("Call POST /api/watch/restart to restart the watcher.");
+      findNearestMock
+        .mockResolvedValueOnce([row("alpha", 0.7)])
+        .mockResolvedValueOnce([row("beta", 0.8), row("alpha", 0.75)])
+        .mockResolvedValueOnce([row("alpha", 0.6)])
+        .mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages, collection: "TestIngest", expansion: "both" });
+
+      expect(response.status).toBe(200);
+      expect(ollamaClient.embed).not.toHaveBeenCalled();
+      expect(ollamaClient.embedBatch.mock.calls[0][0]).toEqual([
+        "How do I restart the watcher?",
+        "restarting the folder watcher",
+        "watcher restart steps",
+        "Call POST /api/watch/restart to restart the watcher.",
+      ]);
+      expect(findNearestMock).toHaveBeenCalledTimes(4);
+      expect(response.headers["server-timing"]).toMatch(/expand;dur=/);
+
+      const entry = logMock.mock.calls[0][0];
+      // alpha was found by three variants, so it outranks beta and keeps its best score.
+      expect(entry.approvedContext.map((candidate) => [candidate.chunkId, candidate.score])).toEqual([
+        ["chk_hash_alpha_0", 0.75],
+        ["chk_hash_beta_0", 0.8],
+      ]);
+      expect(entry.approvedContext[0].matchedVariants).toEqual(["q0", "q1", "q2"]);
+      expect(entry.queryExpansion).toEqual({
+        strategy: "both",
+        variants: [
+          { id: "q0", kind: "original", text: "How do I restart the watcher?", hits: ["chk_hash_alpha_0"] },
+          {
+            id: "q1",
+            kind: "paraphrase",
+            text: "restarting the folder watcher",
+            hits: ["chk_hash_beta_0", "chk_hash_alpha_0"],
+          },
+          { id: "q2", kind: "paraphrase", text: "watcher restart steps", hits: ["chk_hash_alpha_0"] },
+          {
+            id: "hyde",
+            kind: "hyde",
+            text: "Call POST /api/watch/restart to restart the watcher.",
+            hits: [],
+          },
+        ],
+      });
+    });
+
+    it("searches the query alone when expansion is off", async () => {
+      findNearestMock.mockResolvedValueOnce([row("alpha", 0.9)]);
+
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages, collection: "TestIngest" });
+
+      expect(response.status).toBe(200);
+      expect(ollamaClient.chat).not.toHaveBeenCalled();
+      expect(findNearestMock).toHaveBeenCalledTimes(1);
+      expect(logMock).toHaveBeenCalledWith(expect.objectContaining({ queryExpansion: null }));
+    });
+
+    it("rejects unsupported expansion values", async () => {
+      const response = await request(app)
+        .post("/api/chat")
+        .send({ messages, expansion: "rag-fusion" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/expansion/);
+    });
+  });
+
   it("marks lowConfidence when the top emitted score is within the warning band", async () => {
     findNearestMock.mockResolvedValue([
       {
@@ -267,6 +858,197 @@ describe("Retrieval behavior — /api/chat", () => {
     expect(response.body.error).toMatch(/Invalid retrievalMode/i);
   });
 
+  it("passes the hybrid fusion strategy into findNearest and the query log", async () => {
+    findNearestMock.mockResolvedValue([
+      {
+        score: 0.8,
+        ChunkText: "hybrid chunk",
+        TextPreview: "hybrid chunk",
+        FileName: "SSE_CONTRACT.md",
+        ChunkIndex: 0,
+        HeaderContext: "SSE",
+        SourceId: "src_sse_contract",
+        ChunkHash: "hash_sse_0",
+      },
+    ]);
+
+    const response = await request(app)
+      .post("/api/chat")
+      .send({
+        messages: [{ role: "user", content: "what is a citation event" }],
+        collection: "TestIngest",
+        retrievalMode: "hybrid",
+      });
+
+    expect(response.status).toBe(200);
+    expect(findNearestMock).toHaveBeenCalledWith(
+      expect.any(Float32Array),
+      5,
+      0.5,
+      expect.objectContaining({ mode: "hybrid", fusion: "linear" }),
+    );
+    expect(logMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        retrievalMode: "hybrid",
+        fusionStrategy: "linear",
+      }),
+    );
+  });
+
+  it("reranks candidates when the request enables the heuristic reranker", async () => {
+    findNearestMock.mockResolvedValue([
+      {
+        score: 0.9,
+        ChunkText: "alpha beta gamma",
+        TextPreview: "alpha beta gamma",
+        FileName: "unrelated.md",
+        ChunkIndex: 0,
+        HeaderContext: "Doc > Other",
+        SourceId: "src_unrelated_doc",
+        ChunkHash: "hash_unrelated_0",
+      },
+      {
+        score: 0.6,
+        ChunkText: "rotate token weekly",
+        TextPreview: "rotate token weekly",
+        FileName: "secrets.md",
+        ChunkIndex: 0,
+        HeaderContext: "Secrets > Rotation",
+        SourceId: "src_secrets_doc",
+        ChunkHash: "hash_secrets_0",
+      },
+    ]);
+
+    const response = await request(app)
+      .post("/api/chat")
+      .send({
+        messages: [{ role: "user", content: "rotate token weekly" }],
+        collection: "TestIngest",
+        rerank: "heuristic",
+      });
+
+    expect(response.status).toBe(200);
+    // TopK 5 widened to the default rerank window of 10.
+    expect(findNearestMock).toHaveBeenCalledWith(
+      expect.any(Float32Array),
+      10,
+      0.5,
+      expect.any(Object),
+    );
+
+    const metaEvent = parseSseEvents(response.text).find(
+      (event) => event.type === "metadata",
+    );
+    expect(metaEvent.citations[0].fileName).toBe("secrets.md");
+    expect(metaEvent.citations[0].score).toBe(0.6);
+
+    expect(logMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        rerankStrategy: "heuristic",
+        retrievedCandidates: [
+          expect.objectContaining({
+            fileName: "secrets.md",
+            preRerankRank: 2,
+            rerankScore: expect.any(Number),
+          }),
+          expect.objectContaining({ fileName: "unrelated.md", preRerankRank: 1 }),
+        ],
+      }),
+    );
+  });
+
+  it("rejects unsupported rerank values", async () => {
+    const response = await request(app)
+      .post("/api/chat")
+      .send({
+        messages: [{ role: "user", content: "test question" }],
+        collection: "TestIngest",
+        rerank: "cross-encoder",
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Invalid rerank/i);
+  });
+
+  it("searches every requested collection and keeps the collection on citations", async () => {
+    const rowsByCollection = {
+      docs: [
+        {
+          score: 0.7,
+          ChunkText: "docs",
+          TextPreview: "docs",
+          FileName: "guide.md",
+          ChunkIndex: 0,
+          HeaderContext: "Guide",
+          SourceId: "src_docs_guide",
+          ChunkHash: "hash_docs_guide_0",
+        },
+      ],
+      scripts: [
+        {
+          score: 0.9,
+          ChunkText: "script",
+          TextPreview: "script",
+          FileName: "Chat-Rag.ps1",
+          ChunkIndex: 0,
+          HeaderContext: "Script",
+          SourceId: "src_scripts_chatrag",
+          ChunkHash: "hash_scripts_chatrag_0",
+        },
+      ],
+    };
+    loadMock.mockImplementation(function (dbDir, name) {
+      this.loadedCollection = name;
+    });
+    findNearestMock.mockImplementation(function () {
+      return Promise.resolve(rowsByCollection[this.loadedCollection] || []);
+    });
+
+    const response = await request(app)
+      .post("/api/chat")
+      .send({
+        messages: [{ role: "user", content: "how do I run a query" }],
+        collections: ["docs", "scripts"],
+      });
+
+    const loadedCollections = loadMock.mock.calls.map((call) => call[1]);
+    loadMock.mockReset();
+    findNearestMock.mockReset();
+    expect(response.status).toBe(200);
+    expect(loadedCollections).toEqual(["docs", "scripts"]);
+
+    const events = parseSseEvents(response.text);
+    const metaEvent = events.find((event) => event.type === "metadata");
+    expect(metaEvent.citations.map((c) => [c.fileName, c.collection])).toEqual([
+      ["Chat-Rag.ps1", "scripts"],
+      ["guide.md", "docs"],
+    ]);
+
+    const referencesEvent = events.find((event) => event.type === "answer_references");
+    expect(referencesEvent.references[0]).toEqual(
+      expect.objectContaining({ chunkId: "chk_hash_scripts_chatrag_0", collection: "scripts" }),
+    );
+
+    const systemPrompt = chatStreamMock.mock.calls[0][0][0].content;
+    expect(systemPrompt).toContain("collection=scripts file=Chat-Rag.ps1");
+    expect(systemPrompt).toContain("collection=docs file=guide.md");
+    expect(logMock).toHaveBeenCalledWith(
+      expect.objectContaining({ collections: ["docs", "scripts"] }),
+    );
+  });
+
+  it("rejects an invalid collections list", async () => {
+    const response = await request(app)
+      .post("/api/chat")
+      .send({
+        messages: [{ role: "user", content: "test question" }],
+        collections: ["docs", "../secrets"],
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Invalid collection name/);
+  });
+
   it("passes filtered-vector retrieval options into findNearest", async () => {
     findNearestMock.mockResolvedValue([
       {
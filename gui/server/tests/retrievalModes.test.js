@@ -1,6 +1,8 @@
 import {
+  HYBRID_FUSION_STRATEGIES,
   RETRIEVAL_MODES,
   buildRetrievalPlan,
+  normalizeHybridFusion,
   normalizeRetrievalMode,
 } from "../lib/retrievalModes.js";
 
@@ -45,6 +47,24 @@ describe("retrievalModes", () => {
     );
   });
 
+  it("infers the html file type and html file names from the query", () => {
+    const plan = buildRetrievalPlan({
+      mode: RETRIEVAL_MODES.FILTERED_VECTOR,
+      query: "Which models failed in model-analysis-report-20260129-221003.html?",
+    });
+
+    expect(plan.vectorOptions.metadataFilters.fileTypeEquals).toBe("html");
+    expect(plan.vectorOptions.metadataFilters.fileNameContains).toBe(
+      "model-analysis-report-20260129-221003.html",
+    );
+
+    const wikiPlan = buildRetrievalPlan({
+      mode: RETRIEVAL_MODES.FILTERED_VECTOR,
+      query: "What does the deployment wiki page say about rollback?",
+    });
+    expect(wikiPlan.vectorOptions.metadataFilters.fileTypeEquals).toBe("html");
+  });
+
   it("allows explicit retrieval constraints to override inference", () => {
     const plan = buildRetrievalPlan({
       mode: RETRIEVAL_MODES.FILTERED_VECTOR,
@@ -108,4 +128,34 @@ describe("retrievalModes", () => {
       }),
     );
   });
+
+  it("normalizes hybrid fusion strategies and falls back to linear", () => {
+    expect(normalizeHybridFusion("RRF")).toBe(HYBRID_FUSION_STRATEGIES.RRF);
+    expect(normalizeHybridFusion(" max ")).toBe(HYBRID_FUSION_STRATEGIES.MAX);
+    expect(normalizeHybridFusion("borda")).toBe(HYBRID_FUSION_STRATEGIES.LINEAR);
+    expect(normalizeHybridFusion(undefined, "rrf")).toBe(HYBRID_FUSION_STRATEGIES.RRF);
+  });
+
+  it("carries the fusion strategy on hybrid plans only", () => {
+    const hybridPlan = buildRetrievalPlan({
+      mode: RETRIEVAL_MODES.HYBRID,
+      query: "bridge token rotation",
+      fusion: "rrf",
+    });
+    expect(hybridPlan.fusion).toBe("rrf");
+    expect(hybridPlan.vectorOptions.fusion).toBe("rrf");
+
+    const defaultPlan = buildRetrievalPlan({
+      mode: RETRIEVAL_MODES.HYBRID,
+      query: "bridge token rotation",
+    });
+    expect(defaultPlan.fusion).toBe("linear");
+
+    const vectorPlan = buildRetrievalPlan({
+      mode: RETRIEVAL_MODES.VECTOR,
+      query: "bridge token rotation",
+      fusion: "rrf",
+    });
+    expect(vectorPlan.fusion).toBeNull();
+  });
 });
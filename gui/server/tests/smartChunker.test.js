@@ -58,10 +58,13 @@ describe("SmartTextChunker", () => {
       expect(spy).toHaveBeenCalledTimes(1);
     });
 
-    it("should route js files to splitJavaScript", () => {
+    it("should route js and ts files to splitJavaScript", () => {
       const spy = jest.spyOn(chunker, "splitJavaScript").mockReturnValue([]);
       chunker.dispatchByExtension("test.js", "function a() {}");
-      expect(spy).toHaveBeenCalledTimes(1);
+      chunker.dispatchByExtension("test.cjs", "function a() {}");
+      chunker.dispatchByExtension("test.ts", "function a() {}");
+      expect(spy).toHaveBeenNthCalledWith(1, "function a() {}", "test.js", "javascript");
+      expect(spy).toHaveBeenNthCalledWith(3, "function a() {}", "test.ts", "typescript");
     });
 
     it("should route xml files to splitXml", () => {
@@ -76,19 +79,50 @@ describe("SmartTextChunker", () => {
       expect(spy).toHaveBeenCalledTimes(1);
     });
 
+    it("should route docx and odt files to splitOfficeDocument", () => {
+      const spy = jest.spyOn(chunker, "splitOfficeDocument").mockReturnValue([]);
+      chunker.dispatchByExtension("runbook.docx", { format: "docx", blocks: [] });
+      chunker.dispatchByExtension("spec.ODT", { format: "odt", blocks: [] });
+      expect(spy).toHaveBeenNthCalledWith(1, { format: "docx", blocks: [] }, "runbook.docx", "docx");
+      expect(spy).toHaveBeenNthCalledWith(2, { format: "odt", blocks: [] }, "spec.ODT", "odt");
+    });
+
+    it("should route html files to splitHtml", () => {
+      const spy = jest.spyOn(chunker, "splitHtml").mockReturnValue([]);
+      chunker.dispatchByExtension("page.html", "<h1>Title</h1>");
+      chunker.dispatchByExtension("legacy.HTM", "<h1>Title</h1>");
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(SmartTextChunker.deriveFileType(".htm")).toBe("html");
+    });
+
+    it("should route structured data files to their row and path chunkers", () => {
+      const csvSpy = jest.spyOn(chunker, "splitCsv").mockReturnValue([]);
+      const jsonSpy = jest.spyOn(chunker, "splitJson").mockReturnValue([]);
+      const jsonlSpy = jest.spyOn(chunker, "splitJsonLines").mockReturnValue([]);
+      chunker.dispatchByExtension("data.csv", "a,b");
+      chunker.dispatchByExtension("data.tsv", "a\tb");
+      chunker.dispatchByExtension("config.json", "{}");
+      chunker.dispatchByExtension("events.jsonl", "{}");
+      chunker.dispatchByExtension("events.ndjson", "{}");
+      expect(csvSpy).toHaveBeenNthCalledWith(2, "a\tb", "data.tsv", "\t", "tsv");
+      expect(jsonSpy).toHaveBeenCalledTimes(1);
+      expect(jsonlSpy).toHaveBeenCalledTimes(2);
+    });
+
     it("should fallback to splitPlainText for unknown formats", () => {
       const spy = jest.spyOn(chunker, "splitPlainText").mockReturnValue([]);
       chunker.dispatchByExtension("notes.txt", "Some text");
-      chunker.dispatchByExtension("data.csv", "1,2,3");
+      chunker.dispatchByExtension("data.log", "1,2,3");
       expect(spy).toHaveBeenCalledTimes(2);
     });
   });
 
   describe("JavaScript Chunker", () => {
-    it("should split code by function boundaries", () => {
+    it("should split code into preamble, function and class/method chunks", () => {
       const code = `
 // Preamble comments
 const a = 1;
+let b = 2;
 function hello() {
   return true;
 }
@@ -98,18 +132,105 @@ class World {
       `.trim();
 
       const chunks = chunker.splitJavaScript(code, "test.js");
-      expect(chunks.length).toBe(4);
-      expect(chunks[0].headerContext).toBe("test.js > Preamble");
-      expect(chunks[1].headerContext).toBe("test.js > a");
-      expect(chunks[2].headerContext).toBe("test.js > hello");
-      expect(chunks[3].headerContext).toBe("test.js > World");
-      expect(chunks[1].chunkType).toBe("javascript-block");
+      expect(chunks.map((chunk) => chunk.headerContext)).toEqual([
+        "test.js > Preamble",
+        "test.js > hello",
+        "test.js > World",
+        "test.js > World > method",
+      ]);
+      expect(chunks[0].text).toBe("// Preamble comments\nconst a = 1;\nlet b = 2;");
+      expect(chunks[0]).toEqual(expect.objectContaining({ locatorType: "line-range", lineStart: 1, lineEnd: 3 }));
+      expect(chunks[1].chunkType).toBe("javascript-function");
       expect(chunks[1].fileType).toBe("javascript");
-      expect(chunks[0].locatorType).toBe("none");
       expect(chunks.slice(1).every((chunk) => chunk.locatorType === "declaration")).toBe(true);
-      expect(chunks[1].symbolName).toBe("a");
-      expect(chunks[2].symbolName).toBe("hello");
-      expect(chunks[3].symbolName).toBe("World");
+      expect(chunks.slice(1).map((chunk) => chunk.symbolName)).toEqual(["hello", "World", "World.method"]);
+      expect(chunks[1]).toEqual(expect.objectContaining({ lineStart: 4, lineEnd: 6 }));
+      expect(chunks[3]).toEqual(expect.objectContaining({ lineStart: 8, lineEnd: 8, chunkType: "javascript-method" }));
+    });
+
+    it("should not treat const/let lines inside functions as boundaries", () => {
+      const code = `
+export function build(items) {
+  const out = [];
+  let total = 0;
+  for (const item of items) total += item;
+  return { out, total };
+}
+      `.trim();
+
+      const chunks = new SmartTextChunker(1000, 0).splitJavaScript(code, "build.mjs");
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].text).toBe(code);
+      expect(chunks[0].symbolName).toBe("build");
+    });
+
+    it("should keep the class shell separate from its methods", () => {
+      const code = `
+/** A queue. */
+export class Queue extends Base {
+  static limit = 5;
+
+  /** Adds an item. */
+  push(item) {
+    return this.items.push(item);
+  }
+
+  get size() {
+    return this.items.length;
+  }
+}
+      `.trim();
+
+      const chunks = new SmartTextChunker(1000, 0).splitJavaScript(code, "queue.js");
+      expect(chunks.map((chunk) => chunk.structuralPath)).toEqual([
+        "queue.js > Queue",
+        "queue.js > Queue > push",
+        "queue.js > Queue > size",
+      ]);
+      expect(chunks[0].text).toContain("/** A queue. */");
+      expect(chunks[0].text).toContain("static limit = 5;");
+      expect(chunks[0].text).not.toContain("this.items.push");
+      expect(chunks[1].text.startsWith("/** Adds an item. */")).toBe(true);
+      expect(chunks[0]).toEqual(expect.objectContaining({ lineStart: 1, lineEnd: 13 }));
+      expect(chunks[1]).toEqual(expect.objectContaining({ lineStart: 5, lineEnd: 8 }));
+    });
+
+    it("should chunk TypeScript declarations with the typescript file type", () => {
+      const code = `
+import type { Job } from "./types";
+
+export interface Options {
+  retries: number;
+}
+
+export type Handler = (job: Job) => Promise<void>;
+
+export enum Status { Pending, Done }
+
+export const run = async (job: Job): Promise<void> => {};
+      `.trim();
+
+      const chunks = new SmartTextChunker(1000, 0).dispatchByExtension("worker.ts", code);
+      expect(chunks.map((chunk) => [chunk.symbolName, chunk.chunkType])).toEqual([
+        [undefined, "typescript-preamble"],
+        ["Options", "typescript-interface"],
+        ["Handler", "typescript-type"],
+        ["Status", "typescript-enum"],
+        ["run", "typescript-function"],
+      ]);
+      expect(chunks.every((chunk) => chunk.fileType === "typescript")).toBe(true);
+    });
+
+    it("should parse TSX components", () => {
+      const code = `
+export default function Panel({ title }: { title: string }) {
+  return <section><h2>{title}</h2></section>;
+}
+      `.trim();
+
+      const chunks = new SmartTextChunker(1000, 0).dispatchByExtension("Panel.tsx", code);
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].symbolName).toBe("Panel");
     });
 
     it("should fallback to plain text if no code boundaries exist", () => {
@@ -164,6 +285,19 @@ filter Normalize-Value {
       expect(fnChunk.symbolName).toBe("Get-Thing");
       expect(classChunk.symbolName).toBe("Worker");
       expect(filterChunk.symbolName).toBe("Normalize-Value");
+      expect(preamble).toEqual(expect.objectContaining({ lineStart: 1, lineEnd: 3 }));
+      expect(fnChunk).toEqual(expect.objectContaining({ lineStart: 5, lineEnd: 8 }));
+      expect(filterChunk).toEqual(expect.objectContaining({ lineStart: 14, lineEnd: 16 }));
+    });
+
+    it("should attribute script preambles to their line range", () => {
+      const ps = "# Setup\n$ErrorActionPreference = 'Stop'\n\nfunction Invoke-Task {\n  Write-Output 'run'\n}";
+      const chunks = chunker.splitPowerShell(ps, "task.ps1");
+
+      expect(chunks[0]).toEqual(
+        expect.objectContaining({ chunkType: "powershell-preamble", locatorType: "line-range", lineStart: 1, lineEnd: 2 }),
+      );
+      expect(chunks[1]).toEqual(expect.objectContaining({ symbolName: "Invoke-Task", lineStart: 4, lineEnd: 6 }));
     });
 
     it("should fallback to plain text when no declaration boundaries are found", () => {
@@ -194,6 +328,7 @@ filter Normalize-Value {
       const chunks = chunker.splitXml(xml, "test.xml");
       expect(chunks.length).toBe(3);
       expect(chunks[2].headerContext).toBe("test.xml > Trailing");
+      expect(chunks[2]).toEqual(expect.objectContaining({ locatorType: "line-range", lineStart: 4, lineEnd: 4 }));
     });
 
     it("should fallback to plain text if 1 or 0 closing tags", () => {
@@ -215,7 +350,7 @@ filter Normalize-Value {
       expect(chunks[0].text).toBe("Hello world");
       expect(chunks[0].fileType).toBe("text");
       expect(chunks[0].chunkType).toBe("text-block");
-      expect(chunks[0].locatorType).toBe("none");
+      expect(chunks[0]).toEqual(expect.objectContaining({ locatorType: "line-range", lineStart: 1, lineEnd: 1 }));
       expect(chunks[0]).not.toHaveProperty("sectionPath");
       expect(chunks[0]).not.toHaveProperty("symbolName");
     });
@@ -331,6 +466,20 @@ Body 3
       expect(chunks[1].sectionPath).toBe("Header 1");
       expect(chunks[2].sectionPath).toBe("Header 1 > Header 2");
       expect(chunks[3].sectionPath).toBe("Header 3");
+      expect(chunks.map((chunk) => [chunk.lineStart, chunk.lineEnd])).toEqual([
+        [1, 1],
+        [2, 3],
+        [4, 5],
+        [6, 7],
+      ]);
+    });
+
+    it("should keep section text verbatim so lines match the file", () => {
+      const md = "# Title\n\nFirst paragraph.\n\n\n## Next\nBody";
+      const chunks = chunker.splitMarkdown(md);
+      expect(chunks[0].text).toBe("# Title\n\nFirst paragraph.");
+      expect(chunks[0]).toEqual(expect.objectContaining({ lineStart: 1, lineEnd: 3 }));
+      expect(chunks[1]).toEqual(expect.objectContaining({ lineStart: 6, lineEnd: 7 }));
     });
 
     it("should fallback to plain text if no headers found", () => {
@@ -371,6 +520,220 @@ Paragraph after code.
     });
   });
 
+  describe("Office Document Chunker", () => {
+    const heading = (level, text) => ({ kind: "heading", level, text });
+    const paragraph = (text) => ({ kind: "paragraph", text });
+
+    it("should chunk by section with hierarchical SectionPath", () => {
+      const doc = {
+        format: "docx",
+        blocks: [
+          paragraph("Owner: platform team."),
+          heading(1, "Install"),
+          paragraph("Run setup."),
+          heading(2, "Prerequisites"),
+          paragraph("Admin rights."),
+          heading(1, "Rollback"),
+          paragraph("Restore snapshot."),
+        ],
+      };
+
+      const chunks = chunker.splitOfficeDocument(doc, "runbook.docx");
+      expect(chunks.map((chunk) => chunk.sectionPath)).toEqual([
+        "Introduction",
+        "Install",
+        "Install > Prerequisites",
+        "Rollback",
+      ]);
+      expect(chunks[2].text).toBe("Prerequisites\n\nAdmin rights.");
+      expect(chunks[2].level).toBe(2);
+      expect(chunks[2].chunkType).toBe("document-section");
+      expect(chunks[0].chunkType).toBe("document-preamble");
+      expect(chunks.every((chunk) => chunk.locatorType === "section")).toBe(true);
+      expect(chunks.every((chunk) => chunk.fileType === "docx")).toBe(true);
+    });
+
+    it("should take the file type from the extracted format", () => {
+      const chunks = chunker.dispatchByExtension("spec.odt", {
+        format: "odt",
+        blocks: [heading(1, "Scope"), paragraph("All hosts.")],
+      });
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].fileType).toBe("odt");
+      expect(chunks[0].structuralPath).toBe("Scope");
+    });
+
+    it("should keep a heading with no body as its own section", () => {
+      const chunks = chunker.splitOfficeDocument(
+        { format: "docx", blocks: [heading(1, "Empty"), heading(1, "Next"), paragraph("Body.")] },
+        "a.docx",
+      );
+      expect(chunks.map((chunk) => chunk.text)).toEqual(["Empty", "Next\n\nBody."]);
+    });
+
+    it("should fall back to one file-level section when there are no headings", () => {
+      const chunks = chunker.splitOfficeDocument(
+        { format: "docx", blocks: [paragraph("One."), paragraph("Two.")] },
+        "notes.docx",
+      );
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].sectionPath).toBe("notes.docx");
+      expect(chunks[0].text).toBe("One.\n\nTwo.");
+    });
+
+    it("should handle empty documents", () => {
+      expect(chunker.splitOfficeDocument(null, "a.docx")).toEqual([]);
+      expect(chunker.splitOfficeDocument({ format: "docx", blocks: [] }, "a.docx")).toEqual([]);
+    });
+  });
+
+  describe("HTML Chunker", () => {
+    it("should chunk page content by heading section and skip chrome", () => {
+      const html = `<!DOCTYPE html><html><head><title>Deploy Guide</title><style>h1 { color: red; }</style></head>
+        <body><nav><a href="/">Home</a></nav>
+        <h1>Deploy</h1><p>Build first.</p>
+        <h2>Rollback</h2><p>Restore the snapshot.</p>
+        <script>track("view");</script></body></html>`;
+
+      const chunks = chunker.dispatchByExtension("deploy.html", html);
+      expect(chunks.map((chunk) => chunk.sectionPath)).toEqual(["Deploy", "Deploy > Rollback"]);
+      expect(chunks[1].text).toBe("Rollback\n\nRestore the snapshot.");
+      expect(chunks.every((chunk) => chunk.fileType === "html")).toBe(true);
+      expect(chunks.every((chunk) => chunk.locatorType === "section")).toBe(true);
+      expect(chunks.map((chunk) => chunk.text).join(" ")).not.toMatch(/Home|track|color/);
+    });
+
+    it("should use the page title as the section for pages without headings", () => {
+      const chunks = chunker.splitHtml(
+        "<html><head><title>Notes</title></head><body><p>Only text.</p></body></html>",
+        "notes.html",
+      );
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].sectionPath).toBe("Notes");
+    });
+
+    it("should handle empty input", () => {
+      expect(chunker.splitHtml("   ", "a.html")).toEqual([]);
+      expect(chunker.splitHtml("<html><body><script>x()</script></body></html>", "a.html")).toEqual([]);
+    });
+  });
+
+  describe("CSV Chunker", () => {
+    it("should group rows and repeat the header in every chunk", () => {
+      const csv = ["id,name,notes", ...Array.from({ length: 6 }, (_, i) => `${i + 1},host-${i + 1},ok`)].join("\r\n");
+      const smallChunker = new SmartTextChunker(50, 0);
+
+      const chunks = smallChunker.splitCsv(csv, "hosts.csv");
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.every((chunk) => chunk.text.startsWith("id,name,notes\n"))).toBe(true);
+      expect(chunks.every((chunk) => chunk.locatorType === "row-range")).toBe(true);
+      expect(chunks[0].rowStart).toBe(1);
+      expect(chunks[chunks.length - 1].rowEnd).toBe(6);
+      for (let i = 1; i < chunks.length; i++) {
+        expect(chunks[i].rowStart).toBe(chunks[i - 1].rowEnd + 1);
+      }
+      expect(chunks[0].headerContext).toBe(`hosts.csv > Rows 1-${chunks[0].rowEnd}`);
+      expect(chunks[0].chunkType).toBe("csv-rows");
+      expect(chunks[0].fileType).toBe("csv");
+    });
+
+    it("should keep quoted fields with embedded newlines in one row", () => {
+      const csv = 'id,comment\n1,"line one\nline two, still row one"\n2,plain\n\n';
+      expect(SmartTextChunker.splitCsvRecords(csv)).toEqual([
+        "id,comment",
+        '1,"line one\nline two, still row one"',
+        "2,plain",
+      ]);
+
+      const chunks = chunker.splitCsv(csv, "comments.csv");
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toEqual(expect.objectContaining({ rowStart: 1, rowEnd: 2 }));
+    });
+
+    it("should split a row longer than a chunk into pieces that each repeat the header", () => {
+      const notes = Array.from({ length: 12 }, (_, i) => `Sentence ${i + 1} of the notes.`).join(" ");
+      const csv = ["id,notes", "1,short", `2,"${notes}"`, "3,short"].join("\n");
+      const smallChunker = new SmartTextChunker(120, 10);
+
+      const chunks = smallChunker.splitCsv(csv, "notes.csv");
+      const pieces = chunks.filter((chunk) => chunk.rowStart === 2);
+      expect(pieces.length).toBeGreaterThan(1);
+      expect(chunks.every((chunk) => chunk.text.length <= 120)).toBe(true);
+      expect(pieces.every((chunk) => chunk.text.startsWith("id,notes\n"))).toBe(true);
+      expect(pieces.every((chunk) => chunk.rowEnd === 2 && chunk.headerContext === "notes.csv > Rows 2-2")).toBe(true);
+      expect(pieces[pieces.length - 1].text).toContain("Sentence 12 of the notes.");
+      expect(chunks[0]).toEqual(expect.objectContaining({ rowStart: 1, rowEnd: 1 }));
+      expect(chunks[0]).not.toHaveProperty("parentStart");
+      expect(chunks[chunks.length - 1]).toEqual(expect.objectContaining({ rowStart: 3, rowEnd: 3 }));
+      const first = chunks.indexOf(pieces[0]);
+      expect(pieces.every((chunk) => chunk.parentStart === first && chunk.parentEnd === first + pieces.length - 1)).toBe(true);
+    });
+
+    it("should treat a header-only file as plain text", () => {
+      const chunks = chunker.splitCsv("id,name\n", "empty.csv");
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].locatorType).toBe("line-range");
+      expect(chunker.splitCsv("  ", "blank.csv")).toEqual([]);
+    });
+  });
+
+  describe("JSON Chunker", () => {
+    it("should emit a small document whole without a pointer", () => {
+      const chunks = chunker.splitJson('{"a":1}', "small.json");
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].locatorType).toBe("none");
+      expect(JSON.parse(chunks[0].text)).toEqual({ a: 1 });
+    });
+
+    it("should split large documents along object and array paths", () => {
+      const doc = {
+        name: "inventory",
+        "hosts/primary": Array.from({ length: 8 }, (_, i) => ({ id: i, role: "web" })),
+      };
+      const smallChunker = new SmartTextChunker(120, 0);
+
+      const chunks = smallChunker.splitJson(JSON.stringify(doc), "inventory.json");
+      expect(chunks.every((chunk) => chunk.locatorType === "json-pointer")).toBe(true);
+      expect(chunks[0].structuralPath).toBe("/name");
+      const hostChunks = chunks.slice(1);
+      expect(hostChunks.length).toBeGreaterThan(1);
+      expect(hostChunks[0].structuralPath).toBe("/hosts~1primary/0");
+      expect(hostChunks[0].headerContext).toMatch(/^inventory\.json > \/hosts~1primary\[0-\d\]$/);
+      const rebuilt = hostChunks.flatMap((chunk) => JSON.parse(chunk.text));
+      expect(rebuilt).toEqual(doc["hosts/primary"]);
+    });
+
+    it("should fall back to plain text for invalid JSON", () => {
+      const chunks = chunker.splitJson("{ not json", "broken.json");
+      expect(chunks[0].chunkType).toBe("text-block");
+      expect(chunks[0].fileType).toBe("json");
+    });
+  });
+
+  describe("JSON Lines Chunker", () => {
+    it("should group lines into row-range chunks by line number", () => {
+      const lines = Array.from({ length: 5 }, (_, i) => JSON.stringify({ event: "login", n: i }));
+      const smallChunker = new SmartTextChunker(60, 0);
+
+      const chunks = smallChunker.splitJsonLines(["", ...lines].join("\n"), "events.jsonl");
+      expect(chunks.every((chunk) => chunk.locatorType === "row-range")).toBe(true);
+      expect(chunks[0].rowStart).toBe(2);
+      expect(chunks[chunks.length - 1].rowEnd).toBe(6);
+      expect(chunks[0].headerContext).toBe(`events.jsonl > Lines 2-${chunks[0].rowEnd}`);
+    });
+
+    it("should split an oversized record by pointer under its record index", () => {
+      const big = JSON.stringify({ id: 1, payload: "x".repeat(80), tags: ["a", "b"] });
+      const smallChunker = new SmartTextChunker(100, 0);
+
+      const chunks = smallChunker.splitJsonLines(`{"id":0}\n${big}`, "events.jsonl");
+      expect(chunks[0]).toEqual(expect.objectContaining({ locatorType: "row-range", rowStart: 1, rowEnd: 1 }));
+      expect(chunks.length).toBeGreaterThan(2);
+      expect(chunks.slice(1).every((chunk) => chunk.structuralPath.startsWith("/1/"))).toBe(true);
+      expect(chunks.slice(1).every((chunk) => chunk.locatorType === "json-pointer")).toBe(true);
+    });
+  });
+
   describe("Process Section (Overlaps & Splitting)", () => {
     it("should split content correctly by paragraphs and sentences if too long", () => {
       // Chunk size is 100, overlap is 20
@@ -384,6 +747,67 @@ Paragraph after code.
       // Expected to split because paragraph 2 is > 50 chars.
       expect(chunks.length).toBeGreaterThan(1);
       expect(chunks[0].text).toContain("Paragraph 1");
+      expect(chunks[0]).not.toHaveProperty("lineStart");
+    });
+
+    it("should track the source lines of every split piece, overlap included", () => {
+      const smallChunker = new SmartTextChunker(40, 12);
+      const text = [
+        "Alpha line one.",
+        "Alpha line two.",
+        "",
+        "",
+        "Bravo paragraph here.",
+        "",
+        "Charlie paragraph text.",
+      ].join("\n");
+
+      const chunks = [];
+      smallChunker.processSection(`\n\n${text}`, "ctx", chunks, { sourceLine: 10 });
+
+      expect(chunks.map((chunk) => [chunk.lineStart, chunk.lineEnd])).toEqual([
+        [12, 13],
+        [13, 16],
+        [16, 18],
+      ]);
+      // The second chunk opens with overlap carried from line 13.
+      expect(chunks[1].text.startsWith("ha line two.")).toBe(true);
+      expect(chunks[2].text).toContain("Charlie");
+    });
+
+    it("should track lines across sentence-split pieces of one paragraph", () => {
+      const smallChunker = new SmartTextChunker(20, 0);
+      const chunks = [];
+      smallChunker.processSection("First line is long.\nSecond line also.\nThird.", "ctx", chunks, {
+        sourceLine: 1,
+      });
+
+      expect(chunks.map((chunk) => [chunk.lineStart, chunk.lineEnd])).toEqual([
+        [1, 1],
+        [2, 2],
+        [3, 3],
+      ]);
+    });
+
+    it("should point the children of a split section at their shared range", () => {
+      const smallChunker = new SmartTextChunker(40, 12);
+      const chunks = [];
+      smallChunker.processSection("Short intro.", "Intro", chunks);
+      smallChunker.processSection(
+        "Alpha paragraph text.\n\nBravo paragraph here.\n\nCharlie paragraph text.",
+        "Body",
+        chunks,
+      );
+      smallChunker.processSection("Short outro.", "Outro", chunks);
+
+      expect(chunks.length).toBe(5);
+      expect(chunks[0]).not.toHaveProperty("parentStart");
+      expect(chunks[4]).not.toHaveProperty("parentStart");
+      expect(chunks.slice(1, 4).map((chunk) => [chunk.parentStart, chunk.parentEnd])).toEqual([
+        [1, 3],
+        [1, 3],
+        [1, 3],
+      ]);
     });
 
     it("should not process empty sections", () => {
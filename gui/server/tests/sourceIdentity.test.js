@@ -2,6 +2,7 @@ import {
   mintSourceId,
   stableIdentityHash,
   computeChunkHash,
+  computeParentHash,
 } from "../lib/sourceIdentity.js";
 
 describe("mintSourceId", () => {
@@ -106,3 +107,16 @@ describe("computeChunkHash", () => {
     );
   });
 });
+
+describe("computeParentHash", () => {
+  it("returns a 16-char lowercase hex string", () => {
+    expect(computeParentHash("src_abc", ["aaaa", "bbbb"])).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it("changes when any child changes", () => {
+    const h1 = computeParentHash("src_abc", ["aaaa", "bbbb"]);
+    expect(computeParentHash("src_abc", ["aaaa", "cccc"])).not.toBe(h1);
+    expect(computeParentHash("src_abc", ["aaaa"])).not.toBe(h1);
+    expect(computeParentHash("src_xyz", ["aaaa", "bbbb"])).not.toBe(h1);
+  });
+});
@@ -56,6 +56,8 @@ jest.unstable_mockModule("child_process", () => ({
 // Mock the Ollama client — return a synthetic embedding and stream test tokens
 jest.unstable_mockModule("../lib/ollamaClient.js", () => ({
   embed: jest.fn(async () => new Float32Array(768)),
+  embedBatch: jest.fn(async (texts) => texts.map(() => new Float32Array(768))),
+  chat: jest.fn(async () => ""),
   chatStream: jest.fn(async (messages, model, url, onChunk) => {
     // Simulate streaming three tokens
     onChunk("Hello");
@@ -0,0 +1,52 @@
+import { TextDecodeError, decodeText } from "../lib/textEncoding.js";
+
+const utf16be = (text) => Buffer.from(text, "utf16le").swap16();
+
+describe("textEncoding", () => {
+  it("reads plain UTF-8, with or without a BOM", () => {
+    expect(decodeText(Buffer.from("Grüße, 世界"))).toEqual({ text: "Grüße, 世界", encoding: "utf-8", bom: false });
+    expect(decodeText(Buffer.from("\uFEFF# Notes\n"))).toEqual({ text: "# Notes\n", encoding: "utf-8", bom: true });
+  });
+
+  it("reads UTF-16 marked by a BOM", () => {
+    const script = "param([string]$Path)\r\nWrite-Host 'Grüße'\r\n";
+
+    expect(decodeText(Buffer.from(`\uFEFF${script}`, "utf16le"))).toEqual({
+      text: script,
+      encoding: "utf-16le",
+      bom: true,
+    });
+    expect(decodeText(utf16be(`\uFEFF${script}`))).toEqual({ text: script, encoding: "utf-16be", bom: true });
+  });
+
+  it("recognises UTF-16 without a BOM by its NUL bytes", () => {
+    const xml = '<?xml version="1.0"?><run result="passed"/>';
+
+    expect(decodeText(Buffer.from(xml, "utf16le"))).toEqual({ text: xml, encoding: "utf-16le", bom: false });
+    expect(decodeText(utf16be(xml))).toEqual({ text: xml, encoding: "utf-16be", bom: false });
+  });
+
+  it("falls back to Latin-1 when the bytes are not valid UTF-8", () => {
+    const text = "Café costs 5€";
+    const buffer = Buffer.from([...Buffer.from("Caf", "latin1"), 0xe9, ...Buffer.from(" costs 5", "latin1"), 0x80]);
+
+    expect(decodeText(buffer)).toEqual({ text, encoding: "windows-1252", bom: false });
+  });
+
+  it("keeps tabs, form feeds and ANSI color codes", () => {
+    const log = "\x1b[32mPASS\x1b[0m\tall tests\f\n";
+    expect(decodeText(Buffer.from(log)).text).toBe(log);
+  });
+
+  it("rejects binary data and text that is invalid in its marked encoding", () => {
+    const binary = Buffer.alloc(256);
+    for (let i = 0; i < binary.length; i++) binary[i] = (i * 37) % 256;
+
+    expect(() => decodeText(binary)).toThrow(TextDecodeError);
+    expect(() => decodeText(binary)).toThrow(/binary data/);
+    // A lone surrogate after a UTF-16 LE BOM.
+    expect(() => decodeText(Buffer.from([0xff, 0xfe, 0x00, 0xd8, 0x41, 0x00]))).toThrow(/Not valid UTF-16LE/);
+    // A UTF-8 BOM followed by a bare continuation byte.
+    expect(() => decodeText(Buffer.from([0xef, 0xbb, 0xbf, 0x41, 0x80]))).toThrow(/Not valid UTF-8/);
+  });
+});
@@ -0,0 +1,199 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  TokenCounter,
+  Vocabulary,
+  compileTokenizerPattern,
+  getTokenCounter,
+  resolveModelFamily,
+  trimHistory,
+} from "../lib/tokenizer.js";
+
+// Minimal tokenizer.json definitions in the three supported shapes.
+const byteLevelBpe = {
+  pre_tokenizer: { type: "ByteLevel", add_prefix_space: false, use_regex: true },
+  model: {
+    type: "BPE",
+    vocab: Object.fromEntries(
+      ["h", "e", "l", "o", "Ġ", "w", "r", "d", "t", "he", "ll", "hell", "hello", "Ġw", "or", "Ġwor", "ld", "Ġworld"].map(
+        (token, id) => [token, id],
+      ),
+    ),
+    merges: ["h e", "l l", "he ll", "hell o", "Ġ w", "o r", "Ġw or", "l d", "Ġwor ld"],
+  },
+};
+
+const sentencePieceBpe = {
+  normalizer: {
+    type: "Sequence",
+    normalizers: [
+      { type: "Prepend", prepend: "▁" },
+      { type: "Replace", pattern: { String: " " }, content: "▁" },
+    ],
+  },
+  pre_tokenizer: null,
+  model: {
+    type: "BPE",
+    byte_fallback: true,
+    vocab: { "▁": 0, a: 1, b: 2, "▁a": 3, "▁ab": 4, "<0xC3>": 5, "<0xA9>": 6 },
+    merges: [["▁", "a"], ["▁a", "b"]],
+  },
+};
+
+const wordPiece = {
+  normalizer: { type: "BertNormalizer", lowercase: true },
+  pre_tokenizer: { type: "BertPreTokenizer" },
+  model: {
+    type: "WordPiece",
+    unk_token: "[UNK]",
+    continuing_subword_prefix: "##",
+    vocab: { "[UNK]": 0, un: 1, "##aff": 2, "##able": 3, ",": 4, hello: 5 },
+  },
+};
+
+describe("tokenizer", () => {
+  it("resolves model families from Ollama model names", () => {
+    expect(resolveModelFamily("llama3.1:8b").family).toBe("llama3");
+    expect(resolveModelFamily("library/qwen2.5:7b").family).toBe("qwen2");
+    expect(resolveModelFamily("hf.co/org/Llama-3.2-3B-Instruct-GGUF:Q4_K_M").family).toBe("llama3");
+    expect(resolveModelFamily("nomic-embed-text").family).toBe("bert");
+    expect(resolveModelFamily("mistral:7b").family).toBe("mistral");
+    expect(resolveModelFamily("some-new-model").family).toBe("generic");
+  });
+
+  it("spells out scoped case-insensitive groups for Node", () => {
+    const regex = compileTokenizerPattern({ Regex: "(?i:'s|'t)|\\p{L}+" });
+    expect("IT'S it's".match(regex)).toEqual(["IT", "'S", "it", "'s"]);
+  });
+
+  describe("Vocabulary", () => {
+    it("counts byte-level BPE tokens", () => {
+      const vocabulary = new Vocabulary(byteLevelBpe);
+      expect(vocabulary.count("hello world")).toBe(2);
+      // "Ġthere" merges only "he": Ġ t he r e
+      expect(vocabulary.count("hello there")).toBe(6);
+    });
+
+    it("keeps whole pre-tokens that are in the vocabulary when merges are ignored", () => {
+      const vocabulary = new Vocabulary({
+        ...byteLevelBpe,
+        model: { ...byteLevelBpe.model, merges: [], ignore_merges: true },
+      });
+      expect(vocabulary.count(" world")).toBe(1);
+    });
+
+    it("counts SentencePiece-style BPE with byte fallback", () => {
+      const vocabulary = new Vocabulary(sentencePieceBpe);
+      expect(vocabulary.count("ab ab")).toBe(2);
+      // é is not in the vocabulary and falls back to its two UTF-8 bytes.
+      expect(vocabulary.count("abé")).toBe(3);
+    });
+
+    it("counts WordPiece tokens with unknown words as one token", () => {
+      expect(new Vocabulary(wordPiece).count("Unaffable, hello xyz")).toBe(6);
+    });
+
+    it("rejects tokenizer models it cannot count", () => {
+      expect(() => new Vocabulary({ model: { type: "Unigram", vocab: [] } })).toThrow(/Unigram/);
+    });
+  });
+
+  describe("TokenCounter", () => {
+    it("estimates from the family ratio and counts CJK characters one each", () => {
+      const counter = new TokenCounter(resolveModelFamily("llama3"));
+      expect(counter.method).toBe("estimate");
+      expect(counter.count("")).toBe(0);
+      expect(counter.count("abcdefghi")).toBe(3);
+      expect(counter.count("日本語")).toBe(3);
+      // message text + per-message framing + the assistant turn header
+      expect(counter.countMessages([{ role: "user", content: "abcdefghi" }])).toBe(13);
+    });
+
+    it("calibrates the estimate against reported prompt tokens within bounds", () => {
+      const counter = new TokenCounter(resolveModelFamily("mistral"));
+      expect(counter.calibrate(100, 150)).toBe(true);
+      expect(counter.calibration).toBeCloseTo(1.1);
+      expect(counter.calibrate(100, 500)).toBe(false);
+      expect(counter.calibration).toBeCloseTo(1.1);
+      expect(new TokenCounter(resolveModelFamily("mistral"), new Vocabulary(wordPiece)).calibrate(100, 150)).toBe(
+        false,
+      );
+    });
+
+    it("converts a token budget to characters at the sample's density", () => {
+      const counter = new TokenCounter(resolveModelFamily("llama3"), new Vocabulary(byteLevelBpe));
+      expect(counter.method).toBe("vocabulary");
+      expect(counter.charsFor(4, "hello world")).toBe(22);
+      expect(new TokenCounter(resolveModelFamily("mistral")).charsFor(10)).toBe(37);
+    });
+  });
+
+  describe("getTokenCounter", () => {
+    let tokenizerDir;
+
+    beforeEach(() => {
+      tokenizerDir = fs.mkdtempSync(path.join(os.tmpdir(), "tokenizer-test-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tokenizerDir, { recursive: true, force: true });
+    });
+
+    it("loads the family vocabulary once and shares the counter", () => {
+      fs.writeFileSync(path.join(tokenizerDir, "llama3.json"), JSON.stringify(byteLevelBpe));
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const counter = getTokenCounter("llama3.2:3b", { tokenizerDir });
+
+      expect(counter.method).toBe("vocabulary");
+      expect(counter.count("hello world")).toBe(2);
+      expect(getTokenCounter("llama3.1:8b", { tokenizerDir })).toBe(counter);
+      expect(log).toHaveBeenCalledTimes(1);
+      log.mockRestore();
+    });
+
+    it("prefers a vocabulary named after the model and estimates when it is unusable", () => {
+      fs.writeFileSync(path.join(tokenizerDir, "qwen2.json"), JSON.stringify(byteLevelBpe));
+      fs.writeFileSync(path.join(tokenizerDir, "qwen2.5.json"), "{ not json");
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const counter = getTokenCounter("qwen2.5:7b", { tokenizerDir });
+
+      expect(counter.method).toBe("estimate");
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("qwen2.5.json"));
+      warn.mockRestore();
+    });
+  });
+
+  describe("trimHistory", () => {
+    const counter = new TokenCounter(resolveModelFamily("llama3"));
+    const turn = (role, content) => ({ role, content });
+
+    it("drops the oldest turns and never starts with an assistant reply", () => {
+      const messages = [
+        turn("user", "a".repeat(42)),
+        turn("assistant", "b".repeat(42)),
+        turn("user", "c".repeat(42)),
+        turn("assistant", "d".repeat(42)),
+        turn("user", "last"),
+      ];
+      // 15 tokens per long turn, 7 for the last one
+      const fits = trimHistory(messages, counter, 40);
+      expect(fits.dropped).toBe(2);
+      expect(fits.messages.map((message) => message.content[0])).toEqual(["c", "d", "l"]);
+
+      // Dropping "c" would leave "d" first; it goes too.
+      const tight = trimHistory(messages, counter, 30);
+      expect(tight.dropped).toBe(4);
+      expect(tight.messages.map((message) => message.content[0])).toEqual(["l"]);
+    });
+
+    it("keeps the last message even when it alone is over budget", () => {
+      const { messages: kept, dropped } = trimHistory([turn("user", "x".repeat(400))], counter, 10);
+      expect(kept).toHaveLength(1);
+      expect(dropped).toBe(0);
+    });
+  });
+});
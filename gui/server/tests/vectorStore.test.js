@@ -6,6 +6,9 @@
  */
 
 import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
 
 const DIMS = 4;
 const VECTOR_COUNT = 3;
@@ -74,7 +77,9 @@ function buildMockResults() {
 
 // Global mock for @lancedb/lancedb is handled via jest.config.js moduleNameMapper
 
+const lancedb = await import("@lancedb/lancedb");
 const { VectorStore } = await import("../lib/vectorStore.js");
+const { LexicalIndex } = await import("../lib/lexicalIndex.js");
 
 describe("VectorStore (LanceDB Wrapper)", () => {
   let store;
@@ -241,6 +246,243 @@ describe("VectorStore (LanceDB Wrapper)", () => {
     });
   });
 
+  describe("findNearest() hybrid mode", () => {
+    let tempDir;
+    let hybridStore;
+    let mockTable;
+
+    beforeAll(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "vector-hybrid-test-"));
+      const index = new LexicalIndex(tempDir, TABLE_NAME);
+      index.addChunk("lex1234567890123", "src_lexonly12345678", "Rotate the BridgeToken secret weekly.");
+      index.addChunk("def1234567890123", "src_doc2id1234567890", "Rotate logs daily.");
+      await index.save();
+
+      hybridStore = new VectorStore();
+      await hybridStore.load(path.join(tempDir, "vector_store.lance"), TABLE_NAME, EMBEDDING_MODEL);
+      const db = await lancedb.connect();
+      mockTable = await db.openTable(TABLE_NAME);
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    // A BM25 hit whose embedding is far from the zero query vector (score 1/5).
+    const mockDistantKeywordHit = () =>
+      mockTable.query.mockReturnValueOnce({
+        where: jest.fn(() => ({
+          toArray: jest.fn().mockResolvedValue([
+            {
+              SourceId: "src_lexonly12345678",
+              ChunkHash: "lex1234567890123",
+              chunkOrdinal: 0,
+              FileName: "secrets.md",
+              Text: "Rotate the BridgeToken secret weekly.",
+              EmbeddingModel: EMBEDDING_MODEL,
+              vector: [1, 1, 1, 1],
+            },
+          ]),
+        })),
+      });
+
+    it("fuses BM25 hits that the vector search did not return", async () => {
+      const whereMock = jest.fn(() => ({
+        toArray: jest.fn().mockResolvedValue([
+          {
+            SourceId: "src_lexonly12345678",
+            ChunkHash: "lex1234567890123",
+            chunkOrdinal: 0,
+            FileName: "secrets.md",
+            FileType: "markdown",
+            ChunkIndex: 0,
+            Text: "Rotate the BridgeToken secret weekly.",
+            HeaderContext: "Secrets",
+            LocatorType: "section",
+            EmbeddingModel: EMBEDDING_MODEL,
+            vector: [0.5, 0.5, 0.5, 0.5],
+          },
+        ]),
+      }));
+      mockTable.query.mockReturnValueOnce({ where: whereMock });
+
+      const output = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0, {
+        mode: "hybrid",
+        lexicalQuery: "bridgetoken rotate",
+        includeDropTrace: true,
+      });
+
+      expect(whereMock).toHaveBeenCalledWith("ChunkHash IN ('lex1234567890123')");
+      const fileNames = output.results.map((r) => r.FileName);
+      expect(fileNames).toContain("secrets.md");
+      expect(output.results).toHaveLength(4);
+
+      const lexicalTrace = output.retrievedCandidates.find(
+        (candidate) => candidate.fileName === "secrets.md",
+      );
+      expect(lexicalTrace.lexicalScore).toBe(1);
+      expect(lexicalTrace.score).toBeCloseTo(1 / 2, 5);
+    });
+
+    it("keeps a keyword-only hit that falls below minScore", async () => {
+      mockDistantKeywordHit();
+
+      const output = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0.6, {
+        mode: "hybrid",
+        lexicalQuery: "bridgetoken",
+        includeDropTrace: true,
+      });
+
+      const keywordHit = output.results.find((r) => r.FileName === "secrets.md");
+      expect(keywordHit.score).toBeCloseTo(1 / 5, 5);
+      expect(output.results.map((r) => r.FileName)).not.toContain("script.ps1");
+      expect(output.droppedCandidates).toEqual([
+        expect.objectContaining({ fileName: "script.ps1", dropReason: "below_min_score" }),
+      ]);
+    });
+
+    it("ranks a lexical match above a closer vector-only neighbour", async () => {
+      mockTable.query.mockReturnValueOnce({
+        where: jest.fn(() => ({ toArray: jest.fn().mockResolvedValue([]) })),
+      });
+
+      const results = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0, {
+        mode: "hybrid",
+        lexicalQuery: "rotate logs daily",
+        fusionWeights: { vector: 0.5, lexical: 0.5 },
+      });
+
+      expect(results[0].FileName).toBe("doc2.md");
+    });
+
+    it("rrf fusion ranks by list position, ignoring blend weights", async () => {
+      const options = {
+        mode: "hybrid",
+        lexicalQuery: "rotate logs daily",
+        fusionWeights: { vector: 0.95, lexical: 0.05 },
+      };
+      const emptyWhere = () => ({
+        where: jest.fn(() => ({ toArray: jest.fn().mockResolvedValue([]) })),
+      });
+
+      mockTable.query.mockReturnValueOnce(emptyWhere());
+      const linear = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0, options);
+      expect(linear[0].FileName).toBe("doc1.md");
+
+      mockTable.query.mockReturnValueOnce(emptyWhere());
+      const rrf = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0, {
+        ...options,
+        fusion: "rrf",
+      });
+      expect(rrf.map((r) => r.FileName)).toEqual(["doc2.md", "doc1.md", "script.ps1"]);
+      // score stays the vector relevance; only the order changes.
+      expect(rrf[0].score).toBeLessThan(rrf[1].score);
+      expect(rrf[0]).not.toHaveProperty("fusionSignals");
+    });
+
+    it("max fusion lets the stronger of the two signals decide", async () => {
+      mockTable.query.mockReturnValueOnce({
+        where: jest.fn(() => ({ toArray: jest.fn().mockResolvedValue([]) })),
+      });
+
+      const results = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0, {
+        mode: "hybrid",
+        lexicalQuery: "rotate logs daily",
+        fusionWeights: { vector: 0.95, lexical: 0.05 },
+        fusion: "max",
+      });
+
+      expect(results[0].FileName).toBe("doc2.md");
+    });
+
+    describe("with a non-zero minScore", () => {
+      it("rrf fusion ranks a keyword-only hit the embedding scored low", async () => {
+        mockDistantKeywordHit();
+
+        const results = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0.6, {
+          mode: "hybrid",
+          lexicalQuery: "bridgetoken rotate",
+          fusion: "rrf",
+        });
+
+        expect(results.map((r) => r.FileName)).toEqual(["doc2.md", "doc1.md", "secrets.md"]);
+      });
+
+      it("max fusion lets a keyword-only hit the embedding scored low win on its BM25 score", async () => {
+        mockDistantKeywordHit();
+
+        const results = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0.6, {
+          mode: "hybrid",
+          lexicalQuery: "bridgetoken",
+          fusion: "max",
+        });
+
+        expect(results.map((r) => r.FileName)).toEqual(["secrets.md", "doc1.md", "doc2.md"]);
+        expect(results[0].score).toBeCloseTo(1 / 5, 5);
+      });
+    });
+
+    it("leaves vector mode untouched by the lexical index", async () => {
+      const results = await hybridStore.findNearest(new Float32Array(DIMS), 5, 0, {
+        mode: "vector",
+        lexicalQuery: "bridgetoken",
+      });
+
+      expect(results.map((r) => r.FileName)).toEqual(["doc1.md", "doc2.md", "script.ps1"]);
+    });
+  });
+
+  describe("fetchChunkRange()", () => {
+    it("loads one source's chunks in ordinal order", async () => {
+      const db = await lancedb.connect();
+      const mockTable = await db.openTable(TABLE_NAME);
+      const row = (ordinal) => ({
+        SourceId: "src_it's_a_doc",
+        ChunkHash: `hash${ordinal}`,
+        chunkOrdinal: ordinal,
+        FileName: "guide.md",
+        Text: `Part ${ordinal}`,
+        ParentHash: "parent123",
+        ParentOrdinalStart: 3,
+        ParentOrdinalEnd: 4,
+      });
+      const whereMock = jest.fn(() => ({
+        toArray: jest.fn().mockResolvedValue([row(4), row(3)]),
+      }));
+      mockTable.query.mockReturnValueOnce({ where: whereMock });
+
+      const rows = await store.fetchChunkRange("src_it's_a_doc", 3, 4);
+
+      expect(whereMock).toHaveBeenCalledWith(
+        "SourceId = 'src_it''s_a_doc' AND chunkOrdinal >= 3 AND chunkOrdinal <= 4",
+      );
+      expect(rows.map((r) => [r.chunkOrdinal, r.ChunkText])).toEqual([
+        [3, "Part 3"],
+        [4, "Part 4"],
+      ]);
+      expect(rows[0]).toEqual(
+        expect.objectContaining({ ParentHash: "parent123", ParentOrdinalStart: 3, ParentOrdinalEnd: 4 }),
+      );
+      expect(rows[0]).not.toHaveProperty("score");
+    });
+  });
+
+  describe("applyReciprocalRankFusion()", () => {
+    it("sums 1 / (k + rank) over the lists a candidate appears in", () => {
+      const candidates = [
+        { score: 0.9, fusionSignals: { vector: 0.9, lexical: null, metadata: null } },
+        { score: 0.4, fusionSignals: { vector: null, lexical: 1, metadata: 0.2 } },
+        { score: 0.6, fusionSignals: { vector: 0.6, lexical: 0.5, metadata: null } },
+      ];
+
+      VectorStore.applyReciprocalRankFusion(candidates, 10);
+
+      expect(candidates[0].rankingScore).toBeCloseTo(1 / 11, 10);
+      expect(candidates[1].rankingScore).toBeCloseTo(1 / 11 + 1 / 11, 10);
+      expect(candidates[2].rankingScore).toBeCloseTo(1 / 12 + 1 / 12, 10);
+    });
+  });
+
   describe("model validation", () => {
     it("should throw on model mismatch during load", async () => {
       const badStore = new VectorStore();
@@ -0,0 +1,38 @@
+import { readZipEntries, extractZipEntry, readZipText, ZipFormatError } from "../lib/zipArchive.js";
+import { buildZip } from "./helpers/zipFixture.js";
+
+describe("zipArchive", () => {
+  it("lists entries from the central directory", () => {
+    const archive = buildZip({ "mimetype": "application/test", "dir/a.xml": "<a/>" });
+    const entries = readZipEntries(archive);
+
+    expect([...entries.keys()]).toEqual(["mimetype", "dir/a.xml"]);
+    expect(entries.get("dir/a.xml").size).toBe(4);
+  });
+
+  it("reads deflated and stored entries", () => {
+    const text = "<doc>" + "repeated text ".repeat(200) + "</doc>";
+    const deflated = buildZip({ "doc.xml": text });
+    const stored = buildZip({ "doc.xml": text }, { store: true });
+
+    expect(readZipText(deflated, "doc.xml")).toBe(text);
+    expect(readZipText(stored, "doc.xml")).toBe(text);
+    expect(readZipEntries(deflated).get("doc.xml").compressedSize).toBeLessThan(text.length);
+  });
+
+  it("returns null for a missing entry", () => {
+    expect(readZipText(buildZip({ "a.txt": "a" }), "b.txt")).toBeNull();
+  });
+
+  it("rejects buffers that are not ZIP archives", () => {
+    expect(() => readZipEntries(Buffer.from("plain text, definitely not a zip archive"))).toThrow(ZipFormatError);
+    expect(() => readZipEntries(Buffer.alloc(4))).toThrow(ZipFormatError);
+  });
+
+  it("rejects unsupported compression methods", () => {
+    const archive = buildZip({ "a.txt": "abc" }, { store: true });
+    const entry = { ...readZipEntries(archive).get("a.txt"), method: 12 };
+
+    expect(() => extractZipEntry(archive, entry)).toThrow(/Unsupported compression method 12/);
+  });
+});
@@ -42,7 +42,7 @@ const data = {
     "Chats over ingested local documents with streaming responses from `/api/chat`.",
     "Queues folder ingestion jobs in the background instead of blocking the UI.",
     "Browses allowed local folders from the UI with path-boundary and symlink checks.",
-    "Parses and ingests `.md`, `.txt`, `.ps1`, `.xml`, and `.pdf` files.",
+    "Parses and ingests `.md`, `.txt`, `.ps1`, `.xml`, `.pdf`, `.docx`, `.odt`, and `.html` files.",
     "Stores embeddings and metadata in local LanceDB collections with per-file manifests.",
     "Surfaces model readiness, system health, queue state, and vector index metrics in the dashboard.",
     "Supports vector, filtered-vector, and hybrid retrieval modes in the backend API.",